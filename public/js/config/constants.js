@@ -89,6 +89,441 @@ export const BUILDINGS = {
     ANTI_AIR: { id: 'anti_air', name: 'Anti-Air', icon: '🎯', buildTime: 45 }
 };
 
+// Buildings measured as a per-territory level rather than a count
+export const LEVEL_BUILDINGS = [BUILDINGS.INFRASTRUCTURE.id];
+
+// Daily resource upkeep per building
+export const RESOURCE_CONSUMPTION = {
+    [BUILDINGS.FACTORY.id]: { steel: 0.1 },
+    [BUILDINGS.MILITARY_FACTORY.id]: { steel: 0.3, aluminum: 0.2, rubber: 0.1, tungsten: 0.05, chromium: 0.05 },
+    [BUILDINGS.DOCKYARD.id]: { steel: 0.4, chromium: 0.1 },
+    [BUILDINGS.AIRBASE.id]: { oil: 0.2 },
+    [BUILDINGS.NAVAL_BASE.id]: { oil: 0.2 }
+};
+
+// Daily resource upkeep per battalion, ship and plane in service, by type ID
+export const FORCE_UPKEEP = {
+    artillery: { steel: 0.01 },
+    motorised: { oil: 0.02 },
+    armour: { oil: 0.04, steel: 0.01 },
+    destroyer: { oil: 0.05 },
+    cruiser: { oil: 0.1 },
+    submarine: { oil: 0.03 },
+    carrier: { oil: 0.3 },
+    fighter: { oil: 0.005 },
+    cas: { oil: 0.005 },
+    bomber: { oil: 0.02 }
+};
+
+// Stockpile a nation starts with, in days of its own production
+export const STARTING_STOCKPILE_DAYS = 30;
+
+// Share of output a building keeps with none of its resources
+// (substitutes, scrap); it rises with the share of its upkeep that is met
+export const MIN_BUILDING_EFFICIENCY = 0.25;
+
+// Economy model (money in $B, GDP per year)
+export const ECONOMY = {
+    OUTPUT_PER_CAPITA: 0.00002,     // $B of GDP per person ($20k)
+    INFRASTRUCTURE_BONUS: 0.05,     // Population output bonus per infrastructure level
+    BUILDING_OUTPUT: {
+        [BUILDINGS.FACTORY.id]: 8,
+        [BUILDINGS.MILITARY_FACTORY.id]: 5,
+        [BUILDINGS.DOCKYARD.id]: 5
+    },
+    TAX_RATE: { MIN: 0.05, MAX: 0.6, DEFAULT: 0.25 },
+    SPENDING: {                     // Share of GDP per category
+        MAX: 0.3,
+        DEFAULT: { military: 0.08, construction: 0.1, research: 0.04 }
+    },
+    INTEREST_RATE: 0.05,            // Yearly, on outstanding debt
+    FUNDING_LIMITS: { MIN: 0.5, MAX: 1.5 }  // Effect multiplier range of spending vs default
+};
+
+// Population growth (yearly rates, applied monthly)
+export const POPULATION = {
+    BASE_GROWTH: 0.008,
+    STABILITY_EFFECT: 0.01,         // At 100% stability; the opposite at 0%
+    INFRASTRUCTURE_EFFECT: 0.0005   // Per infrastructure level
+};
+
+// Conscription laws: share of population that can be recruited
+export const CONSCRIPTION_LAWS = {
+    DISARMED: { id: 'disarmed', name: 'Disarmed Nation', recruitable: 0.01 },
+    VOLUNTEER: { id: 'volunteer', name: 'Volunteer Only', recruitable: 0.02 },
+    LIMITED: { id: 'limited', name: 'Limited Conscription', recruitable: 0.035 },
+    EXTENSIVE: { id: 'extensive', name: 'Extensive Conscription', recruitable: 0.06 },
+    SERVICE_BY_REQUIREMENT: { id: 'service_by_requirement', name: 'Service by Requirement', recruitable: 0.1 }
+};
+
+// Mobilisation levels: more manpower at the cost of economic output
+export const MOBILISATION_LEVELS = {
+    PEACETIME: { id: 'peacetime', name: 'Peacetime Economy', manpower: 1, output: 1 },
+    PARTIAL: { id: 'partial', name: 'Partial Mobilisation', manpower: 1.25, output: 0.9 },
+    WAR_ECONOMY: { id: 'war_economy', name: 'War Economy', manpower: 1.5, output: 0.8 },
+    TOTAL: { id: 'total', name: 'Total Mobilisation', manpower: 2, output: 0.65 }
+};
+
+// Stability model (points per month unless noted)
+export const STABILITY = {
+    DRIFT: 0.1,                     // Share of the gap to baseline recovered
+    WAR_EXHAUSTION_EFFECT: -0.05,   // Per point of war exhaustion (0-100)
+    WAR_EXHAUSTION_DECAY: 2,        // War exhaustion points lost
+    OCCUPATION_EFFECT: -8,          // With every core territory occupied
+    DEFICIT_EFFECT: -5,             // With a deficit as large as revenue
+    SHORTAGE_EFFECT: -4,            // With none of the nation's resource demand met
+    OUTPUT_PENALTY_BELOW: 50,       // Production penalty starts here...
+    MAX_OUTPUT_PENALTY: 0.3,        // ...and reaches this at 0 stability
+    STRIKE_PENALTY: 0.1,            // Extra production penalty during strikes
+    THRESHOLDS: { UNREST: 60, STRIKES: 30, CIVIL_WAR: 15 },
+    CIVIL_WAR_CHANCE: 0.1,          // Monthly, at 0 stability
+    TENSION_EFFECT: -0.03           // Per point of global tension (0-100)
+};
+
+// Government types. `name` is the nation `type` string shown in the nation card.
+// warDeclaration: minimum stability and whether a justification is needed;
+// maxConscription: strictest CONSCRIPTION_LAWS id allowed; tint: map colour shift
+// applied once a nation leaves its starting government.
+export const GOVERNMENT_TYPES = {
+    FEDERAL_REPUBLIC: {
+        id: 'federal_republic', name: 'FEDERAL REPUBLIC', tint: '#3a6aaa',
+        stabilityBaseline: 65, electionYears: 4,
+        warDeclaration: { minStability: 50, requiresJustification: true },
+        maxConscription: 'extensive'
+    },
+    REPUBLIC: {
+        id: 'republic', name: 'REPUBLIC', tint: '#4a8aaa',
+        stabilityBaseline: 60, electionYears: 5,
+        warDeclaration: { minStability: 50, requiresJustification: true },
+        maxConscription: 'extensive'
+    },
+    CONSTITUTIONAL_MONARCHY: {
+        id: 'constitutional_monarchy', name: 'CONSTITUTIONAL MONARCHY', tint: '#7a5aaa',
+        stabilityBaseline: 70, electionYears: 5,
+        warDeclaration: { minStability: 40, requiresJustification: true },
+        maxConscription: 'extensive'
+    },
+    COMMUNIST_STATE: {
+        id: 'communist_state', name: 'COMMUNIST STATE', tint: '#aa3a3a',
+        stabilityBaseline: 55, electionYears: null,
+        warDeclaration: { minStability: 0, requiresJustification: false },
+        maxConscription: 'service_by_requirement'
+    },
+    MILITARY_JUNTA: {
+        id: 'military_junta', name: 'MILITARY JUNTA', tint: '#6a6a3a',
+        stabilityBaseline: 40, electionYears: null,
+        warDeclaration: { minStability: 0, requiresJustification: false },
+        maxConscription: 'service_by_requirement'
+    }
+};
+
+// Government change rules
+export const GOVERNMENT_CHANGE = {
+    RADICAL_ELECTION_BELOW: 35,     // Stability under which elections can bring radicals to power
+    RADICAL_ELECTION_CHANCE: 0.5,   // At 0 stability
+    COUP_BELOW: 25,                 // Stability under which coups can happen
+    COUP_CHANCE: 0.05,              // Monthly, at 0 stability
+    TINT_STRENGTH: 0.4,
+    NEW_GOVERNMENT_STABILITY: { value: 5, months: 6 }
+};
+
+// Land battalions - the building blocks of division templates.
+// Costs are per battalion; speed is in km/h; symbol is the map marker glyph.
+export const BATTALIONS = {
+    INFANTRY: {
+        id: 'infantry', name: 'Infantry', symbol: 'INF',
+        manpower: 1000, equipment: 100, attack: 3, defence: 6, organisation: 60, speed: 4, training: 60
+    },
+    ARTILLERY: {
+        id: 'artillery', name: 'Artillery', symbol: 'ART',
+        manpower: 500, equipment: 150, attack: 8, defence: 2, organisation: 0, speed: 4, training: 75
+    },
+    MOTORISED: {
+        id: 'motorised', name: 'Motorised', symbol: 'MOT',
+        manpower: 1200, equipment: 250, attack: 3, defence: 6, organisation: 60, speed: 12, training: 75
+    },
+    ARMOUR: {
+        id: 'armour', name: 'Armour', symbol: 'ARM',
+        manpower: 500, equipment: 400, attack: 15, defence: 4, organisation: 30, speed: 10, training: 90
+    }
+};
+
+// Division templates every nation starts with: battalion id -> count
+export const DEFAULT_TEMPLATES = [
+    { id: 'infantry_division', name: 'Infantry Division', battalions: { infantry: 6 } },
+    { id: 'infantry_artillery', name: 'Infantry Division (Art.)', battalions: { infantry: 6, artillery: 2 } },
+    { id: 'motorised_division', name: 'Motorised Division', battalions: { motorised: 6 } },
+    { id: 'armoured_division', name: 'Armoured Division', battalions: { armour: 4, motorised: 2 } }
+];
+
+// Land units
+export const UNITS = {
+    MAX_BATTALIONS: 10,             // Per division template
+    EQUIPMENT_PER_FACTORY: 5,       // Per military factory per day
+    STARTING_EQUIPMENT: 5000,       // Equipment stockpile at start...
+    STARTING_EQUIPMENT_DAYS: 180,   // ...plus this many days of production
+    STARTING_DIVISIONS_MAX: 12,     // Cap on divisions created from starting military headcount
+    ORGANISATION_RECOVERY: 0.05,    // Share of max organisation regained per day
+    REINFORCE_RATE: 0.02            // Share of full strength replenished per day
+};
+
+// Land movement. A leg between neighbouring territories is the distance
+// between their centroids, each half weighted by that territory's terrain
+// movementCost and divided by its infrastructure bonus.
+export const MOVEMENT = {
+    BORDER_TYPES: ['land', 'strait', 'canal'],  // Borders land units can cross
+    MARCH_HOURS: 10,                // Hours a day divisions march at battalion speed
+    INFRASTRUCTURE_BONUS: 0.05,     // Speed bonus per infrastructure level
+    STRAIT_COST: 2,                 // Extra multiplier for crossing a strait
+    SEA_CROSSING_COST: 3            // Extra multiplier for a naval invasion across a sea border
+};
+
+// Land combat, resolved in hourly rounds. Each side's firepower (attack
+// for attackers; defence x terrain defenceModifier x forts for defenders)
+// sets the odds the other side takes damage at.
+export const COMBAT = {
+    ORGANISATION_DAMAGE: 1.5,       // Organisation lost per hour at even odds
+    STRENGTH_DAMAGE: 0.004,         // Share of full strength lost per hour at even odds
+    MAX_ODDS: 4,                    // Cap on the firepower ratio either way
+    FORT_BONUS: 0.15,               // Defence bonus per fort level
+    MIN_SUPPLY_FACTOR: 0.4,         // Share of combat power left without supply
+    DESTROYED_STRENGTH: 0.1,        // Divisions below this strength are destroyed
+    EXHAUSTION_PER_THOUSAND: 0.5,   // War exhaustion per 1,000 casualties
+    DEFEAT_EXHAUSTION: 2            // War exhaustion for the losing side of a battle
+};
+
+// Supply. Capitals and naval bases send supply out over land borders
+// (held territory also raises a little locally);
+// each territory passes on at most its infrastructure-limited throughput,
+// and some is lost with distance. Divisions short of supply suffer
+// attrition and fight at reduced strength.
+export const SUPPLY = {
+    CAPITAL_OUTPUT: 60,             // Supply a capital sends out per day
+    NAVAL_BASE_OUTPUT: 5,           // Per naval base level
+    LOCAL_OUTPUT: 2,                // Raised by held territory per infrastructure level
+    BASE_CAPACITY: 8,               // Throughput of a territory without infrastructure
+    CAPACITY_PER_INFRASTRUCTURE: 4, // Extra throughput per infrastructure level
+    LOSS_PER_1000KM: 0.15,          // Share of supply lost per 1,000 km carried
+    FRONTLINE_SHARE: 0.5,           // Share passed into bordering territory the nation doesn't hold
+    PER_BATTALION: 1,               // Supply a battalion needs per day
+    REFERENCE_DEMAND: 12,           // Demand the map mode rates empty territories against
+    ATTRITION: 0.01,                // Strength lost per day with no supply
+    ORGANISATION_ATTRITION: 0.1,    // Share of max organisation lost per day with no supply
+    GOOD: 0.75,                     // Supply level shown green from here...
+    STRAINED: 0.4                   // ...amber from here, red below
+};
+
+// Warships, built by dockyards and based at naval bases. Cost is in naval
+// production; crew is manpower; speed is in km/h; symbol is the map marker
+// glyph. Raiding is strength against supply convoys, screening strength
+// protecting them.
+export const SHIP_CLASSES = {
+    DESTROYER: {
+        id: 'destroyer', name: 'Destroyer', symbol: 'DD',
+        cost: 400, crew: 250, attack: 3, defence: 4, raiding: 1, screening: 4, speed: 60
+    },
+    CRUISER: {
+        id: 'cruiser', name: 'Cruiser', symbol: 'CA',
+        cost: 900, crew: 800, attack: 8, defence: 9, raiding: 2, screening: 2, speed: 55
+    },
+    SUBMARINE: {
+        id: 'submarine', name: 'Submarine', symbol: 'SS',
+        cost: 350, crew: 60, attack: 5, defence: 2, raiding: 5, screening: 0, speed: 35
+    },
+    CARRIER: {
+        id: 'carrier', name: 'Aircraft Carrier', symbol: 'CV',
+        cost: 2500, crew: 3000, attack: 16, defence: 10, raiding: 3, screening: 1, speed: 55
+    }
+};
+
+// Fleet missions, carried out in the fleet's sea zone
+export const NAVAL_MISSIONS = {
+    PATROL: { id: 'patrol', name: 'Patrol' },           // Engage hostile fleets in the zone
+    ESCORT: { id: 'escort', name: 'Convoy Escort' },    // Screen convoys and invasions crossing the zone
+    STRIKE: { id: 'strike', name: 'Strike' }            // Hunt hostile fleets and convoys in the zone
+};
+
+// Naval warfare. Battles are fought daily in any sea zone where a fleet on
+// patrol or strike meets a hostile fleet; each side's attack against the
+// other's defence sets the odds its ships are damaged at.
+export const NAVAL = {
+    PRODUCTION_PER_DOCKYARD: 2,     // Naval production per dockyard per day
+    STARTING_SHIPS: { destroyer: 4, cruiser: 2 },   // At each nation's largest naval base
+    SAILING_HOURS: 20,              // Hours a day fleets steam at their slowest ship's speed
+    DAMAGE: 0.04,                   // Share of a ship's strength lost per day at even odds
+    MAX_ODDS: 4,                    // Cap on the attack/defence ratio either way
+    STRIKE_ATTACK: 1.5,             // Attack multiplier on strike missions
+    ESCORT_DEFENCE: 1.5,            // Defence multiplier on escort missions
+    SUNK_STRENGTH: 0.1,             // Ships below this strength are sunk
+    RETREAT_STRENGTH: 0.4,          // Fleets averaging below this head back to base
+    REPAIR_PER_BASE_LEVEL: 0.005,   // Strength repaired per day per naval base level while docked
+    RAID_REFERENCE: 20,             // Unscreened raiding that does the most damage to a port's convoys...
+    MAX_CONVOY_LOSS: 0.8,           // ...cutting its supply by this share
+    EXHAUSTION_PER_SHIP: 1          // War exhaustion per ship sunk
+};
+
+// Aircraft, built in wings by military factories and stationed at air
+// bases. Cost is air production per plane; crew is manpower per plane;
+// range is the operational radius from the wing's base in km. Air attack
+// and air defence settle air-to-air fighting; ground attack feeds close
+// air support and bombing the damage done to buildings.
+export const AIRCRAFT = {
+    FIGHTER: {
+        id: 'fighter', name: 'Fighter', symbol: 'FTR', mission: 'air_superiority',
+        cost: 20, crew: 2, airAttack: 10, airDefence: 8, groundAttack: 1, bombing: 0, range: 800
+    },
+    CAS: {
+        id: 'cas', name: 'Close Air Support', symbol: 'CAS', mission: 'close_air_support',
+        cost: 25, crew: 4, airAttack: 2, airDefence: 5, groundAttack: 8, bombing: 1, range: 600
+    },
+    BOMBER: {
+        id: 'bomber', name: 'Strategic Bomber', symbol: 'BMB', mission: 'strategic_bombing',
+        cost: 50, crew: 10, airAttack: 2, airDefence: 10, groundAttack: 1, bombing: 8, range: 2000
+    }
+};
+
+// Air wing missions, flown against a target territory
+export const AIR_MISSIONS = {
+    AIR_SUPERIORITY: { id: 'air_superiority', name: 'Air Superiority' },        // Contest the target's air region
+    CLOSE_AIR_SUPPORT: { id: 'close_air_support', name: 'Close Air Support' },  // Back land battles in the region
+    STRATEGIC_BOMBING: { id: 'strategic_bombing', name: 'Strategic Bombing' }   // Destroy buildings in the target
+};
+
+// Air warfare. Territories are grouped into air regions; every wing flying
+// a mission over a region fights the hostile wings there each day, the
+// ratio of air attack sets superiority, and hostile air attack against
+// the wing's side's air defence sets the share of planes lost. Wings over
+// hostile ground also take fire from anti-air; radar makes both deadlier.
+export const AIR = {
+    REGION_SIZE: 10,                // Degrees per side of the blocks territories are grouped into regions by
+    PRODUCTION_PER_FACTORY: 2,      // Air production per military factory per day
+    WING_SIZE: 20,                  // Planes per wing
+    PLANES_PER_AIRBASE_LEVEL: 20,   // Planes an air base can station per level
+    STARTING_WINGS: { fighter: 2, cas: 1 },     // At each nation's largest air base
+    MISSION_LOSS: 0.03,             // Share of a wing shot down per day at even odds
+    MAX_ODDS: 4,                    // Cap on the air attack/air defence ratio either way
+    AA_LOSS_PER_LEVEL: 0.006,       // Extra share shot down per day per anti-air level below
+    RADAR_BONUS: 0.1,               // Fighter and anti-air bonus per radar level in the region
+    CAS_REFERENCE: 300,             // Ground attack (x superiority) for the full bonus...
+    MAX_CAS_BONUS: 0.5,             // ...of this much extra firepower in land battles
+    DOMINANT: 0.7,                  // Superiority shown green from here...
+    CONTESTED: 0.3,                 // ...amber from here, red below
+    BOMBING_PER_LEVEL: 1500,        // Bombing damage that destroys one building level
+    BOMBING_TARGETS: [              // Order buildings in a target are bombed in
+        BUILDINGS.MILITARY_FACTORY.id,
+        BUILDINGS.FACTORY.id,
+        BUILDINGS.DOCKYARD.id,
+        BUILDINGS.AIRBASE.id,
+        BUILDINGS.NAVAL_BASE.id,
+        BUILDINGS.RADAR.id,
+        BUILDINGS.ANTI_AIR.id,
+        BUILDINGS.INFRASTRUCTURE.id
+    ],
+    EXHAUSTION_PER_WING: 1          // War exhaustion per wing destroyed
+};
+
+// Strategic missiles. Missiles are ordered against military factory
+// output and wait in a nation's arsenal until launched.
+export const WARHEADS = {
+    CONVENTIONAL: {
+        id: 'conventional', name: 'Conventional Missile', symbol: 'SRM', cost: 200, uranium: 0,
+        buildings: 1, casualties: 0.001, exhaustion: 1, tension: 2
+    },
+    NUCLEAR: {
+        id: 'nuclear', name: 'Nuclear Missile', symbol: 'NUC', cost: 800, uranium: 20,
+        buildings: 10, casualties: 0.15, exhaustion: 15, tension: 25
+    }
+};
+
+export const MISSILES = {
+    PRODUCTION_PER_FACTORY: 1,      // Missile production per military factory per day
+    RANGE: 4000,                    // km from the launch site, before technology
+    SPEED: 6000,                    // km per hour; flights take at least an hour
+    RADAR_RANGE: 1500,              // km within which a defender's radar tracks incoming missiles
+    ANTI_AIR_RANGE: 300,            // km within which a defender's anti-air can engage them
+    INTERCEPT_PER_RADAR: 0.04,      // Interception chance per effective radar level...
+    INTERCEPT_PER_ANTI_AIR: 0.06,   // ...and per effective anti-air level...
+    MAX_INTERCEPT: 0.6,             // ...capped here
+    MAX_TENSION: 100,
+    TENSION_DECAY: 0.1              // Global tension lost per day
+};
+
+// Treaties between two nations, always mutual. minOpinion is how much the
+// other side must like the proposer to sign; opinion is the lasting boost
+// to both sides' opinion of each other while the treaty holds.
+export const TREATIES = {
+    NON_AGGRESSION: { id: 'non_aggression', name: 'Non-Aggression Pact', minOpinion: 0, opinion: 10 },
+    MILITARY_ACCESS: { id: 'military_access', name: 'Military Access', minOpinion: 25, opinion: 5 },
+    ALLIANCE: { id: 'alliance', name: 'Alliance', minOpinion: 60, opinion: 25 },
+    TRADE: { id: 'trade', name: 'Trade Agreement', minOpinion: 10, opinion: 10 }
+};
+
+// Diplomacy. Opinion (-100 to 100) drifts monthly towards a target set by
+// government types, treaties and wars; events push it around meanwhile.
+export const DIPLOMACY = {
+    MAX_OPINION: 100,
+    SAME_GOVERNMENT_OPINION: 20,    // Target opinion between nations with the same government type
+    ALIGNED_OPINION: 15,            // Target opinion between members of the same faction
+    WAR_OPINION: -60,               // Target opinion between nations at war
+    OPINION_DRIFT: 0.2,             // Share of the gap to target recovered per month
+    JUSTIFY_DAYS: 30,               // Days to build a war justification...
+    JUSTIFICATION_DAYS: 180,        // ...which then lasts this long unused
+    JUSTIFY_OPINION: -15,           // Target's opinion of a nation justifying war on it
+    DECLARE_WAR_OPINION: -40,       // Target's (and its allies') opinion of the aggressor
+    BREAK_TREATY_OPINION: -25,      // Partner's opinion of a nation cancelling a treaty
+    TRADE_GDP_BONUS: 0.03,          // GDP per trade agreement
+    PEACE_SCORE_WEIGHT: 10,         // Willingness to make peace per net territory lost...
+    PEACE_COST_PER_TERRITORY: 15    // ...and the price of each territory demanded
+};
+
+// Factions: blocs of nations under a leader. Members count as allies, are
+// called to arms when one of them is attacked and share a victory score.
+export const FACTIONS = {
+    JOIN_OPINION: 40,               // Leader's opinion of an applicant needed to let it in
+    APPLY_OPINION: 50,              // Opinion of a leader at which unaligned nations ask to join
+    LEAVE_OPINION: -20,             // Leader's opinion of a member that walks out
+    VICTORY_PER_TERRITORY: 1,       // Victory score per territory ceded to (or taken from) a member
+    COLORS: ['#3a7aff', '#ff5a3a', '#ffcc33', '#aa55ff', '#33ddcc', '#ff66aa'],
+    UNALIGNED_COLOR: '#1a2520'
+};
+
+// Relation colours of the DIPLOMACY map mode
+export const RELATION_COLORS = {
+    player: '#00ff88',      // Green - player controlled
+    ally: '#00aaff',        // Blue - allied
+    neutral: '#888888',     // Gray - neutral
+    hostile: '#ff4444',     // Red - enemy
+    contested: '#ffaa00',   // Orange - occupied in an ongoing war
+    unoccupied: '#2a3a2a'   // Dark - no owner
+};
+
+// Research
+export const RESEARCH = {
+    DEFAULT_SLOTS: 2,               // Unless a nation sets researchSlots
+    MAX_SLOTS: 8                    // Before bonuses from technology
+};
+
+// Construction rules
+export const CONSTRUCTION = {
+    FACTORIES_PER_PROJECT: 10,  // Max civilian factories working on one project
+    FACTORY_SPEEDUP: 0.1,       // Extra days of progress per assigned factory per day
+    SHARED_SLOTS: 20,           // Industrial slots per territory
+    SHARED_BUILDINGS: [
+        BUILDINGS.FACTORY.id,
+        BUILDINGS.MILITARY_FACTORY.id,
+        BUILDINGS.DOCKYARD.id
+    ],
+    MAX_LEVELS: {
+        [BUILDINGS.INFRASTRUCTURE.id]: 10,
+        [BUILDINGS.AIRBASE.id]: 10,
+        [BUILDINGS.NAVAL_BASE.id]: 10,
+        [BUILDINGS.RADAR.id]: 5,
+        [BUILDINGS.FORT.id]: 5,
+        [BUILDINGS.ANTI_AIR.id]: 5
+    },
+    COASTAL_BUILDINGS: [BUILDINGS.DOCKYARD.id, BUILDINGS.NAVAL_BASE.id]
+};
+
 // Map layer modes
 export const MAP_MODES = {
     POLITICAL: 'political',
@@ -97,7 +532,23 @@ export const MAP_MODES = {
     INFRASTRUCTURE: 'infrastructure',
     MILITARY: 'military',
     POPULATION: 'population',
-    SUPPLY: 'supply'
+    SUPPLY: 'supply',
+    AIR: 'air',
+    DIPLOMACY: 'diplomacy',
+    FACTIONS: 'factions'
+};
+
+// Terrain types (map states carry data.terrain = id, see data/terrainData.js)
+export const TERRAIN = {
+    PLAINS: { id: 'plains', name: 'Plains', color: '#3a4a2a', movementCost: 1, defenceModifier: 1 },
+    FOREST: { id: 'forest', name: 'Forest', color: '#1f3a24', movementCost: 1.5, defenceModifier: 1.2 },
+    HILLS: { id: 'hills', name: 'Hills', color: '#4a4230', movementCost: 1.5, defenceModifier: 1.25 },
+    MOUNTAIN: { id: 'mountain', name: 'Mountain', color: '#5a5048', movementCost: 2.5, defenceModifier: 1.5 },
+    DESERT: { id: 'desert', name: 'Desert', color: '#6a5a32', movementCost: 1.3, defenceModifier: 1 },
+    JUNGLE: { id: 'jungle', name: 'Jungle', color: '#1a4a2a', movementCost: 2, defenceModifier: 1.3 },
+    MARSH: { id: 'marsh', name: 'Marsh', color: '#2a4040', movementCost: 2, defenceModifier: 1.3 },
+    URBAN: { id: 'urban', name: 'Urban', color: '#4a4a4a', movementCost: 1.2, defenceModifier: 1.4 },
+    ARCTIC: { id: 'arctic', name: 'Arctic', color: '#6a7a80', movementCost: 2, defenceModifier: 1.1 }
 };
 
 // Key bindings
@@ -110,5 +561,24 @@ export const KEYS = {
     MAP_MODE_3: '3',
     MAP_MODE_4: '4',
     MAP_MODE_5: '5',
+    MAP_MODE_6: '6',
+    MAP_MODE_7: '7',
+    MAP_MODE_8: '8',
+    MAP_MODE_9: '9',
+    MAP_MODE_0: '0',
     ESCAPE: 'Escape'
 };
+
+// Map mode each number key selects
+export const MAP_MODE_KEYS = {
+    [KEYS.MAP_MODE_1]: MAP_MODES.POLITICAL,
+    [KEYS.MAP_MODE_2]: MAP_MODES.TERRAIN,
+    [KEYS.MAP_MODE_3]: MAP_MODES.RESOURCES,
+    [KEYS.MAP_MODE_4]: MAP_MODES.INFRASTRUCTURE,
+    [KEYS.MAP_MODE_5]: MAP_MODES.MILITARY,
+    [KEYS.MAP_MODE_6]: MAP_MODES.POPULATION,
+    [KEYS.MAP_MODE_7]: MAP_MODES.SUPPLY,
+    [KEYS.MAP_MODE_8]: MAP_MODES.AIR,
+    [KEYS.MAP_MODE_9]: MAP_MODES.DIPLOMACY,
+    [KEYS.MAP_MODE_0]: MAP_MODES.FACTIONS
+};
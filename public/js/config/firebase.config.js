@@ -26,7 +26,7 @@ export const COLLECTIONS = {
 // Game configuration constants
 export const GAME_CONFIG = {
     // Time settings
-    TICK_RATE: 1000, // ms per game tick
+    TICK_RATE: 1000, // ms per game day at NORMAL speed, split into TICKS_PER_DAY hourly ticks
     TICKS_PER_DAY: 24,
     
     // Game speeds (multipliers)
@@ -0,0 +1,167 @@
+/**
+ * Battle Layer
+ * STRATCOM Global Command
+ *
+ * Pulsing battle markers on the globe, one per contested territory,
+ * parented to the globe mesh just north of the territory's unit stack.
+ * Markers can be picked from screen coordinates to open the battle popup.
+ */
+
+import * as THREE from 'three';
+import { GLOBE } from '../config/constants.js';
+
+const MARKER_ALTITUDE = 1.012;      // x globe radius
+const MARKER_SIZE = 3.2;            // World units
+const MARKER_OFFSET = 1.8;          // Degrees north of the territory anchor
+const PULSE_PERIOD = 1200;          // ms
+const PULSE_SCALE = 0.35;           // Extra size at the peak of a pulse
+const TEXTURE_SIZE = 64;
+const MARKER_COLOR = '#ff3344';
+
+export class BattleLayer {
+    /**
+     * @param {GlobeRenderer} globeRenderer
+     * @param {MapManager} mapManager
+     */
+    constructor(globeRenderer, mapManager) {
+        this.globe = globeRenderer;
+        this.map = mapManager;
+        this.group = null;
+        this.texture = null;
+        this.sprites = new Map();   // Map of state ID -> THREE.Sprite
+        this.raycaster = new THREE.Raycaster();
+    }
+
+    /**
+     * Attach the marker group to the globe
+     */
+    init() {
+        this.group = new THREE.Group();
+        this.group.name = 'battles';
+        this.globe.globe.add(this.group);
+        this.texture = createTexture();
+    }
+
+    /**
+     * Sync markers with the current battles
+     * @param {Array<Object>} battles - Battles with a stateId
+     */
+    update(battles) {
+        if (!this.group) return;
+
+        const active = new Set(battles.map(battle => battle.stateId));
+
+        for (const stateId of active) {
+            if (this.sprites.has(stateId)) continue;
+
+            const state = this.map.getState(stateId);
+            const anchor = state?.labelAnchor || state?.centroid;
+            if (!anchor) continue;
+
+            const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+                map: this.texture,
+                transparent: true,
+                depthWrite: false
+            }));
+            sprite.position.copy(this.globe.latLonToVector3(
+                anchor.lat + MARKER_OFFSET,
+                anchor.lon,
+                GLOBE.RADIUS * MARKER_ALTITUDE
+            ));
+            sprite.scale.set(MARKER_SIZE, MARKER_SIZE, 1);
+            sprite.userData.stateId = stateId;
+
+            this.group.add(sprite);
+            this.sprites.set(stateId, sprite);
+        }
+
+        for (const [stateId, sprite] of this.sprites) {
+            if (active.has(stateId)) continue;
+            this.group.remove(sprite);
+            sprite.material.dispose();
+            this.sprites.delete(stateId);
+        }
+    }
+
+    /**
+     * Per-frame pulse
+     * @param {number} now - performance.now()
+     */
+    animate(now) {
+        if (!this.sprites.size) return;
+
+        const phase = (now % PULSE_PERIOD) / PULSE_PERIOD;
+        const pulse = Math.sin(phase * Math.PI);
+        const size = MARKER_SIZE * (1 + PULSE_SCALE * pulse);
+
+        for (const sprite of this.sprites.values()) {
+            sprite.scale.set(size, size, 1);
+            sprite.material.opacity = 0.6 + 0.4 * pulse;
+        }
+    }
+
+    /**
+     * Battle under a screen position
+     * @param {number} x - Screen X
+     * @param {number} y - Screen Y
+     * @returns {string|null} State ID of the battle
+     */
+    pick(x, y) {
+        if (!this.group?.children.length) return null;
+
+        const mouse = new THREE.Vector2(
+            (x / window.innerWidth) * 2 - 1,
+            -(y / window.innerHeight) * 2 + 1
+        );
+        this.raycaster.setFromCamera(mouse, this.globe.camera);
+
+        // Markers behind the globe don't count
+        const globeHit = this.raycaster.intersectObject(this.globe.globe, false)[0];
+        const hit = this.raycaster.intersectObjects(this.group.children, false)
+            .find(intersection => !globeHit || intersection.distance < globeHit.distance);
+
+        return hit ? hit.object.userData.stateId : null;
+    }
+
+    /**
+     * Remove markers and free the texture
+     */
+    dispose() {
+        for (const sprite of this.sprites.values()) sprite.material.dispose();
+        this.sprites.clear();
+        this.texture?.dispose();
+        this.texture = null;
+        this.group?.parent?.remove(this.group);
+        this.group = null;
+    }
+}
+
+/**
+ * Marker texture: a ring with a cross
+ * @returns {THREE.CanvasTexture}
+ */
+function createTexture() {
+    const canvas = document.createElement('canvas');
+    canvas.width = TEXTURE_SIZE;
+    canvas.height = TEXTURE_SIZE;
+    const ctx = canvas.getContext('2d');
+    const center = TEXTURE_SIZE / 2;
+
+    ctx.strokeStyle = MARKER_COLOR;
+    ctx.lineWidth = 5;
+    ctx.beginPath();
+    ctx.arc(center, center, center - 5, 0, Math.PI * 2);
+    ctx.stroke();
+
+    ctx.lineWidth = 6;
+    ctx.beginPath();
+    ctx.moveTo(center - 13, center - 13);
+    ctx.lineTo(center + 13, center + 13);
+    ctx.moveTo(center + 13, center - 13);
+    ctx.lineTo(center - 13, center + 13);
+    ctx.stroke();
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return texture;
+}
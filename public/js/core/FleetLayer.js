@@ -0,0 +1,186 @@
+/**
+ * Fleet Layer
+ * STRATCOM Global Command
+ *
+ * Fleet markers on the globe, parented to the globe mesh at the centre
+ * of each fleet's sea zone. Fleets sharing a zone stack eastwards, and
+ * sailing ones slide along their current leg. Sprites can be picked from
+ * screen coordinates for selection.
+ */
+
+import * as THREE from 'three';
+import { GLOBE } from '../config/constants.js';
+import { getMainShipClass } from '../systems/NavalSystem.js';
+
+const MARKER_ALTITUDE = 1.01;       // x globe radius
+const MARKER_WIDTH = 4.4;           // World units
+const MARKER_HEIGHT = 2.4;
+const STACK_SPACING = 2;            // Degrees between stacked markers
+const TEXTURE_WIDTH = 104;
+const TEXTURE_HEIGHT = 56;
+const BORDER_COLOR = '#33ccff';
+const SELECTED_COLOR = '#ffffff';
+
+export class FleetLayer {
+    /**
+     * @param {GlobeRenderer} globeRenderer
+     * @param {MapManager} mapManager
+     */
+    constructor(globeRenderer, mapManager) {
+        this.globe = globeRenderer;
+        this.map = mapManager;
+        this.group = null;
+        this.sprites = new Map();   // Map of fleet ID -> THREE.Sprite
+        this.textures = new Map();  // Map of appearance key -> THREE.CanvasTexture
+        this.raycaster = new THREE.Raycaster();
+    }
+
+    /**
+     * Attach the marker group to the globe
+     */
+    init() {
+        this.group = new THREE.Group();
+        this.group.name = 'fleets';
+        this.globe.globe.add(this.group);
+    }
+
+    /**
+     * Sync markers with the current fleets
+     * @param {Array<Object>} fleets
+     * @param {Object} options - { colorOf: (nationId) => css colour, selectedId,
+     *                            legOf: (fleet) => { to, fraction } for sailing fleets }
+     */
+    update(fleets, { colorOf = () => '#2a3a4a', selectedId = null, legOf = () => null } = {}) {
+        if (!this.group) return;
+
+        const seen = new Set();
+        const stackIndex = new Map(); // Map of zone ID -> markers placed so far
+
+        for (const fleet of fleets) {
+            const center = this.map.getSeaZone(fleet.zoneId)?.center;
+            if (!center) continue;
+
+            const index = stackIndex.get(fleet.zoneId) || 0;
+            stackIndex.set(fleet.zoneId, index + 1);
+
+            let sprite = this.sprites.get(fleet.id);
+            if (!sprite) {
+                sprite = new THREE.Sprite(new THREE.SpriteMaterial({ transparent: true }));
+                sprite.scale.set(MARKER_WIDTH, MARKER_HEIGHT, 1);
+                sprite.userData.fleetId = fleet.id;
+                this.group.add(sprite);
+                this.sprites.set(fleet.id, sprite);
+            }
+
+            sprite.position.copy(this.globe.latLonToVector3(
+                center.lat,
+                center.lon + index * STACK_SPACING,
+                GLOBE.RADIUS * MARKER_ALTITUDE
+            ));
+
+            const leg = legOf(fleet);
+            const next = leg && this.map.getSeaZone(leg.to)?.center;
+            if (next) {
+                sprite.position
+                    .lerp(this.globe.latLonToVector3(next.lat, next.lon, GLOBE.RADIUS * MARKER_ALTITUDE), leg.fraction)
+                    .setLength(GLOBE.RADIUS * MARKER_ALTITUDE);
+            }
+
+            const texture = this.getTexture(fleet, colorOf(fleet.nationId), fleet.id === selectedId);
+            if (sprite.material.map !== texture) {
+                sprite.material.map = texture;
+                sprite.material.needsUpdate = true;
+            }
+
+            seen.add(fleet.id);
+        }
+
+        for (const [fleetId, sprite] of this.sprites) {
+            if (seen.has(fleetId)) continue;
+            this.group.remove(sprite);
+            sprite.material.dispose();
+            this.sprites.delete(fleetId);
+        }
+    }
+
+    /**
+     * Fleet under a screen position
+     * @param {number} x - Screen X
+     * @param {number} y - Screen Y
+     * @returns {number|null} Fleet ID
+     */
+    pick(x, y) {
+        if (!this.group?.children.length) return null;
+
+        const mouse = new THREE.Vector2(
+            (x / window.innerWidth) * 2 - 1,
+            -(y / window.innerHeight) * 2 + 1
+        );
+        this.raycaster.setFromCamera(mouse, this.globe.camera);
+
+        // Markers behind the globe don't count
+        const globeHit = this.raycaster.intersectObject(this.globe.globe, false)[0];
+        const hit = this.raycaster.intersectObjects(this.group.children, false)
+            .find(intersection => !globeHit || intersection.distance < globeHit.distance);
+
+        return hit ? hit.object.userData.fleetId : null;
+    }
+
+    /**
+     * Marker texture for a fleet's appearance, cached by appearance
+     * @param {Object} fleet
+     * @param {string} color - Nation colour
+     * @param {boolean} selected
+     * @returns {THREE.CanvasTexture}
+     */
+    getTexture(fleet, color, selected) {
+        const symbol = getMainShipClass(fleet)?.symbol || '?';
+        const ships = fleet.ships.length;
+        const key = `${color}|${symbol}|${ships}|${selected}`;
+
+        if (!this.textures.has(key)) {
+            const canvas = document.createElement('canvas');
+            canvas.width = TEXTURE_WIDTH;
+            canvas.height = TEXTURE_HEIGHT;
+            const ctx = canvas.getContext('2d');
+
+            // Hull outline: a box with a pointed bow
+            ctx.beginPath();
+            ctx.moveTo(3, 3);
+            ctx.lineTo(TEXTURE_WIDTH - 20, 3);
+            ctx.lineTo(TEXTURE_WIDTH - 3, TEXTURE_HEIGHT / 2);
+            ctx.lineTo(TEXTURE_WIDTH - 20, TEXTURE_HEIGHT - 3);
+            ctx.lineTo(3, TEXTURE_HEIGHT - 3);
+            ctx.closePath();
+            ctx.fillStyle = color;
+            ctx.fill();
+            ctx.lineWidth = selected ? 5 : 3;
+            ctx.strokeStyle = selected ? SELECTED_COLOR : BORDER_COLOR;
+            ctx.stroke();
+
+            ctx.fillStyle = selected ? SELECTED_COLOR : BORDER_COLOR;
+            ctx.font = 'bold 22px monospace';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(`${symbol} ${ships}`, (TEXTURE_WIDTH - 12) / 2, TEXTURE_HEIGHT / 2);
+
+            const texture = new THREE.CanvasTexture(canvas);
+            texture.colorSpace = THREE.SRGBColorSpace;
+            this.textures.set(key, texture);
+        }
+
+        return this.textures.get(key);
+    }
+
+    /**
+     * Remove markers and free textures
+     */
+    dispose() {
+        for (const sprite of this.sprites.values()) sprite.material.dispose();
+        for (const texture of this.textures.values()) texture.dispose();
+        this.sprites.clear();
+        this.textures.clear();
+        this.group?.parent?.remove(this.group);
+        this.group = null;
+    }
+}
@@ -0,0 +1,205 @@
+/**
+ * Game Clock
+ * STRATCOM Global Command
+ *
+ * Simulation scheduler. Converts real time into hourly game ticks and
+ * fires hour/day/month hooks that gameplay systems subscribe to.
+ */
+
+import { GAME_CONFIG } from '../config/firebase.config.js';
+import { GameDate } from './GameDate.js';
+
+// HUD speed level (0-3) -> GAME_CONFIG.SPEEDS multiplier
+export const SPEED_LEVELS = [
+    GAME_CONFIG.SPEEDS.PAUSED,
+    GAME_CONFIG.SPEEDS.NORMAL,
+    GAME_CONFIG.SPEEDS.FAST,
+    GAME_CONFIG.SPEEDS.VERY_FAST
+];
+
+// Hook names, in the order they fire on a day rollover
+export const CLOCK_EVENTS = ['hour', 'day', 'month'];
+
+export class GameClock {
+    /**
+     * @param {GameDate|Object|string} startDate
+     */
+    constructor(startDate = GAME_CONFIG.START_DATE) {
+        this.date = GameDate.from(startDate);
+
+        // One game day lasts TICK_RATE ms at NORMAL speed and is split
+        // into TICKS_PER_DAY hourly sub-ticks
+        this.hourMs = GAME_CONFIG.TICK_RATE / GAME_CONFIG.TICKS_PER_DAY;
+        this.multiplier = 0;
+
+        // Reasons the clock is held (e.g. 'hidden', 'modal')
+        this.holds = new Set();
+
+        // Loop state
+        this.intervalId = null;
+        this.frameMs = 50;
+        this.lastFrame = 0;
+        this.accumulator = 0;
+
+        // Cap catch-up work after a long frame (one game day)
+        this.maxTicksPerFrame = GAME_CONFIG.TICKS_PER_DAY;
+
+        // Subscribers per hook
+        this.listeners = new Map(CLOCK_EVENTS.map(event => [event, new Set()]));
+    }
+
+    /**
+     * Subscribe to a clock hook
+     * @param {string} event - 'hour', 'day' or 'month'
+     * @param {Function} handler - Called with (GameDate, clock)
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(event, handler) {
+        const handlers = this.listeners.get(event);
+        if (!handlers) {
+            throw new Error(`Unknown clock event: ${event}`);
+        }
+
+        handlers.add(handler);
+        return () => handlers.delete(handler);
+    }
+
+    /**
+     * Start the scheduler loop
+     */
+    start() {
+        if (this.intervalId) return;
+
+        this.lastFrame = performance.now();
+        this.accumulator = 0;
+        this.intervalId = setInterval(() => this.update(), this.frameMs);
+    }
+
+    /**
+     * Stop the scheduler loop
+     */
+    stop() {
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+    }
+
+    /**
+     * Set the speed multiplier
+     * @param {number} multiplier - One of GAME_CONFIG.SPEEDS
+     */
+    setSpeed(multiplier) {
+        this.multiplier = Math.max(0, multiplier);
+    }
+
+    /**
+     * Set the speed from a HUD speed level
+     * @param {number} level - 0 = paused ... 3 = very fast
+     */
+    setSpeedLevel(level) {
+        this.setSpeed(SPEED_LEVELS[level] ?? 0);
+    }
+
+    /**
+     * Hold the clock for a reason (tab hidden, modal open...)
+     * @param {string} reason
+     */
+    hold(reason) {
+        this.holds.add(reason);
+    }
+
+    /**
+     * Release a hold placed with hold()
+     * @param {string} reason
+     */
+    release(reason) {
+        this.holds.delete(reason);
+
+        // Don't replay the time spent held
+        this.lastFrame = performance.now();
+    }
+
+    /**
+     * Whether time is currently advancing
+     * @returns {boolean}
+     */
+    isRunning() {
+        return this.multiplier > 0 && this.holds.size === 0;
+    }
+
+    /**
+     * Share of the current game hour already gone, for smooth animation
+     * between ticks
+     * @returns {number} 0 to 1
+     */
+    getHourProgress() {
+        return Math.min(1, this.accumulator / this.hourMs);
+    }
+
+    /**
+     * Loop body - convert elapsed real time into hourly ticks
+     */
+    update() {
+        const now = performance.now();
+        const elapsed = now - this.lastFrame;
+        this.lastFrame = now;
+
+        if (!this.isRunning()) {
+            this.accumulator = 0;
+            return;
+        }
+
+        this.accumulator += elapsed * this.multiplier;
+
+        let ticks = 0;
+        while (this.accumulator >= this.hourMs && ticks < this.maxTicksPerFrame) {
+            this.accumulator -= this.hourMs;
+            this.advanceHour();
+            ticks++;
+        }
+
+        // Drop whatever we couldn't process this frame
+        if (ticks >= this.maxTicksPerFrame) {
+            this.accumulator = 0;
+        }
+    }
+
+    /**
+     * Advance the date by one hour and fire hooks
+     */
+    advanceHour() {
+        const previous = this.date;
+        this.date = previous.addHours(1);
+
+        this.emit('hour');
+
+        if (!this.date.isSameDay(previous)) {
+            this.emit('day');
+            if (this.date.month !== previous.month) this.emit('month');
+        }
+    }
+
+    /**
+     * Call all handlers for a hook
+     * @param {string} event
+     */
+    emit(event) {
+        for (const handler of this.listeners.get(event)) {
+            try {
+                handler(this.date, this);
+            } catch (error) {
+                console.error(`Clock ${event} handler failed:`, error);
+            }
+        }
+    }
+
+    /**
+     * Stop the loop and drop all subscribers
+     */
+    dispose() {
+        this.stop();
+        this.listeners.forEach(handlers => handlers.clear());
+        this.holds.clear();
+    }
+}
@@ -0,0 +1,281 @@
+/**
+ * Game Date
+ * STRATCOM Global Command
+ *
+ * Immutable calendar date with hour precision. Handles leap years,
+ * date arithmetic, comparison, ISO serialization and HUD formatting.
+ */
+
+const MONTH_NAMES = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+const HOURS_PER_DAY = 24;
+const MS_PER_HOUR = 3600000;
+
+// Formatting modes accepted by GameDate.format()
+export const DATE_FORMATS = {
+    HUD: 'hud',             // 2025.01.01
+    HUD_HOUR: 'hud-hour',   // 2025.01.01 14:00
+    SHORT: 'short',         // 01 JAN 2025
+    LONG: 'long'            // 1 January 2025
+};
+
+export class GameDate {
+    /**
+     * @param {number} year
+     * @param {number} month - 1-12
+     * @param {number} day - 1-31
+     * @param {number} hour - 0-23
+     */
+    constructor(year, month, day, hour = 0) {
+        if (month < 1 || month > 12) {
+            throw new RangeError(`Invalid month: ${month}`);
+        }
+        if (day < 1 || day > GameDate.daysInMonth(year, month)) {
+            throw new RangeError(`Invalid day: ${year}-${month}-${day}`);
+        }
+        if (hour < 0 || hour >= HOURS_PER_DAY) {
+            throw new RangeError(`Invalid hour: ${hour}`);
+        }
+
+        this.year = year;
+        this.month = month;
+        this.day = day;
+        this.hour = hour;
+        Object.freeze(this);
+    }
+
+    // ==========================================
+    // CONSTRUCTION
+    // ==========================================
+
+    /**
+     * Create a GameDate from a GameDate, plain object or ISO string
+     * @param {GameDate|Object|string} value
+     * @returns {GameDate}
+     */
+    static from(value) {
+        if (value instanceof GameDate) return value;
+        if (typeof value === 'string') return GameDate.fromISO(value);
+        if (value && typeof value === 'object') {
+            return new GameDate(value.year, value.month, value.day, value.hour || 0);
+        }
+        throw new TypeError(`Cannot create GameDate from ${value}`);
+    }
+
+    /**
+     * Parse an ISO string ('2025-01-01', '2025-01-01T14', '2025-01-01T14:00:00Z')
+     * @param {string} iso
+     * @returns {GameDate}
+     */
+    static fromISO(iso) {
+        const match = /^(-?\d{4,})-(\d{2})-(\d{2})(?:T(\d{2}))?/.exec(iso);
+        if (!match) {
+            throw new RangeError(`Invalid ISO date: ${iso}`);
+        }
+
+        const [, year, month, day, hour] = match;
+        return new GameDate(Number(year), Number(month), Number(day), Number(hour || 0));
+    }
+
+    /**
+     * Create a GameDate from absolute hours since 1970-01-01T00
+     * @param {number} hours
+     * @returns {GameDate}
+     */
+    static fromHours(hours) {
+        const d = new Date(hours * MS_PER_HOUR);
+        return new GameDate(d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate(), d.getUTCHours());
+    }
+
+    // ==========================================
+    // CALENDAR HELPERS
+    // ==========================================
+
+    /**
+     * @param {number} year
+     * @returns {boolean}
+     */
+    static isLeapYear(year) {
+        return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+    }
+
+    /**
+     * @param {number} year
+     * @param {number} month - 1-12
+     * @returns {number}
+     */
+    static daysInMonth(year, month) {
+        if (month === 2 && GameDate.isLeapYear(year)) return 29;
+        return DAYS_IN_MONTH[month - 1];
+    }
+
+    /**
+     * Absolute hours since 1970-01-01T00 (UTC, no DST)
+     * @returns {number}
+     */
+    toHours() {
+        const d = new Date(0);
+        d.setUTCFullYear(this.year, this.month - 1, this.day);
+        d.setUTCHours(this.hour);
+        return Math.round(d.getTime() / MS_PER_HOUR);
+    }
+
+    /**
+     * Day of week, 0 = Sunday ... 6 = Saturday
+     * @returns {number}
+     */
+    dayOfWeek() {
+        return Math.floor(this.toHours() / HOURS_PER_DAY + 4) % 7;
+    }
+
+    // ==========================================
+    // ARITHMETIC
+    // ==========================================
+
+    /**
+     * @param {number} hours
+     * @returns {GameDate}
+     */
+    addHours(hours) {
+        return GameDate.fromHours(this.toHours() + hours);
+    }
+
+    /**
+     * @param {number} days
+     * @returns {GameDate}
+     */
+    addDays(days) {
+        return this.addHours(days * HOURS_PER_DAY);
+    }
+
+    /**
+     * Add calendar months, clamping the day (Jan 31 + 1 month = Feb 28/29)
+     * @param {number} months
+     * @returns {GameDate}
+     */
+    addMonths(months) {
+        const total = this.year * 12 + (this.month - 1) + months;
+        const year = Math.floor(total / 12);
+        const month = total - year * 12 + 1;
+        const day = Math.min(this.day, GameDate.daysInMonth(year, month));
+        return new GameDate(year, month, day, this.hour);
+    }
+
+    /**
+     * Add a mixed duration
+     * @param {Object} duration - { years, months, days, hours }
+     * @returns {GameDate}
+     */
+    add({ years = 0, months = 0, days = 0, hours = 0 } = {}) {
+        let result = this;
+        if (years || months) result = result.addMonths(years * 12 + months);
+        if (days || hours) result = result.addHours(days * HOURS_PER_DAY + hours);
+        return result;
+    }
+
+    /**
+     * Hours from other to this (positive if this is later)
+     * @param {GameDate|Object|string} other
+     * @returns {number}
+     */
+    diffHours(other) {
+        return this.toHours() - GameDate.from(other).toHours();
+    }
+
+    /**
+     * Whole days from other to this (positive if this is later)
+     * @param {GameDate|Object|string} other
+     * @returns {number}
+     */
+    diffDays(other) {
+        return Math.trunc(this.diffHours(other) / HOURS_PER_DAY);
+    }
+
+    // ==========================================
+    // COMPARISON
+    // ==========================================
+
+    /**
+     * @param {GameDate|Object|string} other
+     * @returns {number} -1, 0 or 1
+     */
+    compare(other) {
+        return Math.sign(this.diffHours(other));
+    }
+
+    isBefore(other) {
+        return this.compare(other) < 0;
+    }
+
+    isAfter(other) {
+        return this.compare(other) > 0;
+    }
+
+    equals(other) {
+        return this.compare(other) === 0;
+    }
+
+    /**
+     * Same calendar day, ignoring the hour
+     * @param {GameDate|Object|string} other
+     * @returns {boolean}
+     */
+    isSameDay(other) {
+        const o = GameDate.from(other);
+        return this.year === o.year && this.month === o.month && this.day === o.day;
+    }
+
+    // ==========================================
+    // SERIALIZATION
+    // ==========================================
+
+    /**
+     * @returns {string} e.g. '2025-01-01T14:00:00Z'
+     */
+    toISO() {
+        return `${String(this.year).padStart(4, '0')}-${pad(this.month)}-${pad(this.day)}T${pad(this.hour)}:00:00Z`;
+    }
+
+    toJSON() {
+        return this.toISO();
+    }
+
+    /**
+     * @returns {Object} { year, month, day, hour }
+     */
+    toObject() {
+        return { year: this.year, month: this.month, day: this.day, hour: this.hour };
+    }
+
+    /**
+     * Format for display
+     * @param {string} mode - One of DATE_FORMATS
+     * @returns {string}
+     */
+    format(mode = DATE_FORMATS.HUD) {
+        switch (mode) {
+            case DATE_FORMATS.HUD_HOUR:
+                return `${this.year}.${pad(this.month)}.${pad(this.day)} ${pad(this.hour)}:00`;
+            case DATE_FORMATS.SHORT:
+                return `${pad(this.day)} ${MONTH_NAMES[this.month - 1].slice(0, 3).toUpperCase()} ${this.year}`;
+            case DATE_FORMATS.LONG:
+                return `${this.day} ${MONTH_NAMES[this.month - 1]} ${this.year}`;
+            case DATE_FORMATS.HUD:
+            default:
+                return `${this.year}.${pad(this.month)}.${pad(this.day)}`;
+        }
+    }
+
+    toString() {
+        return this.format(DATE_FORMATS.HUD_HOUR);
+    }
+}
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
@@ -33,6 +33,7 @@ export class GlobeRenderer {
         // Callbacks
         this.onReady = null;
         this.onError = null;
+        this.onFrame = null;    // (now) before each render, for animated overlays
         
         // Performance monitoring
         this.lastTime = 0;
@@ -305,6 +306,8 @@ export class GlobeRenderer {
             this.controls.update();
         }
         
+        this.onFrame?.(now);
+        
         // Render scene
         this.renderer.render(this.scene, this.camera);
     }
@@ -332,6 +335,41 @@ export class GlobeRenderer {
         this.mapTexture.needsUpdate = true;
     }
     
+    /**
+     * Copy changed regions of the map into the globe texture, uploading
+     * only those sub-rectangles to the GPU
+     * @param {HTMLCanvasElement} mapImage - Rendered map canvas
+     * @param {Array<Object>} regions - { x, y, width, height } in mapImage pixels
+     */
+    updateMapRegions(mapImage, regions) {
+        if (!this.mapContext || !this.mapTexture || regions.length === 0) return;
+        
+        const scaleX = GLOBE.TEXTURE_WIDTH / mapImage.width;
+        const scaleY = GLOBE.TEXTURE_HEIGHT / mapImage.height;
+        
+        for (const region of regions) {
+            const x = Math.max(0, Math.floor(region.x * scaleX));
+            const y = Math.max(0, Math.floor(region.y * scaleY));
+            const width = Math.min(GLOBE.TEXTURE_WIDTH, Math.ceil((region.x + region.width) * scaleX)) - x;
+            const height = Math.min(GLOBE.TEXTURE_HEIGHT, Math.ceil((region.y + region.height) * scaleY)) - y;
+            if (width <= 0 || height <= 0) continue;
+            
+            this.mapContext.drawImage(
+                mapImage,
+                x / scaleX, y / scaleY, width / scaleX, height / scaleY,
+                x, y, width, height
+            );
+            
+            // The texture is flipped on upload, so rows count from the bottom
+            const patch = new THREE.Texture(this.mapContext.getImageData(x, y, width, height));
+            this.renderer.copyTextureToTexture(
+                new THREE.Vector2(x, GLOBE.TEXTURE_HEIGHT - y - height),
+                patch,
+                this.mapTexture
+            );
+        }
+    }
+    
     /**
      * Convert screen coordinates to lat/lon
      * @param {number} x - Screen X
@@ -349,11 +387,11 @@ export class GlobeRenderer {
         const intersects = raycaster.intersectObject(this.globe);
         
         if (intersects.length > 0) {
-            const point = intersects[0].point;
-            
-            // Convert 3D point to lat/lon
-            const lat = Math.asin(point.y / GLOBE.RADIUS) * (180 / Math.PI);
-            const lon = Math.atan2(point.x, point.z) * (180 / Math.PI);
+            // Derive lat/lon from the texture UV so the result matches the
+            // equirectangular map regardless of globe rotation
+            const { u, v } = intersects[0].uv;
+            const lat = v * 180 - 90;
+            const lon = u * 360 - 180;
             
             return { lat, lon };
         }
@@ -413,6 +451,25 @@ export class GlobeRenderer {
         this.autoRotate = enabled;
     }
     
+    /**
+     * Convert lat/lon to a point in the globe's local space
+     * (matches the sphere's equirectangular UV layout)
+     * @param {number} lat
+     * @param {number} lon
+     * @param {number} radius
+     * @returns {THREE.Vector3}
+     */
+    latLonToVector3(lat, lon, radius = GLOBE.RADIUS) {
+        const latRad = lat * (Math.PI / 180);
+        const lonRad = lon * (Math.PI / 180);
+        
+        return new THREE.Vector3(
+            radius * Math.cos(latRad) * Math.cos(lonRad),
+            radius * Math.sin(latRad),
+            -radius * Math.cos(latRad) * Math.sin(lonRad)
+        );
+    }
+    
     /**
      * Focus camera on a specific lat/lon
      * @param {number} lat - Latitude
@@ -420,19 +477,14 @@ export class GlobeRenderer {
      * @param {number} zoom - Optional zoom level
      */
     focusOn(lat, lon, zoom = null) {
-        // Convert lat/lon to 3D position
-        const phi = (90 - lat) * (Math.PI / 180);
-        const theta = (lon + 180) * (Math.PI / 180);
-        
         const distance = zoom || this.camera.position.distanceTo(new THREE.Vector3(0, 0, 0));
         
-        // Calculate camera position
-        const x = distance * Math.sin(phi) * Math.cos(theta);
-        const y = distance * Math.cos(phi);
-        const z = distance * Math.sin(phi) * Math.sin(theta);
+        // Account for the globe's current (auto-)rotation
+        const direction = this.latLonToVector3(lat, lon, 1)
+            .applyQuaternion(this.globe.quaternion);
         
         // Animate camera (simple linear for now)
-        this.camera.position.set(-x, y, -z);
+        this.camera.position.copy(direction.multiplyScalar(distance));
         this.controls.update();
     }
     
@@ -6,6 +6,20 @@
  */
 
 import { GAME_CONFIG } from '../config/firebase.config.js';
+import { ECONOMY, CONSCRIPTION_LAWS, MOBILISATION_LEVELS, AIR } from '../config/constants.js';
+import { GameDate, DATE_FORMATS } from './GameDate.js';
+
+// Date display modes, cycled by clicking the HUD date
+const HUD_DATE_FORMATS = [DATE_FORMATS.HUD, DATE_FORMATS.HUD_HOUR, DATE_FORMATS.SHORT];
+
+// Labels for DiplomacySystem.getRelation
+const RELATION_LABELS = {
+    player: 'OWN NATION',
+    ally: 'ALLIED',
+    neutral: 'NEUTRAL',
+    hostile: 'AT WAR',
+    unoccupied: '-'
+};
 
 export class HUDController {
     constructor() {
@@ -13,6 +27,7 @@ export class HUDController {
         this.elements = {
             // Top HUD
             gameDate: document.getElementById('game-date'),
+            globalTension: document.getElementById('global-tension'),
             connectionStatus: document.getElementById('connection-status'),
             statusDot: document.querySelector('.status-dot'),
             statusText: document.querySelector('.status-text'),
@@ -35,6 +50,34 @@ export class HUDController {
             nationPanel: document.getElementById('nation-panel'),
             territoryPanel: document.getElementById('territory-panel'),
             
+            // Map modes
+            mapModeButtons: document.getElementById('map-mode-buttons'),
+            mapModeLegend: document.getElementById('map-mode-legend'),
+            
+            // Resources
+            resourcePanel: document.getElementById('resource-panel'),
+            
+            // Research
+            btnResearch: document.getElementById('btn-research'),
+            btnResearchClose: document.getElementById('btn-research-close'),
+            researchModal: document.getElementById('modal-research'),
+            researchContent: document.getElementById('research-content'),
+            
+            // Diplomacy
+            btnDiplomacyClose: document.getElementById('btn-diplomacy-close'),
+            diplomacyModal: document.getElementById('modal-diplomacy'),
+            diplomacyContent: document.getElementById('diplomacy-content'),
+            
+            // Division designer
+            btnTemplatesClose: document.getElementById('btn-templates-close'),
+            templatesModal: document.getElementById('modal-templates'),
+            templatesContent: document.getElementById('templates-content'),
+            
+            // Battles
+            btnBattleClose: document.getElementById('btn-battle-close'),
+            battleModal: document.getElementById('modal-battle'),
+            battleContent: document.getElementById('battle-content'),
+            
             // Loading
             loadingScreen: document.getElementById('loading-screen'),
             loadingProgress: document.getElementById('loading-progress'),
@@ -43,6 +86,11 @@ export class HUDController {
         
         // State
         this.currentSpeed = 0;
+        this.currentModal = null;
+        this.currentDate = null;
+        this.dateFormat = DATE_FORMATS.HUD;
+        this.nationTab = 'overview';
+        this.isEditingPolicy = false;
         this.isInitialized = false;
     }
     
@@ -51,9 +99,41 @@ export class HUDController {
      */
     init() {
         this.setupControlButtons();
+        this.setupDateDisplay();
+        this.setupResearchScreen();
+        this.setupDiplomacyScreen();
+        this.setupTemplateDesigner();
+        this.setupBattlePopup();
         this.isInitialized = true;
     }
     
+    /**
+     * Remove the HUD's document listeners
+     */
+    dispose() {
+        document.removeEventListener('keydown', this.templatesKeyHandler);
+        document.removeEventListener('keydown', this.battleKeyHandler);
+        document.removeEventListener('keydown', this.diplomacyKeyHandler);
+        document.removeEventListener('keydown', this.researchKeyHandler);
+        this.isInitialized = false;
+    }
+    
+    /**
+     * Clicking the date cycles through display formats
+     */
+    setupDateDisplay() {
+        const { gameDate } = this.elements;
+        if (!gameDate) return;
+        
+        gameDate.style.cursor = 'pointer';
+        gameDate.title = 'Change date format';
+        gameDate.addEventListener('click', () => {
+            const index = HUD_DATE_FORMATS.indexOf(this.dateFormat);
+            this.dateFormat = HUD_DATE_FORMATS[(index + 1) % HUD_DATE_FORMATS.length];
+            if (this.currentDate) this.updateDate(this.currentDate);
+        });
+    }
+    
     /**
      * Set up control button event listeners
      */
@@ -82,6 +162,86 @@ export class HUDController {
         }
     }
     
+    /**
+     * Research button opens the research screen; close button, overlay
+     * click and Escape close it
+     */
+    setupResearchScreen() {
+        const { btnResearch, btnResearchClose, researchModal } = this.elements;
+        
+        btnResearch?.addEventListener('click', () => this.onResearchOpen?.());
+        btnResearchClose?.addEventListener('click', () => this.closeModal());
+        
+        researchModal?.addEventListener('click', (e) => {
+            if (e.target === researchModal) this.closeModal();
+        });
+        
+        // Kept to be removed in dispose()
+        this.researchKeyHandler = (e) => {
+            if (e.key === 'Escape' && this.currentModal === researchModal) this.closeModal();
+        };
+        document.addEventListener('keydown', this.researchKeyHandler);
+    }
+    
+    /**
+     * Diplomacy screen opens from the nation panel; close button, overlay
+     * click and Escape close it
+     */
+    setupDiplomacyScreen() {
+        const { btnDiplomacyClose, diplomacyModal } = this.elements;
+        
+        btnDiplomacyClose?.addEventListener('click', () => this.closeModal());
+        
+        diplomacyModal?.addEventListener('click', (e) => {
+            if (e.target === diplomacyModal) this.closeModal();
+        });
+        
+        // Kept to be removed in dispose()
+        this.diplomacyKeyHandler = (e) => {
+            if (e.key === 'Escape' && this.currentModal === diplomacyModal) this.closeModal();
+        };
+        document.addEventListener('keydown', this.diplomacyKeyHandler);
+    }
+    
+    /**
+     * Division designer opens from the territory panel; close button,
+     * overlay click and Escape close it
+     */
+    setupTemplateDesigner() {
+        const { btnTemplatesClose, templatesModal } = this.elements;
+        
+        btnTemplatesClose?.addEventListener('click', () => this.closeModal());
+        
+        templatesModal?.addEventListener('click', (e) => {
+            if (e.target === templatesModal) this.closeModal();
+        });
+        
+        // Kept to be removed in dispose()
+        this.templatesKeyHandler = (e) => {
+            if (e.key === 'Escape' && this.currentModal === templatesModal) this.closeModal();
+        };
+        document.addEventListener('keydown', this.templatesKeyHandler);
+    }
+    
+    /**
+     * Set up the battle popup
+     */
+    setupBattlePopup() {
+        const { btnBattleClose, battleModal } = this.elements;
+        
+        btnBattleClose?.addEventListener('click', () => this.closeModal());
+        
+        battleModal?.addEventListener('click', (e) => {
+            if (e.target === battleModal) this.closeModal();
+        });
+        
+        // Kept to be removed in dispose()
+        this.battleKeyHandler = (e) => {
+            if (e.key === 'Escape' && this.currentModal === battleModal) this.closeModal();
+        };
+        document.addEventListener('keydown', this.battleKeyHandler);
+    }
+    
     /**
      * Update loading progress
      * @param {number} percent - 0 to 100
@@ -181,17 +341,30 @@ export class HUDController {
     
     /**
      * Update game date display
-     * @param {Object} date - { year, month, day }
+     * @param {GameDate|Object|string} date
      */
     updateDate(date) {
         const { gameDate } = this.elements;
+        this.currentDate = GameDate.from(date);
+        
         if (gameDate) {
-            const monthStr = String(date.month).padStart(2, '0');
-            const dayStr = String(date.day).padStart(2, '0');
-            gameDate.textContent = `${date.year}.${monthStr}.${dayStr}`;
+            gameDate.textContent = this.currentDate.format(this.dateFormat);
         }
     }
     
+    /**
+     * Show global tension next to the date
+     * @param {number} tension - 0 to 100
+     */
+    updateTension(tension) {
+        const { globalTension } = this.elements;
+        if (!globalTension) return;
+        
+        globalTension.textContent = `TENSION ${Math.round(tension)}%`;
+        globalTension.classList.toggle('warning', tension >= 25 && tension < 60);
+        globalTension.classList.toggle('danger', tension >= 60);
+    }
+    
     /**
      * Set game speed
      * @param {number} speed - 0 = paused, 1 = normal, 2 = fast
@@ -232,11 +405,18 @@ export class HUDController {
     /**
      * Show nation panel with nation data
      * @param {Object} nation
+     * @param {Object} tabs - Optional extra tab data: { budget, laws, diplomacy }
      */
-    showNationPanel(nation) {
+    showNationPanel(nation, { budget = null, laws = null, diplomacy = null } = {}) {
         const { nationPanel } = this.elements;
         if (!nationPanel) return;
         
+        // Don't rebuild the panel under a slider or select that's in use
+        if (this.isEditingPolicy) return;
+        
+        const tabs = ['overview', ...(budget ? ['budget'] : []), ...(laws ? ['laws'] : [])];
+        if (!tabs.includes(this.nationTab)) this.nationTab = 'overview';
+        
         nationPanel.innerHTML = `
             <div class="nation-card">
                 <div class="nation-header">
@@ -248,6 +428,44 @@ export class HUDController {
                 </div>
             </div>
             
+            ${tabs.length > 1 ? `
+            <div class="nation-tabs">
+                ${tabs.map(tab => `
+                    <button class="nation-tab ${tab === this.nationTab ? 'active' : ''}" data-tab="${tab}">${tab.toUpperCase()}</button>
+                `).join('')}
+            </div>
+            ` : ''}
+            
+            ${this.nationTab === 'budget' ? this.renderBudget(budget)
+                : this.nationTab === 'laws' ? this.renderLaws(laws)
+                : this.renderNationOverview(nation, diplomacy)}
+        `;
+        
+        nationPanel.querySelectorAll('.nation-tab').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.nationTab = btn.dataset.tab;
+                this.showNationPanel(nation, { budget, laws, diplomacy });
+            });
+        });
+        
+        nationPanel.querySelector('[data-diplomacy]')?.addEventListener('click', () => {
+            this.onDiplomacyOpen?.(nation.id);
+        });
+        
+        if (budget) this.setupBudgetSliders(budget);
+        if (laws) this.setupLawSelects(laws);
+    }
+    
+    /**
+     * Overview tab of the nation panel
+     * @param {Object} nation
+     * @param {Object|null} diplomacy - From main's getNationDiplomacy
+     * @returns {string} HTML
+     */
+    renderNationOverview(nation, diplomacy = null) {
+        return `
+            ${diplomacy ? this.renderNationDiplomacy(diplomacy) : ''}
+            
             <div class="panel-section">
                 <div class="panel-section-header">STATISTICS</div>
                 <div class="panel-row">
@@ -262,6 +480,12 @@ export class HUDController {
                     <span class="panel-label">Military</span>
                     <span class="panel-value">${(nation.military || 0).toLocaleString()}</span>
                 </div>
+                ${nation.manpower !== undefined ? `
+                <div class="panel-row">
+                    <span class="panel-label">Manpower</span>
+                    <span class="panel-value">${nation.manpower.toLocaleString()}</span>
+                </div>
+                ` : ''}
                 <div class="panel-row">
                     <span class="panel-label">Territories</span>
                     <span class="panel-value">${nation.territories || 0}</span>
@@ -270,7 +494,7 @@ export class HUDController {
             
             <div class="panel-section">
                 <div class="panel-section-header">STABILITY</div>
-                <div class="resource-bar">
+                <div class="resource-bar stability-bar">
                     <div class="resource-header">
                         <span class="resource-name">Political Stability</span>
                         <span class="resource-value">${nation.stability || 50}%</span>
@@ -279,11 +503,317 @@ export class HUDController {
                         <div class="resource-fill ${nation.stability < 30 ? 'danger' : nation.stability < 60 ? 'warning' : ''}" 
                              style="width: ${nation.stability || 50}%"></div>
                     </div>
+                    ${nation.stabilityBreakdown ? this.renderStabilityTooltip(nation.stabilityBreakdown) : ''}
+                </div>
+                ${nation.stabilityBreakdown && nation.stabilityBreakdown.status !== 'stable' ? `
+                <div class="panel-row">
+                    <span class="panel-label">Unrest</span>
+                    <span class="panel-value negative">${nation.stabilityBreakdown.status.replace(/-/g, ' ').toUpperCase()}</span>
+                </div>
+                ` : ''}
+            </div>
+            
+            ${nation.resources && Object.keys(nation.resources).length ? `
+            <div class="panel-section">
+                <div class="panel-section-header">RESOURCES</div>
+                ${Object.entries(nation.resources).map(([key, val]) => `
+                    <div class="panel-row">
+                        <span class="panel-label">${key}</span>
+                        <span class="panel-value">${val.toLocaleString()}</span>
+                    </div>
+                `).join('')}
+            </div>
+            ` : ''}
+            
+            ${nation.buildings && Object.keys(nation.buildings).length ? `
+            <div class="panel-section">
+                <div class="panel-section-header">BUILDINGS</div>
+                ${Object.entries(nation.buildings).map(([key, val]) => `
+                    <div class="panel-row">
+                        <span class="panel-label">${key}</span>
+                        <span class="panel-value">${val.toLocaleString()}</span>
+                    </div>
+                `).join('')}
+            </div>
+            ` : ''}
+        `;
+    }
+    
+    /**
+     * Diplomacy section of the nation overview
+     * @param {Object} diplomacy - { relation, opinion, ourOpinion, treaties, wars, faction }
+     * @returns {string} HTML
+     */
+    renderNationDiplomacy(diplomacy) {
+        const signed = (value) => `${value > 0 ? '+' : ''}${value}`;
+        const { faction } = diplomacy;
+        
+        return `
+            <div class="panel-section">
+                <div class="panel-section-header">DIPLOMACY</div>
+                <div class="panel-row">
+                    <span class="panel-label">Faction</span>
+                    <span class="panel-value">${faction ? `
+                        <span class="faction-swatch" style="background: ${faction.color}"></span>${escapeHTML(faction.name)}` : 'Unaligned'}</span>
+                </div>
+                ${faction ? `
+                <div class="panel-row">
+                    <span class="panel-label">Leader</span>
+                    <span class="panel-value">${faction.leaderId}</span>
+                </div>
+                <div class="panel-row">
+                    <span class="panel-label">Members</span>
+                    <span class="panel-value">${faction.members.join(', ')}</span>
+                </div>
+                <div class="panel-row">
+                    <span class="panel-label">Victory score</span>
+                    <span class="panel-value ${faction.score < 0 ? 'negative' : ''}">${signed(faction.score)}</span>
+                </div>
+                ` : ''}
+                ${diplomacy.relation ? `
+                <div class="panel-row">
+                    <span class="panel-label">Relation</span>
+                    <span class="panel-value relation-${diplomacy.relation}">${RELATION_LABELS[diplomacy.relation]}</span>
+                </div>
+                <div class="panel-row">
+                    <span class="panel-label">Opinion of us</span>
+                    <span class="panel-value ${diplomacy.opinion < 0 ? 'negative' : ''}">${signed(diplomacy.opinion)}</span>
+                </div>
+                <div class="panel-row">
+                    <span class="panel-label">Our opinion</span>
+                    <span class="panel-value ${diplomacy.ourOpinion < 0 ? 'negative' : ''}">${signed(diplomacy.ourOpinion)}</span>
+                </div>
+                ` : ''}
+                ${diplomacy.wars.map(war => `
+                    <div class="panel-row">
+                        <span class="panel-label">At war</span>
+                        <span class="panel-value negative">${war}</span>
+                    </div>
+                `).join('')}
+                ${diplomacy.treaties.map(treaty => `
+                    <div class="panel-row">
+                        <span class="panel-label">${treaty}</span>
+                    </div>
+                `).join('')}
+                <div class="unit-actions">
+                    <button class="build-btn" data-diplomacy>DIPLOMACY</button>
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Hover tooltip listing last month's stability modifiers
+     * @param {Object} breakdown - From StabilitySystem.getStability
+     * @returns {string} HTML
+     */
+    renderStabilityTooltip(breakdown) {
+        const signed = (value) => `${value > 0 ? '+' : ''}${value.toFixed(1)}`;
+        
+        return `
+            <div class="tooltip stability-tooltip">
+                <div class="tooltip-header">
+                    <span class="tooltip-name">Monthly change</span>
+                    <span class="panel-value ${breakdown.change < 0 ? 'negative' : 'positive'}">${signed(breakdown.change)}</span>
+                </div>
+                <div class="tooltip-body">
+                    ${breakdown.modifiers.length ? breakdown.modifiers.map(modifier => `
+                        <div class="tooltip-row">
+                            <span class="tooltip-label">${modifier.label}</span>
+                            <span class="tooltip-value">${signed(modifier.value)}</span>
+                        </div>
+                    `).join('') : `
+                        <div class="tooltip-row">
+                            <span class="tooltip-label">No modifiers yet</span>
+                        </div>
+                    `}
+                    <div class="tooltip-row">
+                        <span class="tooltip-label">Baseline</span>
+                        <span class="tooltip-value">${breakdown.baseline}%</span>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Budget tab of the nation panel
+     * @param {Object} budget - From EconomySystem, plus an editable flag
+     * @returns {string} HTML
+     */
+    renderBudget(budget) {
+        const money = (value) => `$${value.toFixed(1)}B`;
+        const percent = (value) => `${Math.round(value * 100)}%`;
+        const slider = (field, label, value, min, max) => `
+            <div class="budget-slider">
+                <div class="resource-header">
+                    <span class="resource-name">${label}</span>
+                    <span class="resource-value" data-value-for="${field}">${percent(value)}</span>
+                </div>
+                <input type="range" class="form-range" data-field="${field}" 
+                       min="${min * 100}" max="${max * 100}" step="1" value="${Math.round(value * 100)}" 
+                       ${budget.editable ? '' : 'disabled'}>
+            </div>
+        `;
+        
+        return `
+            <div class="panel-section">
+                <div class="panel-section-header">MONTHLY BUDGET</div>
+                <div class="panel-row">
+                    <span class="panel-label">GDP (yearly)</span>
+                    <span class="panel-value">${money(budget.gdp)}</span>
+                </div>
+                <div class="panel-row">
+                    <span class="panel-label">Tax revenue</span>
+                    <span class="panel-value">+${money(budget.revenue)}</span>
+                </div>
+                ${Object.entries(budget.expenses).map(([category, value]) => `
+                    <div class="panel-row">
+                        <span class="panel-label">${category.charAt(0).toUpperCase() + category.slice(1)}</span>
+                        <span class="panel-value">-${money(value)}</span>
+                    </div>
+                `).join('')}
+                <div class="panel-row">
+                    <span class="panel-label">Balance</span>
+                    <span class="panel-value ${budget.balance < 0 ? 'negative' : 'positive'}">${budget.balance < 0 ? '' : '+'}${money(budget.balance)}</span>
+                </div>
+                <div class="panel-row">
+                    <span class="panel-label">National debt</span>
+                    <span class="panel-value ${budget.debt > 0 ? 'negative' : ''}">${money(budget.debt)}${budget.gdp > 0 ? ` (${percent(budget.debt / budget.gdp)} GDP)` : ''}</span>
+                </div>
+            </div>
+            
+            <div class="panel-section">
+                <div class="panel-section-header">POLICY</div>
+                ${slider('taxRate', 'Tax rate', budget.taxRate, ECONOMY.TAX_RATE.MIN, ECONOMY.TAX_RATE.MAX)}
+                ${Object.entries(budget.spending).map(([category, value]) =>
+                    slider(category, `${category.charAt(0).toUpperCase() + category.slice(1)} spending`, value, 0, ECONOMY.SPENDING.MAX)
+                ).join('')}
+            </div>
+        `;
+    }
+    
+    /**
+     * Wire up budget sliders: labels follow the drag, the change is
+     * reported on release
+     * @param {Object} budget
+     */
+    setupBudgetSliders(budget) {
+        const { nationPanel } = this.elements;
+        
+        nationPanel.querySelectorAll('.budget-slider input').forEach(input => {
+            const field = input.dataset.field;
+            const label = nationPanel.querySelector(`[data-value-for="${field}"]`);
+            
+            input.addEventListener('pointerdown', () => {
+                this.isEditingPolicy = true;
+                window.addEventListener('pointerup', () => {
+                    this.isEditingPolicy = false;
+                }, { once: true });
+            });
+            
+            input.addEventListener('input', () => {
+                if (label) label.textContent = `${input.value}%`;
+            });
+            
+            input.addEventListener('change', () => {
+                this.isEditingPolicy = false;
+                const value = Number(input.value) / 100;
+                const changes = field === 'taxRate' ? { taxRate: value } : { spending: { [field]: value } };
+                this.onBudgetChange?.(budget.nationId, changes);
+            });
+        });
+    }
+    
+    /**
+     * Laws tab of the nation panel
+     * @param {Object} laws - From PopulationSystem.getManpower, plus nationId, an editable
+     *   flag and the GovernmentSystem summary as `government`
+     * @returns {string} HTML
+     */
+    renderLaws(laws) {
+        const percent = (value) => `${Math.round(value * 100)}%`;
+        const select = (field, options, current, describe, isAllowed = () => true) => `
+            <select class="law-select" data-field="${field}" ${laws.editable ? '' : 'disabled'}>
+                ${Object.values(options).map(option => `
+                    <option value="${option.id}" ${option.id === current.id ? 'selected' : ''} ${isAllowed(option) ? '' : 'disabled'}>${option.name} (${describe(option)})</option>
+                `).join('')}
+            </select>
+        `;
+        
+        return `
+            ${laws.government ? `
+            <div class="panel-section">
+                <div class="panel-section-header">GOVERNMENT</div>
+                <div class="panel-row">
+                    <span class="panel-label">Type</span>
+                    <span class="panel-value">${laws.government.government.name}</span>
+                </div>
+                <div class="panel-row">
+                    <span class="panel-label">Next election</span>
+                    <span class="panel-value">${laws.government.nextElection ? laws.government.nextElection.format(DATE_FORMATS.SHORT) : 'NONE'}</span>
+                </div>
+                <div class="panel-row">
+                    <span class="panel-label">Conscription cap</span>
+                    <span class="panel-value">${laws.government.maxConscription.name}</span>
+                </div>
+            </div>
+            ` : ''}
+            
+            <div class="panel-section">
+                <div class="panel-section-header">MANPOWER</div>
+                <div class="panel-row">
+                    <span class="panel-label">Recruitable</span>
+                    <span class="panel-value">${laws.recruitable.toLocaleString()}</span>
+                </div>
+                <div class="panel-row">
+                    <span class="panel-label">In service</span>
+                    <span class="panel-value">${laws.inService.toLocaleString()}</span>
+                </div>
+                <div class="panel-row">
+                    <span class="panel-label">Available</span>
+                    <span class="panel-value ${laws.available > 0 ? '' : 'negative'}">${laws.available.toLocaleString()}</span>
                 </div>
             </div>
+            
+            <div class="panel-section">
+                <div class="panel-section-header">CONSCRIPTION LAW</div>
+                ${select('conscription', CONSCRIPTION_LAWS, laws.conscription,
+                    law => `${percent(law.recruitable)} recruitable`,
+                    law => !laws.government || law.recruitable <= laws.government.maxConscription.recruitable)}
+            </div>
+            
+            <div class="panel-section">
+                <div class="panel-section-header">MOBILISATION</div>
+                ${select('mobilisation', MOBILISATION_LEVELS, laws.mobilisation,
+                    level => `×${level.manpower} manpower, ${percent(level.output)} output`)}
+            </div>
         `;
     }
     
+    /**
+     * Wire up law selects; the panel holds still while one is open
+     * @param {Object} laws
+     */
+    setupLawSelects(laws) {
+        const { nationPanel } = this.elements;
+        
+        nationPanel.querySelectorAll('.law-select').forEach(select => {
+            select.addEventListener('focus', () => {
+                this.isEditingPolicy = true;
+            });
+            
+            select.addEventListener('blur', () => {
+                this.isEditingPolicy = false;
+            });
+            
+            select.addEventListener('change', () => {
+                this.isEditingPolicy = false;
+                this.onLawChange?.(laws.nationId, select.dataset.field, select.value);
+            });
+        });
+    }
+    
     /**
      * Clear nation panel
      */
@@ -302,8 +832,13 @@ export class HUDController {
     /**
      * Show territory panel with territory data
      * @param {Object} territory
+     * @param {Object} construction - Optional { projects, options } from the construction system
+     * @param {Object} military - Optional { selected, units, options }, see renderMilitary
+     * @param {Object} naval - Optional { selected, fleets, queue, options }, see renderNaval
+     * @param {Object} air - Optional { region, selected, wings, queue, options, capacity }, see renderAir
+     * @param {Object} missiles - Optional { arsenal, queue, options, strike }, see renderMissiles
      */
-    showTerritoryPanel(territory) {
+    showTerritoryPanel(territory, construction = null, military = null, naval = null, air = null, missiles = null) {
         const { territoryPanel } = this.elements;
         if (!territoryPanel) return;
         
@@ -347,25 +882,1283 @@ export class HUDController {
                 `).join('')}
             </div>
             ` : ''}
+            
+            ${military ? this.renderMilitary(military) : ''}
+            
+            ${naval ? this.renderNaval(naval) : ''}
+            
+            ${air ? this.renderAir(air) : ''}
+            
+            ${missiles ? this.renderMissiles(missiles) : ''}
+            
+            ${construction ? this.renderConstruction(construction) : ''}
         `;
+        
+        territoryPanel.querySelectorAll('.build-btn[data-building]:not([disabled])').forEach(btn => {
+            btn.addEventListener('click', () => this.onBuildOrder?.(territory.id, btn.dataset.building));
+        });
+        
+        territoryPanel.querySelectorAll('.build-btn[data-template]:not([disabled])').forEach(btn => {
+            btn.addEventListener('click', () => this.onRecruitOrder?.(territory.id, btn.dataset.template));
+        });
+        
+        territoryPanel.querySelector('[data-design-division]')?.addEventListener('click', () => {
+            this.onTemplatesOpen?.();
+        });
+        
+        territoryPanel.querySelectorAll('.unit-row').forEach(row => {
+            row.addEventListener('click', () => this.onUnitSelect?.(Number(row.dataset.unit)));
+        });
+        
+        territoryPanel.querySelector('[data-disband]')?.addEventListener('click', (e) => {
+            this.onDisband?.(Number(e.currentTarget.dataset.disband));
+        });
+        
+        territoryPanel.querySelector('[data-halt]')?.addEventListener('click', (e) => {
+            this.onUnitHalt?.(Number(e.currentTarget.dataset.halt));
+        });
+        
+        territoryPanel.querySelectorAll('.build-btn[data-ship]:not([disabled])').forEach(btn => {
+            btn.addEventListener('click', () => this.onShipOrder?.(territory.id, btn.dataset.ship));
+        });
+        
+        territoryPanel.querySelectorAll('[data-cancel-ship]').forEach(btn => {
+            btn.addEventListener('click', () => this.onShipCancel?.(Number(btn.dataset.cancelShip)));
+        });
+        
+        territoryPanel.querySelectorAll('.fleet-row').forEach(row => {
+            row.addEventListener('click', () => this.onFleetSelect?.(Number(row.dataset.fleet)));
+        });
+        
+        territoryPanel.querySelectorAll('[data-mission]').forEach(btn => {
+            btn.addEventListener('click', () => this.onFleetMission?.(Number(btn.dataset.fleet), btn.dataset.mission));
+        });
+        
+        territoryPanel.querySelector('[data-return]')?.addEventListener('click', (e) => {
+            this.onFleetReturn?.(Number(e.currentTarget.dataset.return));
+        });
+        
+        territoryPanel.querySelectorAll('.build-btn[data-aircraft]:not([disabled])').forEach(btn => {
+            btn.addEventListener('click', () => this.onWingOrder?.(territory.id, btn.dataset.aircraft));
+        });
+        
+        territoryPanel.querySelectorAll('[data-cancel-wing]').forEach(btn => {
+            btn.addEventListener('click', () => this.onWingCancel?.(Number(btn.dataset.cancelWing)));
+        });
+        
+        territoryPanel.querySelectorAll('.wing-row').forEach(row => {
+            row.addEventListener('click', () => this.onWingSelect?.(Number(row.dataset.wing)));
+        });
+        
+        territoryPanel.querySelectorAll('[data-air-mission]').forEach(btn => {
+            btn.addEventListener('click', () => this.onWingMission?.(Number(btn.dataset.wing), btn.dataset.airMission));
+        });
+        
+        territoryPanel.querySelector('[data-stand-down]')?.addEventListener('click', (e) => {
+            this.onWingStandDown?.(Number(e.currentTarget.dataset.standDown));
+        });
+        
+        territoryPanel.querySelectorAll('.build-btn[data-warhead]:not([disabled])').forEach(btn => {
+            btn.addEventListener('click', () => this.onMissileOrder?.(btn.dataset.warhead));
+        });
+        
+        territoryPanel.querySelectorAll('[data-cancel-missile]').forEach(btn => {
+            btn.addEventListener('click', () => this.onMissileCancel?.(Number(btn.dataset.cancelMissile)));
+        });
+        
+        territoryPanel.querySelectorAll('.build-btn[data-launch]:not([disabled])').forEach(btn => {
+            btn.addEventListener('click', () => this.onMissileLaunch?.(territory.id, btn.dataset.launch));
+        });
     }
     
     /**
-     * Clear territory panel
+     * Military section of the territory panel: the selected division,
+     * divisions present and recruitment options
+     * @param {Object} military - { selected, units, options }
+     * @returns {string} HTML
      */
-    clearTerritoryPanel() {
-        const { territoryPanel } = this.elements;
-        if (territoryPanel) {
-            territoryPanel.innerHTML = `
-                <div class="panel-placeholder">
-                    <span class="placeholder-icon">◎</span>
-                    <span class="placeholder-text">HOVER OVER TERRITORY</span>
+    renderMilitary({ selected = null, units = [], options = null }) {
+        if (!selected && units.length === 0 && !options) return '';
+        
+        const percent = (value) => `${Math.round(value * 100)}%`;
+        const bar = (label, value, max, text, graded = true) => `
+            <div class="resource-bar">
+                <div class="resource-header">
+                    <span class="resource-name">${label}</span>
+                    <span class="resource-value">${text}</span>
                 </div>
-            `;
-        }
-    }
-    
-    // Callbacks (set by main app)
-    onSpeedChange = null;
-    onAuthClick = null;
+                <div class="resource-track">
+                    <div class="resource-fill ${!graded ? '' : value / max < 0.3 ? 'danger' : value / max < 0.6 ? 'warning' : ''}" 
+                         style="width: ${max > 0 ? Math.round(value / max * 100) : 0}%"></div>
+                </div>
+            </div>
+        `;
+        
+        return `
+            ${selected ? `
+            <div class="panel-section">
+                <div class="panel-section-header">DIVISION</div>
+                <div class="panel-row">
+                    <span class="panel-label">Name</span>
+                    <span class="panel-value">${escapeHTML(selected.name)}</span>
+                </div>
+                <div class="panel-row">
+                    <span class="panel-label">Nation</span>
+                    <span class="panel-value">${selected.nationId}</span>
+                </div>
+                <div class="panel-row">
+                    <span class="panel-label">Status</span>
+                    <span class="panel-value">${selected.status === 'training' ? `TRAINING UNTIL ${selected.readyOn?.slice(0, 10) || '?'}` : selected.orders ? 'MOVING' : selected.status.toUpperCase()}</span>
+                </div>
+                ${selected.orders ? `
+                <div class="panel-row">
+                    <span class="panel-label">Destination</span>
+                    <span class="panel-value">${selected.orders.destination}</span>
+                </div>
+                ${bar(`Next: ${selected.orders.next}`, selected.orders.legProgress, 1, percent(selected.orders.legProgress), false)}
+                <div class="panel-row">
+                    <span class="panel-label">Arrival</span>
+                    <span class="panel-value">${selected.orders.arrivesOn ? `${selected.orders.arrivesOn.format(DATE_FORMATS.SHORT)} (${selected.orders.daysLeft}d)` : 'STALLED'}</span>
+                </div>
+                ${selected.orders.waypoints > 1 ? `
+                <div class="panel-row">
+                    <span class="panel-label">Waypoints</span>
+                    <span class="panel-value">${selected.orders.waypoints}</span>
+                </div>
+                ` : ''}
+                ` : ''}
+                ${bar('Strength', selected.strength, 1, percent(selected.strength))}
+                ${bar('Organisation', selected.organisation, selected.stats.maxOrganisation,
+                    `${Math.round(selected.organisation)}/${Math.round(selected.stats.maxOrganisation)}`)}
+                ${bar('Supply', selected.supply, 1, percent(selected.supply))}
+                <div class="panel-row">
+                    <span class="panel-label">Attack / Defence</span>
+                    <span class="panel-value">${selected.stats.attack.toFixed(1)} / ${selected.stats.defence.toFixed(1)}</span>
+                </div>
+                <div class="panel-row">
+                    <span class="panel-label">Speed</span>
+                    <span class="panel-value">${selected.stats.speed.toFixed(1)} km/h</span>
+                </div>
+                ${selected.battalions.map(battalion => `
+                    <div class="panel-row">
+                        <span class="panel-label">${battalion.name}</span>
+                        <span class="panel-value">×${battalion.count}</span>
+                    </div>
+                `).join('')}
+                ${selected.editable ? `
+                ${selected.status === 'ready' ? `
+                <div class="panel-row">
+                    <span class="panel-label unit-hint">Right-click a territory to move, shift-click to add waypoints</span>
+                </div>
+                ` : ''}
+                <div class="unit-actions">
+                    ${selected.orders ? `<button class="build-btn" data-halt="${selected.id}">HALT</button>` : ''}
+                    <button class="build-btn disband-btn" data-disband="${selected.id}">DISBAND</button>
+                </div>
+                ` : ''}
+            </div>
+            ` : ''}
+            
+            <div class="panel-section">
+                <div class="panel-section-header">UNITS</div>
+                ${units.length === 0 ? `
+                    <div class="panel-row">
+                        <span class="panel-label">No divisions present</span>
+                    </div>
+                ` : units.map(unit => `
+                    <div class="panel-row unit-row ${unit.id === selected?.id ? 'active' : ''}" data-unit="${unit.id}">
+                        <span class="panel-label">${escapeHTML(unit.name)}${unit.status === 'training' ? ' (training)' : ''}</span>
+                        <span class="panel-value">${percent(unit.strength)}</span>
+                    </div>
+                `).join('')}
+                
+                ${options ? `
+                <div class="build-grid">
+                    ${options.map(option => `
+                        <button class="build-btn" data-template="${option.id}" 
+                                title="${option.available ? `${option.manpower.toLocaleString()} manpower, ${option.equipment.toLocaleString()} equipment, ${option.training} days` : option.reason}" 
+                                ${option.available ? '' : 'disabled'}>
+                            <span class="build-name">${escapeHTML(option.name)}</span>
+                        </button>
+                    `).join('')}
+                </div>
+                <div class="unit-actions">
+                    <button class="build-btn" data-design-division>DESIGN DIVISION</button>
+                </div>
+                ` : ''}
+            </div>
+        `;
+    }
+    
+    /**
+     * Naval section of the territory panel: the selected fleet, fleets
+     * based here, ships on the slipways and shipbuilding options
+     * @param {Object} naval - { selected, fleets, queue, options }
+     * @returns {string} HTML
+     */
+    renderNaval({ selected = null, fleets = [], queue = [], options = null }) {
+        if (!selected && fleets.length === 0 && queue.length === 0 && !options) return '';
+        
+        const percent = (value) => `${Math.round(value * 100)}%`;
+        const status = (summary) => {
+            if (summary.battle) return 'IN BATTLE';
+            if (summary.docked) return 'DOCKED';
+            if (summary.destination) return summary.mission ? `SAILING (${summary.mission.name.toUpperCase()})` : 'RETURNING';
+            return summary.mission ? summary.mission.name.toUpperCase() : 'AT SEA';
+        };
+        
+        return `
+            ${selected ? `
+            <div class="panel-section">
+                <div class="panel-section-header">FLEET</div>
+                <div class="panel-row">
+                    <span class="panel-label">Name</span>
+                    <span class="panel-value">${selected.fleet.name}</span>
+                </div>
+                <div class="panel-row">
+                    <span class="panel-label">Nation</span>
+                    <span class="panel-value">${selected.fleet.nationId}</span>
+                </div>
+                <div class="panel-row">
+                    <span class="panel-label">Status</span>
+                    <span class="panel-value">${status(selected)}</span>
+                </div>
+                <div class="panel-row">
+                    <span class="panel-label">Position</span>
+                    <span class="panel-value">${selected.zone?.name || '?'}</span>
+                </div>
+                ${selected.destination ? `
+                <div class="panel-row">
+                    <span class="panel-label">Destination</span>
+                    <span class="panel-value">${selected.destination.name}</span>
+                </div>
+                <div class="panel-row">
+                    <span class="panel-label">Arrival</span>
+                    <span class="panel-value">${selected.arrivesOn ? `${selected.arrivesOn.format(DATE_FORMATS.SHORT)} (${selected.daysLeft}d)` : 'STALLED'}</span>
+                </div>
+                ` : ''}
+                <div class="panel-row">
+                    <span class="panel-label">Base</span>
+                    <span class="panel-value">${selected.base ? selected.base.name || selected.base.id : 'NONE'}</span>
+                </div>
+                <div class="panel-row">
+                    <span class="panel-label">Attack / Defence</span>
+                    <span class="panel-value">${selected.stats.attack.toFixed(1)} / ${selected.stats.defence.toFixed(1)}</span>
+                </div>
+                <div class="panel-row">
+                    <span class="panel-label">Speed</span>
+                    <span class="panel-value">${selected.stats.speed.toFixed(0)} km/h</span>
+                </div>
+                ${selected.ships.map(ship => `
+                    <div class="resource-bar">
+                        <div class="resource-header">
+                            <span class="resource-name">${ship.name} · ${ship.shipClass.name}</span>
+                            <span class="resource-value">${percent(ship.strength)}</span>
+                        </div>
+                        <div class="resource-track">
+                            <div class="resource-fill ${ship.strength < 0.3 ? 'danger' : ship.strength < 0.6 ? 'warning' : ''}" 
+                                 style="width: ${Math.round(ship.strength * 100)}%"></div>
+                        </div>
+                    </div>
+                `).join('')}
+                ${selected.editable ? `
+                <div class="panel-row">
+                    <span class="panel-label unit-hint">Right-click open sea to send the fleet there</span>
+                </div>
+                <div class="build-grid">
+                    ${selected.missions.map(mission => `
+                        <button class="build-btn ${mission.id === selected.mission?.id ? 'active' : ''}" 
+                                data-fleet="${selected.fleet.id}" data-mission="${mission.id}">${mission.name.toUpperCase()}</button>
+                    `).join('')}
+                    ${selected.docked ? '' : `<button class="build-btn" data-return="${selected.fleet.id}">RETURN TO BASE</button>`}
+                </div>
+                ` : ''}
+            </div>
+            ` : ''}
+            
+            <div class="panel-section">
+                <div class="panel-section-header">NAVAL BASE</div>
+                ${fleets.length === 0 ? `
+                    <div class="panel-row">
+                        <span class="panel-label">No fleets based here</span>
+                    </div>
+                ` : fleets.map(fleet => `
+                    <div class="panel-row fleet-row ${fleet.id === selected?.fleet.id ? 'active' : ''}" data-fleet="${fleet.id}">
+                        <span class="panel-label">${fleet.name} (${fleet.nationId})</span>
+                        <span class="panel-value">${fleet.ships.length} ship${fleet.ships.length === 1 ? '' : 's'}</span>
+                    </div>
+                `).join('')}
+                
+                ${queue.map(order => `
+                    <div class="resource-bar">
+                        <div class="resource-header">
+                            <span class="resource-name">${order.shipClass.symbol} ${order.shipClass.name}</span>
+                            <span class="resource-value">
+                                ${order.daysLeft !== null ? `${order.daysLeft}d` : 'STALLED'}
+                                <button class="ship-cancel" data-cancel-ship="${order.id}" title="Cancel order">&times;</button>
+                            </span>
+                        </div>
+                        <div class="resource-track">
+                            <div class="resource-fill" style="width: ${Math.round(order.progress / order.cost * 100)}%"></div>
+                        </div>
+                    </div>
+                `).join('')}
+                
+                ${options ? `
+                <div class="build-grid">
+                    ${options.map(option => `
+                        <button class="build-btn" data-ship="${option.id}" 
+                                title="${option.available ? `${option.cost.toLocaleString()} production, ${option.crew.toLocaleString()} crew` : option.reason}" 
+                                ${option.available ? '' : 'disabled'}>
+                            <span class="build-icon">${option.symbol}</span>
+                            <span class="build-name">${option.name}</span>
+                        </button>
+                    `).join('')}
+                </div>
+                ` : ''}
+            </div>
+        `;
+    }
+    
+    /**
+     * Air section of the territory panel: superiority over the territory's
+     * air region, the selected wing, wings stationed here, wings on order
+     * and aircraft options
+     * @param {Object} air - { region, selected, wings, queue, options, capacity }
+     * @returns {string} HTML
+     */
+    renderAir({ region = null, selected = null, wings = [], queue = [], options = null, capacity = 0 }) {
+        const percent = (value) => `${Math.round(value * 100)}%`;
+        const isBase = capacity > 0;
+        
+        return `
+            ${region?.superiority !== null && region?.superiority !== undefined ? `
+            <div class="panel-section">
+                <div class="panel-section-header">AIR REGION</div>
+                <div class="panel-row">
+                    <span class="panel-label">${region.name}</span>
+                    <span class="panel-value">${percent(region.superiority)} superiority</span>
+                </div>
+            </div>
+            ` : ''}
+            
+            ${selected ? `
+            <div class="panel-section">
+                <div class="panel-section-header">AIR WING</div>
+                <div class="panel-row">
+                    <span class="panel-label">Name</span>
+                    <span class="panel-value">${selected.wing.name}</span>
+                </div>
+                <div class="panel-row">
+                    <span class="panel-label">Nation</span>
+                    <span class="panel-value">${selected.wing.nationId}</span>
+                </div>
+                <div class="panel-row">
+                    <span class="panel-label">Status</span>
+                    <span class="panel-value">${!selected.mission ? 'GROUNDED' : !selected.target ? 'AWAITING TARGET' : selected.active ? selected.mission.name.toUpperCase() : 'OUT OF RANGE'}</span>
+                </div>
+                ${selected.target ? `
+                <div class="panel-row">
+                    <span class="panel-label">Target</span>
+                    <span class="panel-value">${selected.target.name || selected.target.id}</span>
+                </div>
+                ` : ''}
+                ${selected.superiority !== null ? `
+                <div class="panel-row">
+                    <span class="panel-label">Superiority</span>
+                    <span class="panel-value">${percent(selected.superiority)} over ${selected.region.name}</span>
+                </div>
+                ` : ''}
+                <div class="resource-bar">
+                    <div class="resource-header">
+                        <span class="resource-name">${selected.aircraft.name}</span>
+                        <span class="resource-value">${Math.ceil(selected.wing.planes)}/${AIR.WING_SIZE}</span>
+                    </div>
+                    <div class="resource-track">
+                        <div class="resource-fill ${selected.wing.planes / AIR.WING_SIZE < 0.3 ? 'danger' : selected.wing.planes / AIR.WING_SIZE < 0.6 ? 'warning' : ''}" 
+                             style="width: ${Math.round(selected.wing.planes / AIR.WING_SIZE * 100)}%"></div>
+                    </div>
+                </div>
+                <div class="panel-row">
+                    <span class="panel-label">Air attack / defence</span>
+                    <span class="panel-value">${selected.aircraft.airAttack.toFixed(1)} / ${selected.aircraft.airDefence.toFixed(1)}</span>
+                </div>
+                <div class="panel-row">
+                    <span class="panel-label">Range</span>
+                    <span class="panel-value">${Math.round(selected.aircraft.range).toLocaleString()} km</span>
+                </div>
+                ${selected.editable ? `
+                <div class="panel-row">
+                    <span class="panel-label unit-hint">Right-click a territory within range to set the target</span>
+                </div>
+                <div class="build-grid">
+                    ${selected.missions.map(mission => `
+                        <button class="build-btn ${mission.id === selected.mission?.id ? 'active' : ''}" 
+                                data-wing="${selected.wing.id}" data-air-mission="${mission.id}">${mission.name.toUpperCase()}</button>
+                    `).join('')}
+                    ${selected.mission ? `<button class="build-btn" data-stand-down="${selected.wing.id}">STAND DOWN</button>` : ''}
+                </div>
+                ` : ''}
+            </div>
+            ` : ''}
+            
+            ${isBase ? `
+            <div class="panel-section">
+                <div class="panel-section-header">AIR BASE</div>
+                <div class="panel-row">
+                    <span class="panel-label">Stationed</span>
+                    <span class="panel-value">${wings.reduce((total, wing) => total + Math.ceil(wing.planes), 0)}/${capacity} planes</span>
+                </div>
+                ${wings.map(wing => `
+                    <div class="panel-row wing-row ${wing.id === selected?.wing.id ? 'active' : ''}" data-wing="${wing.id}">
+                        <span class="panel-label">${wing.name} (${wing.nationId})</span>
+                        <span class="panel-value">${Math.ceil(wing.planes)}</span>
+                    </div>
+                `).join('')}
+                
+                ${queue.map(order => `
+                    <div class="resource-bar">
+                        <div class="resource-header">
+                            <span class="resource-name">${order.aircraft.symbol} ${order.aircraft.name} Wing</span>
+                            <span class="resource-value">
+                                ${order.daysLeft !== null ? `${order.daysLeft}d` : 'STALLED'}
+                                <button class="ship-cancel" data-cancel-wing="${order.id}" title="Cancel order">&times;</button>
+                            </span>
+                        </div>
+                        <div class="resource-track">
+                            <div class="resource-fill" style="width: ${Math.round(order.progress / order.cost * 100)}%"></div>
+                        </div>
+                    </div>
+                `).join('')}
+                
+                ${options ? `
+                <div class="build-grid">
+                    ${options.map(option => `
+                        <button class="build-btn" data-aircraft="${option.id}" 
+                                title="${option.available ? `${(option.cost * AIR.WING_SIZE).toLocaleString()} production, ${(option.crew * AIR.WING_SIZE).toLocaleString()} aircrew` : option.reason}" 
+                                ${option.available ? '' : 'disabled'}>
+                            <span class="build-icon">${option.symbol}</span>
+                            <span class="build-name">${option.name}</span>
+                        </button>
+                    `).join('')}
+                </div>
+                ` : ''}
+            </div>
+            ` : ''}
+        `;
+    }
+    
+    /**
+     * Missile section of the territory panel: the player's arsenal and
+     * missile production on their own launch sites, strike options
+     * against hostile territory
+     * @param {Object} missiles - { arsenal, queue, options, strike }
+     * @returns {string} HTML
+     */
+    renderMissiles({ arsenal = [], queue = [], options = null, strike = null }) {
+        if (!options && !strike) return '';
+        
+        const percent = (value) => `${Math.round(value * 100)}%`;
+        
+        return `
+            ${options ? `
+            <div class="panel-section">
+                <div class="panel-section-header">MISSILE ARSENAL</div>
+                ${arsenal.map(({ warhead, ready }) => `
+                    <div class="panel-row">
+                        <span class="panel-label">${warhead.name}</span>
+                        <span class="panel-value">${ready} ready</span>
+                    </div>
+                `).join('')}
+                
+                ${queue.map(order => `
+                    <div class="resource-bar">
+                        <div class="resource-header">
+                            <span class="resource-name">${order.warhead.symbol} ${order.warhead.name}</span>
+                            <span class="resource-value">
+                                ${order.awaitingUranium ? 'NO URANIUM' : order.daysLeft !== null ? `${order.daysLeft}d` : 'STALLED'}
+                                <button class="ship-cancel" data-cancel-missile="${order.id}" title="Cancel order">&times;</button>
+                            </span>
+                        </div>
+                        <div class="resource-track">
+                            <div class="resource-fill ${order.awaitingUranium ? 'warning' : ''}" 
+                                 style="width: ${Math.round(order.progress / order.cost * 100)}%"></div>
+                        </div>
+                    </div>
+                `).join('')}
+                
+                <div class="build-grid">
+                    ${options.map(option => `
+                        <button class="build-btn" data-warhead="${option.id}" 
+                                title="${option.available ? `${option.cost.toLocaleString()} production${option.uranium ? `, ${option.uranium} uranium when built` : ''}` : option.reason}" 
+                                ${option.available ? '' : 'disabled'}>
+                            <span class="build-icon">${option.symbol}</span>
+                            <span class="build-name">${option.name}</span>
+                        </button>
+                    `).join('')}
+                </div>
+            </div>
+            ` : ''}
+            
+            ${strike ? `
+            <div class="panel-section">
+                <div class="panel-section-header">STRATEGIC STRIKE</div>
+                ${strike.plan ? `
+                <div class="panel-row">
+                    <span class="panel-label">Launch site</span>
+                    <span class="panel-value">${strike.plan.site}</span>
+                </div>
+                <div class="panel-row">
+                    <span class="panel-label">Distance</span>
+                    <span class="panel-value">${Math.round(strike.plan.km).toLocaleString()} / ${Math.round(strike.range).toLocaleString()} km</span>
+                </div>
+                <div class="panel-row">
+                    <span class="panel-label">Flight time</span>
+                    <span class="panel-value">${strike.plan.hours}h</span>
+                </div>
+                <div class="panel-row">
+                    <span class="panel-label">Interception</span>
+                    <span class="panel-value">${percent(strike.plan.interception)}</span>
+                </div>
+                ` : ''}
+                ${strike.incoming ? `
+                <div class="panel-row">
+                    <span class="panel-label">In flight</span>
+                    <span class="panel-value negative">${strike.incoming}</span>
+                </div>
+                ` : ''}
+                <div class="build-grid">
+                    ${strike.options.map(option => `
+                        <button class="build-btn disband-btn" data-launch="${option.id}" 
+                                title="${option.available ? `Launch a ${option.name}` : option.reason}" 
+                                ${option.available ? '' : 'disabled'}>
+                            <span class="build-icon">${option.symbol}</span>
+                            <span class="build-name">LAUNCH (${option.ready})</span>
+                        </button>
+                    `).join('')}
+                </div>
+            </div>
+            ` : ''}
+        `;
+    }
+    
+    /**
+     * Construction section of the territory panel
+     * @param {Object} construction - { projects, options }
+     * @returns {string} HTML
+     */
+    renderConstruction({ projects, options }) {
+        if (projects.length === 0 && !options) return '';
+        
+        return `
+            <div class="panel-section">
+                <div class="panel-section-header">CONSTRUCTION</div>
+                ${projects.length === 0 ? `
+                    <div class="panel-row">
+                        <span class="panel-label">No projects queued</span>
+                    </div>
+                ` : projects.map(project => `
+                    <div class="resource-bar">
+                        <div class="resource-header">
+                            <span class="resource-name">${project.building.icon} ${project.building.name}</span>
+                            <span class="resource-value">${project.status === 'in-progress' ? `${project.daysLeft}d` : 'QUEUED'}</span>
+                        </div>
+                        <div class="resource-track">
+                            <div class="resource-fill ${project.status === 'queued' ? 'warning' : ''}" 
+                                 style="width: ${Math.round(project.progress / project.cost * 100)}%"></div>
+                        </div>
+                    </div>
+                `).join('')}
+                
+                ${options ? `
+                <div class="build-grid">
+                    ${options.map(option => `
+                        <button class="build-btn" data-building="${option.id}" 
+                                title="${option.available ? `${option.name} (${option.buildTime} days)` : option.reason}" 
+                                ${option.available ? '' : 'disabled'}>
+                            <span class="build-icon">${option.icon}</span>
+                            <span class="build-name">${option.name}</span>
+                        </button>
+                    `).join('')}
+                </div>
+                ` : ''}
+            </div>
+        `;
+    }
+    
+    /**
+     * Update the stockpile bar
+     * @param {Array<Object>|null} resources - [{ name, icon, stock, income, expense, fulfilment }], null hides it
+     */
+    updateResources(resources) {
+        const { resourcePanel } = this.elements;
+        if (!resourcePanel) return;
+        
+        resourcePanel.classList.toggle('hidden', !resources);
+        if (!resources) return;
+        
+        const format = (value) => value >= 100 ? Math.round(value).toLocaleString() : value.toFixed(1);
+        
+        resourcePanel.innerHTML = resources.map(resource => {
+            // Bar shows days of cover, full at 60
+            const cover = resource.expense > 0 ? resource.stock / resource.expense : 60;
+            const status = resource.fulfilment < 1 ? 'danger' : resource.income < resource.expense ? 'warning' : '';
+            
+            return `
+                <div class="resource-bar" title="${resource.fulfilment < 1 ? `Shortage: ${Math.round(resource.fulfilment * 100)}% of demand met` : ''}">
+                    <div class="resource-header">
+                        <span class="resource-name">${resource.icon} ${resource.name}</span>
+                        <span class="resource-value">${format(resource.stock)}</span>
+                    </div>
+                    <div class="resource-track">
+                        <div class="resource-fill ${status}" style="width: ${Math.min(100, cover / 60 * 100)}%"></div>
+                    </div>
+                    <div class="resource-flow">
+                        <span class="resource-income">+${format(resource.income)}</span>
+                        <span class="resource-expense">-${format(resource.expense)}</span>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    /**
+     * Render map mode buttons
+     * @param {Array<Object>} modes - [{ id, name, key }]
+     * @param {string} currentId
+     */
+    renderMapModes(modes, currentId) {
+        const { mapModeButtons } = this.elements;
+        if (!mapModeButtons) return;
+        
+        mapModeButtons.innerHTML = modes.map(mode => `
+            <button class="map-mode-btn ${mode.id === currentId ? 'active' : ''}" data-mode="${mode.id}" title="Key ${mode.key}">
+                <span class="map-mode-key">${mode.key}</span>${mode.name}
+            </button>
+        `).join('');
+        
+        mapModeButtons.querySelectorAll('.map-mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.onMapModeChange?.(btn.dataset.mode));
+        });
+    }
+    
+    /**
+     * Update active map mode button and legend
+     * @param {Object} mode - { id, name, legend: [{ color, label }] }
+     */
+    updateMapModeLegend(mode) {
+        const { mapModeButtons, mapModeLegend } = this.elements;
+        
+        mapModeButtons?.querySelectorAll('.map-mode-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === mode.id);
+        });
+        
+        if (mapModeLegend) {
+            mapModeLegend.innerHTML = `
+                <div class="legend-title">${mode.name}</div>
+                ${mode.legend.map(entry => `
+                    <div class="legend-row">
+                        <span class="legend-swatch" style="background: ${entry.color}"></span>
+                        <span class="legend-label">${escapeHTML(entry.label)}</span>
+                    </div>
+                `).join('')}
+            `;
+        }
+    }
+    
+    /**
+     * Open a HUD modal (holds the game clock while open)
+     * @param {string} modalId
+     */
+    openModal(modalId) {
+        const modal = document.getElementById(modalId);
+        if (!modal) return;
+        
+        this.currentModal?.classList.remove('active');
+        modal.classList.add('active');
+        this.currentModal = modal;
+        this.onModalToggle?.(true);
+    }
+    
+    /**
+     * Close the current HUD modal
+     */
+    closeModal() {
+        if (!this.currentModal) return;
+        
+        this.currentModal.classList.remove('active');
+        this.currentModal = null;
+        this.onModalToggle?.(false);
+    }
+    
+    /**
+     * Render the research screen and open it if it isn't already
+     * @param {Object|null} tree - From ResearchSystem.getTree, null without a player nation
+     */
+    showResearch(tree) {
+        const { researchContent, researchModal } = this.elements;
+        if (!researchContent) return;
+        
+        if (!tree) {
+            researchContent.innerHTML = `
+                <div class="panel-placeholder">
+                    <span class="placeholder-icon">◈</span>
+                    <span class="placeholder-text">NO NATION UNDER COMMAND</span>
+                </div>
+            `;
+        } else {
+            researchContent.innerHTML = `
+                <div class="panel-section">
+                    <div class="panel-section-header">ACTIVE RESEARCH · SLOTS ${tree.slots.used}/${tree.slots.total}</div>
+                    ${tree.active.length ? tree.active.map(project => `
+                        <div class="research-project">
+                            <div class="resource-header">
+                                <span class="resource-name">${project.tech.name}</span>
+                                <span class="resource-value">
+                                    ${project.completesOn ? `${project.completesOn.format(DATE_FORMATS.SHORT)} (${project.daysLeft}d)` : 'STALLED'}
+                                </span>
+                                <button class="research-cancel" data-cancel="${project.tech.id}" title="Cancel research">&times;</button>
+                            </div>
+                            <div class="resource-track">
+                                <div class="resource-fill" style="width: ${Math.round(project.progress * 100)}%"></div>
+                            </div>
+                        </div>
+                    `).join('') : `
+                        <div class="panel-row">
+                            <span class="panel-label">No active research - pick an available technology below</span>
+                        </div>
+                    `}
+                </div>
+                
+                <div class="research-tree">
+                    ${tree.categories.map(category => `
+                        <div class="research-column">
+                            <div class="panel-section-header">${category.name}</div>
+                            ${category.techs.map(tech => `
+                                <div class="tech-card ${tech.status}" data-tech="${tech.id}" 
+                                     title="${tech.status === 'locked' ? 'Requires earlier technology' : ''}">
+                                    <div class="tech-name">${tech.name}</div>
+                                    <div class="tech-meta">${tech.status.toUpperCase()} · ${tech.cost} days</div>
+                                    ${tech.effects.map(effect => `<div class="tech-effect">${describeEffect(effect)}</div>`).join('')}
+                                    ${tech.progress > 0 && tech.status !== 'researched' ? `
+                                    <div class="resource-track">
+                                        <div class="resource-fill" style="width: ${Math.round(tech.progress * 100)}%"></div>
+                                    </div>
+                                    ` : ''}
+                                </div>
+                            `).join('')}
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+            
+            researchContent.querySelectorAll('.tech-card.available').forEach(card => {
+                card.addEventListener('click', () => this.onResearchStart?.(card.dataset.tech));
+            });
+            
+            researchContent.querySelectorAll('[data-cancel]').forEach(btn => {
+                btn.addEventListener('click', () => this.onResearchCancel?.(btn.dataset.cancel));
+            });
+        }
+        
+        if (this.currentModal !== researchModal) this.openModal('modal-research');
+    }
+    
+    /**
+     * Render the diplomacy screen and open it if it isn't already
+     * @param {Object|null} panel - From main's getDiplomacyPanel, null without a player nation
+     */
+    showDiplomacy(panel) {
+        const { diplomacyContent, diplomacyModal } = this.elements;
+        if (!diplomacyContent) return;
+        
+        if (!panel) {
+            diplomacyContent.innerHTML = `
+                <div class="panel-placeholder">
+                    <span class="placeholder-icon">⚑</span>
+                    <span class="placeholder-text">NO NATION UNDER COMMAND</span>
+                </div>
+            `;
+        } else {
+            const signed = (value) => `${value > 0 ? '+' : ''}${value}`;
+            const { focus } = panel;
+            
+            diplomacyContent.innerHTML = `
+                <div class="diplomacy-layout">
+                    <div class="panel-section diplomacy-nations">
+                        <div class="panel-section-header">${panel.player.flag || ''} ${panel.player.name.toUpperCase()}</div>
+                        ${panel.nations.map(nation => `
+                            <div class="panel-row diplomacy-nation ${nation.id === focus?.id ? 'active' : ''}" data-focus="${nation.id}">
+                                <span class="panel-label">${nation.flag || '🏴'} ${nation.id}</span>
+                                <span class="panel-value relation-${nation.relation}" title="Their opinion of us / ours of them">
+                                    ${signed(nation.opinion)} / ${signed(nation.ourOpinion)}
+                                </span>
+                            </div>
+                        `).join('')}
+                    </div>
+                    
+                    <div class="diplomacy-detail">
+                        ${focus ? this.renderDiplomacyFocus(focus) : `
+                        <div class="panel-placeholder">
+                            <span class="placeholder-icon">⚑</span>
+                            <span class="placeholder-text">SELECT A NATION</span>
+                        </div>
+                        `}
+                        ${panel.wars.map(war => this.renderWar(war)).join('')}
+                        ${this.renderFactions(panel.factions)}
+                    </div>
+                </div>
+            `;
+            
+            diplomacyContent.querySelectorAll('[data-focus]').forEach(row => {
+                row.addEventListener('click', () => this.onDiplomacyFocus?.(row.dataset.focus));
+            });
+            
+            diplomacyContent.querySelectorAll('.build-btn[data-sign]:not([disabled])').forEach(btn => {
+                btn.addEventListener('click', () => this.onTreatySign?.(focus.id, btn.dataset.sign));
+            });
+            
+            diplomacyContent.querySelectorAll('[data-cancel-treaty]').forEach(btn => {
+                btn.addEventListener('click', () => this.onTreatyCancel?.(focus.id, btn.dataset.cancelTreaty));
+            });
+            
+            diplomacyContent.querySelector('.build-btn[data-justify]:not([disabled])')?.addEventListener('click', () => {
+                this.onJustifyWar?.(focus.id);
+            });
+            
+            diplomacyContent.querySelector('.build-btn[data-declare-war]:not([disabled])')?.addEventListener('click', () => {
+                this.onDeclareWar?.(focus.id);
+            });
+            
+            diplomacyContent.querySelector('.build-btn[data-create-faction]:not([disabled])')?.addEventListener('click', () => {
+                this.onFactionCreate?.(diplomacyContent.querySelector('.faction-name')?.value || '');
+            });
+            
+            diplomacyContent.querySelectorAll('.build-btn[data-join-faction]:not([disabled])').forEach(btn => {
+                btn.addEventListener('click', () => this.onFactionRequest?.(btn.dataset.joinFaction));
+            });
+            
+            diplomacyContent.querySelectorAll('[data-request]').forEach(btn => {
+                btn.addEventListener('click', () => this.onFactionRespond?.(btn.dataset.request, btn.dataset.accept === 'true'));
+            });
+            
+            diplomacyContent.querySelector('.build-btn[data-leave-faction]')?.addEventListener('click', () => {
+                this.onFactionLeave?.();
+            });
+            
+            diplomacyContent.querySelectorAll('.build-btn[data-peace]').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    const warId = Number(btn.dataset.peace);
+                    const demands = Array.from(diplomacyContent.querySelectorAll(`[data-demand-war="${warId}"]:checked`))
+                        .map(input => input.value);
+                    this.onPeaceProposal?.(warId, demands);
+                });
+            });
+        }
+        
+        if (this.currentModal !== diplomacyModal) this.openModal('modal-diplomacy');
+    }
+    
+    /**
+     * Diplomacy screen section for the focused nation: treaties and war
+     * @param {Object} focus
+     * @returns {string} HTML
+     */
+    renderDiplomacyFocus(focus) {
+        const justification = focus.justification;
+        
+        return `
+            <div class="panel-section">
+                <div class="panel-section-header">${focus.flag || '🏴'} ${focus.name.toUpperCase()}</div>
+                <div class="panel-row">
+                    <span class="panel-label">Government</span>
+                    <span class="panel-value">${focus.type || '?'}</span>
+                </div>
+                <div class="panel-row">
+                    <span class="panel-label">Faction</span>
+                    <span class="panel-value">${focus.faction || 'Unaligned'}</span>
+                </div>
+                <div class="panel-row">
+                    <span class="panel-label">Relation</span>
+                    <span class="panel-value relation-${focus.relation}">${RELATION_LABELS[focus.relation]}</span>
+                </div>
+            </div>
+            
+            <div class="panel-section">
+                <div class="panel-section-header">TREATIES</div>
+                ${focus.treaties.map(treaty => `
+                    <div class="panel-row">
+                        <span class="panel-label">${treaty.name}</span>
+                        ${treaty.active ? `
+                        <span class="panel-value">IN FORCE
+                            <button class="ship-cancel" data-cancel-treaty="${treaty.id}" title="Cancel treaty">&times;</button>
+                        </span>
+                        ` : `
+                        <button class="build-btn" data-sign="${treaty.id}" ${treaty.available ? '' : 'disabled'}
+                                title="${treaty.reason || `Needs their opinion ${treaty.minOpinion}+`}">PROPOSE</button>
+                        `}
+                    </div>
+                `).join('')}
+            </div>
+            
+            ${focus.relation !== 'hostile' ? `
+            <div class="panel-section">
+                <div class="panel-section-header">WAR</div>
+                <div class="panel-row">
+                    <span class="panel-label">Justification</span>
+                    <span class="panel-value">${!justification ? 'None'
+                        : justification.daysLeft > 0 ? `Justifying (${justification.daysLeft}d)`
+                        : `Ready (expires in ${justification.expiresIn}d)`}</span>
+                </div>
+                <div class="unit-actions">
+                    <button class="build-btn" data-justify ${focus.justify.available ? '' : 'disabled'}
+                            title="${focus.justify.reason}">JUSTIFY WAR</button>
+                    <button class="build-btn disband-btn" data-declare-war ${focus.war.available ? '' : 'disabled'}
+                            title="${focus.war.reason}">DECLARE WAR</button>
+                </div>
+            </div>
+            ` : ''}
+        `;
+    }
+    
+    /**
+     * Diplomacy screen section for one of the player's wars, with peace
+     * terms for war leaders
+     * @param {Object} war
+     * @returns {string} HTML
+     */
+    renderWar(war) {
+        return `
+            <div class="panel-section">
+                <div class="panel-section-header">${war.name.toUpperCase()}</div>
+                <div class="panel-row">
+                    <span class="panel-label">Began</span>
+                    <span class="panel-value">${war.startedOn ? GameDate.from(war.startedOn).format(DATE_FORMATS.SHORT) : '?'}</span>
+                </div>
+                <div class="panel-row">
+                    <span class="panel-label">Sides</span>
+                    <span class="panel-value">${war.attackers.join(', ')} vs ${war.defenders.join(', ')}</span>
+                </div>
+                <div class="panel-row">
+                    <span class="panel-label">War score</span>
+                    <span class="panel-value ${war.score < 0 ? 'negative' : ''}">${war.score > 0 ? '+' : ''}${war.score} (taken ${war.gained.length}, lost ${war.lost})</span>
+                </div>
+                ${war.leader ? `
+                ${war.gained.map(state => `
+                    <label class="panel-row">
+                        <span class="panel-label">Demand ${state.name}</span>
+                        <input type="checkbox" data-demand-war="${war.id}" value="${state.id}">
+                    </label>
+                `).join('')}
+                <div class="panel-row">
+                    <span class="panel-label">They would give up</span>
+                    <span class="panel-value">${war.maxDemands} territor${war.maxDemands === 1 ? 'y' : 'ies'}</span>
+                </div>
+                <div class="unit-actions">
+                    <button class="build-btn" data-peace="${war.id}">PROPOSE PEACE</button>
+                </div>
+                ` : `
+                <div class="panel-row">
+                    <span class="panel-label unit-hint">Only the war leaders can negotiate peace</span>
+                </div>
+                `}
+            </div>
+        `;
+    }
+    
+    /**
+     * Diplomacy screen section for factions: the player's own, with
+     * membership requests for its leader, and the others to join
+     * @param {Object} factions - { own, others, create }
+     * @returns {string} HTML
+     */
+    renderFactions({ own, others, create }) {
+        const swatch = (faction) => `<span class="faction-swatch" style="background: ${faction.color}"></span>`;
+        
+        return `
+            <div class="panel-section">
+                <div class="panel-section-header">FACTIONS</div>
+                ${own ? `
+                <div class="panel-row">
+                    <span class="panel-label">${swatch(own)}${escapeHTML(own.name)}</span>
+                    <span class="panel-value">Victory score ${own.score > 0 ? '+' : ''}${own.score}</span>
+                </div>
+                <div class="panel-row">
+                    <span class="panel-label">Leader ${own.leaderId}</span>
+                    <span class="panel-value">${own.members.join(', ')}</span>
+                </div>
+                ${own.leader ? own.requests.map(nationId => `
+                    <div class="panel-row">
+                        <span class="panel-label">${nationId} asks to join</span>
+                        <span class="panel-value">
+                            <button class="build-btn" data-request="${nationId}" data-accept="true">ACCEPT</button>
+                            <button class="build-btn disband-btn" data-request="${nationId}" data-accept="false">REJECT</button>
+                        </span>
+                    </div>
+                `).join('') : ''}
+                <div class="unit-actions">
+                    <button class="build-btn disband-btn" data-leave-faction>LEAVE FACTION</button>
+                </div>
+                ` : `
+                <div class="unit-actions">
+                    <input type="text" class="faction-name" placeholder="Faction name" maxlength="40">
+                    <button class="build-btn" data-create-faction ${create.available ? '' : 'disabled'}
+                            title="${create.reason}">FOUND FACTION</button>
+                </div>
+                `}
+                ${others.map(faction => `
+                    <div class="panel-row">
+                        <span class="panel-label">${swatch(faction)}${escapeHTML(faction.name)} · ${faction.leaderId}</span>
+                        <span class="panel-value">
+                            ${faction.members.length} member${faction.members.length === 1 ? '' : 's'} · ${faction.score > 0 ? '+' : ''}${faction.score}
+                            ${own ? '' : `
+                            <button class="build-btn" data-join-faction="${faction.id}" ${faction.available ? '' : 'disabled'}
+                                    title="${faction.reason}">REQUEST</button>
+                            `}
+                        </span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+    
+    /**
+     * Render the division designer and open it if it isn't already:
+     * the nation's templates and a form for a new one
+     * @param {Object|null} panel - { templates, battalions, maxBattalions }, null without a player nation
+     */
+    showTemplates(panel) {
+        const { templatesContent, templatesModal } = this.elements;
+        if (!templatesContent) return;
+        
+        if (!panel) {
+            templatesContent.innerHTML = `
+                <div class="panel-placeholder">
+                    <span class="placeholder-icon">▤</span>
+                    <span class="placeholder-text">NO NATION UNDER COMMAND</span>
+                </div>
+            `;
+        } else {
+            const { templates, battalions, maxBattalions } = panel;
+            
+            templatesContent.innerHTML = `
+                <div class="panel-section">
+                    <div class="panel-section-header">TEMPLATES</div>
+                    ${templates.map(template => `
+                        <div class="panel-row" title="${template.battalions.map(battalion => `${battalion.count}× ${battalion.name}`).join(', ')}">
+                            <span class="panel-label">${escapeHTML(template.name)}</span>
+                            <span class="panel-value">
+                                ${template.stats.attack.toFixed(1)} / ${template.stats.defence.toFixed(1)} · ${template.stats.speed.toFixed(1)} km/h · ${template.stats.manpower.toLocaleString()} men
+                            </span>
+                        </div>
+                    `).join('')}
+                </div>
+                
+                <div class="panel-section">
+                    <div class="panel-section-header">NEW TEMPLATE</div>
+                    ${battalions.map(battalion => `
+                        <div class="panel-row" title="Attack ${battalion.attack}, defence ${battalion.defence}, ${battalion.speed} km/h; ${battalion.manpower.toLocaleString()} manpower, ${battalion.equipment} equipment">
+                            <span class="panel-label">${battalion.symbol} ${battalion.name}</span>
+                            <span class="panel-value">
+                                <input type="number" class="template-count" data-battalion="${battalion.id}" min="0" max="${maxBattalions}" value="0">
+                            </span>
+                        </div>
+                    `).join('')}
+                    <div class="panel-row">
+                        <span class="panel-label">Battalions</span>
+                        <span class="panel-value" data-battalion-total>0/${maxBattalions}</span>
+                    </div>
+                    <div class="unit-actions">
+                        <input type="text" class="template-name" placeholder="Template name" maxlength="40">
+                        <button class="build-btn" data-create-template disabled>CREATE TEMPLATE</button>
+                    </div>
+                </div>
+            `;
+            
+            const inputs = Array.from(templatesContent.querySelectorAll('[data-battalion]'));
+            const nameInput = templatesContent.querySelector('.template-name');
+            const createBtn = templatesContent.querySelector('[data-create-template]');
+            const counts = () => Object.fromEntries(inputs.map(input => [input.dataset.battalion, Math.max(0, Math.floor(Number(input.value) || 0))]));
+            
+            // Keep the battalion count and the button in step with the form
+            const refresh = () => {
+                const total = Object.values(counts()).reduce((sum, count) => sum + count, 0);
+                templatesContent.querySelector('[data-battalion-total]').textContent = `${total}/${maxBattalions}`;
+                createBtn.disabled = total < 1 || total > maxBattalions || !nameInput.value.trim();
+            };
+            inputs.forEach(input => input.addEventListener('input', refresh));
+            nameInput.addEventListener('input', refresh);
+            
+            createBtn.addEventListener('click', () => this.onTemplateCreate?.(nameInput.value, counts()));
+        }
+        
+        if (this.currentModal !== templatesModal) this.openModal('modal-templates');
+    }
+    
+    /**
+     * Render the battle popup and open it if it isn't already
+     * @param {Object|null} summary - From CombatSystem.getBattleSummary, null once the battle is over
+     */
+    showBattle(summary) {
+        const { battleContent, battleModal } = this.elements;
+        if (!battleContent) return;
+        
+        if (!summary) {
+            battleContent.innerHTML = `
+                <div class="panel-placeholder">
+                    <span class="placeholder-icon">⚔</span>
+                    <span class="placeholder-text">THE BATTLE IS OVER</span>
+                </div>
+            `;
+        } else {
+            const { battle, state, terrain, forts, defenceModifier } = summary;
+            const unitRow = (unit) => `
+                <div class="battle-unit">
+                    <div class="resource-header">
+                        <span class="resource-name">${escapeHTML(unit.name)}</span>
+                        <span class="resource-value">${Math.round(unit.strength * 100)}%</span>
+                    </div>
+                    <div class="resource-track" title="Organisation ${Math.round(unit.organisation)}/${Math.round(unit.maxOrganisation)}">
+                        <div class="resource-fill" style="width: ${unit.maxOrganisation > 0 ? Math.round(unit.organisation / unit.maxOrganisation * 100) : 0}%"></div>
+                    </div>
+                </div>
+            `;
+            const side = (key, label, nationId, units) => `
+                <div class="panel-section battle-side ${key}">
+                    <div class="panel-section-header">${label} · ${nationId}</div>
+                    <div class="panel-row">
+                        <span class="panel-label">Firepower</span>
+                        <span class="panel-value">${battle.power[key].toFixed(1)}</span>
+                    </div>
+                    ${battle.air[key] > 0 ? `
+                    <div class="panel-row">
+                        <span class="panel-label">Air support</span>
+                        <span class="panel-value">+${Math.round(battle.air[key] * 100)}%</span>
+                    </div>
+                    ` : ''}
+                    <div class="panel-row">
+                        <span class="panel-label">Casualties</span>
+                        <span class="panel-value">${battle.casualties[key].toLocaleString()}</span>
+                    </div>
+                    <div class="panel-row">
+                        <span class="panel-label">Divisions lost</span>
+                        <span class="panel-value">${battle.destroyed[key]}</span>
+                    </div>
+                    ${units.map(unitRow).join('')}
+                </div>
+            `;
+            
+            battleContent.innerHTML = `
+                <div class="panel-section">
+                    <div class="panel-section-header">BATTLE OF ${(state.name || state.id).toUpperCase()}</div>
+                    <div class="panel-row">
+                        <span class="panel-label">Began</span>
+                        <span class="panel-value">${battle.startedOn ? GameDate.from(battle.startedOn).format(DATE_FORMATS.SHORT) : '?'} (${battle.hours}h)</span>
+                    </div>
+                    <div class="panel-row">
+                        <span class="panel-label">Terrain</span>
+                        <span class="panel-value">${terrain.name}${forts ? ` · Forts ${forts}` : ''} · Defence ×${defenceModifier.toFixed(2)}</span>
+                    </div>
+                    <div class="panel-row">
+                        <span class="panel-label">Attacker odds</span>
+                        <span class="panel-value">${battle.odds.toFixed(2)} : 1</span>
+                    </div>
+                </div>
+                
+                <div class="battle-sides">
+                    ${side('attacker', 'ATTACKER', battle.attacker, summary.attackers)}
+                    ${side('defender', 'DEFENDER', battle.defender, summary.defenders)}
+                </div>
+            `;
+        }
+        
+        if (this.currentModal !== battleModal) this.openModal('modal-battle');
+    }
+    
+    /**
+     * Clear territory panel
+     */
+    clearTerritoryPanel() {
+        const { territoryPanel } = this.elements;
+        if (territoryPanel) {
+            territoryPanel.innerHTML = `
+                <div class="panel-placeholder">
+                    <span class="placeholder-icon">◎</span>
+                    <span class="placeholder-text">HOVER OVER TERRITORY</span>
+                </div>
+            `;
+        }
+    }
+    
+    // Callbacks (set by main app)
+    onSpeedChange = null;
+    onAuthClick = null;
+    onModalToggle = null;
+    onMapModeChange = null;
+    onBuildOrder = null;
+    onBudgetChange = null;
+    onLawChange = null;
+    onRecruitOrder = null;
+    onUnitSelect = null;
+    onDisband = null;
+    onUnitHalt = null;
+    onTemplatesOpen = null;
+    onTemplateCreate = null;
+    onResearchOpen = null;
+    onResearchStart = null;
+    onResearchCancel = null;
+    onShipOrder = null;
+    onShipCancel = null;
+    onFleetSelect = null;
+    onFleetMission = null;
+    onFleetReturn = null;
+    onWingOrder = null;
+    onWingCancel = null;
+    onWingSelect = null;
+    onWingMission = null;
+    onWingStandDown = null;
+    onMissileOrder = null;
+    onMissileCancel = null;
+    onMissileLaunch = null;
+    onDiplomacyOpen = null;
+    onDiplomacyFocus = null;
+    onTreatySign = null;
+    onTreatyCancel = null;
+    onJustifyWar = null;
+    onDeclareWar = null;
+    onPeaceProposal = null;
+    onFactionCreate = null;
+    onFactionRequest = null;
+    onFactionRespond = null;
+    onFactionLeave = null;
+}
+
+/**
+ * One-line description of a tech effect for the research screen
+ * @param {Object} effect
+ * @returns {string}
+ */
+function describeEffect(effect) {
+    const percent = (value) => `+${Math.round(value * 100)}%`;
+    const label = (id) => id.replace(/_/g, ' ');
+    
+    switch (effect.type) {
+        case 'unlock_building': return `Unlocks ${label(effect.building)}`;
+        case 'unlock_unit': return `Unlocks ${label(effect.unit)} units`;
+        case 'building_output': return `${percent(effect.value)} ${label(effect.building)} output`;
+        case 'unit_stat': return `${percent(effect.value)} ${label(effect.unit)} ${effect.stat}`;
+        case 'gdp': return `${percent(effect.value)} GDP`;
+        case 'research_slots': return `+${effect.value} research slot${effect.value === 1 ? '' : 's'}`;
+        default: return label(effect.type);
+    }
+}
+
+/**
+ * Escape text for use in HTML, e.g. names players type in
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHTML(text) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(text).replace(/[&<>"']/g, char => entities[char]);
 }
@@ -17,6 +17,7 @@ export class InputHandler {
         this.mouseY = 0;
         this.hoveredState = null;
         this.selectedState = null;
+        this.groupStates = new Set(); // States highlighted alongside the selection
         
         // Throttling
         this.lastHoverCheck = 0;
@@ -28,6 +29,20 @@ export class InputHandler {
         this.onStateSelect = null;
         this.onCoordsUpdate = null;
         this.onKeyPress = null;
+        this.onUnitClick = null;
+        this.onBattleClick = null;
+        this.onFleetClick = null;
+        
+        // (state, { append }) => true if the click was taken as an order
+        this.onStateOrder = null;
+        
+        // ({ lat, lon }) => true if a right click on open sea was taken as an order
+        this.onSeaOrder = null;
+        
+        // (x, y) => unit ID / fleet ID / battle state ID under the cursor, or null
+        this.pickUnit = null;
+        this.pickFleet = null;
+        this.pickBattle = null;
         
         // Tooltip element
         this.tooltip = document.getElementById('tooltip');
@@ -81,7 +96,30 @@ export class InputHandler {
             // Ignore if user was dragging
             if (this.globe.controls.state !== 0) return; // STATE.NONE = 0
             
+            // Unit markers sit on top of territories
+            const unitId = this.pickUnit?.(e.clientX, e.clientY);
+            if (unitId) {
+                this.onUnitClick?.(unitId, e);
+                return;
+            }
+            
+            const fleetId = this.pickFleet?.(e.clientX, e.clientY);
+            if (fleetId) {
+                this.onFleetClick?.(fleetId, e);
+                return;
+            }
+            
+            const battleId = this.pickBattle?.(e.clientX, e.clientY);
+            if (battleId) {
+                this.onBattleClick?.(battleId, e);
+                return;
+            }
+            
             const state = this.getStateAtMouse();
+            
+            // Shift-click queues a waypoint
+            if (state && e.shiftKey && this.onStateOrder?.(state, { append: true })) return;
+            
             if (state) {
                 this.selectState(state);
             } else {
@@ -89,9 +127,16 @@ export class InputHandler {
             }
         });
         
-        // Right click - deselect
+        // Right click - order the selected unit or fleet there, otherwise deselect
         canvas.addEventListener('contextmenu', (e) => {
             e.preventDefault();
+            
+            const state = this.getStateAtMouse();
+            if (state && this.onStateOrder?.(state, { append: e.shiftKey })) return;
+            
+            const coords = !state && this.globe.screenToLatLon(this.mouseX, this.mouseY);
+            if (coords && this.onSeaOrder?.(coords)) return;
+            
             this.deselectState();
         });
     }
@@ -150,14 +195,16 @@ export class InputHandler {
         const state = this.getStateAtMouse();
         
         if (state !== this.hoveredState) {
-            // Unhighlight previous
-            if (this.hoveredState) {
+            // Unhighlight previous (selected states keep their highlight)
+            if (this.hoveredState && !this.isPinned(this.hoveredState)) {
                 this.map.unhighlightState(this.hoveredState.id);
             }
             
             // Highlight new
             if (state) {
-                this.map.highlightState(state.id);
+                if (!this.isPinned(state)) {
+                    this.map.highlightState(state.id);
+                }
                 this.showTooltip(state);
             } else {
                 this.hideTooltip();
@@ -202,7 +249,9 @@ export class InputHandler {
      */
     clearHover() {
         if (this.hoveredState) {
-            this.map.unhighlightState(this.hoveredState.id);
+            if (!this.isPinned(this.hoveredState)) {
+                this.map.unhighlightState(this.hoveredState.id);
+            }
             this.hoveredState = null;
             this.refreshTexture();
         }
@@ -237,6 +286,39 @@ export class InputHandler {
         this.refreshTexture();
     }
     
+    /**
+     * Highlight a group of states alongside the selection (e.g. all of
+     * the selected nation's territories), replacing the previous group
+     * @param {Array<string>} stateIds
+     * @param {string} color
+     */
+    highlightGroup(stateIds, color = '#2f4038') {
+        for (const id of this.groupStates) {
+            if (id !== this.selectedState?.id) {
+                this.map.unhighlightState(id);
+            }
+        }
+        
+        this.groupStates = new Set(stateIds);
+        
+        for (const id of this.groupStates) {
+            if (id !== this.selectedState?.id) {
+                this.map.highlightState(id, color);
+            }
+        }
+        
+        this.refreshTexture();
+    }
+    
+    /**
+     * Whether a state's highlight belongs to the selection rather than hover
+     * @param {Object} state
+     * @returns {boolean}
+     */
+    isPinned(state) {
+        return state === this.selectedState || this.groupStates.has(state.id);
+    }
+    
     /**
      * Deselect current state
      */
@@ -306,12 +388,19 @@ export class InputHandler {
     }
     
     /**
-     * Refresh the globe texture after map changes
+     * Refresh the globe texture after map changes. Only states whose
+     * fill changed are repainted and uploaded.
      */
     async refreshTexture() {
         if (!this.map.isLoaded) return;
         
         try {
+            const regions = this.map.renderDirtyRegions();
+            if (regions) {
+                this.globe.updateMapRegions(this.map.canvas, regions);
+                return;
+            }
+            
             const canvas = await this.map.renderToCanvas();
             this.globe.updateMapTexture(canvas);
         } catch (error) {
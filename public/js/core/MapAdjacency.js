@@ -0,0 +1,203 @@
+/**
+ * Map Adjacency
+ * STRATCOM Global Command
+ *
+ * Derives which territories border each other from their outlines.
+ * Land neighbours share a border (vertices of one lie on the other's
+ * edges); sea neighbours are coastal territories whose coastlines lie
+ * within sea range of each other.
+ */
+
+const DEFAULTS = {
+    tolerance: 0.15,       // Max gap (SVG units) between two sides of a shared border
+    minSharedPoints: 2,    // Ignore single-point (corner) contacts
+    seaRange: 8,           // Max coast-to-coast distance (SVG units) for sea links
+    coastSample: 1,        // Coastline sampling grid (SVG units)
+    wrapWidth: 0           // Map width, for sea links across the antimeridian
+};
+
+// Segment grid cell size (SVG units)
+const SEGMENT_CELL = 2;
+
+/**
+ * Compute land and sea adjacency
+ * @param {Map<string, Object>} geometry - State ID -> { rings, bounds } in SVG space
+ * @param {Object} options - See DEFAULTS
+ * @returns {Object} { land: Map<id, Set<id>>, sea: Map<id, Set<id>>, coastal: Set<id> }
+ */
+export function computeAdjacency(geometry, options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    const ids = Array.from(geometry.keys());
+    const rings = ids.map(id => geometry.get(id).rings);
+
+    const segments = buildSegmentGrid(rings, settings.tolerance);
+
+    const land = new Map(ids.map(id => [id, new Set()]));
+    const sea = new Map(ids.map(id => [id, new Set()]));
+    const coastal = new Set();
+    const coastPoints = [];
+
+    rings.forEach((stateRings, index) => {
+        const shared = new Map();
+        const sampled = new Set();
+
+        for (const ring of stateRings) {
+            for (let i = 0; i < ring.length; i += 2) {
+                const x = ring[i], y = ring[i + 1];
+                const neighbours = segments.statesNear(x, y, index);
+
+                if (neighbours.size > 0) {
+                    for (const other of neighbours) {
+                        shared.set(other, (shared.get(other) || 0) + 1);
+                    }
+                    continue;
+                }
+
+                // Nobody else borders this point - it's coastline
+                coastal.add(ids[index]);
+                const key = `${Math.floor(x / settings.coastSample)},${Math.floor(y / settings.coastSample)}`;
+                if (!sampled.has(key)) {
+                    sampled.add(key);
+                    coastPoints.push(index, x, y);
+                }
+            }
+        }
+
+        for (const [other, count] of shared) {
+            if (count >= settings.minSharedPoints) {
+                land.get(ids[index]).add(ids[other]);
+                land.get(ids[other]).add(ids[index]);
+            }
+        }
+    });
+
+    linkCoasts(coastPoints, settings, (a, b) => {
+        if (land.get(ids[a]).has(ids[b])) return;
+        sea.get(ids[a]).add(ids[b]);
+        sea.get(ids[b]).add(ids[a]);
+    });
+
+    return { land, sea, coastal };
+}
+
+/**
+ * Grid of outline segments for "which states have an edge near this
+ * point" queries
+ */
+function buildSegmentGrid(rings, tolerance) {
+    const cells = new Map();
+    const segs = []; // Flat [state, x1, y1, x2, y2, ...]
+
+    rings.forEach((stateRings, index) => {
+        for (const ring of stateRings) {
+            const n = ring.length;
+            for (let i = 0, j = n - 2; i < n; j = i, i += 2) {
+                const x1 = ring[j], y1 = ring[j + 1], x2 = ring[i], y2 = ring[i + 1];
+                const segIndex = segs.length;
+                segs.push(index, x1, y1, x2, y2);
+
+                // Register in every cell the (padded) segment touches
+                const cx0 = Math.floor((Math.min(x1, x2) - tolerance) / SEGMENT_CELL);
+                const cx1 = Math.floor((Math.max(x1, x2) + tolerance) / SEGMENT_CELL);
+                const cy0 = Math.floor((Math.min(y1, y2) - tolerance) / SEGMENT_CELL);
+                const cy1 = Math.floor((Math.max(y1, y2) + tolerance) / SEGMENT_CELL);
+                for (let cy = cy0; cy <= cy1; cy++) {
+                    for (let cx = cx0; cx <= cx1; cx++) {
+                        const key = `${cx},${cy}`;
+                        let list = cells.get(key);
+                        if (!list) {
+                            list = [];
+                            cells.set(key, list);
+                        }
+                        list.push(segIndex);
+                    }
+                }
+            }
+        }
+    });
+
+    const toleranceSq = tolerance * tolerance;
+
+    return {
+        /**
+         * States (other than self) with an edge within tolerance of (x, y)
+         */
+        statesNear(x, y, self) {
+            const found = new Set();
+            const list = cells.get(`${Math.floor(x / SEGMENT_CELL)},${Math.floor(y / SEGMENT_CELL)}`);
+            if (!list) return found;
+
+            for (const s of list) {
+                const state = segs[s];
+                if (state === self || found.has(state)) continue;
+                if (segmentDistanceSq(x, y, segs[s + 1], segs[s + 2], segs[s + 3], segs[s + 4]) <= toleranceSq) {
+                    found.add(state);
+                }
+            }
+            return found;
+        }
+    };
+}
+
+/**
+ * Call link(a, b) for each pair of states with coast points in sea range
+ */
+function linkCoasts(points, { seaRange, wrapWidth }, link) {
+    const cells = new Map();
+    const columns = wrapWidth > 0 ? Math.ceil(wrapWidth / seaRange) : 0;
+
+    for (let p = 0; p < points.length; p += 3) {
+        const key = `${Math.floor(points[p + 1] / seaRange)},${Math.floor(points[p + 2] / seaRange)}`;
+        let list = cells.get(key);
+        if (!list) {
+            list = [];
+            cells.set(key, list);
+        }
+        list.push(p);
+    }
+
+    const rangeSq = seaRange * seaRange;
+    const linked = new Set();
+
+    for (let p = 0; p < points.length; p += 3) {
+        const state = points[p], x = points[p + 1], y = points[p + 2];
+        const cx = Math.floor(x / seaRange), cy = Math.floor(y / seaRange);
+
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                let nx = cx + dx;
+                let shift = 0;
+                if (columns && (nx < 0 || nx >= columns)) {
+                    shift = nx < 0 ? -wrapWidth : wrapWidth;
+                    nx = (nx + columns) % columns;
+                }
+
+                const list = cells.get(`${nx},${cy + dy}`);
+                if (!list) continue;
+
+                for (const q of list) {
+                    const other = points[q];
+                    if (other <= state) continue;
+
+                    const pairKey = state * 65536 + other;
+                    if (linked.has(pairKey)) continue;
+
+                    const ox = points[q + 1] + shift - x, oy = points[q + 2] - y;
+                    if (ox * ox + oy * oy <= rangeSq) {
+                        linked.add(pairKey);
+                        link(state, other);
+                    }
+                }
+            }
+        }
+    }
+}
+
+function segmentDistanceSq(px, py, x1, y1, x2, y2) {
+    const dx = x2 - x1, dy = y2 - y1;
+    const lengthSq = dx * dx + dy * dy;
+    let t = lengthSq > 0 ? ((px - x1) * dx + (py - y1) * dy) / lengthSq : 0;
+    t = Math.max(0, Math.min(1, t));
+    const ex = x1 + t * dx - px, ey = y1 + t * dy - py;
+    return ex * ex + ey * ey;
+}
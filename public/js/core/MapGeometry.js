@@ -0,0 +1,555 @@
+/**
+ * Map Geometry
+ * STRATCOM Global Command
+ *
+ * SVG path parsing, transforms and polygon helpers used for territory
+ * hit-testing and metrics. Paths are flattened into rings of
+ * [x0, y0, x1, y1, ...] coordinates.
+ */
+
+// Max distance (SVG units) between flattened curve points
+const CURVE_TOLERANCE = 0.5;
+const MAX_CURVE_SEGMENTS = 16;
+
+const EARTH_RADIUS_KM = 6371;
+const DEG = Math.PI / 180;
+
+// Identity affine matrix [a, b, c, d, e, f]
+export const IDENTITY_MATRIX = [1, 0, 0, 1, 0, 0];
+
+/**
+ * Parse SVG path data into flattened polygon rings
+ * @param {string} d - Path "d" attribute
+ * @returns {Array<Array<number>>} Rings of flat [x, y, ...] coordinates
+ */
+export function parsePathData(d) {
+    const rings = [];
+    if (!d) return rings;
+
+    const scanner = new PathScanner(d);
+    let ring = null;
+    let command = null;
+    let x = 0, y = 0;           // Current point
+    let startX = 0, startY = 0; // Subpath start
+    let ctrlX = 0, ctrlY = 0;   // Last control point (for S/T)
+    let lastCommand = null;
+
+    const closeRing = () => {
+        if (ring && ring.length >= 6) rings.push(ring);
+        ring = null;
+    };
+
+    const lineTo = (nx, ny) => {
+        if (!ring) ring = [x, y];
+        ring.push(nx, ny);
+        x = nx;
+        y = ny;
+    };
+
+    while (scanner.hasMore()) {
+        if (scanner.peekCommand()) {
+            command = scanner.readCommand();
+        } else if (!command) {
+            break; // Garbage before first command
+        }
+
+        const relative = command === command.toLowerCase();
+        const ox = relative ? x : 0;
+        const oy = relative ? y : 0;
+
+        switch (command.toUpperCase()) {
+            case 'M': {
+                closeRing();
+                x = startX = ox + scanner.readNumber();
+                y = startY = oy + scanner.readNumber();
+                ring = [x, y];
+                // Subsequent pairs are implicit lineto
+                command = relative ? 'l' : 'L';
+                break;
+            }
+            case 'L':
+                lineTo(ox + scanner.readNumber(), oy + scanner.readNumber());
+                break;
+            case 'H':
+                lineTo(ox + scanner.readNumber(), y);
+                break;
+            case 'V':
+                lineTo(x, oy + scanner.readNumber());
+                break;
+            case 'C': {
+                const x1 = ox + scanner.readNumber(), y1 = oy + scanner.readNumber();
+                const x2 = ox + scanner.readNumber(), y2 = oy + scanner.readNumber();
+                const ex = ox + scanner.readNumber(), ey = oy + scanner.readNumber();
+                flattenCubic(x, y, x1, y1, x2, y2, ex, ey, lineTo);
+                ctrlX = x2; ctrlY = y2;
+                break;
+            }
+            case 'S': {
+                const reflect = 'CS'.includes(lastCommand);
+                const x1 = reflect ? 2 * x - ctrlX : x;
+                const y1 = reflect ? 2 * y - ctrlY : y;
+                const x2 = ox + scanner.readNumber(), y2 = oy + scanner.readNumber();
+                const ex = ox + scanner.readNumber(), ey = oy + scanner.readNumber();
+                flattenCubic(x, y, x1, y1, x2, y2, ex, ey, lineTo);
+                ctrlX = x2; ctrlY = y2;
+                break;
+            }
+            case 'Q': {
+                const x1 = ox + scanner.readNumber(), y1 = oy + scanner.readNumber();
+                const ex = ox + scanner.readNumber(), ey = oy + scanner.readNumber();
+                flattenQuadratic(x, y, x1, y1, ex, ey, lineTo);
+                ctrlX = x1; ctrlY = y1;
+                break;
+            }
+            case 'T': {
+                const reflect = 'QT'.includes(lastCommand);
+                const x1 = reflect ? 2 * x - ctrlX : x;
+                const y1 = reflect ? 2 * y - ctrlY : y;
+                const ex = ox + scanner.readNumber(), ey = oy + scanner.readNumber();
+                flattenQuadratic(x, y, x1, y1, ex, ey, lineTo);
+                ctrlX = x1; ctrlY = y1;
+                break;
+            }
+            case 'A': {
+                const rx = scanner.readNumber(), ry = scanner.readNumber();
+                const rotation = scanner.readNumber();
+                const largeArc = scanner.readFlag();
+                const sweep = scanner.readFlag();
+                const ex = ox + scanner.readNumber(), ey = oy + scanner.readNumber();
+                flattenArc(x, y, rx, ry, rotation, largeArc, sweep, ex, ey, lineTo);
+                break;
+            }
+            case 'Z':
+                if (ring) {
+                    closeRing();
+                }
+                x = startX;
+                y = startY;
+                break;
+            default:
+                throw new Error(`Unsupported path command: ${command}`);
+        }
+
+        lastCommand = command.toUpperCase();
+
+        // Z takes no arguments - don't repeat it implicitly
+        if (lastCommand === 'Z') command = null;
+    }
+
+    closeRing();
+    return rings;
+}
+
+/**
+ * Bounding box of a set of rings
+ * @param {Array<Array<number>>} rings
+ * @returns {Object|null} { minX, minY, maxX, maxY }
+ */
+export function ringsBounds(rings) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+
+    for (const ring of rings) {
+        for (let i = 0; i < ring.length; i += 2) {
+            if (ring[i] < minX) minX = ring[i];
+            if (ring[i] > maxX) maxX = ring[i];
+            if (ring[i + 1] < minY) minY = ring[i + 1];
+            if (ring[i + 1] > maxY) maxY = ring[i + 1];
+        }
+    }
+
+    return minX === Infinity ? null : { minX, minY, maxX, maxY };
+}
+
+/**
+ * Even-odd point-in-polygon test across all rings (holes supported)
+ * @param {Array<Array<number>>} rings
+ * @param {number} x
+ * @param {number} y
+ * @returns {boolean}
+ */
+export function pointInRings(rings, x, y) {
+    let inside = false;
+
+    for (const ring of rings) {
+        const n = ring.length;
+        for (let i = 0, j = n - 2; i < n; j = i, i += 2) {
+            const yi = ring[i + 1], yj = ring[j + 1];
+            if ((yi > y) !== (yj > y)) {
+                const xi = ring[i], xj = ring[j];
+                if (x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+                    inside = !inside;
+                }
+            }
+        }
+    }
+
+    return inside;
+}
+
+// ==========================================
+// TRANSFORMS
+// ==========================================
+
+/**
+ * Parse an SVG transform attribute into an affine matrix
+ * @param {string|null} transform - e.g. "translate(10 20) scale(2)"
+ * @returns {Array<number>} [a, b, c, d, e, f]
+ */
+export function parseTransform(transform) {
+    let matrix = IDENTITY_MATRIX;
+    if (!transform) return matrix;
+
+    const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+    let match;
+
+    while ((match = pattern.exec(transform))) {
+        const args = match[2].trim().split(/[\s,]+/).filter(Boolean).map(Number);
+        let next;
+
+        switch (match[1]) {
+            case 'matrix':
+                next = args.length === 6 ? args : IDENTITY_MATRIX;
+                break;
+            case 'translate':
+                next = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+                break;
+            case 'scale':
+                next = [args[0] ?? 1, 0, 0, args[1] ?? args[0] ?? 1, 0, 0];
+                break;
+            case 'rotate': {
+                const angle = (args[0] || 0) * DEG;
+                const cos = Math.cos(angle), sin = Math.sin(angle);
+                const [cx = 0, cy = 0] = args.slice(1);
+                next = multiplyMatrices(
+                    [1, 0, 0, 1, cx, cy],
+                    multiplyMatrices([cos, sin, -sin, cos, 0, 0], [1, 0, 0, 1, -cx, -cy])
+                );
+                break;
+            }
+            case 'skewX':
+                next = [1, 0, Math.tan((args[0] || 0) * DEG), 1, 0, 0];
+                break;
+            case 'skewY':
+                next = [1, Math.tan((args[0] || 0) * DEG), 0, 1, 0, 0];
+                break;
+        }
+
+        // Transforms in a list apply right-to-left
+        matrix = multiplyMatrices(matrix, next);
+    }
+
+    return matrix;
+}
+
+/**
+ * Multiply two affine matrices (m1 applied after m2)
+ * @param {Array<number>} m1
+ * @param {Array<number>} m2
+ * @returns {Array<number>}
+ */
+export function multiplyMatrices(m1, m2) {
+    const [a1, b1, c1, d1, e1, f1] = m1;
+    const [a2, b2, c2, d2, e2, f2] = m2;
+    return [
+        a1 * a2 + c1 * b2,
+        b1 * a2 + d1 * b2,
+        a1 * c2 + c1 * d2,
+        b1 * c2 + d1 * d2,
+        a1 * e2 + c1 * f2 + e1,
+        b1 * e2 + d1 * f2 + f1
+    ];
+}
+
+/**
+ * Apply an affine matrix to rings in place
+ * @param {Array<Array<number>>} rings
+ * @param {Array<number>} matrix
+ */
+export function transformRings(rings, matrix) {
+    const [a, b, c, d, e, f] = matrix;
+    if (a === 1 && b === 0 && c === 0 && d === 1 && e === 0 && f === 0) return;
+
+    for (const ring of rings) {
+        for (let i = 0; i < ring.length; i += 2) {
+            const x = ring[i], y = ring[i + 1];
+            ring[i] = a * x + c * y + e;
+            ring[i + 1] = b * x + d * y + f;
+        }
+    }
+}
+
+// ==========================================
+// METRICS
+// ==========================================
+
+/**
+ * Compute area, centroid, bounds and a label anchor for a territory
+ * @param {Array<Array<number>>} rings - Rings of flat [lon, lat, ...] degrees
+ * @returns {Object|null} { area, centroid, bounds, labelAnchor }
+ */
+export function polygonMetrics(rings) {
+    if (rings.length === 0) return null;
+
+    let area = 0;
+    let weightedLon = 0, weightedLat = 0, planarArea = 0;
+
+    rings.forEach((ring, index) => {
+        // Even-odd: a ring nested inside an odd number of others is a hole
+        const sign = isHole(rings, index) ? -1 : 1;
+        area += sign * Math.abs(sphericalRingArea(ring));
+
+        const { area: a, lon, lat } = planarRingCentroid(ring);
+        const signed = sign * Math.abs(a);
+        weightedLon += lon * signed;
+        weightedLat += lat * signed;
+        planarArea += signed;
+    });
+
+    const box = ringsBounds(rings);
+    const bounds = { north: box.maxY, south: box.minY, east: box.maxX, west: box.minX };
+
+    const centroid = planarArea > 0
+        ? { lat: weightedLat / planarArea, lon: weightedLon / planarArea }
+        : { lat: (bounds.north + bounds.south) / 2, lon: (bounds.east + bounds.west) / 2 };
+
+    return {
+        area: Math.abs(area),
+        centroid,
+        bounds,
+        labelAnchor: labelAnchor(rings, centroid)
+    };
+}
+
+/**
+ * Area of a lon/lat ring on the sphere in km²
+ * (signed; sign depends on winding)
+ * @param {Array<number>} ring
+ * @returns {number}
+ */
+export function sphericalRingArea(ring) {
+    const n = ring.length / 2;
+    if (n < 3) return 0;
+
+    let total = 0;
+    for (let i = 0; i < n; i++) {
+        const lower = ring[((i + n - 1) % n) * 2] * DEG;
+        const middleLat = ring[i * 2 + 1] * DEG;
+        const upper = ring[((i + 1) % n) * 2] * DEG;
+        total += (upper - lower) * Math.sin(middleLat);
+    }
+
+    return total * EARTH_RADIUS_KM * EARTH_RADIUS_KM / 2;
+}
+
+function planarRingCentroid(ring) {
+    let area = 0, cx = 0, cy = 0;
+    const n = ring.length;
+
+    for (let i = 0, j = n - 2; i < n; j = i, i += 2) {
+        const cross = ring[j] * ring[i + 1] - ring[i] * ring[j + 1];
+        area += cross;
+        cx += (ring[j] + ring[i]) * cross;
+        cy += (ring[j + 1] + ring[i + 1]) * cross;
+    }
+
+    area /= 2;
+    if (area === 0) {
+        return { area: 0, lon: ring[0], lat: ring[1] };
+    }
+    return { area, lon: cx / (6 * area), lat: cy / (6 * area) };
+}
+
+function isHole(rings, index) {
+    const x = rings[index][0], y = rings[index][1];
+    let depth = 0;
+
+    rings.forEach((other, i) => {
+        if (i !== index && pointInRings([other], x, y)) depth++;
+    });
+
+    return depth % 2 === 1;
+}
+
+/**
+ * Pick a point inside the territory for labels and markers. Uses the
+ * centroid when it falls inside, otherwise the middle of the widest
+ * inside span along the centroid's latitude.
+ */
+function labelAnchor(rings, centroid) {
+    if (pointInRings(rings, centroid.lon, centroid.lat)) {
+        return { ...centroid };
+    }
+
+    const box = ringsBounds(rings);
+    const candidates = [centroid.lat, (box.minY + box.maxY) / 2];
+
+    for (const lat of candidates) {
+        const crossings = [];
+        for (const ring of rings) {
+            const n = ring.length;
+            for (let i = 0, j = n - 2; i < n; j = i, i += 2) {
+                const yi = ring[i + 1], yj = ring[j + 1];
+                if ((yi > lat) !== (yj > lat)) {
+                    crossings.push((ring[j] - ring[i]) * (lat - yi) / (yj - yi) + ring[i]);
+                }
+            }
+        }
+        crossings.sort((a, b) => a - b);
+
+        let best = null, bestWidth = 0;
+        for (let i = 0; i + 1 < crossings.length; i += 2) {
+            const width = crossings[i + 1] - crossings[i];
+            if (width > bestWidth) {
+                bestWidth = width;
+                best = { lat, lon: (crossings[i] + crossings[i + 1]) / 2 };
+            }
+        }
+        if (best) return best;
+    }
+
+    return { ...centroid };
+}
+
+// ==========================================
+// CURVE FLATTENING
+// ==========================================
+
+function segmentCount(length) {
+    return Math.max(2, Math.min(MAX_CURVE_SEGMENTS, Math.ceil(length / CURVE_TOLERANCE)));
+}
+
+function flattenCubic(x0, y0, x1, y1, x2, y2, x3, y3, lineTo) {
+    const length = Math.hypot(x1 - x0, y1 - y0) + Math.hypot(x2 - x1, y2 - y1) + Math.hypot(x3 - x2, y3 - y2);
+    const steps = segmentCount(length);
+
+    for (let i = 1; i <= steps; i++) {
+        const t = i / steps;
+        const mt = 1 - t;
+        const a = mt * mt * mt, b = 3 * mt * mt * t, c = 3 * mt * t * t, e = t * t * t;
+        lineTo(a * x0 + b * x1 + c * x2 + e * x3, a * y0 + b * y1 + c * y2 + e * y3);
+    }
+}
+
+function flattenQuadratic(x0, y0, x1, y1, x2, y2, lineTo) {
+    const length = Math.hypot(x1 - x0, y1 - y0) + Math.hypot(x2 - x1, y2 - y1);
+    const steps = segmentCount(length);
+
+    for (let i = 1; i <= steps; i++) {
+        const t = i / steps;
+        const mt = 1 - t;
+        lineTo(mt * mt * x0 + 2 * mt * t * x1 + t * t * x2, mt * mt * y0 + 2 * mt * t * y1 + t * t * y2);
+    }
+}
+
+/**
+ * Flatten an elliptical arc (SVG spec F.6 endpoint -> center conversion)
+ */
+function flattenArc(x0, y0, rx, ry, rotation, largeArc, sweep, x, y, lineTo) {
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (rx === 0 || ry === 0 || (x0 === x && y0 === y)) {
+        lineTo(x, y);
+        return;
+    }
+
+    const phi = rotation * Math.PI / 180;
+    const cos = Math.cos(phi), sin = Math.sin(phi);
+    const dx = (x0 - x) / 2, dy = (y0 - y) / 2;
+    const x1p = cos * dx + sin * dy;
+    const y1p = -sin * dx + cos * dy;
+
+    // Scale radii up if they can't span the endpoints
+    const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+
+    const num = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+    const den = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+    let coef = Math.sqrt(Math.max(0, num / den));
+    if (largeArc === sweep) coef = -coef;
+
+    const cxp = coef * rx * y1p / ry;
+    const cyp = -coef * ry * x1p / rx;
+    const cx = cos * cxp - sin * cyp + (x0 + x) / 2;
+    const cy = sin * cxp + cos * cyp + (y0 + y) / 2;
+
+    const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const theta1 = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+    let delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+
+    if (!sweep && delta > 0) delta -= 2 * Math.PI;
+    if (sweep && delta < 0) delta += 2 * Math.PI;
+
+    const steps = segmentCount(Math.abs(delta) * Math.max(rx, ry));
+    for (let i = 1; i < steps; i++) {
+        const t = theta1 + delta * i / steps;
+        const ex = rx * Math.cos(t), ey = ry * Math.sin(t);
+        lineTo(cos * ex - sin * ey + cx, sin * ex + cos * ey + cy);
+    }
+    lineTo(x, y);
+}
+
+// ==========================================
+// PATH SCANNER
+// ==========================================
+
+const NUMBER_PATTERN = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y;
+const SEPARATOR_PATTERN = /[\s,]*/y;
+const COMMAND_PATTERN = /[MmLlHhVvCcSsQqTtAaZz]/;
+
+/**
+ * Minimal tokenizer for SVG path data
+ */
+class PathScanner {
+    constructor(d) {
+        this.d = d;
+        this.pos = 0;
+        this.skipSeparators();
+    }
+
+    skipSeparators() {
+        SEPARATOR_PATTERN.lastIndex = this.pos;
+        SEPARATOR_PATTERN.exec(this.d);
+        this.pos = SEPARATOR_PATTERN.lastIndex;
+    }
+
+    hasMore() {
+        return this.pos < this.d.length;
+    }
+
+    peekCommand() {
+        return COMMAND_PATTERN.test(this.d[this.pos]);
+    }
+
+    readCommand() {
+        const command = this.d[this.pos++];
+        this.skipSeparators();
+        return command;
+    }
+
+    readNumber() {
+        NUMBER_PATTERN.lastIndex = this.pos;
+        const match = NUMBER_PATTERN.exec(this.d);
+        if (!match) {
+            throw new Error(`Expected number at ${this.pos} in path data`);
+        }
+        this.pos = NUMBER_PATTERN.lastIndex;
+        this.skipSeparators();
+        return parseFloat(match[0]);
+    }
+
+    /**
+     * Arc flags may be packed without separators ("a5 5 0 011 1")
+     */
+    readFlag() {
+        const char = this.d[this.pos];
+        if (char !== '0' && char !== '1') {
+            throw new Error(`Expected arc flag at ${this.pos} in path data`);
+        }
+        this.pos++;
+        this.skipSeparators();
+        return char === '1';
+    }
+}
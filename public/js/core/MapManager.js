@@ -6,6 +6,29 @@
  */
 
 import { COLORS, GLOBE } from '../config/constants.js';
+import {
+    parsePathData,
+    ringsBounds,
+    pointInRings,
+    parseTransform,
+    multiplyMatrices,
+    transformRings,
+    polygonMetrics,
+    IDENTITY_MATRIX
+} from './MapGeometry.js';
+import { computeAdjacency } from './MapAdjacency.js';
+import { computeSeaZones, zoneAt } from './SeaZones.js';
+import { ADJACENCY_OVERRIDES } from '../data/adjacencyOverrides.js';
+
+// Bump when the adjacency algorithm changes to invalidate cached graphs
+const ADJACENCY_CACHE_VERSION = 1;
+const ADJACENCY_CACHE_KEY = 'stratcom.adjacency';
+
+// Retained rendering
+const OCEAN_COLOR = '#0a0f14';
+const LAND_COLOR = '#1a2520';
+const DIRTY_PADDING = 2;          // px around a state's bbox (covers its stroke)
+const FULL_REPAINT_RATIO = 0.5;   // Repaint everything past this share of the canvas
 
 export class MapManager {
     constructor() {
@@ -13,7 +36,17 @@ export class MapManager {
         this.svgString = null;
         this.states = new Map(); // Map of state ID -> state data
         this.stateElements = new Map(); // Map of state ID -> SVG element
-        this.spatialIndex = []; // Grid for fast state lookup
+        this.stateGeometry = new Map(); // Map of state ID -> { rings, bounds, matrix } in SVG space
+        this.spatialIndex = []; // Grid of candidate state IDs per cell
+        this.adjacency = new Map(); // Map of state ID -> Map(neighbor ID -> border type)
+        this.coastalStates = new Set();
+        this.seaZones = new Map(); // Map of zone ID -> { id, name, center, cells, neighbors, coasts }
+        this.seaZoneGrid = null; // Water sample grid for zone lookups
+        this.stateSeaZones = new Map(); // Map of coastal state ID -> Array of zone IDs
+        this.nationColors = new Map(); // Map of nation ID -> CSS color
+        
+        // SVG viewBox, mapped equirectangularly onto the globe
+        this.viewBox = { x: 0, y: 0, width: 360, height: 180 };
         
         // Spatial index settings
         this.gridWidth = 360;
@@ -24,6 +57,9 @@ export class MapManager {
         // Canvas for rendering
         this.canvas = null;
         this.context = null;
+        this.baseCanvas = null;        // Everything except the states, rendered once
+        this.statePaths = new Map();   // Map of state ID -> Path2D (built on first draw)
+        this.dirtyStates = new Set();  // States repainted on the next renderDirtyRegions()
         
         this.isLoaded = false;
     }
@@ -53,7 +89,11 @@ export class MapManager {
             }
             
             // Extract state/province elements
+            this.readViewBox();
             this.extractStates();
+            this.buildSpatialIndex();
+            this.buildAdjacency(svgPath);
+            this.buildSeaZones();
             
             this.isLoaded = true;
             console.log(`Loaded SVG with ${this.states.size} states`);
@@ -65,6 +105,26 @@ export class MapManager {
         }
     }
     
+    /**
+     * Read the root viewBox (falls back to width/height)
+     */
+    readViewBox() {
+        const svgRoot = this.svgDoc.documentElement;
+        const viewBox = svgRoot.getAttribute('viewBox')?.trim().split(/[\s,]+/).map(Number);
+        
+        if (viewBox?.length === 4 && viewBox.every(Number.isFinite)) {
+            const [x, y, width, height] = viewBox;
+            this.viewBox = { x, y, width, height };
+        } else {
+            this.viewBox = {
+                x: 0,
+                y: 0,
+                width: parseFloat(svgRoot.getAttribute('width')) || 360,
+                height: parseFloat(svgRoot.getAttribute('height')) || 180
+            };
+        }
+    }
+    
     /**
      * Extract state elements from SVG
      */
@@ -73,6 +133,9 @@ export class MapManager {
         const paths = this.svgDoc.querySelectorAll('path[id]');
         
         paths.forEach(path => {
+            // Skip pattern/marker definitions
+            if (path.closest('defs')) return;
+            
             const id = path.getAttribute('id');
             const name = path.getAttribute('data-name') || 
                          path.getAttribute('title') || 
@@ -95,12 +158,16 @@ export class MapManager {
                 id,
                 name: this.decodeHTMLEntities(name),
                 centroid,
+                bounds: null,       // { north, south, east, west } in degrees
+                area: 0,            // km²
+                labelAnchor: null,  // { lat, lon } guaranteed inside the outline
                 owner: null,
                 color: null,
                 data: {}
             });
             
             this.stateElements.set(id, path);
+            this.extractGeometry(id, path);
         });
         
         // Also check for groups with IDs
@@ -113,6 +180,9 @@ export class MapManager {
                     id,
                     name: this.decodeHTMLEntities(name),
                     centroid: null,
+                    bounds: null,
+                    area: 0,
+                    labelAnchor: null,
                     owner: null,
                     color: null,
                     data: {}
@@ -122,6 +192,132 @@ export class MapManager {
         });
     }
     
+    /**
+     * Parse a path's outline (in root viewBox space) for hit-testing
+     * and compute its geographic metrics
+     * @param {string} id
+     * @param {SVGPathElement} path
+     */
+    extractGeometry(id, path) {
+        let rings;
+        try {
+            rings = parsePathData(path.getAttribute('d'));
+        } catch (error) {
+            console.warn(`Could not parse geometry for ${id}:`, error.message);
+            return;
+        }
+        
+        const matrix = this.getElementMatrix(path);
+        transformRings(rings, matrix);
+        
+        const bounds = ringsBounds(rings);
+        if (!bounds) return;
+        
+        this.stateGeometry.set(id, { rings, bounds, matrix });
+        this.computeStateMetrics(id, rings);
+    }
+    
+    /**
+     * Accumulated transform from an element's space to the root viewBox,
+     * including ancestor group transforms and nested <svg> viewports
+     * @param {Element} element
+     * @returns {Array<number>} Affine matrix
+     */
+    getElementMatrix(element) {
+        const root = this.svgDoc.documentElement;
+        let matrix = IDENTITY_MATRIX;
+        
+        for (let node = element; node && node !== root; node = node.parentElement) {
+            const local = node.localName === 'svg'
+                ? this.getViewportMatrix(node)
+                : parseTransform(node.getAttribute('transform'));
+            matrix = multiplyMatrices(local, matrix);
+        }
+        
+        return matrix;
+    }
+    
+    /**
+     * Viewport transform of a nested <svg> element (stretch, no aspect ratio)
+     * @param {SVGSVGElement} svg
+     * @returns {Array<number>} Affine matrix
+     */
+    getViewportMatrix(svg) {
+        const x = parseFloat(svg.getAttribute('x')) || 0;
+        const y = parseFloat(svg.getAttribute('y')) || 0;
+        const viewBox = svg.getAttribute('viewBox')?.trim().split(/[\s,]+/).map(Number);
+        
+        if (viewBox?.length !== 4 || !viewBox.every(Number.isFinite)) {
+            return [1, 0, 0, 1, x, y];
+        }
+        
+        const [vx, vy, vw, vh] = viewBox;
+        const width = parseFloat(svg.getAttribute('width')) || vw;
+        const height = parseFloat(svg.getAttribute('height')) || vh;
+        const sx = width / vw;
+        const sy = height / vh;
+        
+        return [sx, 0, 0, sy, x - vx * sx, y - vy * sy];
+    }
+    
+    /**
+     * Convert a state's outline to lat/lon and store centroid, bounds,
+     * area and label anchor on the state record
+     * @param {string} id
+     * @param {Array<Array<number>>} rings - Rings in viewBox space
+     */
+    computeStateMetrics(id, rings) {
+        const state = this.states.get(id);
+        if (!state) return;
+        
+        const geoRings = rings.map(ring => {
+            const geo = new Array(ring.length);
+            for (let i = 0; i < ring.length; i += 2) {
+                const { lat, lon } = this.mapToLatLon(ring[i], ring[i + 1]);
+                geo[i] = lon;
+                geo[i + 1] = lat;
+            }
+            return geo;
+        });
+        
+        const metrics = polygonMetrics(geoRings);
+        if (!metrics) return;
+        
+        // Explicit data-lat/data-lon wins over the computed centroid
+        state.centroid = state.centroid || metrics.centroid;
+        state.bounds = metrics.bounds;
+        state.area = metrics.area;
+        state.labelAnchor = metrics.labelAnchor;
+    }
+    
+    /**
+     * Convert lat/lon to SVG viewBox coordinates
+     * @param {number} lat
+     * @param {number} lon
+     * @returns {Object} { x, y }
+     */
+    latLonToMap(lat, lon) {
+        const { x, y, width, height } = this.viewBox;
+        return {
+            x: x + (lon + 180) / 360 * width,
+            y: y + (90 - lat) / 180 * height
+        };
+    }
+    
+    /**
+     * Convert SVG viewBox coordinates to lat/lon
+     * @param {number} mapX
+     * @param {number} mapY
+     * @returns {Object} { lat, lon }
+     */
+    mapToLatLon(mapX, mapY) {
+        const { x, y, width, height } = this.viewBox;
+        return {
+            lat: 90 - (mapY - y) / height * 180,
+            lon: (mapX - x) / width * 360 - 180
+        };
+    }
+    
     /**
      * Decode HTML entities in names
      * @param {string} text
@@ -141,7 +337,12 @@ export class MapManager {
     setStateColor(stateId, color) {
         const element = this.stateElements.get(stateId);
         if (element) {
-            element.style.fill = color;
+            // Highlighted states show their new color once unhighlighted
+            if (element.hasAttribute('data-original-fill')) {
+                element.setAttribute('data-original-fill', color);
+            } else {
+                this.setElementFill(stateId, element, color);
+            }
             const state = this.states.get(stateId);
             if (state) {
                 state.color = color;
@@ -149,12 +350,26 @@ export class MapManager {
         }
     }
     
+    /**
+     * Change an element's fill and queue the state for repaint
+     * @param {string} stateId
+     * @param {Element} element
+     * @param {string} fill
+     */
+    setElementFill(stateId, element, fill) {
+        if (element.style.fill === fill) return;
+        element.style.fill = fill;
+        this.dirtyStates.add(stateId);
+    }
+    
     /**
      * Apply colors to all states based on nation ownership
      * @param {Map} nationColors - Map of nation ID -> color
      * @param {Map} stateOwnership - Map of state ID -> nation ID
      */
     applyNationColors(nationColors, stateOwnership) {
+        this.nationColors = new Map(nationColors);
+        
         for (const [stateId, nationId] of stateOwnership) {
             const color = nationColors.get(nationId);
             if (color) {
@@ -168,12 +383,11 @@ export class MapManager {
      */
     applyRadarTheme() {
         // Set default land color
-        const landColor = '#1a2520';
         const borderColor = '#00ff88';
         const borderWidth = '0.5';
         
         this.stateElements.forEach((element, id) => {
-            element.style.fill = landColor;
+            element.style.fill = LAND_COLOR;
             element.style.stroke = borderColor;
             element.style.strokeWidth = borderWidth;
             element.style.strokeOpacity = '0.6';
@@ -182,47 +396,114 @@ export class MapManager {
         // Also style any ocean/water elements
         const oceanElements = this.svgDoc.querySelectorAll('[id*="ocean"], [id*="water"], [id*="sea"]');
         oceanElements.forEach(el => {
-            el.style.fill = '#0a0f14';
+            el.style.fill = OCEAN_COLOR;
         });
+        
+        // Non-state elements may have changed too
+        this.baseCanvas = null;
     }
     
     /**
-     * Render the SVG to a canvas at specified dimensions
+     * Render the whole map to a canvas at specified dimensions
      * @param {number} width
      * @param {number} height
      * @returns {Promise<HTMLCanvasElement>}
      */
     async renderToCanvas(width = GLOBE.TEXTURE_WIDTH, height = GLOBE.TEXTURE_HEIGHT) {
+        // Create canvas if needed
+        if (!this.canvas || this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas = document.createElement('canvas');
+            this.canvas.width = width;
+            this.canvas.height = height;
+            this.context = this.canvas.getContext('2d');
+            this.baseCanvas = null;
+        }
+        
+        if (!this.baseCanvas) {
+            this.baseCanvas = await this.renderBaseLayer(width, height);
+        }
+        
+        this.repaintRegion({ x: 0, y: 0, width, height });
+        this.dirtyStates.clear();
+        
+        return this.canvas;
+    }
+    
+    /**
+     * Repaint only the states whose fill changed since the last render
+     * @returns {Array<Object>|null} Repainted { x, y, width, height } pixel
+     *   regions, or null if renderToCanvas() hasn't run yet
+     */
+    renderDirtyRegions() {
+        if (!this.baseCanvas) return null;
+        
+        const regions = mergeRegions(
+            Array.from(this.dirtyStates, id => this.getStateRegion(id)).filter(Boolean)
+        );
+        this.dirtyStates.clear();
+        
+        const { width, height } = this.canvas;
+        const area = regions.reduce((total, region) => total + region.width * region.height, 0);
+        
+        if (area > width * height * FULL_REPAINT_RATIO) {
+            const full = { x: 0, y: 0, width, height };
+            this.repaintRegion(full);
+            return [full];
+        }
+        
+        regions.forEach(region => this.repaintRegion(region));
+        return regions;
+    }
+    
+    /**
+     * Render everything except the states (background, decorations)
+     * by rasterising the SVG with the state elements hidden
+     * @param {number} width
+     * @param {number} height
+     * @returns {Promise<HTMLCanvasElement>}
+     */
+    renderBaseLayer(width, height) {
         return new Promise((resolve, reject) => {
-            // Create canvas if needed
-            if (!this.canvas || this.canvas.width !== width || this.canvas.height !== height) {
-                this.canvas = document.createElement('canvas');
-                this.canvas.width = width;
-                this.canvas.height = height;
-                this.context = this.canvas.getContext('2d');
-            }
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const context = canvas.getContext('2d');
             
             // Fill with ocean color
-            this.context.fillStyle = '#0a0f14';
-            this.context.fillRect(0, 0, width, height);
+            context.fillStyle = OCEAN_COLOR;
+            context.fillRect(0, 0, width, height);
             
             // Convert SVG to data URL
             const svgRoot = this.svgDoc.documentElement;
             
-            // Set viewBox for proper scaling
+            // Stretch the viewBox over the whole texture so it lines up
+            // with the equirectangular projection used for hit-testing
             svgRoot.setAttribute('width', width);
             svgRoot.setAttribute('height', height);
+            svgRoot.setAttribute('preserveAspectRatio', 'none');
+            
+            // States are drawn from cached paths on top of this layer
+            const hidden = [];
+            for (const id of this.stateGeometry.keys()) {
+                const element = this.stateElements.get(id);
+                hidden.push([element, element.style.visibility]);
+                element.style.visibility = 'hidden';
+            }
             
             const serializer = new XMLSerializer();
             const svgString = serializer.serializeToString(this.svgDoc);
+            hidden.forEach(([element, visibility]) => {
+                element.style.visibility = visibility;
+            });
+            
             const svgBlob = new Blob([svgString], { type: 'image/svg+xml;charset=utf-8' });
             const url = URL.createObjectURL(svgBlob);
             
             const img = new Image();
             img.onload = () => {
-                this.context.drawImage(img, 0, 0, width, height);
+                context.drawImage(img, 0, 0, width, height);
                 URL.revokeObjectURL(url);
-                resolve(this.canvas);
+                resolve(canvas);
             };
             img.onerror = (err) => {
                 URL.revokeObjectURL(url);
@@ -233,73 +514,391 @@ export class MapManager {
     }
     
     /**
-     * Build spatial index for fast state lookup by coordinates
-     * @param {Array} stateData - Array of { id, centroid: { lat, lon } }
+     * Redraw one pixel region of the canvas: base layer, then every
+     * state overlapping it in document order
+     * @param {Object} region - { x, y, width, height } in canvas pixels
      */
-    buildSpatialIndex(stateData) {
-        // Initialize grid
+    repaintRegion(region) {
+        const ctx = this.context;
+        const { x, y, width, height } = region;
+        
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(x, y, width, height);
+        ctx.clip();
+        ctx.drawImage(this.baseCanvas, x, y, width, height, x, y, width, height);
+        
+        for (const id of this.stateGeometry.keys()) {
+            const bounds = this.getStateRegion(id);
+            if (bounds.x < x + width && bounds.x + bounds.width > x &&
+                bounds.y < y + height && bounds.y + bounds.height > y) {
+                this.drawState(ctx, id);
+            }
+        }
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Draw a single state from its cached path with its current SVG style
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {string} stateId
+     */
+    drawState(ctx, stateId) {
+        const element = this.stateElements.get(stateId);
+        const { style } = element;
+        if (style.visibility === 'hidden' || style.display === 'none') return;
+        
+        let path = this.statePaths.get(stateId);
+        if (!path) {
+            path = new Path2D(element.getAttribute('d'));
+            this.statePaths.set(stateId, path);
+        }
+        
+        // viewBox -> canvas pixels, after the element's own transform
+        const { x: vx, y: vy, width: vw, height: vh } = this.viewBox;
+        const sx = this.canvas.width / vw;
+        const sy = this.canvas.height / vh;
+        const [a, b, c, d, e, f] = multiplyMatrices(
+            [sx, 0, 0, sy, -vx * sx, -vy * sy],
+            this.stateGeometry.get(stateId).matrix
+        );
+        ctx.setTransform(a, b, c, d, e, f);
+        
+        const fill = style.fill || element.getAttribute('fill') || LAND_COLOR;
+        if (fill !== 'none') {
+            ctx.globalAlpha = parseFloat(style.fillOpacity || 1);
+            ctx.fillStyle = fill;
+            ctx.fill(path, style.fillRule || element.getAttribute('fill-rule') || 'nonzero');
+        }
+        
+        const stroke = style.stroke || element.getAttribute('stroke');
+        if (stroke && stroke !== 'none') {
+            ctx.globalAlpha = parseFloat(style.strokeOpacity || 1);
+            ctx.strokeStyle = stroke;
+            ctx.lineWidth = parseFloat(style.strokeWidth || element.getAttribute('stroke-width') || 1);
+            ctx.stroke(path);
+        }
+        
+        ctx.globalAlpha = 1;
+    }
+    
+    /**
+     * A state's bounding box in canvas pixels, padded for its stroke
+     * @param {string} stateId
+     * @returns {Object|null} { x, y, width, height }
+     */
+    getStateRegion(stateId) {
+        const geometry = this.stateGeometry.get(stateId);
+        if (!geometry || !this.canvas) return null;
+        
+        const { x: vx, y: vy, width: vw, height: vh } = this.viewBox;
+        const { width, height } = this.canvas;
+        const { minX, minY, maxX, maxY } = geometry.bounds;
+        
+        const x0 = Math.max(0, Math.floor((minX - vx) / vw * width) - DIRTY_PADDING);
+        const y0 = Math.max(0, Math.floor((minY - vy) / vh * height) - DIRTY_PADDING);
+        const x1 = Math.min(width, Math.ceil((maxX - vx) / vw * width) + DIRTY_PADDING);
+        const y1 = Math.min(height, Math.ceil((maxY - vy) / vh * height) + DIRTY_PADDING);
+        
+        return { x: x0, y: y0, width: Math.max(0, x1 - x0), height: Math.max(0, y1 - y0) };
+    }
+    
+    /**
+     * Build spatial index for fast state lookup by coordinates.
+     * Each grid cell lists the states whose bounding box overlaps it.
+     */
+    buildSpatialIndex() {
         this.spatialIndex = new Array(this.cellsX * this.cellsY).fill(null);
         
-        // For each state, mark grid cells near its centroid
-        stateData.forEach(state => {
-            if (state.centroid) {
-                const { lat, lon } = state.centroid;
-                const gridX = Math.floor((lon + 180) * (this.cellsX / 360));
-                const gridY = Math.floor((90 - lat) * (this.cellsY / 180));
-                
-                // Mark surrounding cells too for better hit detection
-                for (let dx = -2; dx <= 2; dx++) {
-                    for (let dy = -2; dy <= 2; dy++) {
-                        const x = Math.max(0, Math.min(this.cellsX - 1, gridX + dx));
-                        const y = Math.max(0, Math.min(this.cellsY - 1, gridY + dy));
-                        const index = y * this.cellsX + x;
-                        
-                        if (!this.spatialIndex[index]) {
-                            this.spatialIndex[index] = [];
-                        }
-                        this.spatialIndex[index].push(state.id);
+        for (const [id, { bounds }] of this.stateGeometry) {
+            const topLeft = this.mapToLatLon(bounds.minX, bounds.minY);
+            const bottomRight = this.mapToLatLon(bounds.maxX, bounds.maxY);
+            
+            const x0 = this.lonToCell(topLeft.lon);
+            const x1 = this.lonToCell(bottomRight.lon);
+            const y0 = this.latToCell(topLeft.lat);
+            const y1 = this.latToCell(bottomRight.lat);
+            
+            for (let y = y0; y <= y1; y++) {
+                for (let x = x0; x <= x1; x++) {
+                    const index = y * this.cellsX + x;
+                    if (!this.spatialIndex[index]) {
+                        this.spatialIndex[index] = [];
                     }
+                    this.spatialIndex[index].push(id);
                 }
             }
-        });
+        }
+    }
+    
+    /**
+     * @param {number} lon
+     * @returns {number} Grid column
+     */
+    lonToCell(lon) {
+        const x = Math.floor((lon + 180) * (this.cellsX / 360));
+        return Math.max(0, Math.min(this.cellsX - 1, x));
     }
     
     /**
-     * Find the closest state to given coordinates
+     * @param {number} lat
+     * @returns {number} Grid row
+     */
+    latToCell(lat) {
+        const y = Math.floor((90 - lat) * (this.cellsY / 180));
+        return Math.max(0, Math.min(this.cellsY - 1, y));
+    }
+    
+    /**
+     * Find the state whose outline contains the given coordinates
      * @param {number} lat
      * @param {number} lon
      * @returns {Object|null} State data or null
      */
     findStateAtCoords(lat, lon) {
-        const gridX = Math.floor((lon + 180) * (this.cellsX / 360));
-        const gridY = Math.floor((90 - lat) * (this.cellsY / 180));
-        
-        // Clamp to valid range
-        const x = Math.max(0, Math.min(this.cellsX - 1, gridX));
-        const y = Math.max(0, Math.min(this.cellsY - 1, gridY));
-        const index = y * this.cellsX + x;
-        
+        const index = this.latToCell(lat) * this.cellsX + this.lonToCell(lon);
         const candidates = this.spatialIndex[index];
-        if (!candidates || candidates.length === 0) {
+        if (!candidates) {
             return null;
         }
         
-        // Find closest by centroid distance
-        let closest = null;
-        let minDist = Infinity;
+        const { x, y } = this.latLonToMap(lat, lon);
         
-        for (const stateId of candidates) {
-            const state = this.states.get(stateId);
-            if (state && state.centroid) {
-                const dist = this.haversineDistance(lat, lon, state.centroid.lat, state.centroid.lon);
-                if (dist < minDist) {
-                    minDist = dist;
-                    closest = state;
+        // Later paths paint over earlier ones, so test topmost first
+        for (let i = candidates.length - 1; i >= 0; i--) {
+            const { rings, bounds } = this.stateGeometry.get(candidates[i]);
+            if (x < bounds.minX || x > bounds.maxX || y < bounds.minY || y > bounds.maxY) {
+                continue;
+            }
+            if (pointInRings(rings, x, y)) {
+                return this.states.get(candidates[i]);
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Build the territory adjacency graph, reusing a cached copy when
+     * the same map was processed before
+     * @param {string} mapPath - Used with the SVG contents as the cache key
+     */
+    buildAdjacency(mapPath) {
+        const cacheKey = `${mapPath}:${this.svgString.length}:${hashString(this.svgString)}`;
+        let graph = this.loadAdjacencyCache(cacheKey);
+        
+        if (!graph) {
+            const start = performance.now();
+            const { land, sea, coastal } = computeAdjacency(this.stateGeometry, {
+                wrapWidth: this.viewBox.width
+            });
+            
+            const toObject = (links) => Object.fromEntries(
+                Array.from(links, ([id, neighbors]) => [id, Array.from(neighbors)])
+            );
+            graph = { land: toObject(land), sea: toObject(sea), coastal: Array.from(coastal) };
+            
+            console.log(`Computed adjacency in ${Math.round(performance.now() - start)}ms`);
+            this.saveAdjacencyCache(cacheKey, graph);
+        }
+        
+        this.adjacency = new Map(this.getAllStateIds().map(id => [id, new Map()]));
+        this.coastalStates = new Set(graph.coastal);
+        
+        for (const type of ['land', 'sea']) {
+            for (const [id, neighbors] of Object.entries(graph[type])) {
+                neighbors.forEach(neighborId => this.setAdjacency(id, neighborId, type));
+            }
+        }
+        
+        this.applyAdjacencyOverrides(ADJACENCY_OVERRIDES);
+    }
+    
+    /**
+     * Derive sea zones from the water between territories and name them
+     * after the coast nearest their centre
+     */
+    buildSeaZones() {
+        const start = performance.now();
+        const coastal = Array.from(this.coastalStates, id => {
+            const anchor = this.states.get(id)?.labelAnchor || this.states.get(id)?.centroid;
+            return anchor ? { id, lat: anchor.lat, lon: anchor.lon } : null;
+        }).filter(Boolean);
+        
+        const { zones, grid } = computeSeaZones((lat, lon) => this.findStateAtCoords(lat, lon)?.id || null, coastal);
+        this.seaZones = zones;
+        this.seaZoneGrid = grid;
+        this.stateSeaZones = new Map();
+        const names = new Set();
+        
+        for (const zone of zones.values()) {
+            let nearest = null;
+            let nearestKm = Infinity;
+            for (const stateId of zone.coasts) {
+                if (!this.stateSeaZones.has(stateId)) this.stateSeaZones.set(stateId, []);
+                this.stateSeaZones.get(stateId).push(zone.id);
+                
+                const anchor = this.states.get(stateId)?.labelAnchor;
+                const km = anchor ? this.haversineDistance(zone.center.lat, zone.center.lon, anchor.lat, anchor.lon) : Infinity;
+                if (km < nearestKm) {
+                    nearestKm = km;
+                    nearest = this.states.get(stateId);
                 }
             }
+            
+            zone.name = nearest ? `Off ${nearest.name || nearest.id}` : `Open Sea ${formatPosition(zone.center)}`;
+            if (names.has(zone.name)) zone.name += ` (${formatPosition(zone.center)})`;
+            names.add(zone.name);
+        }
+        
+        console.log(`Derived ${zones.size} sea zones in ${Math.round(performance.now() - start)}ms`);
+    }
+    
+    /**
+     * Apply manual straits, canals and removals
+     * @param {Object} overrides - { add: [{ a, b, type }], remove: [[a, b]] }
+     */
+    applyAdjacencyOverrides(overrides) {
+        for (const { a, b, type } of overrides.add || []) {
+            if (this.states.has(a) && this.states.has(b)) {
+                this.setAdjacency(a, b, type);
+            }
+        }
+        
+        for (const [a, b] of overrides.remove || []) {
+            this.adjacency.get(a)?.delete(b);
+            this.adjacency.get(b)?.delete(a);
+        }
+    }
+    
+    /**
+     * Connect two states in both directions
+     * @param {string} a
+     * @param {string} b
+     * @param {string} type - 'land', 'sea', 'strait' or 'canal'
+     */
+    setAdjacency(a, b, type) {
+        if (!this.adjacency.has(a)) this.adjacency.set(a, new Map());
+        if (!this.adjacency.has(b)) this.adjacency.set(b, new Map());
+        this.adjacency.get(a).set(b, type);
+        this.adjacency.get(b).set(a, type);
+    }
+    
+    /**
+     * @param {string} cacheKey
+     * @returns {Object|null} Cached graph for this map
+     */
+    loadAdjacencyCache(cacheKey) {
+        try {
+            const cached = JSON.parse(localStorage.getItem(ADJACENCY_CACHE_KEY));
+            if (cached?.version === ADJACENCY_CACHE_VERSION && cached.key === cacheKey) {
+                return cached.graph;
+            }
+        } catch (error) {
+            // Corrupt or unavailable storage - recompute
+        }
+        return null;
+    }
+    
+    /**
+     * @param {string} cacheKey
+     * @param {Object} graph
+     */
+    saveAdjacencyCache(cacheKey, graph) {
+        try {
+            localStorage.setItem(ADJACENCY_CACHE_KEY, JSON.stringify({
+                version: ADJACENCY_CACHE_VERSION,
+                key: cacheKey,
+                graph
+            }));
+        } catch (error) {
+            console.warn('Could not cache adjacency graph:', error.message);
+        }
+    }
+    
+    /**
+     * Get the IDs of neighboring states
+     * @param {string} stateId
+     * @param {string|Array<string>|null} types - Border type filter (default: all)
+     * @returns {Array<string>}
+     */
+    getNeighbors(stateId, types = null) {
+        const links = this.adjacency.get(stateId);
+        if (!links) return [];
+        
+        const allowed = types ? [].concat(types) : null;
+        const result = [];
+        for (const [neighborId, type] of links) {
+            if (!allowed || allowed.includes(type)) {
+                result.push(neighborId);
+            }
         }
+        return result;
+    }
+    
+    /**
+     * Border type between two states
+     * @param {string} a
+     * @param {string} b
+     * @returns {string|null} 'land', 'sea', 'strait', 'canal' or null
+     */
+    getBorderType(a, b) {
+        return this.adjacency.get(a)?.get(b) || null;
+    }
+    
+    /**
+     * @param {string} stateId
+     * @returns {boolean}
+     */
+    isCoastal(stateId) {
+        return this.coastalStates.has(stateId);
+    }
+    
+    /**
+     * @param {string} zoneId
+     * @returns {Object|null} Sea zone
+     */
+    getSeaZone(zoneId) {
+        return this.seaZones.get(zoneId) || null;
+    }
+    
+    /**
+     * Sea zones a coastal state borders
+     * @param {string} stateId
+     * @returns {Array<string>} Zone IDs
+     */
+    getSeaZonesOf(stateId) {
+        return this.stateSeaZones.get(stateId) || [];
+    }
+    
+    /**
+     * Sea zone a state's harbours open onto: of the zones it borders, the
+     * one whose centre is nearest its label anchor
+     * @param {string} stateId
+     * @returns {string|null} Zone ID
+     */
+    getPortZone(stateId) {
+        const anchor = this.states.get(stateId)?.labelAnchor;
+        const zoneIds = this.getSeaZonesOf(stateId);
+        if (!anchor || zoneIds.length < 2) return zoneIds[0] || null;
         
-        return closest;
+        const distance = (zoneId) => {
+            const { center } = this.seaZones.get(zoneId);
+            return this.haversineDistance(anchor.lat, anchor.lon, center.lat, center.lon);
+        };
+        return zoneIds.reduce((best, zoneId) => distance(zoneId) < distance(best) ? zoneId : best);
+    }
+    
+    /**
+     * Sea zone at the given coordinates, or the nearest one just off a coast
+     * @param {number} lat
+     * @param {number} lon
+     * @returns {Object|null} Sea zone
+     */
+    findSeaZoneAt(lat, lon) {
+        if (!this.seaZoneGrid) return null;
+        return this.seaZones.get(zoneAt(this.seaZoneGrid, lat, lon, 1)) || null;
     }
     
     /**
@@ -329,8 +928,11 @@ export class MapManager {
     highlightState(stateId, highlightColor = '#2a3530') {
         const element = this.stateElements.get(stateId);
         if (element) {
-            element.setAttribute('data-original-fill', element.style.fill || '');
-            element.style.fill = highlightColor;
+            // Keep the first original if already highlighted (hover + select)
+            if (!element.hasAttribute('data-original-fill')) {
+                element.setAttribute('data-original-fill', element.style.fill || '');
+            }
+            this.setElementFill(stateId, element, highlightColor);
         }
     }
     
@@ -340,11 +942,9 @@ export class MapManager {
      */
     unhighlightState(stateId) {
         const element = this.stateElements.get(stateId);
-        if (element) {
-            const originalFill = element.getAttribute('data-original-fill');
-            if (originalFill) {
-                element.style.fill = originalFill;
-            }
+        if (element && element.hasAttribute('data-original-fill')) {
+            this.setElementFill(stateId, element, element.getAttribute('data-original-fill'));
+            element.removeAttribute('data-original-fill');
         }
     }
     
@@ -365,6 +965,21 @@ export class MapManager {
         return this.states.get(stateId) || null;
     }
     
+    /**
+     * Change which nation controls a state (recolour with the map mode)
+     * @param {string} stateId
+     * @param {string|null} nationId
+     * @returns {string|null} Previous owner
+     */
+    setStateOwner(stateId, nationId) {
+        const state = this.states.get(stateId);
+        if (!state) return null;
+        
+        const previous = state.owner;
+        state.owner = nationId;
+        return previous;
+    }
+    
     /**
      * Update state data
      * @param {string} stateId
@@ -377,3 +992,61 @@ export class MapManager {
         }
     }
 }
+
+/**
+ * Position label such as 30°N 150°W
+ * @param {Object} position - { lat, lon }
+ * @returns {string}
+ */
+function formatPosition({ lat, lon }) {
+    return `${Math.round(Math.abs(lat))}°${lat >= 0 ? 'N' : 'S'} ${Math.round(Math.abs(lon))}°${lon >= 0 ? 'E' : 'W'}`;
+}
+
+/**
+ * FNV-1a hash of a string (cache keys)
+ * @param {string} text
+ * @returns {string}
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+}
+
+/**
+ * Merge overlapping pixel regions so shared areas are only repainted once
+ * @param {Array<Object>} regions - { x, y, width, height }
+ * @returns {Array<Object>}
+ */
+function mergeRegions(regions) {
+    const merged = [];
+    
+    for (const region of regions) {
+        if (region.width === 0 || region.height === 0) continue;
+        
+        let current = { ...region };
+        for (let i = merged.length - 1; i >= 0; i--) {
+            const other = merged[i];
+            if (current.x <= other.x + other.width && other.x <= current.x + current.width &&
+                current.y <= other.y + other.height && other.y <= current.y + current.height) {
+                const x = Math.min(current.x, other.x);
+                const y = Math.min(current.y, other.y);
+                current = {
+                    x,
+                    y,
+                    width: Math.max(current.x + current.width, other.x + other.width) - x,
+                    height: Math.max(current.y + current.height, other.y + other.height) - y
+                };
+                merged.splice(i, 1);
+                // The grown region may now touch earlier ones
+                i = merged.length;
+            }
+        }
+        merged.push(current);
+    }
+    
+    return merged;
+}
@@ -0,0 +1,237 @@
+/**
+ * Map Mode Controller
+ * STRATCOM Global Command
+ *
+ * Map layer system. Each mode supplies a per-territory colour function
+ * and a legend; switching modes recolours every state on the map.
+ */
+
+import { MAP_MODES, MAP_MODE_KEYS, TERRAIN, BUILDINGS } from '../config/constants.js';
+import { getTerrain } from '../data/terrainData.js';
+
+const NO_DATA_COLOR = '#1a2520';
+
+// Buildings counted by the military map mode
+const MILITARY_BUILDINGS = [
+    BUILDINGS.MILITARY_FACTORY.id,
+    BUILDINGS.DOCKYARD.id,
+    BUILDINGS.AIRBASE.id,
+    BUILDINGS.NAVAL_BASE.id,
+    BUILDINGS.RADAR.id,
+    BUILDINGS.FORT.id,
+    BUILDINGS.ANTI_AIR.id
+];
+
+/**
+ * Built-in mode definitions.
+ *   name           - label for buttons and legend
+ *   prepare(ctx)   - optional, computes shared values (e.g. maxima) before colouring
+ *   colorFor(state, ctx) - CSS colour for a state
+ *   legend(ctx)    - [{ color, label }]
+ */
+const BUILT_IN_MODES = {
+    [MAP_MODES.POLITICAL]: {
+        name: 'POLITICAL',
+        colorFor(state, ctx) {
+            return (state.owner && ctx.map.nationColors.get(state.owner)) || NO_DATA_COLOR;
+        },
+        legend(ctx) {
+            const owners = new Set(ctx.states.map(state => state.owner).filter(Boolean));
+            const entries = Array.from(owners, owner => ({
+                color: ctx.map.nationColors.get(owner) || NO_DATA_COLOR,
+                label: owner
+            }));
+            return [...entries, { color: NO_DATA_COLOR, label: 'Unclaimed' }];
+        }
+    },
+
+    [MAP_MODES.TERRAIN]: {
+        name: 'TERRAIN',
+        colorFor(state) {
+            return getTerrain(state, null)?.color || NO_DATA_COLOR;
+        },
+        legend() {
+            return [
+                ...Object.values(TERRAIN).map(t => ({ color: t.color, label: t.name })),
+                { color: NO_DATA_COLOR, label: 'Unsurveyed' }
+            ];
+        }
+    },
+
+    [MAP_MODES.RESOURCES]: scaleMode('RESOURCES', '#1a2a1a', '#ffcc00',
+        state => sumValues(state.data?.resources), 'Resource output'),
+
+    [MAP_MODES.INFRASTRUCTURE]: scaleMode('INFRASTRUCTURE', '#1a1f2a', '#00aaff',
+        state => state.data?.buildings?.infrastructure, 'Infrastructure level'),
+
+    [MAP_MODES.MILITARY]: scaleMode('MILITARY', '#2a1a1a', '#ff4444',
+        state => sumValues(state.data?.buildings, MILITARY_BUILDINGS), 'Military installations'),
+
+    [MAP_MODES.POPULATION]: scaleMode('POPULATION', '#1a2520', '#00ff88',
+        state => state.data?.population, 'Population', { logarithmic: true })
+};
+
+export class MapModeController {
+    /**
+     * @param {MapManager} mapManager
+     */
+    constructor(mapManager) {
+        this.map = mapManager;
+        this.modes = new Map(Object.entries(BUILT_IN_MODES));
+        this.currentMode = MAP_MODES.POLITICAL;
+
+        // Callbacks
+        this.onModeChange = null;
+        this.onModesChange = null;
+    }
+
+    /**
+     * Register (or replace) a map mode, e.g. from a gameplay system
+     * @param {string} id - One of MAP_MODES
+     * @param {Object} definition - { name, colorFor, legend, prepare? }
+     */
+    registerMode(id, definition) {
+        this.modes.set(id, definition);
+        this.onModesChange?.(this.getModes());
+        if (id === this.currentMode) {
+            this.refresh();
+        }
+    }
+
+    /**
+     * @param {string} id
+     * @returns {boolean}
+     */
+    hasMode(id) {
+        return this.modes.has(id);
+    }
+
+    /**
+     * Available modes in MAP_MODES order
+     * @returns {Array<Object>} [{ id, name, key }] - key is the number key that selects it, if any
+     */
+    getModes() {
+        const keys = new Map(Object.entries(MAP_MODE_KEYS).map(([key, id]) => [id, key]));
+        return Object.values(MAP_MODES)
+            .filter(id => this.modes.has(id))
+            .map(id => ({ id, key: keys.get(id) || '', name: this.modes.get(id).name }));
+    }
+
+    /**
+     * Switch to a map mode
+     * @param {string} id
+     * @returns {boolean} False if the mode isn't available
+     */
+    setMode(id) {
+        if (!this.modes.has(id)) return false;
+
+        this.currentMode = id;
+        this.refresh();
+        return true;
+    }
+
+    /**
+     * Recolour all states with the current mode (call after data changes)
+     */
+    refresh() {
+        const mode = this.modes.get(this.currentMode);
+        const ctx = this.createContext();
+        mode.prepare?.(ctx);
+
+        for (const state of ctx.states) {
+            this.map.setStateColor(state.id, mode.colorFor(state, ctx));
+        }
+
+        this.onModeChange?.({
+            id: this.currentMode,
+            name: mode.name,
+            legend: mode.legend(ctx)
+        });
+    }
+
+    /**
+     * Colour for a single state in the current mode
+     * @param {Object} state
+     * @returns {string}
+     */
+    getStateColor(state) {
+        const mode = this.modes.get(this.currentMode);
+        const ctx = this.createContext();
+        mode.prepare?.(ctx);
+        return mode.colorFor(state, ctx);
+    }
+
+    /**
+     * Shared context passed to mode functions
+     * @returns {Object}
+     */
+    createContext() {
+        return {
+            map: this.map,
+            states: Array.from(this.map.states.values())
+        };
+    }
+}
+
+// ==========================================
+// COLOUR HELPERS
+// ==========================================
+
+/**
+ * Build a choropleth mode that shades states between two colours
+ * by a numeric value
+ * @param {string} name
+ * @param {string} lowColor - Hex colour for the minimum
+ * @param {string} highColor - Hex colour for the maximum
+ * @param {Function} valueOf - state -> number|undefined
+ * @param {string} label - Legend label for the value
+ * @param {Object} options - { logarithmic }
+ * @returns {Object} Mode definition
+ */
+export function scaleMode(name, lowColor, highColor, valueOf, label, { logarithmic = false } = {}) {
+    const scale = (value) => logarithmic ? Math.log10(1 + value) : value;
+
+    return {
+        name,
+        prepare(ctx) {
+            const values = ctx.states.map(valueOf).filter(v => Number.isFinite(v) && v > 0);
+            ctx.max = values.length ? Math.max(...values) : 0;
+        },
+        colorFor(state, ctx) {
+            const value = valueOf(state);
+            if (!Number.isFinite(value) || ctx.max === 0) return NO_DATA_COLOR;
+            return mixColors(lowColor, highColor, scale(value) / scale(ctx.max));
+        },
+        legend(ctx) {
+            const max = Math.round(ctx.max).toLocaleString();
+            return [
+                { color: highColor, label: `${label}: ${max}` },
+                { color: mixColors(lowColor, highColor, 0.5), label: logarithmic ? 'Log scale' : `${label}: ${Math.round(ctx.max / 2).toLocaleString()}` },
+                { color: lowColor, label: `${label}: 0` },
+                { color: NO_DATA_COLOR, label: 'No data' }
+            ];
+        }
+    };
+}
+
+/**
+ * Linear blend of two hex colours
+ * @param {string} from - '#rrggbb'
+ * @param {string} to - '#rrggbb'
+ * @param {number} t - 0..1
+ * @returns {string} 'rgb(r, g, b)'
+ */
+export function mixColors(from, to, t) {
+    const a = parseInt(from.slice(1), 16);
+    const b = parseInt(to.slice(1), 16);
+    const k = Math.max(0, Math.min(1, t));
+    const channel = (shift) => Math.round(((a >> shift) & 255) * (1 - k) + ((b >> shift) & 255) * k);
+    return `rgb(${channel(16)}, ${channel(8)}, ${channel(0)})`;
+}
+
+function sumValues(record, keys = null) {
+    if (!record) return undefined;
+    return Object.entries(record)
+        .filter(([key]) => !keys || keys.includes(key))
+        .reduce((total, [, value]) => total + (Number(value) || 0), 0);
+}
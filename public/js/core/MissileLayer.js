@@ -0,0 +1,207 @@
+/**
+ * Missile Layer
+ * STRATCOM Global Command
+ *
+ * Missile flights on the globe, parented to the globe mesh. Each flight
+ * is a Bezier arc from launch site to target, raised with distance like
+ * the menu's launch tracks, drawn out as the missile flies. Impacts and
+ * interceptions leave an expanding blast while the trail fades.
+ */
+
+import * as THREE from 'three';
+import { GLOBE } from '../config/constants.js';
+
+const ARC_ALTITUDE = 1.02;          // x globe radius at both ends
+const ARC_SEGMENTS = 64;
+const TRAIL_FADE = 1500;            // ms a trail takes to fade after the flight ends
+const BLAST_DURATION = 1000;        // ms
+const BLAST_SIZE = 1.5;             // World units, before expanding
+const NUCLEAR_BLAST_SCALE = 3;
+const INTERCEPT_BLAST_SCALE = 0.5;
+const TRAIL_COLORS = { conventional: 0xffaa00, nuclear: 0xff4444 };
+const BLAST_COLORS = { impact: 0xff8800, intercepted: 0x33ccff };
+
+export class MissileLayer {
+    /**
+     * @param {GlobeRenderer} globeRenderer
+     * @param {MapManager} mapManager
+     */
+    constructor(globeRenderer, mapManager) {
+        this.globe = globeRenderer;
+        this.map = mapManager;
+        this.group = null;
+        this.trails = new Map();    // Map of missile ID -> THREE.Line
+        this.fading = [];           // [{ object, start, duration, grow }] trails and blasts on their way out
+        this.progressOf = () => 0;
+    }
+
+    /**
+     * Attach the flight group to the globe
+     */
+    init() {
+        this.group = new THREE.Group();
+        this.group.name = 'missiles';
+        this.globe.globe.add(this.group);
+    }
+
+    /**
+     * Sync trails with the missiles in flight
+     * @param {Array<Object>} missiles
+     * @param {Object} options - { progressOf: (missile) => 0..1 }
+     */
+    update(missiles, { progressOf = () => 0 } = {}) {
+        if (!this.group) return;
+        this.progressOf = progressOf;
+
+        const active = new Set();
+        for (const missile of missiles) {
+            active.add(missile.id);
+            if (this.trails.has(missile.id)) continue;
+
+            const points = this.getArc(missile.fromId, missile.targetId);
+            if (!points) continue;
+
+            const line = new THREE.Line(
+                new THREE.BufferGeometry().setFromPoints(points),
+                new THREE.LineBasicMaterial({
+                    color: TRAIL_COLORS[missile.warheadId] ?? TRAIL_COLORS.conventional,
+                    transparent: true,
+                    opacity: 0.8
+                })
+            );
+            line.userData.missile = missile;
+            line.geometry.setDrawRange(0, 1);
+            this.group.add(line);
+            this.trails.set(missile.id, line);
+        }
+
+        for (const [missileId, line] of this.trails) {
+            if (!active.has(missileId)) this.removeTrail(missileId, line);
+        }
+    }
+
+    /**
+     * End a flight with a blast at the missile's head: the target on
+     * impact, wherever it got to if intercepted
+     * @param {Object} missile
+     * @param {Object} options - { intercepted, nuclear }
+     */
+    explode(missile, { intercepted = false, nuclear = false } = {}) {
+        if (!this.group) return;
+
+        const line = this.trails.get(missile.id);
+        let position;
+        if (line) {
+            const positions = line.geometry.attributes.position;
+            const head = Math.max(0, line.geometry.drawRange.count - 1);
+            position = new THREE.Vector3().fromBufferAttribute(positions, intercepted ? head : positions.count - 1);
+            this.removeTrail(missile.id, line);
+        } else {
+            position = this.getArc(missile.fromId, missile.targetId)?.[ARC_SEGMENTS];
+        }
+        if (!position) return;
+
+        const size = BLAST_SIZE * (intercepted ? INTERCEPT_BLAST_SCALE : nuclear ? NUCLEAR_BLAST_SCALE : 1);
+        const blast = new THREE.Mesh(
+            new THREE.SphereGeometry(size, 16, 16),
+            new THREE.MeshBasicMaterial({
+                color: intercepted ? BLAST_COLORS.intercepted : BLAST_COLORS.impact,
+                transparent: true
+            })
+        );
+        blast.position.copy(position);
+        this.group.add(blast);
+        this.fading.push({ object: blast, start: performance.now(), duration: BLAST_DURATION * (nuclear ? 2 : 1), grow: true });
+    }
+
+    /**
+     * Per-frame update: draw trails out to each missile's progress and
+     * fade finished trails and blasts
+     * @param {number} now - performance.now()
+     */
+    animate(now) {
+        for (const line of this.trails.values()) {
+            const progress = this.progressOf(line.userData.missile);
+            line.geometry.setDrawRange(0, Math.max(1, Math.floor(progress * ARC_SEGMENTS) + 1));
+        }
+
+        if (!this.fading.length) return;
+
+        this.fading = this.fading.filter(({ object, start, duration, grow }) => {
+            const elapsed = now - start;
+            if (elapsed >= duration) {
+                this.group?.remove(object);
+                object.geometry.dispose();
+                object.material.dispose();
+                return false;
+            }
+
+            if (grow) {
+                const scale = 1 + elapsed / 200;
+                object.scale.set(scale, scale, scale);
+            }
+            object.material.opacity = 1 - elapsed / duration;
+            return true;
+        });
+    }
+
+    /**
+     * Points along the flight arc between two territories: a quadratic
+     * Bezier whose control point rises with the distance covered
+     * @param {string} fromId
+     * @param {string} toId
+     * @returns {Array<THREE.Vector3>|null}
+     */
+    getArc(fromId, toId) {
+        const from = getAnchor(this.map.getState(fromId));
+        const to = getAnchor(this.map.getState(toId));
+        if (!from || !to) return null;
+
+        const start = this.globe.latLonToVector3(from.lat, from.lon, GLOBE.RADIUS * ARC_ALTITUDE);
+        const end = this.globe.latLonToVector3(to.lat, to.lon, GLOBE.RADIUS * ARC_ALTITUDE);
+
+        const distance = start.distanceTo(end) / GLOBE.RADIUS;
+        const height = 1 + Math.max(0.3, distance * 0.4);
+        const mid = new THREE.Vector3().addVectors(start, end).multiplyScalar(0.5);
+        if (mid.lengthSq() < 1e-6) mid.copy(start);
+        mid.setLength(GLOBE.RADIUS * height);
+
+        return new THREE.QuadraticBezierCurve3(start, mid, end).getPoints(ARC_SEGMENTS);
+    }
+
+    /**
+     * Hand a trail over to fade out
+     * @param {number} missileId
+     * @param {THREE.Line} line
+     */
+    removeTrail(missileId, line) {
+        this.trails.delete(missileId);
+        this.fading.push({ object: line, start: performance.now(), duration: TRAIL_FADE, grow: false });
+    }
+
+    /**
+     * Remove trails and blasts
+     */
+    dispose() {
+        for (const line of this.trails.values()) {
+            line.geometry.dispose();
+            line.material.dispose();
+        }
+        for (const { object } of this.fading) {
+            object.geometry.dispose();
+            object.material.dispose();
+        }
+        this.trails.clear();
+        this.fading = [];
+        this.group?.parent?.remove(this.group);
+        this.group = null;
+    }
+}
+
+/**
+ * @param {Object} state
+ * @returns {Object|null} { lat, lon }
+ */
+function getAnchor(state) {
+    return state?.labelAnchor || state?.centroid || null;
+}
@@ -0,0 +1,70 @@
+/**
+ * Nation Stats
+ * STRATCOM Global Command
+ *
+ * Live nation figures aggregated from the map states a nation owns.
+ */
+
+import { LEVEL_BUILDINGS } from '../config/constants.js';
+
+/**
+ * IDs of all map states owned by a nation
+ * @param {string} nationId
+ * @param {MapManager} mapManager
+ * @returns {Array<string>}
+ */
+export function getNationStates(nationId, mapManager) {
+    const ids = [];
+    for (const state of mapManager.states.values()) {
+        if (state.owner === nationId) ids.push(state.id);
+    }
+    return ids;
+}
+
+/**
+ * Aggregate a nation's territories into the shape the nation panel shows.
+ * Building counts are summed; level buildings (infrastructure) are averaged.
+ * @param {Object} nation - Nation record
+ * @param {MapManager} mapManager
+ * @returns {Object} { id, name, flag, type, population, gdp, military,
+ *   stability, territories, buildings, resources }
+ */
+export function aggregateNationStats(nation, mapManager) {
+    const summary = {
+        id: nation.id,
+        name: nation.name,
+        flag: nation.flag,
+        type: nation.type,
+        color: nation.color,
+        gdp: nation.stats?.gdp || 0,
+        military: nation.stats?.military || 0,
+        stability: nation.stats?.stability ?? 50,
+        population: 0,
+        territories: 0,
+        buildings: {},
+        resources: {}
+    };
+
+    for (const state of mapManager.states.values()) {
+        if (state.owner !== nation.id) continue;
+
+        summary.territories++;
+        summary.population += state.data.population || 0;
+        addValues(summary.buildings, state.data.buildings);
+        addValues(summary.resources, state.data.resources);
+    }
+
+    for (const key of LEVEL_BUILDINGS) {
+        if (key in summary.buildings) {
+            summary.buildings[key] = Math.round(summary.buildings[key] / summary.territories * 10) / 10;
+        }
+    }
+
+    return summary;
+}
+
+function addValues(totals, record = {}) {
+    for (const [key, value] of Object.entries(record)) {
+        totals[key] = (totals[key] || 0) + (Number(value) || 0);
+    }
+}
@@ -0,0 +1,222 @@
+/**
+ * Sea Zones
+ * STRATCOM Global Command
+ *
+ * Derives sea zones from the open water of the map. The globe is sampled
+ * on a lat/lon grid; cells no territory covers are water, and water is
+ * cut into zones along a coarser block grid, each connected body of water
+ * within a block becoming one zone. Zones link to the zones they touch
+ * and to the coastal territories they wash.
+ */
+
+const DEFAULTS = {
+    cellSize: 2,        // Degrees per water sample
+    blockSize: 15,      // Degrees per side of the blocks water is cut into
+    minCells: 3,        // Smaller slivers join a neighbouring zone
+    coastSearch: 3      // Cells searched around coastal territories no sample reached
+};
+
+/**
+ * Compute sea zones
+ * @param {Function} territoryAt - (lat, lon) => territory ID or null for water
+ * @param {Array<Object>} coastal - Coastal territories [{ id, lat, lon }], so small
+ *                                  islands the grid misses still get a zone
+ * @param {Object} options - See DEFAULTS
+ * @returns {Object} { zones: Map<id, zone>, grid } where zone is
+ *                   { id, center: { lat, lon }, cells, neighbors: Set, coasts: Set }
+ *                   and grid maps cells to zones (see zoneAt)
+ */
+export function computeSeaZones(territoryAt, coastal = [], options = {}) {
+    const settings = { ...DEFAULTS, ...options };
+    const columns = Math.round(360 / settings.cellSize);
+    const rows = Math.round(180 / settings.cellSize);
+    const cellsPerBlock = Math.max(1, Math.round(settings.blockSize / settings.cellSize));
+
+    // Sample the map
+    const land = new Array(columns * rows);
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const { lat, lon } = cellCenter(row, column, settings.cellSize);
+            land[row * columns + column] = territoryAt(lat, lon);
+        }
+    }
+
+    const neighborsOf = (index) => {
+        const row = Math.floor(index / columns);
+        const column = index % columns;
+        const result = [
+            row * columns + (column + 1) % columns,
+            row * columns + (column + columns - 1) % columns
+        ];
+        if (row > 0) result.push(index - columns);
+        if (row < rows - 1) result.push(index + columns);
+        return result;
+    };
+    const blockOf = (index) => {
+        const row = Math.floor(index / columns);
+        const column = index % columns;
+        return `${Math.floor(row / cellsPerBlock)},${Math.floor(column / cellsPerBlock)}`;
+    };
+
+    // Flood fill the water of each block
+    const labels = new Int32Array(columns * rows).fill(-1);
+    const components = [];
+    for (let start = 0; start < labels.length; start++) {
+        if (land[start] || labels[start] !== -1) continue;
+
+        const label = components.length;
+        const block = blockOf(start);
+        const cells = [start];
+        labels[start] = label;
+
+        for (let i = 0; i < cells.length; i++) {
+            for (const next of neighborsOf(cells[i])) {
+                if (land[next] || labels[next] !== -1 || blockOf(next) !== block) continue;
+                labels[next] = label;
+                cells.push(next);
+            }
+        }
+        components.push(cells);
+    }
+
+    // Fold slivers into the largest component they touch; enclosed ones
+    // (lakes too small to matter) are dropped
+    const owner = components.map((cells, label) => label);
+    const dropped = new Set();
+    const find = (label) => {
+        while (owner[label] !== label) label = owner[label];
+        return label;
+    };
+    components.forEach((cells, label) => {
+        if (cells.length >= settings.minCells) return;
+
+        let best = null;
+        for (const cell of cells) {
+            for (const next of neighborsOf(cell)) {
+                if (labels[next] === -1) continue;
+                const other = find(labels[next]);
+                if (other !== find(label) && (best === null || components[other].length > components[best].length)) {
+                    best = other;
+                }
+            }
+        }
+        if (best !== null) {
+            owner[find(label)] = best;
+        } else if (find(label) === label) {
+            dropped.add(label);
+        }
+    });
+
+    // Number the surviving zones
+    const zoneIds = new Map(); // root label -> zone ID
+    const grid = new Array(columns * rows).fill(null);
+    const zones = new Map();
+    for (let index = 0; index < labels.length; index++) {
+        if (labels[index] === -1) continue;
+
+        const root = find(labels[index]);
+        if (dropped.has(root)) continue;
+        if (!zoneIds.has(root)) {
+            const id = `sea_${zoneIds.size + 1}`;
+            zoneIds.set(root, id);
+            zones.set(id, { id, center: null, cells: [], neighbors: new Set(), coasts: new Set() });
+        }
+        grid[index] = zoneIds.get(root);
+        zones.get(grid[index]).cells.push(index);
+    }
+
+    for (let index = 0; index < grid.length; index++) {
+        const zoneId = grid[index];
+        for (const next of neighborsOf(index)) {
+            if (zoneId && grid[next] && grid[next] !== zoneId) {
+                zones.get(zoneId).neighbors.add(grid[next]);
+            } else if (!zoneId && land[index] && grid[next]) {
+                zones.get(grid[next]).coasts.add(land[index]);
+            }
+        }
+    }
+
+    const lookup = { columns, rows, cellSize: settings.cellSize, cells: grid };
+
+    // Coastal territories too small for the grid wash the nearest water
+    const washed = new Set();
+    for (const zone of zones.values()) zone.coasts.forEach(id => washed.add(id));
+    for (const { id, lat, lon } of coastal) {
+        if (washed.has(id)) continue;
+        const zoneId = zoneAt(lookup, lat, lon, settings.coastSearch);
+        if (zoneId) zones.get(zoneId).coasts.add(id);
+    }
+
+    for (const zone of zones.values()) {
+        zone.center = findCenter(zone.cells, columns, settings.cellSize);
+        zone.cells = zone.cells.length;
+    }
+
+    return { zones, grid: lookup };
+}
+
+/**
+ * Zone at a position, or the nearest one within a search radius
+ * @param {Object} grid - From computeSeaZones
+ * @param {number} lat
+ * @param {number} lon
+ * @param {number} search - Cells to look around land
+ * @returns {string|null}
+ */
+export function zoneAt({ columns, rows, cellSize, cells }, lat, lon, search = 0) {
+    const row = Math.max(0, Math.min(rows - 1, Math.floor((90 - lat) / cellSize)));
+    const column = ((Math.floor((lon + 180) / cellSize) % columns) + columns) % columns;
+
+    for (let radius = 0; radius <= search; radius++) {
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                if (Math.max(Math.abs(dx), Math.abs(dy)) !== radius) continue;
+                const y = row + dy;
+                if (y < 0 || y >= rows) continue;
+                const zoneId = cells[y * columns + (column + dx + columns) % columns];
+                if (zoneId) return zoneId;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * @returns {Object} { lat, lon } of a grid cell's centre
+ */
+function cellCenter(row, column, cellSize) {
+    return {
+        lat: 90 - (row + 0.5) * cellSize,
+        lon: -180 + (column + 0.5) * cellSize
+    };
+}
+
+/**
+ * Zone cell nearest the mean of its cells on the sphere, so the centre
+ * always sits on water
+ */
+function findCenter(cells, columns, cellSize) {
+    const toVector = ({ lat, lon }) => {
+        const phi = lat * Math.PI / 180;
+        const lambda = lon * Math.PI / 180;
+        return [Math.cos(phi) * Math.cos(lambda), Math.cos(phi) * Math.sin(lambda), Math.sin(phi)];
+    };
+
+    const points = cells.map(index => cellCenter(Math.floor(index / columns), index % columns, cellSize));
+    const mean = [0, 0, 0];
+    for (const point of points) {
+        toVector(point).forEach((value, axis) => { mean[axis] += value; });
+    }
+
+    let best = points[0];
+    let bestDot = -Infinity;
+    for (const point of points) {
+        const vector = toVector(point);
+        const dot = vector[0] * mean[0] + vector[1] * mean[1] + vector[2] * mean[2];
+        if (dot > bestDot) {
+            bestDot = dot;
+            best = point;
+        }
+    }
+    return best;
+}
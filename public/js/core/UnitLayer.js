@@ -0,0 +1,281 @@
+/**
+ * Unit Layer
+ * STRATCOM Global Command
+ *
+ * Division markers on the globe. Each unit is a sprite parented to the
+ * globe mesh (so it turns with it) at its territory's label anchor;
+ * divisions sharing a territory stack southwards, and marching ones
+ * slide along their current leg. Sprites can be picked from screen
+ * coordinates for selection. The selected division's planned route is
+ * drawn as a chain of arcs between territories.
+ */
+
+import * as THREE from 'three';
+import { GLOBE } from '../config/constants.js';
+import { getMainBattalion } from '../systems/UnitSystem.js';
+
+const MARKER_ALTITUDE = 1.01;       // x globe radius
+const MARKER_WIDTH = 4;             // World units
+const MARKER_HEIGHT = 2.4;
+const STACK_SPACING = 1.4;          // Degrees between stacked markers
+const TEXTURE_WIDTH = 96;
+const TEXTURE_HEIGHT = 56;
+const BORDER_COLOR = '#00ff88';
+const SELECTED_COLOR = '#ffffff';
+const ROUTE_COLOR = 0x00ff88;
+const ROUTE_ALTITUDE = 1.005;       // x globe radius at the ends of a leg
+const ROUTE_ARC_HEIGHT = 0.15;      // Extra lift per radian of leg length
+const ROUTE_SEGMENTS = 16;          // Line segments per leg
+const WAYPOINT_SIZE = 1.6;
+
+export class UnitLayer {
+    /**
+     * @param {GlobeRenderer} globeRenderer
+     * @param {MapManager} mapManager
+     */
+    constructor(globeRenderer, mapManager) {
+        this.globe = globeRenderer;
+        this.map = mapManager;
+        this.group = null;
+        this.routeGroup = null;     // Kept apart from markers so picking ignores it
+        this.sprites = new Map();   // Map of unit ID -> THREE.Sprite
+        this.textures = new Map();  // Map of appearance key -> THREE.CanvasTexture
+        this.raycaster = new THREE.Raycaster();
+    }
+
+    /**
+     * Attach the marker group to the globe
+     */
+    init() {
+        this.group = new THREE.Group();
+        this.group.name = 'units';
+        this.globe.globe.add(this.group);
+        
+        this.routeGroup = new THREE.Group();
+        this.routeGroup.name = 'routes';
+        this.globe.globe.add(this.routeGroup);
+    }
+
+    /**
+     * Sync markers with the current units
+     * @param {Array<Object>} units
+     * @param {Object} options - { colorOf: (nationId) => css colour, selectedId,
+     *                            legOf: (unit) => { to, fraction } for marching units }
+     */
+    update(units, { colorOf = () => '#2a3a4a', selectedId = null, legOf = () => null } = {}) {
+        if (!this.group) return;
+
+        const seen = new Set();
+        const stackIndex = new Map(); // Map of state ID -> markers placed so far
+
+        for (const unit of units) {
+            const state = this.map.getState(unit.stateId);
+            const anchor = getAnchor(state);
+            if (!anchor) continue;
+
+            const index = stackIndex.get(unit.stateId) || 0;
+            stackIndex.set(unit.stateId, index + 1);
+
+            let sprite = this.sprites.get(unit.id);
+            if (!sprite) {
+                sprite = new THREE.Sprite(new THREE.SpriteMaterial({ transparent: true }));
+                sprite.scale.set(MARKER_WIDTH, MARKER_HEIGHT, 1);
+                sprite.userData.unitId = unit.id;
+                this.group.add(sprite);
+                this.sprites.set(unit.id, sprite);
+            }
+
+            sprite.position.copy(this.globe.latLonToVector3(
+                anchor.lat - index * STACK_SPACING,
+                anchor.lon,
+                GLOBE.RADIUS * MARKER_ALTITUDE
+            ));
+            
+            const leg = legOf(unit);
+            const next = leg && getAnchor(this.map.getState(leg.to));
+            if (next) {
+                sprite.position
+                    .lerp(this.globe.latLonToVector3(next.lat, next.lon, GLOBE.RADIUS * MARKER_ALTITUDE), leg.fraction)
+                    .setLength(GLOBE.RADIUS * MARKER_ALTITUDE);
+            }
+
+            const texture = this.getTexture(unit, colorOf(unit.nationId), unit.id === selectedId);
+            if (sprite.material.map !== texture) {
+                sprite.material.map = texture;
+                sprite.material.needsUpdate = true;
+            }
+
+            seen.add(unit.id);
+        }
+
+        for (const [unitId, sprite] of this.sprites) {
+            if (seen.has(unitId)) continue;
+            this.group.remove(sprite);
+            sprite.material.dispose();
+            this.sprites.delete(unitId);
+        }
+    }
+
+    /**
+     * Draw a planned route, replacing any previous one
+     * @param {Array<string>} stateIds - Territories in order, starting where the unit is
+     * @param {Array<string>} waypoints - Territories to mark along the way
+     */
+    showRoute(stateIds, waypoints = []) {
+        this.clearRoute();
+        if (!this.routeGroup) return;
+        
+        const anchors = stateIds.map(id => getAnchor(this.map.getState(id))).filter(Boolean);
+        if (anchors.length < 2) return;
+        
+        const points = [];
+        for (let i = 1; i < anchors.length; i++) {
+            points.push(...this.getArc(anchors[i - 1], anchors[i]).slice(i > 1 ? 1 : 0));
+        }
+        
+        const line = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(points),
+            new THREE.LineDashedMaterial({ color: ROUTE_COLOR, dashSize: 1.2, gapSize: 0.6 })
+        );
+        line.computeLineDistances();
+        this.routeGroup.add(line);
+        
+        const marks = waypoints
+            .map(id => getAnchor(this.map.getState(id)))
+            .filter(Boolean)
+            .map(anchor => this.globe.latLonToVector3(anchor.lat, anchor.lon, GLOBE.RADIUS * ROUTE_ALTITUDE));
+        if (marks.length) {
+            this.routeGroup.add(new THREE.Points(
+                new THREE.BufferGeometry().setFromPoints(marks),
+                new THREE.PointsMaterial({ color: ROUTE_COLOR, size: WAYPOINT_SIZE })
+            ));
+        }
+    }
+    
+    /**
+     * Remove the drawn route
+     */
+    clearRoute() {
+        if (!this.routeGroup) return;
+        
+        for (const child of [...this.routeGroup.children]) {
+            this.routeGroup.remove(child);
+            child.geometry.dispose();
+            child.material.dispose();
+        }
+    }
+    
+    /**
+     * Points along a raised great-circle arc between two anchors
+     * @param {Object} from - { lat, lon }
+     * @param {Object} to - { lat, lon }
+     * @returns {Array<THREE.Vector3>}
+     */
+    getArc(from, to) {
+        const start = this.globe.latLonToVector3(from.lat, from.lon, 1);
+        const end = this.globe.latLonToVector3(to.lat, to.lon, 1);
+        const lift = start.angleTo(end) * ROUTE_ARC_HEIGHT;
+        
+        const points = [];
+        for (let i = 0; i <= ROUTE_SEGMENTS; i++) {
+            const t = i / ROUTE_SEGMENTS;
+            const altitude = ROUTE_ALTITUDE + Math.sin(Math.PI * t) * lift;
+            points.push(start.clone().lerp(end, t).setLength(GLOBE.RADIUS * altitude));
+        }
+        return points;
+    }
+    
+    /**
+     * Unit under a screen position
+     * @param {number} x - Screen X
+     * @param {number} y - Screen Y
+     * @returns {number|null} Unit ID
+     */
+    pick(x, y) {
+        if (!this.group?.children.length) return null;
+
+        const mouse = new THREE.Vector2(
+            (x / window.innerWidth) * 2 - 1,
+            -(y / window.innerHeight) * 2 + 1
+        );
+        this.raycaster.setFromCamera(mouse, this.globe.camera);
+
+        // Markers behind the globe don't count
+        const globeHit = this.raycaster.intersectObject(this.globe.globe, false)[0];
+        const hit = this.raycaster.intersectObjects(this.group.children, false)
+            .find(intersection => !globeHit || intersection.distance < globeHit.distance);
+
+        return hit ? hit.object.userData.unitId : null;
+    }
+
+    /**
+     * Marker texture for a unit's appearance, cached by appearance
+     * @param {Object} unit
+     * @param {string} color - Nation colour
+     * @param {boolean} selected
+     * @returns {THREE.CanvasTexture}
+     */
+    getTexture(unit, color, selected) {
+        const symbol = getMainBattalion(unit.template)?.symbol || '?';
+        const strength = Math.round(unit.strength * 10) / 10;
+        const training = unit.status === 'training';
+        const key = `${color}|${symbol}|${strength}|${selected}|${training}`;
+
+        if (!this.textures.has(key)) {
+            const canvas = document.createElement('canvas');
+            canvas.width = TEXTURE_WIDTH;
+            canvas.height = TEXTURE_HEIGHT;
+            const ctx = canvas.getContext('2d');
+
+            ctx.globalAlpha = training ? 0.55 : 1;
+            ctx.fillStyle = color;
+            ctx.fillRect(2, 2, TEXTURE_WIDTH - 4, TEXTURE_HEIGHT - 4);
+
+            ctx.lineWidth = selected ? 5 : 3;
+            ctx.strokeStyle = selected ? SELECTED_COLOR : BORDER_COLOR;
+            ctx.strokeRect(2, 2, TEXTURE_WIDTH - 4, TEXTURE_HEIGHT - 4);
+
+            ctx.fillStyle = selected ? SELECTED_COLOR : BORDER_COLOR;
+            ctx.font = 'bold 22px monospace';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(symbol, TEXTURE_WIDTH / 2, TEXTURE_HEIGHT / 2 - 5);
+
+            // Strength bar
+            ctx.fillStyle = '#000000';
+            ctx.fillRect(10, TEXTURE_HEIGHT - 14, TEXTURE_WIDTH - 20, 6);
+            ctx.fillStyle = strength < 0.5 ? '#ff3344' : BORDER_COLOR;
+            ctx.fillRect(10, TEXTURE_HEIGHT - 14, (TEXTURE_WIDTH - 20) * strength, 6);
+
+            const texture = new THREE.CanvasTexture(canvas);
+            texture.colorSpace = THREE.SRGBColorSpace;
+            this.textures.set(key, texture);
+        }
+
+        return this.textures.get(key);
+    }
+
+    /**
+     * Remove markers and free textures
+     */
+    dispose() {
+        for (const sprite of this.sprites.values()) sprite.material.dispose();
+        for (const texture of this.textures.values()) texture.dispose();
+        this.sprites.clear();
+        this.textures.clear();
+        this.clearRoute();
+        this.group?.parent?.remove(this.group);
+        this.routeGroup?.parent?.remove(this.routeGroup);
+        this.group = null;
+        this.routeGroup = null;
+    }
+}
+
+/**
+ * Where a territory's markers sit
+ * @param {Object|null} state
+ * @returns {Object|null} { lat, lon }
+ */
+function getAnchor(state) {
+    return state?.labelAnchor || state?.centroid || null;
+}
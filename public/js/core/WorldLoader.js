@@ -0,0 +1,210 @@
+/**
+ * World Loader
+ * STRATCOM Global Command
+ *
+ * Merges nation and territory records into the map's states: sets
+ * owners and data, gives every state a terrain, colours the political
+ * map and returns a report of IDs that don't line up between the data
+ * and the loaded SVG, for the caller to log.
+ */
+
+import { NATIONS, TERRITORIES } from '../data/worldData.js';
+import { LEVEL_BUILDINGS } from '../config/constants.js';
+import { getStateTerrain } from '../data/terrainData.js';
+
+export class WorldLoader {
+    /**
+     * @param {MapManager} mapManager
+     */
+    constructor(mapManager) {
+        this.map = mapManager;
+    }
+
+    /**
+     * Load nations and territories onto the map
+     * @param {Object} nations - Nation records keyed by ID
+     * @param {Object} territories - Territory records keyed by ID
+     * @returns {Object} { nations: Map<id, nation>, report }
+     */
+    load(nations = NATIONS, territories = TERRITORIES) {
+        const report = {
+            matched: 0,
+            unmatchedTerritories: [],   // Territory IDs with no map state
+            unknownNations: [],         // Territory IDs whose nation doesn't exist
+            unplacedNations: [],        // Nation IDs with no territory on the map
+            unclaimedStates: [],        // Map state IDs no territory covers
+            missingMapIds: [],          // { territoryId, stateIds } - mapIds the map lacks
+            contestedStates: []         // { stateId, territoryIds } - map states two territories claim
+        };
+
+        const nationRecords = new Map(Object.values(nations).map(nation => [
+            nation.id,
+            { ...nation, territories: [], states: [] }
+        ]));
+
+        const ownership = new Map();
+        const claimedBy = new Map();
+
+        for (const territory of Object.values(territories)) {
+            const nation = nationRecords.get(territory.nation);
+            if (!nation) {
+                report.unknownNations.push(territory.id);
+                continue;
+            }
+
+            const stateIds = this.resolveStates(territory, report)
+                .filter(stateId => {
+                    if (!claimedBy.has(stateId)) return true;
+                    report.contestedStates.push({ stateId, territoryIds: [claimedBy.get(stateId), territory.id] });
+                    return false;
+                });
+
+            if (stateIds.length === 0) {
+                report.unmatchedTerritories.push(territory.id);
+                continue;
+            }
+
+            const shares = this.areaShares(stateIds);
+            const populations = splitValue(territory.population || 0, shares);
+            const resources = splitRecord(territory.resources, shares);
+            const buildings = splitRecord(territory.buildings, shares, LEVEL_BUILDINGS);
+
+            stateIds.forEach((stateId, index) => {
+                const state = this.map.getState(stateId);
+                state.owner = nation.id;
+                Object.assign(state.data, {
+                    territoryId: territory.id,
+                    territoryName: territory.name,
+                    terrain: territory.terrain || getStateTerrain(stateId),
+                    population: populations[index],
+                    resources: resources[index],
+                    buildings: buildings[index]
+                });
+
+                ownership.set(stateId, nation.id);
+                claimedBy.set(stateId, territory.id);
+            });
+
+            nation.territories.push(territory.id);
+            nation.states.push(...stateIds);
+            report.matched++;
+        }
+
+        for (const stateId of this.map.stateGeometry.keys()) {
+            if (claimedBy.has(stateId)) continue;
+            report.unclaimedStates.push(stateId);
+
+            const state = this.map.getState(stateId);
+            if (state) state.data.terrain = getStateTerrain(stateId);
+        }
+
+        for (const nation of nationRecords.values()) {
+            if (nation.states.length === 0) report.unplacedNations.push(nation.id);
+        }
+
+        this.map.applyNationColors(
+            new Map(Array.from(nationRecords.values(), nation => [nation.id, nation.color])),
+            ownership
+        );
+
+        return { nations: nationRecords, report };
+    }
+
+    /**
+     * Map states making up a territory. Tries, in order: explicit
+     * mapIds, the territory ID itself, then a state with the same name.
+     * @param {Object} territory
+     * @param {Object} report - Collects mapIds the map lacks
+     * @returns {Array<string>}
+     */
+    resolveStates(territory, report) {
+        if (territory.mapIds?.length) {
+            const found = territory.mapIds.filter(id => this.map.states.has(id));
+            const missing = territory.mapIds.filter(id => !this.map.states.has(id));
+            if (missing.length) {
+                report.missingMapIds.push({ territoryId: territory.id, stateIds: missing });
+            }
+            if (found.length) return found;
+        }
+
+        if (this.map.states.has(territory.id)) {
+            return [territory.id];
+        }
+
+        const name = normalizeName(territory.name);
+        for (const state of this.map.states.values()) {
+            if (normalizeName(state.id) === name || normalizeName(state.name) === name) {
+                return [state.id];
+            }
+        }
+
+        return [];
+    }
+
+    /**
+     * Fraction of the combined area each state covers
+     * @param {Array<string>} stateIds
+     * @returns {Array<number>}
+     */
+    areaShares(stateIds) {
+        const areas = stateIds.map(id => this.map.getState(id).area || 0);
+        const total = areas.reduce((sum, area) => sum + area, 0);
+        return total > 0 ? areas.map(area => area / total) : stateIds.map(() => 1 / stateIds.length);
+    }
+}
+
+/**
+ * Lowercase, accent-free, underscore-separated form for name matching
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeName(text) {
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_|_$/g, '');
+}
+
+/**
+ * Split an integer by shares, keeping the total (largest remainder)
+ * @param {number} value
+ * @param {Array<number>} shares - Sum to 1
+ * @returns {Array<number>}
+ */
+function splitValue(value, shares) {
+    const exact = shares.map(share => value * share);
+    const parts = exact.map(Math.floor);
+    let remainder = Math.round(value - parts.reduce((sum, part) => sum + part, 0));
+
+    const order = exact
+        .map((amount, index) => ({ index, fraction: amount - parts[index] }))
+        .sort((a, b) => b.fraction - a.fraction);
+
+    for (let i = 0; remainder > 0; i = (i + 1) % order.length, remainder--) {
+        parts[order[i].index]++;
+    }
+
+    return parts;
+}
+
+/**
+ * Split every value of a record by shares
+ * @param {Object} record - e.g. { oil: 3, steel: 1 }
+ * @param {Array<number>} shares
+ * @param {Array<string>} copyKeys - Keys every part gets in full
+ * @returns {Array<Object>} One record per share
+ */
+function splitRecord(record = {}, shares, copyKeys = []) {
+    const parts = shares.map(() => ({}));
+
+    for (const [key, value] of Object.entries(record)) {
+        const amounts = copyKeys.includes(key) ? shares.map(() => value) : splitValue(value, shares);
+        amounts.forEach((amount, index) => {
+            if (amount > 0) parts[index][key] = amount;
+        });
+    }
+
+    return parts;
+}
@@ -0,0 +1,40 @@
+/**
+ * Adjacency Overrides
+ * STRATCOM Global Command
+ *
+ * Manual connections layered on top of the adjacency graph that
+ * MapManager derives from the map geometry. IDs are path IDs from
+ * the loaded SVG map; entries naming IDs the map lacks are skipped.
+ *
+ * Border types:
+ *   land   - shared land border
+ *   sea    - coastal neighbours across open water (naval movement only)
+ *   strait - narrow crossing land units can use without ships
+ *   canal  - land border ships can also pass through
+ */
+
+export const ADJACENCY_OVERRIDES = {
+    // Connections to add (or retype if already present)
+    add: [
+        { a: 'Gibraltar', b: 'Spanish_Africa', type: 'strait', name: 'Strait of Gibraltar' },
+        { a: 'Thrace', b: 'Bursa', type: 'strait', name: 'Dardanelles' },
+        { a: 'Sicilia', b: 'Calabria', type: 'strait', name: 'Strait of Messina' },
+        { a: 'Sjaelland', b: 'Fyn', type: 'strait', name: 'Great Belt' },
+        { a: 'Fyn', b: 'Jylland', type: 'strait', name: 'Little Belt' },
+        { a: 'Sjaelland', b: 'Skåne', type: 'strait', name: 'Øresund' },
+        { a: 'Crimea', b: 'Krasnodar', type: 'strait', name: 'Kerch Strait' },
+        { a: 'North_Yemen', b: 'French_Somaliland', type: 'strait', name: 'Bab-el-Mandeb' },
+        { a: 'Hokkaido', b: 'Tohoku', type: 'strait', name: 'Tsugaru Strait' },
+        { a: 'Kyushu', b: 'Chugoku', type: 'strait', name: 'Kanmon Straits' },
+        { a: 'South_Sakhalin', b: 'Hokkaido', type: 'strait', name: 'La Pérouse Strait' },
+        { a: 'Ceylon', b: 'Southern_Madras', type: 'strait', name: 'Palk Strait' },
+        { a: 'Sumatra', b: 'Singapore', type: 'strait', name: 'Strait of Malacca' },
+        { a: 'Tasmania', b: 'Victoria', type: 'strait', name: 'Bass Strait' },
+        { a: 'Chukchi_Peninsula', b: 'Alaska', type: 'strait', name: 'Bering Strait' },
+        { a: 'Suez', b: 'Sinai', type: 'canal', name: 'Suez Canal' },
+        { a: 'Panamá_Canal', b: 'Panamá', type: 'canal', name: 'Panama Canal' }
+    ],
+
+    // [a, b] pairs to disconnect
+    remove: []
+};
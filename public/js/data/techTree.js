@@ -0,0 +1,150 @@
+/**
+ * Technology Tree
+ * STRATCOM Global Command
+ *
+ * Research data. Each technology has a category, a cost in research
+ * days (at normal funding), prerequisite technology IDs and a list of
+ * effects. Effect types:
+ *
+ *   unlock_building  { building }              - BUILDINGS id that needs this tech
+ *   unlock_unit      { unit }                  - battalion, ship class, aircraft or warhead that needs this tech
+ *   building_output  { building, value }       - fractional output bonus for a building
+ *   unit_stat        { unit, stat, value }     - fractional bonus to a battalion, ship class or aircraft stat
+ *                                               ('missile' for every warhead)
+ *   gdp              { value }                 - fractional GDP bonus
+ *   research_slots   { value }                 - extra research slots
+ */
+
+export const TECH_CATEGORIES = {
+    INDUSTRY: { id: 'industry', name: 'INDUSTRY' },
+    ELECTRONICS: { id: 'electronics', name: 'ELECTRONICS' },
+    LAND: { id: 'land', name: 'LAND WARFARE' },
+    NAVAL: { id: 'naval', name: 'NAVAL WARFARE' },
+    AIR: { id: 'air', name: 'AIR WARFARE' },
+    AIR_DEFENCE: { id: 'air_defence', name: 'AIR DEFENCE' },
+    STRATEGIC: { id: 'strategic', name: 'STRATEGIC WEAPONS' }
+};
+
+export const TECHNOLOGIES = [
+    // Industry
+    {
+        id: 'basic_machine_tools', name: 'Basic Machine Tools', category: 'industry', cost: 90, requires: [],
+        effects: [{ type: 'building_output', building: 'factory', value: 0.1 }]
+    },
+    {
+        id: 'assembly_lines', name: 'Assembly Lines', category: 'industry', cost: 120, requires: ['basic_machine_tools'],
+        effects: [{ type: 'building_output', building: 'military_factory', value: 0.15 }]
+    },
+    {
+        id: 'concentrated_industry', name: 'Concentrated Industry', category: 'industry', cost: 150, requires: ['assembly_lines'],
+        effects: [
+            { type: 'building_output', building: 'factory', value: 0.1 },
+            { type: 'gdp', value: 0.05 }
+        ]
+    },
+    {
+        id: 'automation', name: 'Automation', category: 'industry', cost: 210, requires: ['concentrated_industry', 'computing_machines'],
+        effects: [
+            { type: 'building_output', building: 'factory', value: 0.15 },
+            { type: 'building_output', building: 'military_factory', value: 0.15 }
+        ]
+    },
+
+    // Electronics
+    {
+        id: 'radio', name: 'Radio', category: 'electronics', cost: 60, requires: [],
+        effects: [{ type: 'unit_stat', unit: 'infantry', stat: 'organisation', value: 0.05 }]
+    },
+    {
+        id: 'radio_detection', name: 'Radio Detection', category: 'electronics', cost: 120, requires: ['radio'],
+        effects: [{ type: 'unlock_building', building: 'radar' }]
+    },
+    {
+        id: 'computing_machines', name: 'Computing Machines', category: 'electronics', cost: 150, requires: ['radio'],
+        effects: [{ type: 'research_slots', value: 1 }]
+    },
+    {
+        id: 'improved_radar', name: 'Improved Radar', category: 'electronics', cost: 180, requires: ['radio_detection'],
+        effects: [{ type: 'building_output', building: 'radar', value: 0.25 }]
+    },
+
+    // Land warfare
+    {
+        id: 'infantry_weapons', name: 'Infantry Weapons', category: 'land', cost: 60, requires: [],
+        effects: [{ type: 'unit_stat', unit: 'infantry', stat: 'attack', value: 0.1 }]
+    },
+    {
+        id: 'support_weapons', name: 'Support Weapons', category: 'land', cost: 90, requires: ['infantry_weapons'],
+        effects: [
+            { type: 'unit_stat', unit: 'infantry', stat: 'defence', value: 0.1 },
+            { type: 'unlock_unit', unit: 'artillery' }
+        ]
+    },
+    {
+        id: 'motorisation', name: 'Motorisation', category: 'land', cost: 120, requires: ['infantry_weapons', 'assembly_lines'],
+        effects: [{ type: 'unlock_unit', unit: 'motorised' }]
+    },
+    {
+        id: 'armour', name: 'Armoured Vehicles', category: 'land', cost: 180, requires: ['motorisation'],
+        effects: [{ type: 'unlock_unit', unit: 'armour' }]
+    },
+
+    // Naval warfare
+    {
+        id: 'welded_hulls', name: 'Welded Hulls', category: 'naval', cost: 90, requires: [],
+        effects: [{ type: 'building_output', building: 'dockyard', value: 0.15 }]
+    },
+    {
+        id: 'fleet_submarines', name: 'Fleet Submarines', category: 'naval', cost: 120, requires: ['welded_hulls'],
+        effects: [{ type: 'unlock_unit', unit: 'submarine' }]
+    },
+    {
+        id: 'sonar', name: 'Sonar', category: 'naval', cost: 120, requires: ['welded_hulls', 'radio'],
+        effects: [{ type: 'unit_stat', unit: 'destroyer', stat: 'screening', value: 0.25 }]
+    },
+    {
+        id: 'naval_aviation', name: 'Naval Aviation', category: 'naval', cost: 210, requires: ['fleet_submarines', 'radio_detection'],
+        effects: [{ type: 'unlock_unit', unit: 'carrier' }]
+    },
+
+    // Air warfare
+    {
+        id: 'monoplane_fighters', name: 'Monoplane Fighters', category: 'air', cost: 90, requires: [],
+        effects: [{ type: 'unit_stat', unit: 'fighter', stat: 'airAttack', value: 0.15 }]
+    },
+    {
+        id: 'drop_tanks', name: 'Drop Tanks', category: 'air', cost: 120, requires: ['monoplane_fighters'],
+        effects: [{ type: 'unit_stat', unit: 'fighter', stat: 'range', value: 0.3 }]
+    },
+    {
+        id: 'strategic_bombers', name: 'Strategic Bombers', category: 'air', cost: 180, requires: ['monoplane_fighters', 'assembly_lines'],
+        effects: [{ type: 'unlock_unit', unit: 'bomber' }]
+    },
+
+    // Air defence
+    {
+        id: 'anti_air_guns', name: 'Anti-Air Guns', category: 'air_defence', cost: 90, requires: ['infantry_weapons'],
+        effects: [{ type: 'unlock_building', building: 'anti_air' }]
+    },
+    {
+        id: 'fire_control', name: 'Fire Control Systems', category: 'air_defence', cost: 150, requires: ['anti_air_guns', 'radio_detection'],
+        effects: [{ type: 'building_output', building: 'anti_air', value: 0.25 }]
+    },
+
+    // Strategic weapons
+    {
+        id: 'rocketry', name: 'Rocketry', category: 'strategic', cost: 180, requires: ['assembly_lines', 'radio_detection'],
+        effects: [{ type: 'unlock_unit', unit: 'conventional' }]
+    },
+    {
+        id: 'inertial_guidance', name: 'Inertial Guidance', category: 'strategic', cost: 210, requires: ['rocketry', 'computing_machines'],
+        effects: [{ type: 'unit_stat', unit: 'missile', stat: 'range', value: 1.5 }]
+    },
+    {
+        id: 'nuclear_fission', name: 'Nuclear Fission', category: 'strategic', cost: 360, requires: ['rocketry', 'computing_machines'],
+        effects: [{ type: 'unlock_unit', unit: 'nuclear' }]
+    }
+];
+
+// Researched by every nation at the start of a campaign
+export const STARTING_TECHS = ['basic_machine_tools', 'radio', 'infantry_weapons'];
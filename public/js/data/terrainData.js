@@ -0,0 +1,147 @@
+/**
+ * Terrain Data
+ * STRATCOM Global Command
+ *
+ * Terrain of the loaded SVG map's states, by path ID. Territory records
+ * may name their own terrain, which wins; states listed nowhere are
+ * plains. IDs the map lacks are ignored.
+ */
+
+import { TERRAIN } from '../config/constants.js';
+
+export const STATE_TERRAIN = {
+    [TERRAIN.MOUNTAIN.id]: [
+        // Alps and Pyrenees
+        'Alpes', 'Alto_Adige', 'Tyrol', 'Vorarlberg', 'Eastern_Swiss_Alps', 'Western_Swiss_Alps', 'Ticino',
+        'Trentino', 'Savoy', 'Steiermark_Kärnten', 'Pyrénées_Atlantiques',
+        // Caucasus
+        'Abkhazia', 'Chechnya_Ingushetia', 'Dagestan', 'Kabardino_Balkaria', 'North_Ossetia', 'Armenia',
+        'Georgia', 'Hakkari', 'Tunceli',
+        // Himalaya, Tibet and the Hindu Kush
+        'Kashmir', 'Northern_Kashmir', 'Nepal', 'Bhutan', 'Sikkim', 'Arunachal_Pradesh', 'Shigatse', 'Ngari',
+        'Nagqu', 'Golog', 'Ganzi', 'Xikang', 'Gannan', 'Liangshan', 'Qinghai', 'Kunlun_Shan', 'Pamir',
+        'Stalinabad', 'Kabul', 'Qataghan', 'Khyber_Pass', 'Waziristan',
+        // Siberia
+        'Tannu_Tuva', 'Oyrot_Region', 'Kamchatka',
+        // Rockies and Andes
+        'Colorado', 'Wyoming', 'Montana', 'Idaho', 'British_Columbia', 'Upper_British_Columbia',
+        'Yukon_Territory', 'Los_Andes', 'La_Paz', 'Arequipa', 'Tacna_Moquegua', 'Cundinamarca', 'Aysén',
+        'Mendoza', 'San_Juan_y_La_Rioja',
+        // Elsewhere
+        'Koshinetsu', 'Vestlandet', 'Nordland', 'South_Island', 'Montenegro'
+    ],
+    [TERRAIN.HILLS.id]: [
+        // Europe
+        'Scottish_Highlands', 'Wales', 'Cumbria', 'Northumberland', 'Jura_Mountains', 'Thüringen', 'Bohemia',
+        'Tešínsko', 'Podkarpatská_Rus', 'Transylvania', 'North_Transylvania', 'Bucovina', 'Bosnia',
+        'Herzegovina', 'Serbia', 'Southern_Serbia', 'Kosovo', 'Macedonia', 'Albania', 'Shkodër', 'Epirus',
+        'Northern_Epirus', 'Debar', 'Plovdiv', 'Sofia', 'Asturias', 'León', 'Granada', 'Navarra',
+        'País_Vasco', 'Abruzzo', 'Calabria', 'Auvergne', 'Limousin', 'Telemark', 'Agder', 'Helgeland',
+        // Anatolia, Iran and Afghanistan
+        'Ankara', 'Kayseri', 'Sivas', 'Konya', 'Malatya', 'Diyarbakır', 'Van', 'Amasya', 'Kastamonu',
+        'Afyon', 'Trabzon', 'Kurdistan', 'West_Azerbaijan', 'East_Azerbaijan', 'Ilam', 'Tehran', 'Isfahan',
+        'Hamadan', 'Fars', 'Khorasan', 'North_Khorasan', 'South_Khorasan', 'Herat', 'Maymanah', 'Farah',
+        'Qandahar', 'Lebanon',
+        // Arabia and East Africa
+        'Asir_Makkah', 'North_Yemen', 'Province_of_Aden', 'Eritrea', 'Begemder', 'Gojjam', 'Shewa', 'Tigray',
+        'Wello', 'Hararghe', 'Bale', 'Sidamo', 'Welega', 'Illubabor_Kaffa', 'Nairobi', 'Nyanza_Rift_Valley',
+        'Rwanda', 'Burundi', 'Transvaal', 'Madagascar',
+        // East Asia
+        'Chugoku', 'Shikoku', 'Tohoku', 'Hokuriku', 'Kyushu', 'North_Korea', 'Guizhou', 'Zunyi', 'Yunnan',
+        'Shaanxi', 'Shanxi', 'Gansu', 'Fujian', 'Guangxi', 'Taiwan',
+        // Americas and Oceania
+        'West_Virginia', 'New_England', 'Jalisco', 'Durango', 'Oaxaca', 'Guerrero', 'Minas_Gerais',
+        'North_Island', 'Tasmania'
+    ],
+    [TERRAIN.DESERT.id]: [
+        // Sahara
+        'Algerian_Desert', 'Libyan_Desert', 'Western_Desert', 'Eastern_Desert', 'Mauritanian_Desert',
+        'Southern_Sahara', 'Rio_de_Oro', 'Borkou_Ennedi_Tibesti', 'Tombouctou', 'Gao', 'Niger', 'North_Darfur',
+        'Matrouh', 'Sinai', 'Aswan', 'Sirte', 'El_Agheila',
+        // Arabia and Mesopotamia
+        'Rub_al_Khali', 'Nejd', 'Jawf', 'Tabuk', 'Al_Hajara', 'Al_Qassim', 'Najiran', 'Dhofar', 'Oman',
+        'Abu_Dhabi', 'Qatar', 'Kuwait', 'Dammam', 'Al_Anbar', 'Deir_az_Zur',
+        // Iran, Baluchistan and the Thar
+        'Sistan', 'Kerman', 'Yazd', 'Semnan', 'South_Baluchistan', 'North_Baluchistan', 'Kalat', 'Sibi',
+        'Rajahsthan', 'Bahawalpur',
+        // Central Asia
+        'Karakalpakstan', 'Khiva', 'Tashauz', 'Ashkhabad', 'Bukhara', 'Navoi', 'Kyzyl_Orda', 'Ust_Urt',
+        'Taklamakan', 'Yarkand', 'Gobi', 'Dabancheng', 'Jiuquan', 'Haixi',
+        // Americas
+        'Nevada', 'Arizona', 'Sonora', 'Chihuahua', 'Baja_California', 'Atacama', 'Antofagasta',
+        'Arica_y_Tarapacá',
+        // Southern Africa and Australia
+        'Karas', 'Bechuanaland', 'Khomas', 'Kunene', 'Central_Australia', 'Western_Australia',
+        'North_West_Australia', 'South_Australia'
+    ],
+    [TERRAIN.JUNGLE.id]: [
+        // Amazon and the Guianas
+        'Amazon_impassable_1', 'Amazon_impassable_2', 'Amazon_impassable_3', 'Amazon_impassable_4',
+        'Amazon_impassable_5', 'Amazon_impassable_6', 'Amazon_impassable_7', 'Amazon_impassable_8',
+        'Amazonas', 'Acre', 'Pará', 'Amapá', 'Guaporé', 'Rio_Branco', 'Loreto', 'Ucayali', 'Pastaza',
+        'Santarém', 'French_Guiana', 'Suriname', 'British_Guyana',
+        // Central America
+        'Chiapas', 'Yucatan', 'British_Honduras', 'Guatemala', 'Honduras', 'Nicaragua', 'Costa_Rica',
+        'Panamá', 'Panamá_Canal',
+        // Central and West Africa
+        'Equatorial_Africa', 'Coquilhatville', 'Stanleyville', 'Lusambo', 'Costermansville', 'Middle_Congo',
+        'Gabon', 'Cameroon', 'Equatorial_Guinea', 'Cabinda', 'Liberia', 'Sierra_Leone', 'Ivory_Coast',
+        // Southeast Asia and New Guinea
+        'Kalimantan', 'Sumatra', 'Sulawesi', 'North_Borneo', 'Papua', 'West_Papua', 'Kaiser_Wilhelmsland',
+        'Bismarck', 'Solomon_Islands', 'The_Moluccas', 'Mindanao', 'Northern_Malay', 'Tenasserim', 'Arakan',
+        'Pegu', 'Laos', 'Cambodia', 'Southern_Indochina', 'Federated_Shan_States', 'Kentung_and_Yawnghwe',
+        'Manipur', 'Assam', 'Hainan'
+    ],
+    [TERRAIN.MARSH.id]: [
+        'Polesie', 'Mozyr', 'Upper_Nile', 'Bahr_al_Ghazal', 'Al_Basrah', 'East_Bengal', 'Surgut', 'Tobolsk',
+        'Región_Mesopotámica', 'Louisiana', 'Florida'
+    ],
+    [TERRAIN.FOREST.id]: [
+        // Russian north and Siberian taiga
+        'Arkhangelsk', 'Vologda', 'Kotlas', 'Kargopol', 'Syktyvkar', 'Kirov', 'Perm', 'Northern_Urals', 'Onega',
+        'Olonets', 'Novgorod', 'Tikhvin', 'Volkhov', 'Bryansk', 'Tomsk', 'Yeniseisk', 'Krasnoyarsk', 'Irkutsk',
+        'Bratsk', 'Kirensk', 'Bodaybo', 'Chita', 'Buryatia', 'Amur', 'Khabarovsk', 'Birobidzhan',
+        'Nikolayevsk', 'Vladivostok', 'Heilungkiang', 'Kirin',
+        // Nordic forests
+        'Karjala', 'Kuopio', 'Mikkeli', 'Oulu', 'Vaasa', 'Häme', 'Kymi', 'Jämtland', 'Västerbotten',
+        'Dalarna', 'Värmland', 'Gävleborg', 'Opplandene', 'Trøndelag',
+        // Canada and the Pacific Northwest
+        'Northern_Ontario', 'Ouest_du_Quebec', 'Saguenay', 'Cote_Nord', 'Northern_Manitoba',
+        'Northern_Saskatchewan', 'New_Brunswick', 'Districts_of_Ontario', 'Haida_Gwaii', 'Vancouver_Island',
+        'Labrador', 'Washington', 'Oregon',
+        // Central Europe
+        'Baden', 'Ardennes'
+    ],
+    [TERRAIN.ARCTIC.id]: [
+        'Greenland', 'Nunavut', 'Northwest_Territories', 'Nord_du_Quebec', 'Alaska', 'Yamalia', 'Nenets',
+        'Salekhard', 'Pechora', 'Dudinka', 'Khatangsky', 'Verkhoyansk', 'Yakutsk', 'Udachny', 'Kolyma',
+        'Magadan', 'Okhotsk', 'Chukchi_Peninsula', 'Chukotka', 'Murmansk', 'Petsamo', 'Finnmark', 'Troms',
+        'Lappi', 'Salla', 'Norrbotten', 'Iceland', 'Jan_Mayen', 'South_Georgia', 'Kerguelen'
+    ],
+    [TERRAIN.URBAN.id]: [
+        'Greater_London_Area', 'Ile_de_France', 'Istanbul', 'Leningrad', 'Cairo', 'Delhi', 'Hong_Kong',
+        'Macau', 'Guangzhou', 'Singapore', 'Manila', 'Mexico_City'
+    ]
+};
+
+const TERRAIN_BY_STATE = new Map(Object.entries(STATE_TERRAIN).flatMap(([terrainId, stateIds]) =>
+    stateIds.map(stateId => [stateId, terrainId])));
+
+/**
+ * Terrain listed for a map state
+ * @param {string} stateId
+ * @returns {string} TERRAIN id, plains when unlisted
+ */
+export function getStateTerrain(stateId) {
+    return TERRAIN_BY_STATE.get(stateId) || TERRAIN.PLAINS.id;
+}
+
+/**
+ * Terrain type of a map state
+ * @param {Object} state
+ * @param {Object|null} fallback - Returned when the state has no terrain
+ * @returns {Object|null} TERRAIN entry
+ */
+export function getTerrain(state, fallback = TERRAIN.PLAINS) {
+    return Object.values(TERRAIN).find(terrain => terrain.id === state?.data?.terrain) || fallback;
+}
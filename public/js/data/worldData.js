@@ -149,35 +149,42 @@ export const NATIONS = {
     }
 };
 
-// Sample territories with coordinates (centroids)
+// Sample territories with coordinates (centroids).
+// mapIds lists the SVG map states that make up each territory.
 export const TERRITORIES = {
     // United States
     'US-CA': {
         id: 'US-CA',
         name: 'California',
         nation: 'USA',
+        mapIds: ['California'],
         centroid: { lat: 36.7783, lon: -119.4179 },
+        terrain: 'hills',
         population: 39500000,
-        resources: { oil: 3, steel: 1 },
-        buildings: { factories: 15, infrastructure: 8 }
+        resources: { oil: 3, steel: 1, tungsten: 1, rubber: 1 },
+        buildings: { factory: 15, infrastructure: 8, dockyard: 4, naval_base: 5, airbase: 3, radar: 2 }
     },
     'US-TX': {
         id: 'US-TX',
         name: 'Texas',
         nation: 'USA',
+        mapIds: ['Texas'],
         centroid: { lat: 31.9686, lon: -99.9018 },
+        terrain: 'plains',
         population: 29100000,
-        resources: { oil: 8, steel: 2 },
-        buildings: { factories: 12, infrastructure: 7 }
+        resources: { oil: 8, steel: 4, uranium: 1, chromium: 1 },
+        buildings: { factory: 12, infrastructure: 7, naval_base: 2, military_factory: 4, airbase: 4, anti_air: 2 }
     },
     'US-NY': {
         id: 'US-NY',
         name: 'New York',
         nation: 'USA',
+        mapIds: ['New_York'],
         centroid: { lat: 43.2994, lon: -74.2179 },
+        terrain: 'forest',
         population: 20200000,
-        resources: { steel: 2 },
-        buildings: { factories: 10, infrastructure: 9 }
+        resources: { steel: 3, aluminum: 1 },
+        buildings: { factory: 10, infrastructure: 9, dockyard: 3, naval_base: 4 }
     },
     
     // China
@@ -185,19 +192,23 @@ export const TERRITORIES = {
         id: 'CN-BJ',
         name: 'Beijing',
         nation: 'CHN',
+        mapIds: ['Beijing'],
         centroid: { lat: 39.9042, lon: 116.4074 },
+        terrain: 'urban',
         population: 21500000,
-        resources: { steel: 3 },
-        buildings: { factories: 8, infrastructure: 9 }
+        resources: { oil: 3, steel: 4, tungsten: 2, aluminum: 1 },
+        buildings: { factory: 8, infrastructure: 9, military_factory: 3, airbase: 3, anti_air: 2 }
     },
     'CN-SH': {
         id: 'CN-SH',
         name: 'Shanghai',
         nation: 'CHN',
+        mapIds: ['Shanghai'],
         centroid: { lat: 31.2304, lon: 121.4737 },
+        terrain: 'urban',
         population: 24900000,
-        resources: { steel: 2 },
-        buildings: { factories: 15, infrastructure: 10 }
+        resources: { steel: 2, rubber: 1, chromium: 1 },
+        buildings: { factory: 15, infrastructure: 10, dockyard: 5, naval_base: 5 }
     },
     
     // Russia
@@ -205,19 +216,23 @@ export const TERRITORIES = {
         id: 'RU-MOW',
         name: 'Moscow Oblast',
         nation: 'RUS',
+        mapIds: ['Moscow'],
         centroid: { lat: 55.7558, lon: 37.6173 },
+        terrain: 'forest',
         population: 12600000,
-        resources: { oil: 2, steel: 4 },
-        buildings: { factories: 10, infrastructure: 7 }
+        resources: { oil: 2, steel: 4, rubber: 1 },
+        buildings: { factory: 10, infrastructure: 7, military_factory: 4, airbase: 4, anti_air: 3, radar: 2 }
     },
     'RU-TYU': {
         id: 'RU-TYU',
         name: 'Tyumen Oblast',
         nation: 'RUS',
+        mapIds: ['Tyumen'],
         centroid: { lat: 57.1530, lon: 65.5343 },
+        terrain: 'marsh',
         population: 3700000,
-        resources: { oil: 10, steel: 1 },
-        buildings: { factories: 2, infrastructure: 4 }
+        resources: { oil: 10, steel: 1, uranium: 2, aluminum: 2, chromium: 1 },
+        buildings: { factory: 2, infrastructure: 4 }
     },
     
     // Germany
@@ -225,19 +240,23 @@ export const TERRITORIES = {
         id: 'DE-BY',
         name: 'Bavaria',
         nation: 'DEU',
+        mapIds: ['Oberbayern', 'Niederbayern', 'Franken'],
         centroid: { lat: 48.7904, lon: 11.4979 },
+        terrain: 'hills',
         population: 13100000,
         resources: { steel: 2 },
-        buildings: { factories: 8, infrastructure: 9 }
+        buildings: { factory: 8, infrastructure: 9, airbase: 3 }
     },
     'DE-NW': {
         id: 'DE-NW',
         name: 'North Rhine-Westphalia',
         nation: 'DEU',
+        mapIds: ['Westfalen', 'Rhineland'],
         centroid: { lat: 51.4332, lon: 7.6616 },
+        terrain: 'urban',
         population: 17900000,
-        resources: { steel: 5 },
-        buildings: { factories: 12, infrastructure: 9 }
+        resources: { steel: 5, aluminum: 1, rubber: 1 },
+        buildings: { factory: 12, infrastructure: 9, military_factory: 4, airbase: 2, anti_air: 2 }
     },
     
     // United Kingdom
@@ -245,19 +264,40 @@ export const TERRITORIES = {
         id: 'GB-ENG',
         name: 'England',
         nation: 'GBR',
+        mapIds: [
+            'Northumberland',
+            'Cumbria',
+            'Yorkshire',
+            'Lancashire',
+            'East_Midlands',
+            'West_Midlands',
+            'East_Anglia',
+            'Gloucestershire',
+            'Greater_London_Area',
+            'Sussex',
+            'South_West_England'
+        ],
         centroid: { lat: 52.3555, lon: -1.1743 },
+        terrain: 'plains',
         population: 56000000,
-        resources: { steel: 2, oil: 1 },
-        buildings: { factories: 10, infrastructure: 8 }
+        resources: { steel: 3, oil: 1 },
+        buildings: { factory: 10, infrastructure: 8, dockyard: 4, airbase: 4, radar: 3, anti_air: 2 }
     },
     'GB-SCT': {
         id: 'GB-SCT',
         name: 'Scotland',
         nation: 'GBR',
+        mapIds: [
+            'Scottish_Highlands',
+            'Aberdeenshire',
+            'Lanark',
+            'Lothian'
+        ],
         centroid: { lat: 56.4907, lon: -4.2026 },
+        terrain: 'hills',
         population: 5500000,
         resources: { oil: 4 },
-        buildings: { factories: 3, infrastructure: 6 }
+        buildings: { factory: 3, infrastructure: 6, naval_base: 4 }
     },
     
     // Japan
@@ -265,22 +305,44 @@ export const TERRITORIES = {
         id: 'JP-13',
         name: 'Tokyo',
         nation: 'JPN',
+        mapIds: ['Kanto'],
         centroid: { lat: 35.6762, lon: 139.6503 },
+        terrain: 'urban',
         population: 14000000,
         resources: {},
-        buildings: { factories: 12, infrastructure: 10 }
+        buildings: { factory: 12, infrastructure: 10, dockyard: 3, naval_base: 4, airbase: 3, anti_air: 2 }
     },
     'JP-27': {
         id: 'JP-27',
         name: 'Osaka',
         nation: 'JPN',
+        mapIds: ['Kansai'],
         centroid: { lat: 34.6937, lon: 135.5023 },
+        terrain: 'urban',
         population: 8800000,
         resources: { steel: 1 },
-        buildings: { factories: 8, infrastructure: 9 }
+        buildings: { factory: 8, infrastructure: 9, dockyard: 4, naval_base: 3, military_factory: 3 }
     }
 };
 
+// Factions in place at the start: leader first among the members
+export const STARTING_FACTIONS = [
+    {
+        id: 'atlantic_treaty',
+        name: 'Atlantic Treaty Organisation',
+        leader: 'USA',
+        members: ['USA', 'GBR', 'FRA', 'DEU'],
+        color: '#3a7aff'
+    },
+    {
+        id: 'eastern_pact',
+        name: 'Eastern Security Pact',
+        leader: 'RUS',
+        members: ['RUS', 'CHN'],
+        color: '#ff5a3a'
+    }
+];
+
 // Generate nation colors map
 export function getNationColors() {
     const colors = new Map();
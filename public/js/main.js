@@ -8,7 +8,35 @@ import { MapManager } from './core/MapManager.js';
 import { InputHandler } from './core/InputHandler.js';
 import { HUDController } from './core/HUDController.js';
 import { MenuController } from './core/MenuController.js';
+import { MapModeController } from './core/MapModeController.js';
+import { WorldLoader } from './core/WorldLoader.js';
+import { aggregateNationStats, getNationStates } from './core/NationStats.js';
+import { ConstructionSystem, getBuilding } from './systems/ConstructionSystem.js';
+import { ResourceSystem } from './systems/ResourceSystem.js';
+import { EconomySystem } from './systems/EconomySystem.js';
+import { PopulationSystem } from './systems/PopulationSystem.js';
+import { StabilitySystem } from './systems/StabilitySystem.js';
+import { GovernmentSystem } from './systems/GovernmentSystem.js';
+import { ResearchSystem } from './systems/ResearchSystem.js';
+import { UnitSystem, getBattalion } from './systems/UnitSystem.js';
+import { MovementSystem } from './systems/MovementSystem.js';
+import { CombatSystem } from './systems/CombatSystem.js';
+import { SupplySystem } from './systems/SupplySystem.js';
+import { NavalSystem, getShipClass } from './systems/NavalSystem.js';
+import { AirSystem, getAircraft } from './systems/AirSystem.js';
+import { MissileSystem, getWarhead } from './systems/MissileSystem.js';
+import { DiplomacySystem, getTreaty } from './systems/DiplomacySystem.js';
+import { FactionSystem } from './systems/FactionSystem.js';
+import { UnitLayer } from './core/UnitLayer.js';
+import { BattleLayer } from './core/BattleLayer.js';
+import { FleetLayer } from './core/FleetLayer.js';
+import { MissileLayer } from './core/MissileLayer.js';
+import { GameClock } from './core/GameClock.js';
+import { GameDate } from './core/GameDate.js';
 import { GAME_CONFIG } from './config/firebase.config.js';
+import { MAP_MODES, BUILDINGS, GOVERNMENT_CHANGE, COMBAT, NAVAL, NAVAL_MISSIONS, SHIP_CLASSES,
+    AIR, AIR_MISSIONS, AIRCRAFT, WARHEADS, TREATIES, FACTIONS, BATTALIONS, UNITS,
+    MAP_MODE_KEYS } from './config/constants.js';
 
 class StratcomGame {
     constructor() {
@@ -17,15 +45,54 @@ class StratcomGame {
         this.input = null;
         this.hud = null;
         this.menu = null;
+        this.clock = null;
+        this.mapModes = null;
+        
+        // Simulation systems
+        this.construction = null;
+        this.resources = null;
+        this.economy = null;
+        this.population = null;
+        this.stability = null;
+        this.government = null;
+        this.research = null;
+        this.units = null;
+        this.movement = null;
+        this.combat = null;
+        this.supply = null;
+        this.naval = null;
+        this.air = null;
+        this.missiles = null;
+        this.diplomacy = null;
+        this.factions = null;
+        this.unitLayer = null;
+        this.battleLayer = null;
+        this.fleetLayer = null;
+        this.missileLayer = null;
         
         // Game state
+        this.nations = new Map();
+        this.selectedNation = null;
+        this.selectedUnitId = null;
+        this.selectedFleetId = null;
+        this.selectedWingId = null;
+        this.diplomacyFocus = null;
         this.gameState = null;
-        this.gameDate = { ...GAME_CONFIG.START_DATE };
+        this.gameDate = GameDate.from(GAME_CONFIG.START_DATE);
         this.gameSpeed = 0;
-        this.lastTick = 0;
         
         // Stats update interval
         this.statsInterval = null;
+        
+        // Pause the clock while the tab is hidden
+        this.onVisibilityChange = () => {
+            if (!this.clock) return;
+            if (document.hidden) {
+                this.clock.hold('hidden');
+            } else {
+                this.clock.release('hidden');
+            }
+        };
     }
     
     /**
@@ -67,7 +134,7 @@ class StratcomGame {
         };
         
         // Reset date to start date
-        this.gameDate = { ...GAME_CONFIG.START_DATE };
+        this.gameDate = GameDate.from(GAME_CONFIG.START_DATE);
         
         // Initialize game world
         await this.initializeGameWorld();
@@ -85,7 +152,7 @@ class StratcomGame {
         
         // Restore game state
         this.gameState = gameData;
-        this.gameDate = gameData.gameDate || { ...GAME_CONFIG.START_DATE };
+        this.gameDate = GameDate.from(gameData.gameDate || GAME_CONFIG.START_DATE);
         
         // Initialize game world with saved state
         await this.initializeGameWorld();
@@ -106,7 +173,7 @@ class StratcomGame {
             isMultiplayer: true
         };
         
-        this.gameDate = lobbyData.gameDate || { ...GAME_CONFIG.START_DATE };
+        this.gameDate = GameDate.from(lobbyData.gameDate || GAME_CONFIG.START_DATE);
         
         // Initialize game world for multiplayer
         await this.initializeGameWorld();
@@ -145,6 +212,53 @@ class StratcomGame {
             if (mapLoaded) {
                 this.hud.setLoadingProgress(70, 'PROCESSING TERRITORIES...');
                 this.map.applyRadarTheme();
+                const world = new WorldLoader(this.map).load();
+                this.nations = world.nations;
+                this.logWorldReport(world.report);
+                this.mapModes = new MapModeController(this.map);
+                this.construction = new ConstructionSystem(this.map);
+                this.resources = new ResourceSystem(this.map);
+                this.resources.init(this.nations.keys());
+                this.population = new PopulationSystem(this.map);
+                this.population.init(this.nations);
+                this.economy = new EconomySystem(this.map);
+                this.economy.init(this.nations.keys());
+                this.stability = new StabilitySystem(this.map);
+                this.stability.init(this.nations);
+                this.government = new GovernmentSystem();
+                this.government.onUnknownGovernment = (nation, government) => {
+                    console.warn(`Nation ${nation.id}: unknown government type "${nation.type}", using ${government.name}`);
+                };
+                this.government.init(this.nations, this.gameDate);
+                this.research = new ResearchSystem();
+                this.research.init(this.nations);
+                this.diplomacy = new DiplomacySystem(this.map);
+                this.diplomacy.init(this.nations);
+                this.factions = new FactionSystem();
+                this.factions.init(this.nations);
+                this.units = new UnitSystem(this.map);
+                this.units.init(this.nations);
+                this.movement = new MovementSystem(this.map, this.units);
+                this.combat = new CombatSystem(this.map, this.units);
+                this.naval = new NavalSystem(this.map);
+                this.naval.init(this.nations);
+                this.air = new AirSystem(this.map);
+                this.air.init(this.nations);
+                this.missiles = new MissileSystem(this.map);
+                this.supply = new SupplySystem(this.map, this.units);
+                this.supply.init(this.nations);
+                this.unitLayer = new UnitLayer(this.globe, this.map);
+                this.unitLayer.init();
+                this.battleLayer = new BattleLayer(this.globe, this.map);
+                this.battleLayer.init();
+                this.fleetLayer = new FleetLayer(this.globe, this.map);
+                this.fleetLayer.init();
+                this.missileLayer = new MissileLayer(this.globe, this.map);
+                this.missileLayer.init();
+                this.globe.onFrame = (now) => {
+                    this.battleLayer?.animate(now);
+                    this.missileLayer?.animate(now);
+                };
                 
                 // Render to globe
                 const canvas = await this.map.renderToCanvas();
@@ -164,10 +278,15 @@ class StratcomGame {
             // Set up HUD callbacks
             this.hud.setLoadingProgress(90, 'CONNECTING TO COMMAND...');
             this.setupHUDCallbacks();
+            this.setupMapModes();
+            this.setupSystems();
             
             // Start stats update loop
             this.startStatsLoop();
             
+            // Start the simulation clock (paused until speed is set)
+            this.startClock();
+            
             // Final setup
             this.hud.setLoadingProgress(100, 'SYSTEMS ONLINE');
             this.hud.setConnectionStatus('ready');
@@ -335,6 +454,9 @@ class StratcomGame {
         };
         
         this.input.onStateHover = (state) => {
+            // The territory panel stays on the selected state
+            if (this.input.selectedState) return;
+            
             if (state) {
                 this.hud.showTerritoryPanel(state);
             } else {
@@ -345,8 +467,77 @@ class StratcomGame {
         this.input.onStateSelect = (state) => {
             if (state) {
                 console.log('Selected:', state.name || state.id);
-                // Could show nation panel if we had nation data
             }
+            
+            // Selecting another territory drops the selected division
+            if (this.selectedUnitId && this.units?.getUnit(this.selectedUnitId)?.stateId !== state?.id) {
+                this.selectedUnitId = null;
+                this.updateUnitLayer();
+            }
+            
+            // Likewise a fleet or air wing selected away from its base
+            if (this.selectedFleetId && this.naval?.getFleet(this.selectedFleetId)?.baseId !== state?.id) {
+                this.selectedFleetId = null;
+                this.updateFleetLayer();
+            }
+            if (this.selectedWingId && this.air?.getWing(this.selectedWingId)?.baseId !== state?.id) {
+                this.selectedWingId = null;
+            }
+            
+            this.selectNation(state?.owner || null);
+            this.updateTerritoryPanel();
+        };
+        
+        this.input.pickUnit = (x, y) => this.unitLayer?.pick(x, y) ?? null;
+        
+        this.input.onUnitClick = (unitId) => {
+            this.selectUnit(unitId);
+        };
+        
+        this.input.pickFleet = (x, y) => this.fleetLayer?.pick(x, y) ?? null;
+        
+        this.input.onFleetClick = (fleetId) => {
+            this.selectFleet(fleetId);
+        };
+        
+        this.input.pickBattle = (x, y) => this.battleLayer?.pick(x, y) ?? null;
+        
+        this.input.onBattleClick = (stateId) => {
+            this.hud.showBattle(this.combat.getBattleSummary(stateId));
+        };
+        
+        // Right-click / shift-click with one of the player's divisions or air wings selected
+        this.input.onStateOrder = (state, { append }) => {
+            const playerNation = this.gameState?.playerNation;
+            
+            const unit = this.selectedUnitId ? this.units?.getUnit(this.selectedUnitId) : null;
+            if (unit && unit.nationId === playerNation) {
+                const result = this.movement.order(unit.id, state.id, { append });
+                if (!result.success) console.warn('Move order rejected:', result.error);
+                return true;
+            }
+            
+            const wing = this.selectedWingId ? this.air?.getWing(this.selectedWingId) : null;
+            if (wing && wing.nationId === playerNation) {
+                const result = this.air.assign(wing.id, state.id);
+                if (!result.success) console.warn('Air mission rejected:', result.error);
+                return true;
+            }
+            
+            return false;
+        };
+        
+        // Right-click on open sea with one of the player's fleets selected
+        this.input.onSeaOrder = ({ lat, lon }) => {
+            const fleet = this.selectedFleetId ? this.naval?.getFleet(this.selectedFleetId) : null;
+            if (!fleet || fleet.nationId !== this.gameState?.playerNation) return false;
+            
+            const zone = this.map.findSeaZoneAt(lat, lon);
+            if (!zone) return false;
+            
+            const result = this.naval.sail(fleet.id, zone.id);
+            if (!result.success) console.warn('Sailing order rejected:', result.error);
+            return true;
         };
         
         this.input.onKeyPress = (key, event) => {
@@ -362,81 +553,1516 @@ class StratcomGame {
                 case '-':
                     this.decreaseSpeed();
                     break;
+                default:
+                    if (MAP_MODE_KEYS[key]) this.setMapMode(MAP_MODE_KEYS[key]);
+                    break;
             }
         };
     }
     
     /**
-     * Set up HUD callbacks
+     * Hook simulation system events into the HUD and map
      */
-    setupHUDCallbacks() {
-        this.hud.onSpeedChange = (speed) => {
-            this.setGameSpeed(speed);
+    setupSystems() {
+        if (!this.construction) return;
+        
+        // Steel shortages, the construction budget, unrest and technology scale civilian factory output
+        this.construction.outputModifier = (nationId) => {
+            return this.resources.getBuildingEfficiency(nationId, BUILDINGS.FACTORY.id) *
+                this.economy.getFundingModifier(nationId, 'construction') *
+                this.stability.getOutputModifier(nationId) *
+                (1 + this.research.getModifier(nationId, 'building_output', { building: BUILDINGS.FACTORY.id }));
         };
         
-        // Auth button
-        const btnAuth = document.getElementById('btn-auth');
-        if (btnAuth) {
-            btnAuth.addEventListener('click', () => {
-                // Will implement Firebase Auth later
-                console.log('Auth clicked - Firebase Auth to be implemented');
-            });
-        }
+        // Radar, anti-air and other buildings wait on technology
+        this.construction.buildFilter = (nationId, buildingId) => this.research.canBuild(nationId, buildingId);
+        
+        this.construction.onProjectComplete = (project, date) => {
+            const state = this.map.getState(project.stateId);
+            console.log(`${date.format()}: ${getBuilding(project.buildingId).name} completed in ${state?.name || project.stateId}`);
+            this.mapModes?.refresh();
+        };
+        
+        this.construction.onProjectCancelled = (project, date) => {
+            const state = this.map.getState(project.stateId);
+            console.log(`${date.format()}: ${getBuilding(project.buildingId).name} abandoned in ${state?.name || project.stateId} (territory lost)`);
+        };
+        
+        this.construction.onQueueChange = () => {
+            this.updateTerritoryPanel();
+        };
+        
+        // Divisions, fleets and air wings draw on the stockpiles too
+        this.resources.addDemandSource('divisions', (nationId) => this.units.getResourceDemand(nationId));
+        this.resources.addDemandSource('fleets', (nationId) => this.naval.getResourceDemand(nationId));
+        this.resources.addDemandSource('air wings', (nationId) => this.air.getResourceDemand(nationId));
+        
+        this.resources.onShortage = (nationId, resourceId, fulfilment) => {
+            console.warn(`${nationId} is short of ${resourceId}: ${Math.round(fulfilment * 100)}% of demand met`);
+        };
+        
+        this.resources.onUpdate = () => {
+            this.updateResourcePanel();
+        };
+        
+        this.economy.onUpdate = () => {
+            this.updateNationPanel();
+        };
+        
+        // Mobilisation trades economic output for manpower; unrest costs output too; trade agreements add to it
+        this.population.stabilityOf = (nationId) => this.nations.get(nationId)?.stats?.stability ?? 50;
+        this.economy.outputModifier = (nationId) => {
+            return this.population.getOutputModifier(nationId) * this.stability.getOutputModifier(nationId) *
+                (1 + this.research.getModifier(nationId, 'gdp')) * this.diplomacy.getTradeModifier(nationId);
+        };
+        
+        this.population.onUpdate = () => {
+            this.updateNationPanel();
+        };
+        
+        this.stability.budgetOf = (nationId) => this.economy.getBudget(nationId);
+        this.stability.shortageOf = (nationId) => this.resources.getShortage(nationId);
+        
+        this.stability.onStatusChange = (nationId, status, date) => {
+            console.log(`${date.format()}: ${nationId} stability status is now ${status}`);
+        };
+        
+        // Civil wars end in revolution
+        this.stability.onCivilWar = (nationId, date) => {
+            console.warn(`${date.format()}: civil war breaks out in ${nationId}`);
+            this.government.revolt(nationId, date);
+        };
+        
+        this.stability.onUpdate = () => {
+            this.updateNationPanel();
+        };
+        
+        // Government type sets the stability baseline and caps conscription
+        this.government.stabilityOf = (nationId) => this.nations.get(nationId)?.stats?.stability ?? 50;
+        this.stability.baselineOf = (nationId) => this.government.getStabilityBaseline(nationId);
+        this.population.lawFilter = (nationId, lawId) => this.government.canUseConscription(nationId, lawId);
+        
+        this.government.onGovernmentChange = (nationId, { government, previous, reason }, date) => {
+            console.log(`${date.format()}: ${nationId} ${previous.name} replaced by ${government.name} (${reason})`);
+            
+            const { value, months } = GOVERNMENT_CHANGE.NEW_GOVERNMENT_STABILITY;
+            this.stability.addEvent(nationId, { label: 'New government', value, months });
+            
+            // Laws the new government doesn't allow fall back to its cap
+            const { conscription } = this.population.getManpower(nationId);
+            if (!this.government.canUseConscription(nationId, conscription.id).success) {
+                this.population.setConscriptionLaw(nationId, government.maxConscription);
+            }
+            
+            this.map.nationColors.set(nationId, this.nations.get(nationId).color);
+            this.mapModes?.refresh();
+            this.updateNationPanel();
+        };
+        
+        this.government.onElection = (nationId, date) => {
+            console.log(`${date.format()}: ${nationId} holds elections`);
+        };
+        
+        // Research runs at the speed its budget share pays for
+        this.research.speedModifier = (nationId) => this.economy.getFundingModifier(nationId, 'research');
+        
+        this.research.onResearchComplete = (nationId, tech, date) => {
+            console.log(`${date.format()}: ${nationId} researched ${tech.name}`);
+            if (nationId === this.gameState?.playerNation) this.updateTerritoryPanel();
+        };
+        
+        // Divisions draw on the population's manpower pool
+        this.units.manpowerPool = {
+            available: (nationId) => this.population.getManpower(nationId).available,
+            recruit: (nationId, amount) => this.population.recruit(nationId, amount),
+            release: (nationId, amount) => this.population.release(nationId, amount)
+        };
+        this.units.unitFilter = (nationId, battalionId) => {
+            return this.research.checkUnlocked(nationId, 'unlock_unit', 'unit', battalionId);
+        };
+        this.units.statModifier = (nationId, battalionId, stat) => {
+            return this.research.getModifier(nationId, 'unit_stat', { unit: battalionId, stat });
+        };
+        this.units.productionModifier = (nationId) => {
+            return this.resources.getBuildingEfficiency(nationId, BUILDINGS.MILITARY_FACTORY.id) *
+                this.economy.getFundingModifier(nationId, 'military') *
+                this.stability.getOutputModifier(nationId) *
+                (1 + this.research.getModifier(nationId, 'building_output', { building: BUILDINGS.MILITARY_FACTORY.id }));
+        };
+        
+        // Dockyards run on steel and the military budget like military factories
+        this.naval.manpowerPool = this.units.manpowerPool;
+        this.naval.shipFilter = (nationId, classId) => {
+            return this.research.checkUnlocked(nationId, 'unlock_unit', 'unit', classId);
+        };
+        this.naval.statModifier = (nationId, classId, stat) => {
+            return this.research.getModifier(nationId, 'unit_stat', { unit: classId, stat });
+        };
+        this.naval.productionModifier = (nationId) => {
+            return this.resources.getBuildingEfficiency(nationId, BUILDINGS.DOCKYARD.id) *
+                this.economy.getFundingModifier(nationId, 'military') *
+                this.stability.getOutputModifier(nationId) *
+                (1 + this.research.getModifier(nationId, 'building_output', { building: BUILDINGS.DOCKYARD.id }));
+        };
+        
+        // Aircraft come off the military factory lines; technology sharpens radar and anti-air
+        this.air.manpowerPool = this.units.manpowerPool;
+        this.air.aircraftFilter = (nationId, aircraftId) => {
+            return this.research.checkUnlocked(nationId, 'unlock_unit', 'unit', aircraftId);
+        };
+        this.air.statModifier = (nationId, aircraftId, stat) => {
+            return this.research.getModifier(nationId, 'unit_stat', { unit: aircraftId, stat });
+        };
+        this.air.productionModifier = this.units.productionModifier;
+        this.air.buildingModifier = (nationId, buildingId) => {
+            return 1 + this.research.getModifier(nationId, 'building_output', { building: buildingId });
+        };
+        
+        this.units.onUnitReady = (unit, date) => {
+            console.log(`${date.format()}: ${unit.name} (${unit.nationId}) is ready`);
+        };
+        
+        this.movement.onUnitMoved = (unit) => {
+            // The panel follows the selected division
+            if (unit.id === this.selectedUnitId) {
+                this.input.selectState(this.map.getState(unit.stateId));
+            }
+        };
+        
+        this.movement.onUnitHalted = (unit, stateId, date) => {
+            console.warn(`${date.format()}: ${unit.name} halted, cannot enter ${this.map.getState(stateId)?.name || stateId}`);
+        };
+        
+        this.movement.onUpdate = () => {
+            this.updateUnitLayer();
+            this.updateTerritoryPanel();
+        };
+        
+        // Divisions in battle neither march nor recover
+        this.units.isEngaged = (unit) => this.combat.isEngaged(unit);
+        this.movement.isEngaged = (unit) => this.combat.isEngaged(unit);
+        this.movement.isContested = (nationId, stateId) => this.combat.isContested(nationId, stateId);
+        
+        // Missiles share the military factories and need uranium and research for their warheads
+        this.missiles.stockpile = this.resources;
+        this.missiles.warheadFilter = (nationId, warheadId) => {
+            return this.research.checkUnlocked(nationId, 'unlock_unit', 'unit', warheadId);
+        };
+        this.missiles.statModifier = (nationId, stat) => {
+            return this.research.getModifier(nationId, 'unit_stat', { unit: 'missile', stat });
+        };
+        this.missiles.productionModifier = this.units.productionModifier;
+        this.missiles.buildingModifier = this.air.buildingModifier;
+        this.stability.tensionOf = () => this.missiles.tension;
+        
+        // Close air support adds to land firepower
+        this.combat.airSupportOf = (nationId, stateId) => this.air.getAirSupport(nationId, stateId);
+        
+        // Supply weakens divisions in battle and slows their recovery
+        this.combat.supplyOf = (nationId, stateId) => this.supply.getSupply(nationId, stateId);
+        this.units.supplyOf = (unit) => this.supply.getSupply(unit.nationId, unit.stateId);
+        
+        // Invasions need a port and safe waters; raiders cut supply landed at ports
+        this.movement.canCrossSea = (nationId, fromId, toId) => this.naval.canCrossSea(nationId, fromId, toId);
+        this.supply.portModifier = (nationId, stateId) => this.naval.getConvoyFactor(nationId, stateId);
+        
+        this.supply.onAttrition = (unit, casualties) => {
+            this.population.applyCasualties(unit.nationId, casualties);
+        };
+        
+        this.supply.onUnitLost = (unit, date) => {
+            console.log(`${date.format()}: ${unit.name} lost to attrition in ${unit.stateId}`);
+        };
+        
+        this.supply.onUpdate = () => {
+            if (this.mapModes?.currentMode === MAP_MODES.SUPPLY) this.mapModes.refresh();
+        };
+        
+        // Shows the player's network, or each owner's own without a player nation
+        this.mapModes.registerMode(MAP_MODES.SUPPLY, this.supply.createMapMode(
+            (state) => this.gameState?.playerNation || state.owner
+        ));
+        
+        this.combat.onCasualties = (nationId, amount, stateId) => {
+            // Losses abroad come out of the home population
+            const homeState = this.map.getState(stateId)?.owner === nationId ? stateId : null;
+            this.population.applyCasualties(nationId, amount, homeState);
+            this.stability.addWarExhaustion(nationId, amount / 1000 * COMBAT.EXHAUSTION_PER_THOUSAND);
+        };
+        
+        this.combat.onRetreat = (unit, fromStateId, date) => {
+            console.log(`${date.format()}: ${unit.name} retreats from ${fromStateId} to ${unit.stateId}`);
+            this.movement.cancel(unit.id);
+        };
+        
+        this.combat.onUnitDestroyed = (unit, battle, encircled, date) => {
+            console.log(`${date.format()}: ${unit.name} ${encircled ? 'encircled and ' : ''}destroyed in ${battle.stateId}`);
+        };
+        
+        this.combat.onBattleStart = (battle, date) => {
+            console.log(`${date.format()}: ${battle.attacker} attacks ${battle.defender} in ${battle.stateId}`);
+        };
+        
+        this.combat.onBattleEnd = (battle, date) => {
+            const loser = battle.result === 'attacker' ? battle.defender : battle.attacker;
+            console.log(`${date.format()}: Battle of ${battle.stateId} won by the ${battle.result} after ${battle.hours}h`);
+            this.stability.addWarExhaustion(loser, COMBAT.DEFEAT_EXHAUSTION);
+        };
+        
+        this.combat.onTerritoryCaptured = (stateId, nationId, previousOwner, date) => {
+            console.log(`${date.format()}: ${nationId} captures ${stateId} from ${previousOwner}`);
+            this.transferState(stateId, nationId, previousOwner);
+        };
+        
+        this.combat.onUpdate = () => {
+            this.battleLayer.update(this.combat.getBattles());
+            this.updateUnitLayer();
+        };
+        
+        this.naval.onShipLaunched = (ship, fleet, date) => {
+            console.log(`${date.format()}: ${ship.name} (${fleet.nationId}) joins the ${fleet.name}`);
+        };
+        
+        this.naval.onOrderScrapped = (order) => {
+            console.warn(`${order.nationId} scraps a ${getShipClass(order.classId).name}: ${order.baseId} lost`);
+        };
+        
+        this.naval.onCasualties = (nationId, amount) => {
+            this.population.applyCasualties(nationId, amount);
+            this.stability.addWarExhaustion(nationId, amount / 1000 * COMBAT.EXHAUSTION_PER_THOUSAND);
+        };
+        
+        this.naval.onShipSunk = (ship, fleet, battle, date) => {
+            console.log(`${date.format()}: ${ship.name} (${fleet.nationId}) sunk in ${this.map.getSeaZone(battle.zoneId)?.name || battle.zoneId}`);
+            this.stability.addWarExhaustion(fleet.nationId, NAVAL.EXHAUSTION_PER_SHIP);
+        };
+        
+        this.naval.onFleetDestroyed = (fleet, date) => {
+            console.log(`${date.format()}: ${fleet.name} (${fleet.nationId}) destroyed`);
+        };
+        
+        this.naval.onFleetWithdrawn = (fleet, date) => {
+            console.log(`${date.format()}: ${fleet.name} breaks off to repair`);
+        };
+        
+        this.naval.onFleetRebased = (fleet) => {
+            console.log(`${fleet.name} rebased to ${fleet.baseId || 'nowhere'}`);
+        };
+        
+        this.naval.onBattleStart = (battle, date) => {
+            console.log(`${date.format()}: Naval battle in ${this.map.getSeaZone(battle.zoneId)?.name || battle.zoneId} between ${battle.nations.join(' and ')}`);
+        };
+        
+        this.naval.onBattleEnd = (battle, date) => {
+            const losses = Object.entries(battle.sunk).map(([nationId, ships]) => `${nationId} ${ships}`).join(', ');
+            console.log(`${date.format()}: Naval battle in ${this.map.getSeaZone(battle.zoneId)?.name || battle.zoneId} over after ${battle.days}d${losses ? ` (ships lost: ${losses})` : ''}`);
+        };
+        
+        this.naval.onFleetsChange = () => {
+            if (this.selectedFleetId && !this.naval.getFleet(this.selectedFleetId)) this.selectedFleetId = null;
+            this.updateFleetLayer();
+            this.updateTerritoryPanel();
+        };
+        
+        this.naval.onUpdate = () => {
+            this.updateFleetLayer();
+            this.updateTerritoryPanel();
+        };
+        
+        this.air.onWingLaunched = (wing, date) => {
+            console.log(`${date.format()}: ${wing.name} (${wing.nationId}) ready at ${wing.baseId}`);
+        };
+        
+        this.air.onOrderScrapped = (order) => {
+            console.warn(`${order.nationId} scraps a ${getAircraft(order.aircraftId).name} wing: ${order.baseId} lost`);
+        };
+        
+        this.air.onWingRelocated = (wing) => {
+            console.log(`${wing.name} relocated to ${wing.baseId}`);
+        };
+        
+        this.air.onCasualties = (nationId, amount) => {
+            this.population.applyCasualties(nationId, amount);
+            this.stability.addWarExhaustion(nationId, amount / 1000 * COMBAT.EXHAUSTION_PER_THOUSAND);
+        };
+        
+        this.air.onWingDestroyed = (wing, date) => {
+            console.log(`${date.format()}: ${wing.name} (${wing.nationId}) destroyed`);
+            this.stability.addWarExhaustion(wing.nationId, AIR.EXHAUSTION_PER_WING);
+        };
+        
+        this.air.onBuildingBombed = (stateId, buildingId, nationId, date) => {
+            console.log(`${date.format()}: ${nationId} bombers destroy a ${getBuilding(buildingId)?.name || buildingId} in ${stateId}`);
+            this.mapModes?.refresh();
+        };
+        
+        this.air.onWingsChange = () => {
+            if (this.selectedWingId && !this.air.getWing(this.selectedWingId)) this.selectedWingId = null;
+            this.updateTerritoryPanel();
+        };
+        
+        this.air.onUpdate = () => {
+            if (this.selectedWingId && !this.air.getWing(this.selectedWingId)) this.selectedWingId = null;
+            if (this.mapModes?.currentMode === MAP_MODES.AIR) this.mapModes.refresh();
+            this.updateTerritoryPanel();
+        };
+        
+        // Shows the player's superiority, or each owner's own without a player nation
+        this.mapModes.registerMode(MAP_MODES.AIR, this.air.createMapMode(
+            (state) => this.gameState?.playerNation || state.owner
+        ));
+        
+        this.missiles.onMissileReady = (nationId, warhead, date) => {
+            console.log(`${date.format()}: ${nationId} adds a ${warhead.name} to its arsenal`);
+        };
+        
+        this.missiles.onLaunch = (missile, date) => {
+            console.log(`${date.format()}: ${missile.nationId} launches a ${getWarhead(missile.warheadId).name} from ${missile.fromId} at ${missile.targetId}`);
+            this.updateMissileLayer();
+            this.updateTerritoryPanel();
+        };
+        
+        this.missiles.onIntercept = (missile, date) => {
+            console.log(`${date.format()}: ${missile.nationId} missile intercepted over ${missile.targetId}`);
+            this.missileLayer?.explode(missile, { intercepted: true });
+            this.updateTerritoryPanel();
+        };
+        
+        this.missiles.onImpact = (missile, { buildings, casualties }, date) => {
+            const warhead = getWarhead(missile.warheadId);
+            const owner = this.map.getState(missile.targetId)?.owner;
+            if (owner) this.stability.addWarExhaustion(owner, warhead.exhaustion);
+            
+            const destroyed = Object.entries(buildings).map(([id, levels]) => `${levels}× ${getBuilding(id)?.name || id}`);
+            console.log(`${date.format()}: ${warhead.name} strikes ${missile.targetId}: ${destroyed.join(', ') || 'no buildings'} destroyed, ${casualties.toLocaleString()} dead`);
+            
+            this.missileLayer?.explode(missile, { nuclear: warhead.id === WARHEADS.NUCLEAR.id });
+            this.hud.updateTension(this.missiles.tension);
+            this.mapModes?.refresh();
+            this.updateTerritoryPanel();
+        };
+        
+        this.missiles.onArsenalChange = () => this.updateTerritoryPanel();
+        this.missiles.onUpdate = () => this.hud.updateTension(this.missiles.tension);
+        
+        // Only nations at war fight; allies and access partners open their borders and supply lines
+        const atWar = (nationA, nationB) => this.diplomacy.isAtWar(nationA, nationB);
+        this.combat.isHostile = atWar;
+        this.naval.isHostile = atWar;
+        this.air.isHostile = atWar;
+        this.missiles.isHostile = atWar;
+        this.movement.accessFilter = (nationId, stateId) => this.diplomacy.hasAccess(nationId, stateId);
+        this.supply.canTraverse = (nationId, stateId) => this.diplomacy.canSupplyThrough(nationId, stateId);
+        
+        // The government decides whether a war needs a justification
+        this.diplomacy.warFilter = (nationId, options) => this.government.canDeclareWar(nationId, options);
+        this.diplomacy.exhaustionOf = (nationId) => this.stability.getStability(nationId)?.warExhaustion ?? 0;
+        
+        this.diplomacy.onJustify = (justification, date) => {
+            console.log(`${date.format()}: ${justification.nationId} starts justifying war against ${justification.targetId}`);
+        };
+        
+        this.diplomacy.onJustified = (justification, date) => {
+            console.log(`${date.format()}: ${justification.nationId} has a war justification against ${justification.targetId}`);
+        };
+        
+        // War and peace recolour the globe: relations, occupations and ceded territory
+        this.diplomacy.onWarDeclared = (war, date) => {
+            console.log(`${date.format()}: ${war.attackers[0]} declares war on ${war.defenders[0]}`);
+            this.mapModes?.refresh();
+        };
+        
+        this.diplomacy.onWarJoined = (war, nationId, date) => {
+            console.log(`${date.format()}: ${nationId} joins the ${war.name} alongside ${war.defenders[0]}`);
+        };
+        
+        this.diplomacy.onTerritoryTransferred = (stateId, nationId, previousOwner, date) => {
+            console.log(`${date.format()}: ${stateId} returns to ${nationId}`);
+            this.transferState(stateId, nationId, previousOwner);
+        };
+        
+        // Factions are blocs of allies that answer calls to arms; the player answers their own membership requests
+        this.factions.opinionOf = (nationId, otherId) => this.diplomacy.getOpinion(nationId, otherId);
+        this.factions.isAtWar = atWar;
+        this.factions.conquestsOf = (nationId) => this.diplomacy.getConquests(nationId);
+        this.factions.isAutomated = (nationId) => nationId !== this.gameState?.playerNation;
+        this.diplomacy.isAligned = (nationA, nationB) => this.factions.isAligned(nationA, nationB);
+        this.diplomacy.callToArms = (nationId) => this.factions.getCallToArms(nationId);
+        
+        this.factions.onRequest = (faction, nationId, date) => {
+            console.log(`${date.format()}: ${nationId} asks to join the ${faction.name}`);
+        };
+        
+        this.factions.onFactionFounded = (faction, date) => {
+            console.log(`${date.format()}: ${faction.leaderId} founds the ${faction.name}`);
+        };
+        
+        this.factions.onFactionDissolved = (faction, nationId, date) => {
+            console.log(`${date.format()}: ${nationId} leaves the ${faction.name}, which is dissolved`);
+        };
+        
+        this.factions.onMemberJoin = (faction, nationId, date) => {
+            console.log(`${date.format()}: ${nationId} joins the ${faction.name}`);
+        };
+        
+        this.factions.onMemberLeave = (faction, nationId, date) => {
+            console.log(`${date.format()}: ${nationId} leaves the ${faction.name}`);
+            this.diplomacy.addOpinion(faction.leaderId, nationId, FACTIONS.LEAVE_OPINION);
+        };
+        
+        this.factions.onFactionChange = () => {
+            this.expelUnits();
+            this.updateRelations();
+        };
+        
+        // Divisions left where their nation lost access go home; ceded territory counts towards faction victory
+        this.diplomacy.onPeace = (war, demands, date) => {
+            console.log(`${date.format()}: the ${war.name} ends${demands.length ? ` (ceded: ${demands.join(', ')})` : ''}`);
+            this.factions.recordPeace(demands.map(stateId => ({
+                winnerId: this.map.getState(stateId)?.owner,
+                loserId: war.startOwners.get(stateId)
+            })));
+            this.expelUnits();
+            this.mapModes?.refresh();
+        };
+        this.diplomacy.onTreatyChange = (nationA, nationB, treatyId, signed, date) => {
+            console.log(`${date.format()}: ${nationA} ${signed ? 'signs' : 'ends'} ${getTreaty(treatyId).name} with ${nationB}`);
+            if (!signed) this.expelUnits();
+        };
+        
+        this.diplomacy.onRelationsChange = () => {
+            this.updateRelations();
+        };
+        
+        // Shows the player's relations, or each owner's own without a player nation
+        this.mapModes.registerMode(MAP_MODES.DIPLOMACY, this.diplomacy.createMapMode(
+            (state) => this.gameState?.playerNation || state.owner
+        ));
+        this.mapModes.registerMode(MAP_MODES.FACTIONS, this.factions.createMapMode());
+        
+        this.units.onUnitsChange = () => {
+            if (this.selectedUnitId && !this.units.getUnit(this.selectedUnitId)) this.selectedUnitId = null;
+            this.updateUnitLayer();
+            this.updateTerritoryPanel();
+        };
+        
+        this.updateResourcePanel();
+        this.updateUnitLayer();
+        this.updateFleetLayer();
     }
     
     /**
-     * Start the stats update loop
+     * Log mismatches WorldLoader found between the world data and the map
+     * @param {Object} report
      */
-    startStatsLoop() {
-        this.statsInterval = setInterval(() => {
-            // Update FPS
-            this.hud.updateFPS(this.globe.getFPS());
-            
-            // Update zoom
-            this.hud.updateZoom(this.globe.getZoomLevel());
-        }, 500);
+    logWorldReport(report) {
+        console.log(`World data: ${report.matched} territories placed on the map`);
+        
+        for (const { territoryId, stateIds } of report.missingMapIds) {
+            console.warn(`Territory ${territoryId}: map has no state ${stateIds.join(', ')}`);
+        }
+        for (const { stateId, territoryIds } of report.contestedStates) {
+            console.warn(`Map state ${stateId} claimed by both ${territoryIds.join(' and ')}`);
+        }
+        if (report.unmatchedTerritories.length) {
+            console.warn(`Territories with no map state: ${report.unmatchedTerritories.join(', ')}`);
+        }
+        if (report.unknownNations.length) {
+            console.warn(`Territories owned by unknown nations: ${report.unknownNations.join(', ')}`);
+        }
+        if (report.unplacedNations.length) {
+            console.warn(`Nations with no territory on the map: ${report.unplacedNations.join(', ')}`);
+        }
+        if (report.unclaimedStates.length) {
+            console.warn(`${report.unclaimedStates.length} map states have no territory data:`, report.unclaimedStates);
+        }
     }
     
     /**
-     * Game tick - advances game time
+     * Bookkeeping after a territory changes hands: nation records and the
+     * map colours. ConstructionSystem abandons the old owner's projects
+     * there on its next day.
+     * @param {string} stateId
+     * @param {string} nationId - New owner
+     * @param {string|null} previousOwner
      */
-    tick() {
-        if (this.gameSpeed === 0) return;
+    transferState(stateId, nationId, previousOwner) {
+        const previous = this.nations.get(previousOwner);
+        if (previous) previous.states = previous.states.filter(id => id !== stateId);
+        this.nations.get(nationId)?.states.push(stateId);
         
-        // Advance day
-        this.gameDate.day++;
+        this.mapModes?.refresh();
+        this.updateNationPanel();
+        this.updateTerritoryPanel();
+    }
+    
+    /**
+     * Recolour relation map modes and refresh panels after wars, peace,
+     * treaty or faction changes
+     */
+    updateRelations() {
+        if ([MAP_MODES.DIPLOMACY, MAP_MODES.FACTIONS].includes(this.mapModes?.currentMode)) this.mapModes.refresh();
+        this.updateNationPanel();
+        this.updateTerritoryPanel();
+    }
+    
+    /**
+     * Send divisions standing where their nation no longer has access
+     * (after a peace or a cancelled treaty) back to their capital, or
+     * failing that any territory their nation holds
+     */
+    expelUnits() {
+        let moved = false;
         
-        // Handle month overflow
-        const daysInMonth = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
-        if (this.gameDate.day > daysInMonth[this.gameDate.month - 1]) {
-            this.gameDate.day = 1;
-            this.gameDate.month++;
+        for (const unit of this.units.getUnits()) {
+            if (this.movement.canEnter(unit.nationId, unit.stateId)) continue;
+            
+            const capitalId = this.supply.capitals.get(unit.nationId);
+            const homeId = this.map.getState(capitalId)?.owner === unit.nationId
+                ? capitalId
+                : getNationStates(unit.nationId, this.map)[0];
             
-            if (this.gameDate.month > 12) {
-                this.gameDate.month = 1;
-                this.gameDate.year++;
+            this.movement.cancel(unit.id);
+            if (homeId) {
+                unit.stateId = homeId;
+            } else {
+                this.units.removeUnit(unit.id);
             }
+            moved = true;
         }
         
-        this.hud.updateDate(this.gameDate);
+        if (moved) {
+            this.updateUnitLayer();
+            this.updateTerritoryPanel();
+        }
     }
     
     /**
-     * Set game speed
-     * @param {number} speed - 0 = paused, 1 = normal, 2 = fast
+     * Redraw division markers
      */
-    setGameSpeed(speed) {
-        this.gameSpeed = speed;
-        this.hud.setSpeed(speed);
+    updateUnitLayer() {
+        if (!this.unitLayer) return;
         
-        // Stop auto-rotate when game is running
-        this.globe.setAutoRotate(speed === 0);
+        this.unitLayer.update(this.units.getUnits(), {
+            colorOf: (nationId) => this.map.nationColors.get(nationId),
+            selectedId: this.selectedUnitId,
+            legOf: (unit) => this.movement.getLegProgress(unit.id)
+        });
+        
+        const orders = this.selectedUnitId ? this.movement.getOrderSummary(this.selectedUnitId) : null;
+        if (orders) {
+            this.unitLayer.showRoute(orders.route, orders.waypoints);
+        } else {
+            this.unitLayer.clearRoute();
+        }
     }
     
     /**
-     * Toggle pause
+     * Select a division (null to clear) and its territory
+     * @param {number|null} unitId
      */
-    togglePause() {
+    selectUnit(unitId) {
+        const unit = unitId ? this.units?.getUnit(unitId) : null;
+        this.selectedUnitId = unit?.id ?? null;
+        
+        if (unit && (this.selectedFleetId || this.selectedWingId)) {
+            this.selectedFleetId = null;
+            this.selectedWingId = null;
+            this.updateFleetLayer();
+        }
+        
+        if (unit && this.input.selectedState?.id !== unit.stateId) {
+            this.input.selectState(this.map.getState(unit.stateId));
+        }
+        
+        this.updateUnitLayer();
+        this.updateTerritoryPanel();
+    }
+    
+    /**
+     * Redraw fleet markers
+     */
+    updateFleetLayer() {
+        if (!this.fleetLayer) return;
+        
+        this.fleetLayer.update(this.naval.getFleets(), {
+            colorOf: (nationId) => this.map.nationColors.get(nationId),
+            selectedId: this.selectedFleetId,
+            legOf: (fleet) => this.naval.getLegProgress(fleet.id)
+        });
+    }
+    
+    /**
+     * Sync the missile trails with the missiles in flight
+     */
+    updateMissileLayer() {
+        if (!this.missileLayer) return;
+        
+        this.missileLayer.update(this.missiles.getFlights(), {
+            progressOf: (missile) => this.missiles.getProgress(missile, this.clock?.getHourProgress() ?? 0)
+        });
+    }
+    
+    /**
+     * Select a fleet (null to clear) and its naval base
+     * @param {number|null} fleetId
+     */
+    selectFleet(fleetId) {
+        const fleet = fleetId ? this.naval?.getFleet(fleetId) : null;
+        this.selectedFleetId = fleet?.id ?? null;
+        
+        if (fleet && (this.selectedUnitId || this.selectedWingId)) {
+            this.selectedUnitId = null;
+            this.selectedWingId = null;
+            this.updateUnitLayer();
+        }
+        
+        if (fleet?.baseId && this.input.selectedState?.id !== fleet.baseId) {
+            this.input.selectState(this.map.getState(fleet.baseId));
+        }
+        
+        this.updateFleetLayer();
+        this.updateTerritoryPanel();
+    }
+    
+    /**
+     * Select an air wing (null to clear) and its air base
+     * @param {number|null} wingId
+     */
+    selectWing(wingId) {
+        const wing = wingId ? this.air?.getWing(wingId) : null;
+        this.selectedWingId = wing?.id ?? null;
+        
+        if (wing && (this.selectedUnitId || this.selectedFleetId)) {
+            this.selectedUnitId = null;
+            this.selectedFleetId = null;
+            this.updateUnitLayer();
+            this.updateFleetLayer();
+        }
+        
+        if (wing && this.input.selectedState?.id !== wing.baseId) {
+            this.input.selectState(this.map.getState(wing.baseId));
+        }
+        
+        this.updateTerritoryPanel();
+    }
+    
+    /**
+     * Show the player's stockpiles in the resource bar
+     */
+    updateResourcePanel() {
+        const playerNation = this.gameState?.playerNation;
+        this.hud.updateResources(
+            this.resources && this.nations.has(playerNation) ? this.resources.getSummary(playerNation) : null
+        );
+    }
+    
+    /**
+     * Set up map mode buttons, legend and texture refresh
+     */
+    setupMapModes() {
+        if (!this.mapModes) return;
+        
+        this.mapModes.onModeChange = (mode) => {
+            this.hud.updateMapModeLegend(mode);
+            this.input?.refreshTexture();
+        };
+        
+        // Modes registered later by gameplay systems get a button too
+        this.mapModes.onModesChange = (modes) => {
+            this.hud.renderMapModes(modes, this.mapModes.currentMode);
+        };
+        
+        this.hud.renderMapModes(this.mapModes.getModes(), this.mapModes.currentMode);
+        this.mapModes.refresh();
+    }
+    
+    /**
+     * Switch the globe to a map mode
+     * @param {string} mode - One of MAP_MODES
+     */
+    setMapMode(mode) {
+        if (!this.mapModes || mode === this.mapModes.currentMode) return;
+        
+        if (this.mapModes.setMode(mode)) {
+            console.log(`Map mode: ${mode}`);
+        }
+    }
+    
+    /**
+     * Select a nation: open its panel and highlight its territories
+     * @param {string|null} nationId
+     */
+    selectNation(nationId) {
+        const nation = nationId ? this.nations.get(nationId) : null;
+        this.selectedNation = nation || null;
+        
+        if (nation) {
+            this.input.highlightGroup(getNationStates(nation.id, this.map));
+            this.updateNationPanel();
+        } else {
+            this.input.highlightGroup([]);
+            this.hud.clearNationPanel();
+        }
+    }
+    
+    /**
+     * Refresh the territory panel for the selected state, with its
+     * construction projects and (for the player's own territory) build options
+     */
+    updateTerritoryPanel() {
+        const state = this.input?.selectedState;
+        if (!state) {
+            this.hud.clearTerritoryPanel();
+            return;
+        }
+        
+        if (!this.construction) {
+            this.hud.showTerritoryPanel(state);
+            return;
+        }
+        
+        const playerNation = this.gameState?.playerNation;
+        const options = state.owner && state.owner === playerNation
+            ? Object.values(BUILDINGS).map(building => {
+                const check = this.construction.canBuild(playerNation, state.id, building.id);
+                return { ...building, available: check.success, reason: check.error || '' };
+            })
+            : null;
+        
+        this.hud.showTerritoryPanel(state, {
+            projects: this.construction.getStateProjects(state.id),
+            options
+        }, this.getMilitaryPanel(state), this.getNavalPanel(state), this.getAirPanel(state), this.getMissilePanel(state));
+    }
+    
+    /**
+     * Territory panel data for divisions in a state
+     * @param {Object} state
+     * @returns {Object} { selected, units, options }
+     */
+    getMilitaryPanel(state) {
+        const playerNation = this.gameState?.playerNation;
+        const unit = this.selectedUnitId ? this.units.getUnit(this.selectedUnitId) : null;
+        
+        const selected = unit ? {
+            ...unit,
+            stats: this.units.getUnitStats(unit),
+            battalions: Object.entries(unit.template.battalions).map(([id, count]) => ({ name: getBattalion(id).name, count })),
+            orders: this.getOrdersPanel(unit.id),
+            supply: this.supply.getSupply(unit.nationId, unit.stateId),
+            editable: unit.nationId === playerNation
+        } : null;
+        
+        const options = state.owner && state.owner === playerNation
+            ? this.units.getTemplates(playerNation).map(template => {
+                const check = this.units.canRecruit(playerNation, template.id, state.id);
+                return {
+                    ...template,
+                    ...this.units.getTemplateStats(template, playerNation),
+                    available: check.success,
+                    reason: check.error || ''
+                };
+            })
+            : null;
+        
+        return { selected, units: this.units.getUnits({ stateId: state.id }), options };
+    }
+    
+    /**
+     * Territory panel data for the selected fleet and a naval base's
+     * fleets and shipbuilding
+     * @param {Object} state
+     * @returns {Object} { selected, fleets, queue, options }
+     */
+    getNavalPanel(state) {
+        const playerNation = this.gameState?.playerNation;
+        const summary = this.selectedFleetId ? this.naval.getFleetSummary(this.selectedFleetId, this.gameDate) : null;
+        
+        const selected = summary ? {
+            ...summary,
+            missions: Object.values(NAVAL_MISSIONS),
+            editable: summary.fleet.nationId === playerNation
+        } : null;
+        
+        const isBase = !!state.data?.buildings?.[BUILDINGS.NAVAL_BASE.id] && !!this.map.getPortZone(state.id);
+        const ownBase = isBase && state.owner && state.owner === playerNation;
+        
+        const options = ownBase
+            ? Object.values(SHIP_CLASSES).map(shipClass => {
+                const check = this.naval.canBuild(playerNation, shipClass.id, state.id);
+                return { ...shipClass, available: check.success, reason: check.error || '' };
+            })
+            : null;
+        
+        return {
+            selected,
+            fleets: isBase ? this.naval.getFleets({ baseId: state.id }) : [],
+            queue: ownBase ? this.naval.getQueueSummary(playerNation, this.gameDate).filter(order => order.baseId === state.id) : [],
+            options
+        };
+    }
+    
+    /**
+     * Territory panel data for the air region, the selected wing and an
+     * air base's wings and aircraft production
+     * @param {Object} state
+     * @returns {Object} { region, selected, wings, queue, options, capacity }
+     */
+    getAirPanel(state) {
+        const playerNation = this.gameState?.playerNation;
+        const summary = this.selectedWingId ? this.air.getWingSummary(this.selectedWingId) : null;
+        
+        const selected = summary ? {
+            ...summary,
+            missions: Object.values(AIR_MISSIONS),
+            editable: summary.wing.nationId === playerNation
+        } : null;
+        
+        const regionId = this.air.getRegionOf(state.id);
+        const viewer = playerNation || state.owner;
+        const region = regionId && viewer
+            ? { name: this.air.getRegion(regionId).name, superiority: this.air.getSuperiority(viewer, regionId) }
+            : null;
+        
+        const capacity = this.air.getCapacity(state.id);
+        const ownBase = capacity > 0 && state.owner && state.owner === playerNation;
+        
+        const options = ownBase
+            ? Object.values(AIRCRAFT).map(aircraft => {
+                const check = this.air.canBuild(playerNation, aircraft.id, state.id);
+                return { ...aircraft, available: check.success, reason: check.error || '' };
+            })
+            : null;
+        
+        return {
+            region,
+            selected,
+            wings: capacity ? this.air.getWings({ baseId: state.id }) : [],
+            queue: ownBase ? this.air.getQueueSummary(playerNation, this.gameDate).filter(order => order.baseId === state.id) : [],
+            options,
+            capacity
+        };
+    }
+    
+    /**
+     * Territory panel data for missiles: the player's arsenal and missile
+     * production on their own launch sites, strike options against hostile
+     * territory. Null until the player has a warhead researched.
+     * @param {Object} state
+     * @returns {Object|null} { arsenal, queue, options, strike }
+     */
+    getMissilePanel(state) {
+        const playerNation = this.gameState?.playerNation;
+        if (!playerNation || !this.nations.has(playerNation)) return null;
+        
+        const warheads = Object.values(WARHEADS);
+        const unlocked = warheads.filter(warhead => this.missiles.warheadFilter(playerNation, warhead.id).success);
+        if (!unlocked.length) return null;
+        
+        const ownSite = state.owner === playerNation && state.data?.buildings?.[BUILDINGS.MILITARY_FACTORY.id] > 0;
+        const options = ownSite
+            ? warheads.map(warhead => {
+                const check = this.missiles.canBuild(playerNation, warhead.id);
+                return { ...warhead, available: check.success, reason: check.error || '' };
+            })
+            : null;
+        
+        let strike = null;
+        if (this.missiles.hostile(playerNation, state.owner)) {
+            const plan = this.missiles.getStrikePlan(playerNation, state.id);
+            strike = {
+                plan: plan ? { ...plan, site: this.map.getState(plan.siteId)?.name || plan.siteId } : null,
+                range: this.missiles.getRange(playerNation),
+                incoming: this.missiles.getFlights({ nationId: playerNation, targetId: state.id }).length,
+                options: unlocked.map(warhead => {
+                    const check = this.missiles.canLaunch(playerNation, warhead.id, state.id);
+                    return {
+                        ...warhead,
+                        ready: this.missiles.getReady(playerNation, warhead.id),
+                        available: check.success,
+                        reason: check.error || ''
+                    };
+                })
+            };
+        }
+        
+        return {
+            arsenal: warheads.map(warhead => ({ warhead, ready: this.missiles.getReady(playerNation, warhead.id) })),
+            queue: ownSite ? this.missiles.getQueueSummary(playerNation, this.gameDate) : [],
+            options,
+            strike
+        };
+    }
+    
+    /**
+     * Territory panel data for a division's move orders
+     * @param {number} unitId
+     * @returns {Object|null} { destination, next, legProgress, daysLeft, arrivesOn, waypoints }
+     */
+    getOrdersPanel(unitId) {
+        const orders = this.movement.getOrderSummary(unitId, this.gameDate);
+        if (!orders) return null;
+        
+        const nameOf = (stateId) => this.map.getState(stateId)?.name || stateId;
+        return {
+            destination: nameOf(orders.destination),
+            next: nameOf(orders.next),
+            legProgress: orders.legProgress,
+            daysLeft: orders.daysLeft,
+            arrivesOn: orders.arrivesOn,
+            waypoints: orders.waypoints.length
+        };
+    }
+    
+    /**
+     * Recruit a division for the player in a territory
+     * @param {string} stateId
+     * @param {string} templateId
+     */
+    recruitDivision(stateId, templateId) {
+        const result = this.units?.recruit(this.gameState?.playerNation, templateId, stateId, this.gameDate);
+        if (!result) return;
+        
+        if (result.success) {
+            console.log(`Division recruited: ${result.unit.name} in ${stateId}`);
+        } else {
+            console.warn('Recruitment rejected:', result.error);
+        }
+        this.updateTerritoryPanel();
+    }
+    
+    /**
+     * Order a ship for the player at a naval base
+     * @param {string} stateId
+     * @param {string} classId
+     */
+    orderShip(stateId, classId) {
+        const result = this.naval?.build(this.gameState?.playerNation, classId, stateId);
+        if (!result) return;
+        
+        if (result.success) {
+            console.log(`Ship ordered: ${getShipClass(classId).name} at ${stateId}`);
+        } else {
+            console.warn('Ship order rejected:', result.error);
+        }
+        this.updateTerritoryPanel();
+    }
+    
+    /**
+     * Order an air wing for the player at an air base
+     * @param {string} stateId
+     * @param {string} aircraftId
+     */
+    orderWing(stateId, aircraftId) {
+        const result = this.air?.build(this.gameState?.playerNation, aircraftId, stateId);
+        if (!result) return;
+        
+        if (result.success) {
+            console.log(`Wing ordered: ${getAircraft(aircraftId).name} at ${stateId}`);
+        } else {
+            console.warn('Wing order rejected:', result.error);
+        }
+        this.updateTerritoryPanel();
+    }
+    
+    /**
+     * Queue a building for the player in a territory
+     * @param {string} stateId
+     * @param {string} buildingId
+     */
+    orderBuilding(stateId, buildingId) {
+        const result = this.construction?.order(this.gameState?.playerNation, stateId, buildingId, this.gameDate);
+        if (!result) return;
+        
+        if (result.success) {
+            console.log(`Construction ordered: ${getBuilding(buildingId).name} in ${stateId}`);
+        } else {
+            console.warn('Construction order rejected:', result.error);
+        }
+        this.updateTerritoryPanel();
+    }
+    
+    /**
+     * Refresh the nation panel with live figures
+     */
+    updateNationPanel() {
+        if (!this.selectedNation) return;
+        
+        const stats = aggregateNationStats(this.selectedNation, this.map);
+        if (!this.economy) {
+            this.hud.showNationPanel(stats);
+            return;
+        }
+        
+        const nationId = this.selectedNation.id;
+        const editable = nationId === this.gameState?.playerNation;
+        const budget = this.economy.getBudget(nationId);
+        const manpower = this.population.getManpower(nationId);
+        stats.gdp = Math.round(budget.gdp);
+        stats.military = manpower.inService;
+        stats.manpower = manpower.available;
+        stats.stabilityBreakdown = this.stability.getStability(nationId);
+        
+        this.hud.showNationPanel(stats, {
+            budget: { ...budget, editable },
+            laws: { ...manpower, nationId, editable, government: this.government.getSummary(nationId) },
+            diplomacy: this.getNationDiplomacy(nationId)
+        });
+    }
+    
+    /**
+     * Nation panel summary of a nation's relations: with the player for
+     * foreign nations, its wars and treaty partners otherwise
+     * @param {string} nationId
+     * @returns {Object} { relation, opinion, ourOpinion, treaties, wars, faction }
+     */
+    getNationDiplomacy(nationId) {
+        const playerNation = this.gameState?.playerNation;
+        const foreign = this.nations.has(playerNation) && nationId !== playerNation;
+        const faction = this.factions.getFactionOf(nationId);
+        
+        return {
+            faction: faction ? this.getFactionSummary(faction) : null,
+            relation: foreign ? this.diplomacy.getRelation(playerNation, nationId) : null,
+            opinion: foreign ? this.diplomacy.getOpinion(nationId, playerNation) : null,
+            ourOpinion: foreign ? this.diplomacy.getOpinion(playerNation, nationId) : null,
+            treaties: foreign
+                ? this.diplomacy.getTreaties(playerNation, nationId).map(id => getTreaty(id).name)
+                : Object.values(TREATIES).flatMap(treaty =>
+                    this.diplomacy.getPartners(nationId, treaty.id).map(partnerId => `${treaty.name}: ${partnerId}`)),
+            wars: this.diplomacy.getWars(nationId).map(war => war.name)
+        };
+    }
+    
+    /**
+     * Faction figures for the HUD
+     * @param {Object} faction
+     * @returns {Object} { id, name, color, leaderId, members, requests, score }
+     */
+    getFactionSummary(faction) {
+        return {
+            id: faction.id,
+            name: faction.name,
+            color: faction.color,
+            leaderId: faction.leaderId,
+            members: [...faction.members],
+            requests: [...faction.requests],
+            score: this.factions.getVictoryScore(faction.id)
+        };
+    }
+    
+    /**
+     * Diplomacy screen data for the player's nation, focused on one
+     * foreign nation
+     * @returns {Object|null} { player, nations, focus, wars, factions }
+     */
+    getDiplomacyPanel() {
+        const playerNation = this.gameState?.playerNation;
+        if (!this.diplomacy || !this.nations.has(playerNation)) return null;
+        
+        const nameOf = (stateId) => this.map.getState(stateId)?.name || stateId;
+        const nations = Array.from(this.nations.values())
+            .filter(nation => nation.id !== playerNation)
+            .map(nation => ({
+                id: nation.id,
+                name: nation.name,
+                flag: nation.flag,
+                relation: this.diplomacy.getRelation(playerNation, nation.id),
+                opinion: this.diplomacy.getOpinion(nation.id, playerNation),
+                ourOpinion: this.diplomacy.getOpinion(playerNation, nation.id)
+            }));
+        
+        const focused = nations.find(nation => nation.id === this.diplomacyFocus);
+        let focus = null;
+        if (focused) {
+            const active = this.diplomacy.getTreaties(playerNation, focused.id);
+            const justify = this.diplomacy.canJustify(playerNation, focused.id);
+            const war = this.diplomacy.canDeclareWar(playerNation, focused.id);
+            
+            focus = {
+                ...focused,
+                type: this.nations.get(focused.id).type,
+                faction: this.factions.getFactionOf(focused.id)?.name || null,
+                treaties: Object.values(TREATIES).map(treaty => {
+                    const check = active.includes(treaty.id) ? { success: true } : this.diplomacy.canSign(playerNation, focused.id, treaty.id);
+                    return { ...treaty, active: active.includes(treaty.id), available: check.success, reason: check.error || '' };
+                }),
+                justification: this.diplomacy.getJustification(playerNation, focused.id),
+                justify: { available: justify.success, reason: justify.error || '' },
+                war: { available: war.success, reason: war.error || '' }
+            };
+        }
+        
+        const wars = this.diplomacy.getWars(playerNation).map(war => {
+            const leader = war.attackers[0] === playerNation || war.defenders[0] === playerNation;
+            const { gained, lost, score } = this.diplomacy.getWarScore(war, playerNation);
+            return {
+                id: war.id,
+                name: war.name,
+                attackers: war.attackers,
+                defenders: war.defenders,
+                startedOn: war.startedOn,
+                score,
+                lost: lost.length,
+                gained: gained.map(stateId => ({ id: stateId, name: nameOf(stateId) })),
+                leader,
+                maxDemands: leader ? this.diplomacy.getPeaceTerms(war, playerNation).maxDemands : 0
+            };
+        });
+        
+        const own = this.factions.getFactionOf(playerNation);
+        const create = this.factions.canCreate(playerNation);
+        const factions = {
+            own: own ? { ...this.getFactionSummary(own), leader: own.leaderId === playerNation } : null,
+            others: this.factions.getFactions().filter(faction => faction !== own).map(faction => {
+                const check = this.factions.canRequest(playerNation, faction.id);
+                return { ...this.getFactionSummary(faction), available: check.success, reason: check.error || '' };
+            }),
+            create: { available: create.success, reason: create.error || '' }
+        };
+        
+        const player = this.nations.get(playerNation);
+        return { player: { id: player.id, name: player.name, flag: player.flag }, nations, focus, wars, factions };
+    }
+    
+    /**
+     * Show the diplomacy screen for the player's nation
+     * @param {string} focusId - Foreign nation to focus on; keeps the current focus if omitted
+     */
+    showDiplomacy(focusId = this.diplomacyFocus) {
+        this.diplomacyFocus = focusId;
+        this.hud.showDiplomacy(this.getDiplomacyPanel());
+    }
+    
+    /**
+     * Show the division designer for the player's nation
+     */
+    showTemplates() {
+        const playerNation = this.gameState?.playerNation;
+        this.hud.showTemplates(this.units && this.nations.has(playerNation) ? {
+            templates: this.units.getTemplates(playerNation).map(template => ({
+                name: template.name,
+                battalions: Object.entries(template.battalions).map(([id, count]) => ({ name: getBattalion(id).name, count })),
+                stats: this.units.getTemplateStats(template, playerNation)
+            })),
+            battalions: Object.values(BATTALIONS),
+            maxBattalions: UNITS.MAX_BATTALIONS
+        } : null);
+    }
+    
+    /**
+     * Show the research screen for the player's nation
+     */
+    showResearch() {
+        const playerNation = this.gameState?.playerNation;
+        this.hud.showResearch(
+            this.research && this.nations.has(playerNation) ? this.research.getTree(playerNation, this.gameDate) : null
+        );
+    }
+    
+    /**
+     * Set up HUD callbacks
+     */
+    setupHUDCallbacks() {
+        this.hud.onSpeedChange = (speed) => {
+            this.setGameSpeed(speed);
+        };
+        
+        this.hud.onMapModeChange = (mode) => {
+            this.setMapMode(mode);
+        };
+        
+        this.hud.onBuildOrder = (stateId, buildingId) => {
+            this.orderBuilding(stateId, buildingId);
+        };
+        
+        this.hud.onBudgetChange = (nationId, changes) => {
+            if (nationId !== this.gameState?.playerNation) return;
+            this.economy?.setBudget(nationId, changes);
+        };
+        
+        this.hud.onRecruitOrder = (stateId, templateId) => {
+            this.recruitDivision(stateId, templateId);
+        };
+        
+        this.hud.onTemplatesOpen = () => {
+            this.showTemplates();
+        };
+        
+        this.hud.onTemplateCreate = (name, battalions) => {
+            const result = this.units?.createTemplate(this.gameState?.playerNation, { name, battalions });
+            if (result && !result.success) console.warn('Template rejected:', result.error);
+            this.showTemplates();
+            this.updateTerritoryPanel();
+        };
+        
+        this.hud.onUnitSelect = (unitId) => {
+            this.selectUnit(unitId);
+        };
+        
+        this.hud.onUnitHalt = (unitId) => {
+            if (this.units?.getUnit(unitId)?.nationId !== this.gameState?.playerNation) return;
+            this.movement.cancel(unitId);
+        };
+        
+        this.hud.onDisband = (unitId) => {
+            if (this.units?.getUnit(unitId)?.nationId !== this.gameState?.playerNation) return;
+            this.units.disband(unitId);
+        };
+        
+        this.hud.onShipOrder = (stateId, classId) => {
+            this.orderShip(stateId, classId);
+        };
+        
+        this.hud.onShipCancel = (orderId) => {
+            this.naval?.cancelBuild(this.gameState?.playerNation, orderId);
+        };
+        
+        this.hud.onFleetSelect = (fleetId) => {
+            this.selectFleet(fleetId);
+        };
+        
+        this.hud.onFleetMission = (fleetId, missionId) => {
+            if (this.naval?.getFleet(fleetId)?.nationId !== this.gameState?.playerNation) return;
+            const result = this.naval.setMission(fleetId, missionId);
+            if (!result.success) console.warn('Mission rejected:', result.error);
+        };
+        
+        this.hud.onFleetReturn = (fleetId) => {
+            if (this.naval?.getFleet(fleetId)?.nationId !== this.gameState?.playerNation) return;
+            const result = this.naval.returnToBase(fleetId);
+            if (!result.success) console.warn('Return order rejected:', result.error);
+        };
+        
+        this.hud.onWingOrder = (stateId, aircraftId) => {
+            this.orderWing(stateId, aircraftId);
+        };
+        
+        this.hud.onWingCancel = (orderId) => {
+            this.air?.cancelBuild(this.gameState?.playerNation, orderId);
+        };
+        
+        this.hud.onWingSelect = (wingId) => {
+            this.selectWing(wingId);
+        };
+        
+        this.hud.onWingMission = (wingId, missionId) => {
+            if (this.air?.getWing(wingId)?.nationId !== this.gameState?.playerNation) return;
+            const result = this.air.setMission(wingId, missionId);
+            if (!result.success) console.warn('Air mission rejected:', result.error);
+        };
+        
+        this.hud.onWingStandDown = (wingId) => {
+            if (this.air?.getWing(wingId)?.nationId !== this.gameState?.playerNation) return;
+            this.air.standDown(wingId);
+        };
+        
+        this.hud.onMissileOrder = (warheadId) => {
+            const result = this.missiles?.build(this.gameState?.playerNation, warheadId);
+            if (result && !result.success) console.warn('Missile order rejected:', result.error);
+        };
+        
+        this.hud.onMissileCancel = (orderId) => {
+            this.missiles?.cancelBuild(this.gameState?.playerNation, orderId);
+        };
+        
+        this.hud.onMissileLaunch = (stateId, warheadId) => {
+            const result = this.missiles?.launch(this.gameState?.playerNation, warheadId, stateId, this.gameDate);
+            if (result && !result.success) console.warn('Launch aborted:', result.error);
+        };
+        
+        this.hud.onResearchOpen = () => {
+            this.showResearch();
+        };
+        
+        this.hud.onResearchStart = (techId) => {
+            const result = this.research?.start(this.gameState?.playerNation, techId, this.gameDate);
+            if (result && !result.success) console.warn('Research rejected:', result.error);
+            this.showResearch();
+        };
+        
+        this.hud.onResearchCancel = (techId) => {
+            this.research?.cancel(this.gameState?.playerNation, techId);
+            this.showResearch();
+        };
+        
+        this.hud.onDiplomacyOpen = (nationId) => {
+            this.showDiplomacy(nationId);
+        };
+        
+        this.hud.onDiplomacyFocus = (nationId) => {
+            this.showDiplomacy(nationId);
+        };
+        
+        this.hud.onTreatySign = (nationId, treatyId) => {
+            const result = this.diplomacy?.sign(this.gameState?.playerNation, nationId, treatyId, this.gameDate);
+            if (result && !result.success) console.warn('Treaty rejected:', result.error);
+            this.showDiplomacy();
+        };
+        
+        this.hud.onTreatyCancel = (nationId, treatyId) => {
+            this.diplomacy?.cancel(this.gameState?.playerNation, nationId, treatyId, this.gameDate);
+            this.showDiplomacy();
+        };
+        
+        this.hud.onJustifyWar = (nationId) => {
+            const result = this.diplomacy?.justify(this.gameState?.playerNation, nationId, this.gameDate);
+            if (result && !result.success) console.warn('Justification rejected:', result.error);
+            this.showDiplomacy();
+        };
+        
+        this.hud.onDeclareWar = (nationId) => {
+            const result = this.diplomacy?.declareWar(this.gameState?.playerNation, nationId, this.gameDate);
+            if (result && !result.success) console.warn('War declaration rejected:', result.error);
+            this.showDiplomacy();
+        };
+        
+        this.hud.onPeaceProposal = (warId, demands) => {
+            const result = this.diplomacy?.proposePeace(this.gameState?.playerNation, warId, demands, this.gameDate);
+            if (result && !result.success) console.warn('Peace proposal rejected:', result.error);
+            this.showDiplomacy();
+        };
+        
+        this.hud.onFactionCreate = (name) => {
+            const result = this.factions?.create(this.gameState?.playerNation, name, this.gameDate);
+            if (result && !result.success) console.warn('Faction not founded:', result.error);
+            this.showDiplomacy();
+        };
+        
+        this.hud.onFactionRequest = (factionId) => {
+            const result = this.factions?.request(this.gameState?.playerNation, factionId, this.gameDate);
+            if (result && !result.success) console.warn('Membership request rejected:', result.error);
+            this.showDiplomacy();
+        };
+        
+        this.hud.onFactionRespond = (nationId, accept) => {
+            const result = this.factions?.respond(this.gameState?.playerNation, nationId, accept, this.gameDate);
+            if (result && !result.success) console.warn('Membership answer rejected:', result.error);
+            this.showDiplomacy();
+        };
+        
+        this.hud.onFactionLeave = () => {
+            this.factions?.leave(this.gameState?.playerNation, this.gameDate);
+            this.showDiplomacy();
+        };
+        
+        this.hud.onLawChange = (nationId, field, value) => {
+            if (nationId !== this.gameState?.playerNation || !this.population) return;
+            
+            const result = field === 'conscription'
+                ? this.population.setConscriptionLaw(nationId, value)
+                : this.population.setMobilisation(nationId, value);
+            
+            if (result.success) {
+                // Output changes show up in the budget straight away
+                this.economy?.recompute(this.economy.getBudget(nationId));
+            } else {
+                console.warn('Law change rejected:', result.error);
+            }
+            this.updateNationPanel();
+        };
+        
+        // Hold the clock while a HUD modal is open
+        this.hud.onModalToggle = (isOpen) => {
+            if (isOpen) {
+                this.clock?.hold('modal');
+            } else {
+                this.clock?.release('modal');
+            }
+        };
+        
+        // Auth button
+        const btnAuth = document.getElementById('btn-auth');
+        if (btnAuth) {
+            btnAuth.addEventListener('click', () => {
+                // Will implement Firebase Auth later
+                console.log('Auth clicked - Firebase Auth to be implemented');
+            });
+        }
+    }
+    
+    /**
+     * Start the stats update loop
+     */
+    startStatsLoop() {
+        this.statsInterval = setInterval(() => {
+            // Update FPS
+            this.hud.updateFPS(this.globe.getFPS());
+            
+            // Update zoom
+            this.hud.updateZoom(this.globe.getZoomLevel());
+        }, 500);
+    }
+    
+    /**
+     * Create the simulation clock and start its loop
+     */
+    startClock() {
+        this.clock = new GameClock(this.gameDate);
+        
+        // The clock owns the date from here on
+        this.clock.subscribe('hour', (date) => {
+            this.gameDate = date;
+            this.hud.updateDate(date);
+            this.combat?.advanceHour(date);
+            this.missiles?.advanceHour(date);
+        });
+        this.clock.subscribe('day', (date) => this.tick(date));
+        this.clock.subscribe('month', (date) => {
+            // Stability feeds population growth, which feeds GDP
+            this.stability?.advanceMonth(date);
+            this.government?.advanceMonth(date);
+            this.population?.advanceMonth(date);
+            this.economy?.advanceMonth(date);
+            this.diplomacy?.advanceMonth(date);
+            this.factions?.advanceMonth(date);
+        });
+        
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+        this.onVisibilityChange();
+        
+        this.clock.start();
+    }
+    
+    /**
+     * Game tick - runs once per game day, driven by the clock
+     * @param {GameDate} date
+     */
+    tick(date = this.gameDate) {
+        // Daily systems hook in here
+        this.resources?.advanceDay(date);
+        this.construction?.advanceDay(date);
+        this.research?.advanceDay(date);
+        this.units?.advanceDay(date);
+        this.movement?.advanceDay(date);
+        this.naval?.advanceDay(date);
+        this.air?.advanceDay(date);
+        this.missiles?.advanceDay(date);
+        this.diplomacy?.advanceDay(date);
+        this.supply?.advanceDay(date);
+        
+        this.updateNationPanel();
+        this.updateTerritoryPanel();
+    }
+    
+    /**
+     * Set game speed
+     * @param {number} speed - 0 = paused, 1 = normal, 2 = fast
+     */
+    setGameSpeed(speed) {
+        this.gameSpeed = speed;
+        this.hud.setSpeed(speed);
+        this.clock?.setSpeedLevel(speed);
+        
+        // Stop auto-rotate when game is running
+        this.globe.setAutoRotate(speed === 0);
+    }
+    
+    /**
+     * Toggle pause
+     */
+    togglePause() {
         if (this.gameSpeed === 0) {
             this.setGameSpeed(1);
         } else {
@@ -467,7 +2093,7 @@ class StratcomGame {
     getCurrentGameState() {
         return {
             ...this.gameState,
-            gameDate: { ...this.gameDate },
+            gameDate: this.gameDate.toISO(),
             gameSpeed: this.gameSpeed,
             lastSaved: new Date().toISOString()
         };
@@ -498,11 +2124,49 @@ class StratcomGame {
             this.statsInterval = null;
         }
         
+        document.removeEventListener('visibilitychange', this.onVisibilityChange);
+        this.clock?.dispose();
+        this.clock = null;
+        
         this.input?.dispose();
+        this.hud?.dispose();
+        
+        // Layers hold meshes in the globe's scene, so they go first
+        this.unitLayer?.dispose();
+        this.unitLayer = null;
+        this.battleLayer?.dispose();
+        this.battleLayer = null;
+        this.fleetLayer?.dispose();
+        this.fleetLayer = null;
+        this.missileLayer?.dispose();
+        this.missileLayer = null;
         this.globe?.dispose();
         
         this.globe = null;
         this.map = null;
+        this.mapModes = null;
+        this.nations = new Map();
+        this.selectedNation = null;
+        this.construction = null;
+        this.resources = null;
+        this.economy = null;
+        this.population = null;
+        this.stability = null;
+        this.government = null;
+        this.research = null;
+        this.combat = null;
+        this.supply = null;
+        this.naval = null;
+        this.air = null;
+        this.missiles = null;
+        this.diplomacy = null;
+        this.factions = null;
+        this.units = null;
+        this.movement = null;
+        this.selectedUnitId = null;
+        this.selectedFleetId = null;
+        this.selectedWingId = null;
+        this.diplomacyFocus = null;
         this.input = null;
         this.hud = null;
     }
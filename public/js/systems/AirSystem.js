@@ -0,0 +1,878 @@
+/**
+ * Air System
+ * STRATCOM Global Command
+ *
+ * Air wings. Military factories turn out air production that each nation
+ * spends on a queue of AIRCRAFT wings; finished wings are stationed at the
+ * air base they were ordered for. A wing flies its mission against a
+ * target territory within its operational radius (great-circle distance
+ * from its base): air superiority contests the target's air region, close
+ * air support backs land battles there and strategic bombing wrecks the
+ * target's buildings. Air regions group territories into blocks; the
+ * share of air attack over a region is each side's superiority there.
+ */
+
+import { AIRCRAFT, AIR_MISSIONS, AIR, BUILDINGS, FORCE_UPKEEP } from '../config/constants.js';
+
+const SUPERIORITY_COLORS = {
+    DOMINANT: '#00cc66',
+    CONTESTED: '#ffaa00',
+    DENIED: '#ff3344',
+    NONE: '#1a2025'
+};
+
+export class AirSystem {
+    /**
+     * @param {MapManager} mapManager
+     */
+    constructor(mapManager) {
+        this.map = mapManager;
+        this.wings = new Map();         // Map of wing ID -> wing
+        this.queues = new Map();        // Map of nation ID -> Array of wing orders
+        this.regions = new Map();       // Map of region ID -> { id, name, states, center }
+        this.stateRegions = new Map();  // Map of state ID -> region ID
+        this.bombing = new Map();       // Map of state ID -> bombing damage towards the next building level
+        this.counters = new Map();      // Map of nation ID -> Map(aircraft ID -> wings raised), for names
+        this.nextId = 1;
+
+        // { available(nationId), recruit(nationId, amount) => boolean, release(nationId, amount) }
+        this.manpowerPool = null;
+
+        // (nationId, aircraftId) => { success, error } - e.g. technology
+        this.aircraftFilter = null;
+
+        // (nationId, aircraftId, stat) => fractional bonus, e.g. technology
+        this.statModifier = null;
+
+        // (nationId) => multiplier on military factory output
+        this.productionModifier = null;
+
+        // (nationId, buildingId) => multiplier on radar and anti-air effectiveness
+        this.buildingModifier = null;
+
+        // (nationA, nationB) => boolean, e.g. at war. Defaults to any other nation.
+        this.isHostile = null;
+
+        // Callbacks
+        this.onWingLaunched = null;
+        this.onOrderScrapped = null;
+        this.onWingRelocated = null;
+        this.onWingDestroyed = null;
+        this.onCasualties = null;
+        this.onBuildingBombed = null;
+        this.onWingsChange = null;
+        this.onUpdate = null;
+    }
+
+    /**
+     * Group territories into air regions and give nations with an air
+     * base their starting wings
+     * @param {Map<string, Object>} nations - Nation records
+     */
+    init(nations) {
+        this.buildRegions();
+
+        for (const nation of nations.values()) {
+            const baseId = this.getBases(nation.id).sort((a, b) => getBaseLevel(this.map.getState(b)) - getBaseLevel(this.map.getState(a)))[0];
+            if (!baseId) continue;
+
+            for (const [aircraftId, count] of Object.entries(AIR.STARTING_WINGS)) {
+                for (let i = 0; i < count; i++) this.createWing(nation.id, aircraftId, baseId);
+            }
+        }
+
+        this.onWingsChange?.();
+    }
+
+    /**
+     * Air regions: territories whose anchors fall in the same
+     * AIR.REGION_SIZE block, named after the most populous of them
+     */
+    buildRegions() {
+        this.regions.clear();
+        this.stateRegions.clear();
+
+        for (const state of this.map.states.values()) {
+            const anchor = state.labelAnchor || state.centroid;
+            if (!anchor) continue;
+
+            const row = Math.floor((90 - anchor.lat) / AIR.REGION_SIZE);
+            const column = Math.floor((anchor.lon + 180) / AIR.REGION_SIZE);
+            const regionId = `air_${row}_${column}`;
+
+            if (!this.regions.has(regionId)) {
+                this.regions.set(regionId, {
+                    id: regionId,
+                    name: null,
+                    states: [],
+                    center: {
+                        lat: 90 - (row + 0.5) * AIR.REGION_SIZE,
+                        lon: -180 + (column + 0.5) * AIR.REGION_SIZE
+                    }
+                });
+            }
+            this.regions.get(regionId).states.push(state.id);
+            this.stateRegions.set(state.id, regionId);
+        }
+
+        for (const region of this.regions.values()) {
+            const states = region.states.map(id => this.map.getState(id));
+            states.sort((a, b) => (b.data?.population || 0) - (a.data?.population || 0));
+            region.name = `${states[0].name || states[0].id} Air Region`;
+        }
+    }
+
+    /**
+     * @param {string} regionId
+     * @returns {Object|undefined}
+     */
+    getRegion(regionId) {
+        return this.regions.get(regionId);
+    }
+
+    /**
+     * @param {string} stateId
+     * @returns {string|null} Air region ID
+     */
+    getRegionOf(stateId) {
+        return this.stateRegions.get(stateId) || null;
+    }
+
+    /**
+     * Air bases a nation holds
+     * @param {string} nationId
+     * @returns {Array<string>} State IDs
+     */
+    getBases(nationId) {
+        return Array.from(this.map.states.values())
+            .filter(state => state.owner === nationId && getBaseLevel(state) > 0)
+            .map(state => state.id);
+    }
+
+    /**
+     * Planes an air base can station
+     * @param {string} baseId
+     * @returns {number}
+     */
+    getCapacity(baseId) {
+        return getBaseLevel(this.map.getState(baseId)) * AIR.PLANES_PER_AIRBASE_LEVEL;
+    }
+
+    /**
+     * Planes stationed at an air base, counting wings on order for it
+     * @param {string} baseId
+     * @returns {number}
+     */
+    getStationed(baseId) {
+        let planes = 0;
+        for (const wing of this.wings.values()) {
+            if (wing.baseId === baseId) planes += Math.ceil(wing.planes);
+        }
+        for (const queue of this.queues.values()) {
+            planes += queue.filter(order => order.baseId === baseId).length * AIR.WING_SIZE;
+        }
+        return planes;
+    }
+
+    /**
+     * Air production a nation's military factories turn out per day
+     * @param {string} nationId
+     * @returns {number}
+     */
+    getProduction(nationId) {
+        let factories = 0;
+        for (const state of this.map.states.values()) {
+            if (state.owner === nationId) {
+                factories += state.data.buildings?.[BUILDINGS.MILITARY_FACTORY.id] || 0;
+            }
+        }
+        return factories * AIR.PRODUCTION_PER_FACTORY * (this.productionModifier?.(nationId) ?? 1);
+    }
+
+    /**
+     * Resources a nation's planes use per day
+     * @param {string} nationId
+     * @returns {Object} resourceId -> amount
+     */
+    getResourceDemand(nationId) {
+        const demand = {};
+        for (const wing of this.getWings({ nationId })) {
+            for (const [resourceId, amount] of Object.entries(FORCE_UPKEEP[wing.aircraftId] || {})) {
+                demand[resourceId] = (demand[resourceId] || 0) + amount * wing.planes;
+            }
+        }
+        return demand;
+    }
+
+    /**
+     * Check whether a nation can order a wing for an air base
+     * @param {string} nationId
+     * @param {string} aircraftId
+     * @param {string} baseId - State ID
+     * @returns {Object} { success, error }
+     */
+    canBuild(nationId, aircraftId, baseId) {
+        const aircraft = getAircraft(aircraftId);
+        if (!aircraft) return { success: false, error: `Unknown aircraft: ${aircraftId}` };
+
+        const state = this.map.getState(baseId);
+        if (!state || state.owner !== nationId) return { success: false, error: 'Territory not controlled' };
+        if (!getBaseLevel(state)) return { success: false, error: 'Requires an air base' };
+        if (this.getStationed(baseId) + AIR.WING_SIZE > this.getCapacity(baseId)) {
+            return { success: false, error: 'Air base is full' };
+        }
+
+        const allowed = this.aircraftFilter?.(nationId, aircraftId) || { success: true };
+        if (!allowed.success) return { success: false, error: `${aircraft.name}: ${allowed.error}` };
+
+        if (this.getProduction(nationId) <= 0) return { success: false, error: 'Requires a military factory' };
+
+        const crew = aircraft.crew * AIR.WING_SIZE;
+        if (this.manpowerPool && this.manpowerPool.available(nationId) < crew) {
+            return { success: false, error: `Not enough manpower (${crew.toLocaleString()} needed)` };
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * Queue a wing; its aircrew are drafted straight away
+     * @param {string} nationId
+     * @param {string} aircraftId
+     * @param {string} baseId - Air base the wing is stationed at when ready
+     * @returns {Object} { success, error, order }
+     */
+    build(nationId, aircraftId, baseId) {
+        const check = this.canBuild(nationId, aircraftId, baseId);
+        if (!check.success) return check;
+
+        const aircraft = getAircraft(aircraftId);
+        if (this.manpowerPool && !this.manpowerPool.recruit(nationId, aircraft.crew * AIR.WING_SIZE)) {
+            return { success: false, error: 'Not enough manpower' };
+        }
+
+        const cost = aircraft.cost * AIR.WING_SIZE;
+        const order = { id: this.nextId++, nationId, aircraftId, baseId, progress: 0, cost };
+        this.getQueue(nationId).push(order);
+
+        this.onWingsChange?.(nationId);
+        return { success: true, order };
+    }
+
+    /**
+     * Cancel a queued wing, releasing its aircrew
+     * @param {string} nationId
+     * @param {number} orderId
+     * @returns {boolean}
+     */
+    cancelBuild(nationId, orderId) {
+        const queue = this.getQueue(nationId);
+        const index = queue.findIndex(order => order.id === orderId);
+        if (index === -1) return false;
+
+        const [order] = queue.splice(index, 1);
+        this.manpowerPool?.release(nationId, getAircraft(order.aircraftId).crew * AIR.WING_SIZE);
+        this.onWingsChange?.(nationId);
+        return true;
+    }
+
+    /**
+     * A nation's aircraft production queue (built in order)
+     * @param {string} nationId
+     * @returns {Array<Object>}
+     */
+    getQueue(nationId) {
+        if (!this.queues.has(nationId)) this.queues.set(nationId, []);
+        return this.queues.get(nationId);
+    }
+
+    /**
+     * Production queue for display, with estimated completion
+     * @param {string} nationId
+     * @param {GameDate} date - Today, for completion dates
+     * @returns {Array<Object>} [{ ...order, aircraft, daysLeft, completesOn }]
+     */
+    getQueueSummary(nationId, date = null) {
+        const production = this.getProduction(nationId);
+        let remaining = 0;
+
+        return this.getQueue(nationId).map(order => {
+            remaining += order.cost - order.progress;
+            const daysLeft = production > 0 ? Math.max(1, Math.ceil(remaining / production)) : null;
+            return {
+                ...order,
+                aircraft: getAircraft(order.aircraftId),
+                daysLeft,
+                completesOn: date && daysLeft !== null ? date.addDays(daysLeft) : null
+            };
+        });
+    }
+
+    /**
+     * An aircraft's stats with a nation's bonuses
+     * @param {string} aircraftId
+     * @param {string} nationId - Omit for base stats
+     * @returns {Object} AIRCRAFT entry with bonuses applied
+     */
+    getAircraftStats(aircraftId, nationId = null) {
+        const aircraft = getAircraft(aircraftId);
+        const bonus = (stat) => 1 + (nationId ? this.statModifier?.(nationId, aircraftId, stat) || 0 : 0);
+        return {
+            ...aircraft,
+            airAttack: aircraft.airAttack * bonus('airAttack'),
+            airDefence: aircraft.airDefence * bonus('airDefence'),
+            groundAttack: aircraft.groundAttack * bonus('groundAttack'),
+            bombing: aircraft.bombing * bonus('bombing'),
+            range: aircraft.range * bonus('range')
+        };
+    }
+
+    /**
+     * @param {number} wingId
+     * @returns {Object|undefined}
+     */
+    getWing(wingId) {
+        return this.wings.get(wingId);
+    }
+
+    /**
+     * Wings, optionally filtered
+     * @param {Object} filter - { nationId, baseId, regionId (flying over) }
+     * @returns {Array<Object>}
+     */
+    getWings({ nationId = null, baseId = null, regionId = null } = {}) {
+        return Array.from(this.wings.values()).filter(wing =>
+            (!nationId || wing.nationId === nationId) &&
+            (!baseId || wing.baseId === baseId) &&
+            (!regionId || (this.isActive(wing) && this.getRegionOf(wing.targetId) === regionId))
+        );
+    }
+
+    /**
+     * Great-circle distance between two territories' anchors
+     * @param {string} fromId
+     * @param {string} toId
+     * @returns {number} km
+     */
+    getDistance(fromId, toId) {
+        const from = this.map.getState(fromId);
+        const to = this.map.getState(toId);
+        const a = from?.labelAnchor || from?.centroid;
+        const b = to?.labelAnchor || to?.centroid;
+        if (!a || !b) return Infinity;
+        return this.map.haversineDistance(a.lat, a.lon, b.lat, b.lon);
+    }
+
+    /**
+     * Whether a territory lies within a wing's operational radius
+     * @param {Object} wing
+     * @param {string} stateId
+     * @returns {boolean}
+     */
+    inRange(wing, stateId) {
+        return !!wing.baseId && this.getDistance(wing.baseId, stateId) <= this.getAircraftStats(wing.aircraftId, wing.nationId).range;
+    }
+
+    /**
+     * Whether a wing is flying its mission: it has a target in range of
+     * an air base its nation still holds
+     * @param {Object} wing
+     * @returns {boolean}
+     */
+    isActive(wing) {
+        return !!wing.mission && !!wing.targetId &&
+            this.map.getState(wing.baseId)?.owner === wing.nationId &&
+            this.inRange(wing, wing.targetId);
+    }
+
+    /**
+     * Send a wing against a target territory
+     * @param {number} wingId
+     * @param {string} stateId - Target
+     * @param {string} missionId - AIR_MISSIONS id; defaults to the wing's mission, else its aircraft's
+     * @returns {Object} { success, error }
+     */
+    assign(wingId, stateId, missionId = null) {
+        const wing = this.wings.get(wingId);
+        if (!wing) return { success: false, error: `Unknown wing: ${wingId}` };
+
+        const state = this.map.getState(stateId);
+        if (!state) return { success: false, error: `Unknown territory: ${stateId}` };
+
+        const mission = missionId || wing.mission || getAircraft(wing.aircraftId).mission;
+        if (!getMission(mission)) return { success: false, error: `Unknown mission: ${mission}` };
+
+        if (!this.inRange(wing, stateId)) {
+            return { success: false, error: `${state.name || stateId} is out of range of ${wing.name}` };
+        }
+        if (mission === AIR_MISSIONS.STRATEGIC_BOMBING.id && !this.hostile(wing.nationId, state.owner)) {
+            return { success: false, error: 'Only hostile territory can be bombed' };
+        }
+
+        wing.mission = mission;
+        wing.targetId = stateId;
+
+        this.onUpdate?.(wingId);
+        return { success: true };
+    }
+
+    /**
+     * Change a wing's mission over its current target
+     * @param {number} wingId
+     * @param {string} missionId - AIR_MISSIONS id
+     * @returns {Object} { success, error }
+     */
+    setMission(wingId, missionId) {
+        const wing = this.wings.get(wingId);
+        if (!wing) return { success: false, error: `Unknown wing: ${wingId}` };
+        if (!wing.targetId) {
+            if (!getMission(missionId)) return { success: false, error: `Unknown mission: ${missionId}` };
+            wing.mission = missionId;
+            this.onUpdate?.(wingId);
+            return { success: true };
+        }
+        return this.assign(wingId, wing.targetId, missionId);
+    }
+
+    /**
+     * Ground a wing at its base
+     * @param {number} wingId
+     * @returns {boolean}
+     */
+    standDown(wingId) {
+        const wing = this.wings.get(wingId);
+        if (!wing) return false;
+
+        wing.mission = null;
+        wing.targetId = null;
+        this.onUpdate?.(wingId);
+        return true;
+    }
+
+    /**
+     * Move a wing to another of its nation's air bases. Targets out of
+     * range from there are dropped.
+     * @param {number} wingId
+     * @param {string} baseId
+     * @returns {Object} { success, error }
+     */
+    rebase(wingId, baseId) {
+        const wing = this.wings.get(wingId);
+        if (!wing) return { success: false, error: `Unknown wing: ${wingId}` };
+        if (wing.baseId === baseId) return { success: true };
+
+        const state = this.map.getState(baseId);
+        if (!state || state.owner !== wing.nationId || !getBaseLevel(state)) {
+            return { success: false, error: 'Requires an air base the nation holds' };
+        }
+        if (this.getStationed(baseId) + Math.ceil(wing.planes) > this.getCapacity(baseId)) {
+            return { success: false, error: 'Air base is full' };
+        }
+
+        wing.baseId = baseId;
+        if (wing.targetId && !this.inRange(wing, wing.targetId)) wing.targetId = null;
+
+        this.onWingsChange?.(wing.nationId);
+        return { success: true };
+    }
+
+    /**
+     * @param {string} nationA
+     * @param {string} nationB
+     * @returns {boolean}
+     */
+    hostile(nationA, nationB) {
+        if (!nationA || !nationB || nationA === nationB) return false;
+        return this.isHostile?.(nationA, nationB) ?? true;
+    }
+
+    /**
+     * Effective level of a nation's radar or anti-air in a territory
+     * @param {string} stateId
+     * @param {string} buildingId - BUILDINGS.RADAR.id or BUILDINGS.ANTI_AIR.id
+     * @returns {number}
+     */
+    getDefenceLevel(stateId, buildingId) {
+        const state = this.map.getState(stateId);
+        const level = state?.data?.buildings?.[buildingId] || 0;
+        if (!level || !state.owner) return 0;
+        return level * (this.buildingModifier?.(state.owner, buildingId) ?? 1);
+    }
+
+    /**
+     * Best radar a nation holds in an air region
+     * @param {string} nationId
+     * @param {string} regionId
+     * @returns {number} Effective radar level
+     */
+    getRadar(nationId, regionId) {
+        let best = 0;
+        for (const stateId of this.regions.get(regionId)?.states || []) {
+            if (this.map.getState(stateId)?.owner !== nationId) continue;
+            best = Math.max(best, this.getDefenceLevel(stateId, BUILDINGS.RADAR.id));
+        }
+        return best;
+    }
+
+    /**
+     * Air attack a nation's active wings bring to a region, with its radar
+     * @param {string} nationId
+     * @param {string} regionId
+     * @returns {number}
+     */
+    getAirPower(nationId, regionId) {
+        const power = this.getWings({ nationId, regionId }).reduce((total, wing) =>
+            total + wing.planes * this.getAircraftStats(wing.aircraftId, nationId).airAttack, 0);
+        return power * (1 + AIR.RADAR_BONUS * this.getRadar(nationId, regionId));
+    }
+
+    /**
+     * A nation's share of the air attack over a region
+     * @param {string} nationId
+     * @param {string} regionId
+     * @returns {number|null} 0 to 1; null with no one flying there
+     */
+    getSuperiority(nationId, regionId) {
+        const own = this.getAirPower(nationId, regionId);
+        const hostile = this.getHostilePower(nationId, regionId);
+        if (own + hostile <= 0) return null;
+        return own / (own + hostile);
+    }
+
+    /**
+     * Air attack of every nation hostile to a nation over a region
+     * @param {string} nationId
+     * @param {string} regionId
+     * @returns {number}
+     */
+    getHostilePower(nationId, regionId) {
+        const nations = new Set(this.getWings({ regionId }).map(wing => wing.nationId));
+        let power = 0;
+        for (const other of nations) {
+            if (this.hostile(nationId, other)) power += this.getAirPower(other, regionId);
+        }
+        return power;
+    }
+
+    /**
+     * Extra land firepower from a nation's close air support over a
+     * territory's region, scaled by its superiority there
+     * @param {string} nationId
+     * @param {string} stateId
+     * @returns {number} Fractional bonus
+     */
+    getAirSupport(nationId, stateId) {
+        const regionId = this.getRegionOf(stateId);
+        if (!regionId) return 0;
+
+        const groundAttack = this.getWings({ nationId, regionId })
+            .filter(wing => wing.mission === AIR_MISSIONS.CLOSE_AIR_SUPPORT.id)
+            .reduce((total, wing) => total + wing.planes * this.getAircraftStats(wing.aircraftId, nationId).groundAttack, 0);
+        if (!groundAttack) return 0;
+
+        const superiority = this.getSuperiority(nationId, regionId) ?? 1;
+        return AIR.MAX_CAS_BONUS * Math.min(1, groundAttack * superiority / AIR.CAS_REFERENCE);
+    }
+
+    /**
+     * Anti-air a wing flies into: the target's for bombers, the heaviest
+     * in hostile hands across the region for close air support. Air
+     * superiority flights keep clear of it.
+     * @param {Object} wing
+     * @returns {number} Effective anti-air level, radar included
+     */
+    getAntiAir(wing) {
+        let stateIds;
+        if (wing.mission === AIR_MISSIONS.STRATEGIC_BOMBING.id) {
+            stateIds = [wing.targetId];
+        } else if (wing.mission === AIR_MISSIONS.CLOSE_AIR_SUPPORT.id) {
+            stateIds = this.regions.get(this.getRegionOf(wing.targetId))?.states || [];
+        } else {
+            return 0;
+        }
+
+        let best = 0;
+        for (const stateId of stateIds) {
+            const owner = this.map.getState(stateId)?.owner;
+            if (!this.hostile(wing.nationId, owner)) continue;
+
+            const radar = this.getRadar(owner, this.getRegionOf(stateId));
+            best = Math.max(best, this.getDefenceLevel(stateId, BUILDINGS.ANTI_AIR.id) * (1 + AIR.RADAR_BONUS * radar));
+        }
+        return best;
+    }
+
+    /**
+     * Daily hook - build wings, relocate wings whose base was lost and
+     * fly missions
+     * @param {GameDate} date
+     */
+    advanceDay(date) {
+        this.produce(date);
+        this.relocate(date);
+        this.flyMissions(date);
+        this.onUpdate?.();
+    }
+
+    /**
+     * Spend each nation's air production down its queue. Orders for
+     * bases since lost are scrapped.
+     * @param {GameDate} date
+     */
+    produce(date) {
+        for (const [nationId, queue] of this.queues) {
+            let production = this.getProduction(nationId);
+
+            while (queue.length) {
+                const order = queue[0];
+                if (this.map.getState(order.baseId)?.owner !== nationId) {
+                    queue.shift();
+                    this.onOrderScrapped?.(order, date);
+                    continue;
+                }
+                if (production <= 0) break;
+
+                const spent = Math.min(production, order.cost - order.progress);
+                order.progress += spent;
+                production -= spent;
+                if (order.progress < order.cost) break;
+
+                queue.shift();
+                const wing = this.createWing(nationId, order.aircraftId, order.baseId);
+                this.onWingLaunched?.(wing, date);
+                this.onWingsChange?.(nationId);
+            }
+        }
+    }
+
+    /**
+     * Wings whose base was lost fly to the nearest air base with room;
+     * with none left they are lost
+     * @param {GameDate} date
+     */
+    relocate(date) {
+        for (const wing of [...this.wings.values()]) {
+            if (this.map.getState(wing.baseId)?.owner === wing.nationId) continue;
+
+            const nearest = this.getBases(wing.nationId)
+                .filter(baseId => this.getStationed(baseId) + Math.ceil(wing.planes) <= this.getCapacity(baseId))
+                .sort((a, b) => this.getDistance(wing.baseId, a) - this.getDistance(wing.baseId, b))[0];
+
+            if (nearest) {
+                this.rebase(wing.id, nearest);
+                this.onWingRelocated?.(wing, date);
+            } else {
+                this.destroyWing(wing, date);
+            }
+        }
+    }
+
+    /**
+     * A day of missions: air combat and anti-air losses over every
+     * contested region, then bombing
+     * @param {GameDate} date
+     */
+    flyMissions(date) {
+        const active = Array.from(this.wings.values()).filter(wing => this.isActive(wing));
+        if (!active.length) return;
+
+        // Work out every wing's losses before any are applied
+        const losses = new Map(); // wing ID -> planes lost
+        const superiority = new Map(); // wing ID -> its side's superiority
+        for (const wing of active) {
+            const regionId = this.getRegionOf(wing.targetId);
+            const hostile = this.getHostilePower(wing.nationId, regionId);
+            superiority.set(wing.id, this.getSuperiority(wing.nationId, regionId) ?? 1);
+
+            let rate = 0;
+            if (hostile > 0) {
+                const defence = this.getWings({ nationId: wing.nationId, regionId }).reduce((total, other) =>
+                    total + other.planes * this.getAircraftStats(other.aircraftId, other.nationId).airDefence, 0);
+                rate += AIR.MISSION_LOSS * clamp(defence > 0 ? hostile / defence : AIR.MAX_ODDS, 1 / AIR.MAX_ODDS, AIR.MAX_ODDS);
+            }
+            rate += AIR.AA_LOSS_PER_LEVEL * this.getAntiAir(wing);
+
+            if (rate > 0) losses.set(wing.id, wing.planes * Math.min(1, rate));
+        }
+
+        for (const wing of active) {
+            if (wing.mission === AIR_MISSIONS.STRATEGIC_BOMBING.id) {
+                const { bombing } = this.getAircraftStats(wing.aircraftId, wing.nationId);
+                this.bomb(wing, wing.planes * bombing * superiority.get(wing.id), date);
+            }
+        }
+
+        const changed = new Set();
+        for (const [wingId, lost] of losses) {
+            const wing = this.wings.get(wingId);
+            wing.planes -= lost;
+
+            const crew = Math.round(lost * getAircraft(wing.aircraftId).crew);
+            if (crew > 0) this.onCasualties?.(wing.nationId, crew, wing.targetId);
+
+            if (wing.planes < 1) {
+                this.destroyWing(wing, date);
+                changed.add(wing.nationId);
+            }
+        }
+        changed.forEach(nationId => this.onWingsChange?.(nationId));
+    }
+
+    /**
+     * Add bombing damage to a wing's target, knocking out building levels
+     * in AIR.BOMBING_TARGETS order
+     * @param {Object} wing
+     * @param {number} damage
+     * @param {GameDate} date
+     */
+    bomb(wing, damage, date) {
+        const state = this.map.getState(wing.targetId);
+        if (!this.hostile(wing.nationId, state?.owner)) return;
+
+        let total = (this.bombing.get(state.id) || 0) + damage;
+        while (total >= AIR.BOMBING_PER_LEVEL) {
+            const buildings = state.data.buildings || {};
+            const buildingId = AIR.BOMBING_TARGETS.find(id => buildings[id] > 0);
+            if (!buildingId) {
+                total = 0;
+                break;
+            }
+
+            buildings[buildingId]--;
+            if (!buildings[buildingId]) delete buildings[buildingId];
+            total -= AIR.BOMBING_PER_LEVEL;
+
+            this.onBuildingBombed?.(state.id, buildingId, wing.nationId, date);
+        }
+        this.bombing.set(state.id, total);
+    }
+
+    /**
+     * @param {Object} wing
+     * @param {GameDate} date
+     */
+    destroyWing(wing, date) {
+        this.wings.delete(wing.id);
+        this.onWingDestroyed?.(wing, date);
+    }
+
+    /**
+     * Territory panel data for a wing
+     * @param {number} wingId
+     * @returns {Object|null} { wing, aircraft, base, target, region, mission, active, superiority }
+     */
+    getWingSummary(wingId) {
+        const wing = this.wings.get(wingId);
+        if (!wing) return null;
+
+        const regionId = wing.targetId ? this.getRegionOf(wing.targetId) : null;
+        return {
+            wing,
+            aircraft: this.getAircraftStats(wing.aircraftId, wing.nationId),
+            base: this.map.getState(wing.baseId) || null,
+            target: wing.targetId ? this.map.getState(wing.targetId) : null,
+            region: regionId ? this.regions.get(regionId) : null,
+            mission: getMission(wing.mission) || null,
+            active: this.isActive(wing),
+            superiority: regionId ? this.getSuperiority(wing.nationId, regionId) : null
+        };
+    }
+
+    /**
+     * Create and register a full-strength wing at a base
+     * @param {string} nationId
+     * @param {string} aircraftId
+     * @param {string} baseId
+     * @returns {Object} wing
+     */
+    createWing(nationId, aircraftId, baseId) {
+        const aircraft = getAircraft(aircraftId);
+        const counter = this.getCounter(nationId);
+        counter.set(aircraftId, (counter.get(aircraftId) || 0) + 1);
+
+        const wing = {
+            id: this.nextId++,
+            nationId,
+            aircraftId,
+            name: `${ordinal(counter.get(aircraftId))} ${aircraft.name} Wing`,
+            planes: AIR.WING_SIZE,
+            baseId,
+            mission: null,
+            targetId: null
+        };
+
+        this.wings.set(wing.id, wing);
+        return wing;
+    }
+
+    /**
+     * @param {string} nationId
+     * @returns {Map<string, number>} aircraft ID -> wings raised so far
+     */
+    getCounter(nationId) {
+        if (!this.counters.has(nationId)) this.counters.set(nationId, new Map());
+        return this.counters.get(nationId);
+    }
+
+    /**
+     * AIR map mode definition for MapModeController.registerMode
+     * @param {Function} viewerOf - (state) => nation ID whose superiority to show
+     * @returns {Object}
+     */
+    createMapMode(viewerOf) {
+        return {
+            name: 'AIR',
+            colorFor: (state) => {
+                const nationId = viewerOf(state);
+                const regionId = this.getRegionOf(state.id);
+                const superiority = nationId && regionId ? this.getSuperiority(nationId, regionId) : null;
+                if (superiority === null) return SUPERIORITY_COLORS.NONE;
+
+                if (superiority >= AIR.DOMINANT) return SUPERIORITY_COLORS.DOMINANT;
+                if (superiority >= AIR.CONTESTED) return SUPERIORITY_COLORS.CONTESTED;
+                return SUPERIORITY_COLORS.DENIED;
+            },
+            legend: () => [
+                { color: SUPERIORITY_COLORS.DOMINANT, label: `Superiority ${Math.round(AIR.DOMINANT * 100)}%+` },
+                { color: SUPERIORITY_COLORS.CONTESTED, label: `Contested ${Math.round(AIR.CONTESTED * 100)}%+` },
+                { color: SUPERIORITY_COLORS.DENIED, label: `Denied (under ${Math.round(AIR.CONTESTED * 100)}%)` },
+                { color: SUPERIORITY_COLORS.NONE, label: 'No air activity' }
+            ]
+        };
+    }
+}
+
+/**
+ * Aircraft by ID
+ * @param {string} aircraftId
+ * @returns {Object|undefined}
+ */
+export function getAircraft(aircraftId) {
+    return Object.values(AIRCRAFT).find(aircraft => aircraft.id === aircraftId);
+}
+
+/**
+ * Air mission by ID
+ * @param {string} missionId
+ * @returns {Object|undefined}
+ */
+export function getMission(missionId) {
+    return Object.values(AIR_MISSIONS).find(mission => mission.id === missionId);
+}
+
+/**
+ * @param {Object} state
+ * @returns {number} Air base level
+ */
+function getBaseLevel(state) {
+    return state?.data?.buildings?.[BUILDINGS.AIRBASE.id] || 0;
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+function ordinal(n) {
+    const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+    return `${n}${suffix}`;
+}
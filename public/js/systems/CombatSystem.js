@@ -0,0 +1,389 @@
+/**
+ * Combat System
+ * STRATCOM Global Command
+ *
+ * Land battles. A battle opens in any territory holding divisions hostile
+ * to its owner alongside the owner's (or friendly) divisions, and is
+ * fought in hourly rounds. Each round both sides lose organisation and
+ * strength according to the odds between their firepower; divisions out
+ * of organisation retreat to a friendly neighbour and worn-out ones are
+ * destroyed. Attackers left alone in a territory capture it.
+ */
+
+import { COMBAT, MOVEMENT, BUILDINGS } from '../config/constants.js';
+import { getTerrain } from '../data/terrainData.js';
+
+export class CombatSystem {
+    /**
+     * @param {MapManager} mapManager
+     * @param {UnitSystem} unitSystem
+     */
+    constructor(mapManager, unitSystem) {
+        this.map = mapManager;
+        this.units = unitSystem;
+        this.battles = new Map(); // Map of state ID -> battle
+        this.nextId = 1;
+
+        // (nationA, nationB) => boolean, e.g. at war. Defaults to any other nation.
+        this.isHostile = null;
+
+        // (nationId, stateId) => 0..1 supply of a nation's divisions in a territory
+        this.supplyOf = null;
+
+        // (nationId, stateId) => fractional firepower bonus, e.g. close air support
+        this.airSupportOf = null;
+
+        // Callbacks
+        this.onBattleStart = null;
+        this.onBattleEnd = null;
+        this.onCasualties = null;
+        this.onRetreat = null;
+        this.onUnitDestroyed = null;
+        this.onTerritoryCaptured = null;
+        this.onUpdate = null;
+    }
+
+    /**
+     * Hourly hook - open, fight and close battles and capture
+     * undefended territories
+     * @param {GameDate} date
+     */
+    advanceHour(date) {
+        const byState = new Map();
+        for (const unit of this.units.getUnits()) {
+            if (!byState.has(unit.stateId)) byState.set(unit.stateId, []);
+            byState.get(unit.stateId).push(unit);
+        }
+
+        let changed = false;
+
+        for (const [stateId, present] of byState) {
+            const { attackers, defenders } = this.getSides(stateId, present);
+            if (!attackers.length) continue;
+
+            if (defenders.length) {
+                const battle = this.battles.get(stateId) || this.startBattle(stateId, attackers, defenders, date);
+                this.fightRound(battle, attackers, defenders, date);
+            }
+
+            const after = this.getSides(stateId, this.units.getUnits({ stateId }));
+            if (after.attackers.length && !after.defenders.length) {
+                this.capture(stateId, after.attackers, date);
+            }
+            changed = true;
+        }
+
+        // Battles whose attackers are gone are over
+        for (const battle of [...this.battles.values()]) {
+            const { attackers, defenders } = this.getSides(battle.stateId, this.units.getUnits({ stateId: battle.stateId }));
+            if (!attackers.length || !defenders.length) {
+                this.endBattle(battle, attackers.length ? 'attacker' : 'defender', date);
+                changed = true;
+            }
+        }
+
+        if (changed) this.onUpdate?.();
+    }
+
+    /**
+     * Split the divisions in a territory into those hostile to its owner
+     * and the rest. Divisions still in training take no part.
+     * @param {string} stateId
+     * @param {Array<Object>} units
+     * @returns {Object} { attackers, defenders }
+     */
+    getSides(stateId, units) {
+        const owner = this.map.getState(stateId)?.owner;
+        const attackers = [];
+        const defenders = [];
+
+        for (const unit of units) {
+            if (unit.status !== 'ready') continue;
+            if (owner && this.hostile(unit.nationId, owner)) {
+                attackers.push(unit);
+            } else {
+                defenders.push(unit);
+            }
+        }
+
+        return { attackers, defenders };
+    }
+
+    /**
+     * @param {string} nationA
+     * @param {string} nationB
+     * @returns {boolean}
+     */
+    hostile(nationA, nationB) {
+        if (nationA === nationB) return false;
+        return this.isHostile?.(nationA, nationB) ?? true;
+    }
+
+    /**
+     * Open a battle in a territory
+     * @param {string} stateId
+     * @param {Array<Object>} attackers
+     * @param {Array<Object>} defenders
+     * @param {GameDate} date
+     * @returns {Object} battle
+     */
+    startBattle(stateId, attackers, defenders, date) {
+        const battle = {
+            id: this.nextId++,
+            stateId,
+            attacker: getLeadingNation(attackers),
+            defender: this.map.getState(stateId).owner,
+            startedOn: date?.toISO() || null,
+            hours: 0,
+            odds: 1,
+            power: { attacker: 0, defender: 0 },
+            air: { attacker: 0, defender: 0 },
+            casualties: { attacker: 0, defender: 0 },
+            destroyed: { attacker: 0, defender: 0 },
+            result: null
+        };
+
+        this.battles.set(stateId, battle);
+        this.onBattleStart?.(battle, date);
+        return battle;
+    }
+
+    /**
+     * Close a battle
+     * @param {Object} battle
+     * @param {string} result - 'attacker' or 'defender' (the winning side)
+     * @param {GameDate} date
+     */
+    endBattle(battle, result, date) {
+        battle.result = result;
+        this.battles.delete(battle.stateId);
+        this.onBattleEnd?.(battle, date);
+    }
+
+    /**
+     * One hour of fighting
+     * @param {Object} battle
+     * @param {Array<Object>} attackers
+     * @param {Array<Object>} defenders
+     * @param {GameDate} date
+     */
+    fightRound(battle, attackers, defenders, date) {
+        const state = this.map.getState(battle.stateId);
+        const air = {
+            attacker: this.airSupportOf?.(battle.attacker, battle.stateId) || 0,
+            defender: this.airSupportOf?.(battle.defender, battle.stateId) || 0
+        };
+        const attack = this.getFirepower(attackers, 'attack', battle.stateId) * (1 + air.attacker);
+        const defence = this.getFirepower(defenders, 'defence', battle.stateId) * getDefenceModifier(state) * (1 + air.defender);
+
+        // Odds the defenders take damage at; attackers take the inverse
+        const odds = clamp(defence > 0 ? attack / defence : COMBAT.MAX_ODDS, 1 / COMBAT.MAX_ODDS, COMBAT.MAX_ODDS);
+
+        battle.hours++;
+        battle.odds = odds;
+        battle.power = { attacker: attack, defender: defence };
+        battle.air = air;
+
+        this.applyDamage(battle, 'defender', defenders, odds, date);
+        this.applyDamage(battle, 'attacker', attackers, 1 / odds, date);
+    }
+
+    /**
+     * Summed combat stat of a side, scaled by strength and supply
+     * @param {Array<Object>} units
+     * @param {string} stat - 'attack' or 'defence'
+     * @param {string} stateId
+     * @returns {number}
+     */
+    getFirepower(units, stat, stateId) {
+        return units.reduce((total, unit) => {
+            const supply = this.supplyOf?.(unit.nationId, stateId) ?? 1;
+            const supplyFactor = COMBAT.MIN_SUPPLY_FACTOR + (1 - COMBAT.MIN_SUPPLY_FACTOR) * supply;
+            return total + this.units.getUnitStats(unit)[stat] * unit.strength * supplyFactor;
+        }, 0);
+    }
+
+    /**
+     * Organisation and strength losses for one side, then retreats and
+     * destruction
+     * @param {Object} battle
+     * @param {string} side - 'attacker' or 'defender'
+     * @param {Array<Object>} units
+     * @param {number} odds - Damage multiplier against this side
+     * @param {GameDate} date
+     */
+    applyDamage(battle, side, units, odds, date) {
+        const casualties = new Map(); // nation ID -> manpower lost
+
+        for (const unit of units) {
+            const { manpower } = this.units.getUnitStats(unit);
+            const lost = Math.min(unit.strength, COMBAT.STRENGTH_DAMAGE * odds);
+
+            unit.strength -= lost;
+            unit.organisation = Math.max(0, unit.organisation - COMBAT.ORGANISATION_DAMAGE * odds);
+
+            const men = Math.round(lost * manpower);
+            casualties.set(unit.nationId, (casualties.get(unit.nationId) || 0) + men);
+            battle.casualties[side] += men;
+
+            if (unit.strength < COMBAT.DESTROYED_STRENGTH) {
+                battle.destroyed[side]++;
+                this.units.removeUnit(unit.id);
+                this.onUnitDestroyed?.(unit, battle, false, date);
+            } else if (unit.organisation <= 0) {
+                this.retreat(unit, battle, side, date);
+            }
+        }
+
+        for (const [nationId, amount] of casualties) {
+            if (amount > 0) this.onCasualties?.(nationId, amount, battle.stateId);
+        }
+    }
+
+    /**
+     * Pull a broken division back to a neighbouring territory its nation
+     * holds (or failing that, a non-hostile one). Encircled divisions
+     * with nowhere to go are destroyed.
+     * @param {Object} unit
+     * @param {Object} battle
+     * @param {string} side - 'attacker' or 'defender', the side it fought on
+     * @param {GameDate} date
+     */
+    retreat(unit, battle, side, date) {
+        const neighbors = this.map.getNeighbors(unit.stateId, MOVEMENT.BORDER_TYPES)
+            .map(id => this.map.getState(id))
+            .filter(state => state?.owner && !this.battles.has(state.id));
+
+        const target = neighbors.find(state => state.owner === unit.nationId) ||
+            neighbors.find(state => !this.hostile(unit.nationId, state.owner));
+
+        if (!target) {
+            battle.destroyed[side]++;
+            this.units.removeUnit(unit.id);
+            this.onUnitDestroyed?.(unit, battle, true, date);
+            return;
+        }
+
+        const fromId = unit.stateId;
+        unit.stateId = target.id;
+        this.onRetreat?.(unit, fromId, date);
+    }
+
+    /**
+     * Hand a territory to the strongest nation among its occupiers
+     * @param {string} stateId
+     * @param {Array<Object>} attackers
+     * @param {GameDate} date
+     */
+    capture(stateId, attackers, date) {
+        const nationId = getLeadingNation(attackers);
+        const previous = this.map.setStateOwner(stateId, nationId);
+        if (previous === nationId) return;
+
+        const battle = this.battles.get(stateId);
+        if (battle) this.endBattle(battle, 'attacker', date);
+
+        this.onTerritoryCaptured?.(stateId, nationId, previous, date);
+    }
+
+    /**
+     * @param {string} stateId
+     * @returns {Object|undefined}
+     */
+    getBattle(stateId) {
+        return this.battles.get(stateId);
+    }
+
+    /**
+     * @returns {Array<Object>}
+     */
+    getBattles() {
+        return Array.from(this.battles.values());
+    }
+
+    /**
+     * Whether a nation's divisions would fight in a territory: it is
+     * held by an enemy or enemy divisions are there
+     * @param {string} nationId
+     * @param {string} stateId
+     * @returns {boolean}
+     */
+    isContested(nationId, stateId) {
+        const owner = this.map.getState(stateId)?.owner;
+        if (owner && this.hostile(nationId, owner)) return true;
+        return this.units.getUnits({ stateId }).some(unit => unit.status === 'ready' && this.hostile(nationId, unit.nationId));
+    }
+
+    /**
+     * Whether a division is tied down in a battle
+     * @param {Object} unit
+     * @returns {boolean}
+     */
+    isEngaged(unit) {
+        return this.battles.has(unit.stateId);
+    }
+
+    /**
+     * Battle popup data: the battle with each side's divisions and the
+     * territory's defensive modifiers
+     * @param {string} stateId
+     * @returns {Object|null} { battle, state, terrain, forts, defenceModifier, attackers, defenders }
+     */
+    getBattleSummary(stateId) {
+        const battle = this.battles.get(stateId);
+        if (!battle) return null;
+
+        const state = this.map.getState(stateId);
+        const { attackers, defenders } = this.getSides(stateId, this.units.getUnits({ stateId }));
+        const describe = (unit) => ({
+            id: unit.id,
+            name: unit.name,
+            nationId: unit.nationId,
+            strength: unit.strength,
+            organisation: unit.organisation,
+            maxOrganisation: this.units.getUnitStats(unit).maxOrganisation
+        });
+
+        return {
+            battle,
+            state,
+            terrain: getTerrain(state),
+            forts: state.data?.buildings?.[BUILDINGS.FORT.id] || 0,
+            defenceModifier: getDefenceModifier(state),
+            attackers: attackers.map(describe),
+            defenders: defenders.map(describe)
+        };
+    }
+}
+
+/**
+ * Defenders' multiplier from terrain and forts
+ * @param {Object} state
+ * @returns {number}
+ */
+function getDefenceModifier(state) {
+    const forts = state.data?.buildings?.[BUILDINGS.FORT.id] || 0;
+    return getTerrain(state).defenceModifier * (1 + forts * COMBAT.FORT_BONUS);
+}
+
+/**
+ * Nation fielding the most strength among some divisions
+ * @param {Array<Object>} units
+ * @returns {string|null}
+ */
+function getLeadingNation(units) {
+    const totals = new Map();
+    for (const unit of units) {
+        totals.set(unit.nationId, (totals.get(unit.nationId) || 0) + unit.strength);
+    }
+
+    let leader = null;
+    for (const [nationId, total] of totals) {
+        if (!leader || total > totals.get(leader)) leader = nationId;
+    }
+    return leader;
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
@@ -0,0 +1,264 @@
+/**
+ * Construction System
+ * STRATCOM Global Command
+ *
+ * Per-nation construction queues for the BUILDINGS catalogue. Civilian
+ * factories are assigned to projects in queue order; each project
+ * advances once per game day and adds its building when complete.
+ */
+
+import { BUILDINGS, CONSTRUCTION } from '../config/constants.js';
+
+export class ConstructionSystem {
+    /**
+     * @param {MapManager} mapManager
+     */
+    constructor(mapManager) {
+        this.map = mapManager;
+        this.queues = new Map(); // Map of nation ID -> Array of projects
+        this.nextId = 1;
+
+        // (nationId) => multiplier on civilian factory output, e.g. shortages
+        this.outputModifier = null;
+
+        // (nationId, buildingId) => { success, error } - extra rules, e.g. technology
+        this.buildFilter = null;
+
+        // Callbacks
+        this.onProjectComplete = null;
+        this.onProjectCancelled = null;
+        this.onQueueChange = null;
+    }
+
+    /**
+     * Check whether a nation can order a building in a territory
+     * @param {string} nationId
+     * @param {string} stateId
+     * @param {string} buildingId - BUILDINGS[...].id
+     * @returns {Object} { success, error }
+     */
+    canBuild(nationId, stateId, buildingId) {
+        const building = getBuilding(buildingId);
+        if (!building) {
+            return { success: false, error: `Unknown building: ${buildingId}` };
+        }
+
+        const state = this.map.getState(stateId);
+        if (!state || state.owner !== nationId) {
+            return { success: false, error: 'Territory not controlled' };
+        }
+
+        const allowed = this.buildFilter?.(nationId, buildingId) || { success: true };
+        if (!allowed.success) return allowed;
+
+        if (CONSTRUCTION.COASTAL_BUILDINGS.includes(buildingId) && !this.map.isCoastal(stateId)) {
+            return { success: false, error: `${building.name} requires a coastline` };
+        }
+
+        if (this.getFreeSlots(stateId, buildingId) <= 0) {
+            return { success: false, error: `No ${building.name} slots left in ${state.name}` };
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * Queue a building in a territory
+     * @param {string} nationId
+     * @param {string} stateId
+     * @param {string} buildingId
+     * @param {GameDate} date - Order date
+     * @returns {Object} { success, error, project }
+     */
+    order(nationId, stateId, buildingId, date) {
+        const check = this.canBuild(nationId, stateId, buildingId);
+        if (!check.success) return check;
+
+        const project = {
+            id: this.nextId++,
+            nationId,
+            stateId,
+            buildingId,
+            cost: getBuilding(buildingId).buildTime,
+            progress: 0,
+            factories: 0,
+            status: 'queued',
+            orderedOn: date?.toISO() || null
+        };
+
+        this.getQueue(nationId).push(project);
+        this.allocate(nationId);
+        this.onQueueChange?.(nationId);
+
+        return { success: true, project };
+    }
+
+    /**
+     * Remove a project from its queue
+     * @param {number} projectId
+     * @returns {boolean}
+     */
+    cancel(projectId) {
+        for (const [nationId, queue] of this.queues) {
+            const index = queue.findIndex(project => project.id === projectId);
+            if (index === -1) continue;
+
+            queue.splice(index, 1);
+            this.allocate(nationId);
+            this.onQueueChange?.(nationId);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * A nation's queue, in priority order
+     * @param {string} nationId
+     * @returns {Array<Object>}
+     */
+    getQueue(nationId) {
+        if (!this.queues.has(nationId)) {
+            this.queues.set(nationId, []);
+        }
+        return this.queues.get(nationId);
+    }
+
+    /**
+     * Projects in a territory, with estimated days remaining
+     * @param {string} stateId
+     * @returns {Array<Object>}
+     */
+    getStateProjects(stateId) {
+        const projects = [];
+        for (const queue of this.queues.values()) {
+            for (const project of queue) {
+                if (project.stateId !== stateId) continue;
+                projects.push({
+                    ...project,
+                    building: getBuilding(project.buildingId),
+                    daysLeft: project.status === 'in-progress'
+                        ? Math.ceil((project.cost - project.progress) / dailyProgress(project.factories))
+                        : null
+                });
+            }
+        }
+        return projects;
+    }
+
+    /**
+     * Slots left for a building type in a territory, counting queued projects
+     * @param {string} stateId
+     * @param {string} buildingId
+     * @returns {number}
+     */
+    getFreeSlots(stateId, buildingId) {
+        const built = this.map.getState(stateId)?.data.buildings || {};
+        const queued = this.getStateProjects(stateId);
+
+        const count = (ids) => ids.reduce((total, id) => total + (built[id] || 0), 0) +
+            queued.filter(project => ids.includes(project.buildingId)).length;
+
+        if (CONSTRUCTION.SHARED_BUILDINGS.includes(buildingId)) {
+            return CONSTRUCTION.SHARED_SLOTS - count(CONSTRUCTION.SHARED_BUILDINGS);
+        }
+
+        const maxLevel = CONSTRUCTION.MAX_LEVELS[buildingId] ?? 0;
+        return maxLevel - count([buildingId]);
+    }
+
+    /**
+     * Civilian factories a nation has available for construction,
+     * after any output modifier
+     * @param {string} nationId
+     * @returns {number}
+     */
+    getFactoryOutput(nationId) {
+        let factories = 0;
+        for (const state of this.map.states.values()) {
+            if (state.owner === nationId) {
+                factories += state.data.buildings?.[BUILDINGS.FACTORY.id] || 0;
+            }
+        }
+        return Math.floor(factories * (this.outputModifier?.(nationId) ?? 1));
+    }
+
+    /**
+     * Spread a nation's factories over its queue, front first. At least
+     * one project is always worked on, at the unassisted base rate.
+     * @param {string} nationId
+     */
+    allocate(nationId) {
+        let available = this.getFactoryOutput(nationId);
+        let first = true;
+
+        for (const project of this.getQueue(nationId)) {
+            const factories = Math.min(available, CONSTRUCTION.FACTORIES_PER_PROJECT);
+            const active = factories > 0 || first;
+
+            project.factories = factories;
+            project.status = active ? 'in-progress' : 'queued';
+
+            available -= factories;
+            first = false;
+        }
+    }
+
+    /**
+     * Daily hook - advance projects and complete finished ones
+     * @param {GameDate} date
+     */
+    advanceDay(date) {
+        for (const [nationId, queue] of this.queues) {
+            let changed = false;
+
+            // Projects in lost territory are abandoned
+            for (let i = queue.length - 1; i >= 0; i--) {
+                if (this.map.getState(queue[i].stateId)?.owner !== nationId) {
+                    const [project] = queue.splice(i, 1);
+                    this.onProjectCancelled?.(project, date);
+                    changed = true;
+                }
+            }
+
+            this.allocate(nationId);
+
+            const completed = [];
+            for (const project of queue) {
+                if (project.status !== 'in-progress') continue;
+
+                project.progress = Math.min(project.cost, project.progress + dailyProgress(project.factories));
+                if (project.progress >= project.cost) completed.push(project);
+            }
+
+            for (const project of completed) {
+                queue.splice(queue.indexOf(project), 1);
+
+                const state = this.map.getState(project.stateId);
+                const buildings = state.data.buildings || (state.data.buildings = {});
+                buildings[project.buildingId] = (buildings[project.buildingId] || 0) + 1;
+
+                this.onProjectComplete?.(project, date);
+                changed = true;
+            }
+
+            if (changed) {
+                this.allocate(nationId);
+                this.onQueueChange?.(nationId);
+            }
+        }
+    }
+}
+
+/**
+ * Catalogue entry for a building ID
+ * @param {string} buildingId
+ * @returns {Object|undefined}
+ */
+export function getBuilding(buildingId) {
+    return Object.values(BUILDINGS).find(building => building.id === buildingId);
+}
+
+// Days of progress a project makes per game day
+function dailyProgress(factories) {
+    return 1 + factories * CONSTRUCTION.FACTORY_SPEEDUP;
+}
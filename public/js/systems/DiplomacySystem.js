@@ -0,0 +1,742 @@
+/**
+ * Diplomacy System
+ * STRATCOM Global Command
+ *
+ * Relations between nations. Every nation holds an opinion of every
+ * other, drifting monthly towards a target set by government types,
+ * treaties and wars. Treaties (non-aggression, military access, alliance,
+ * trade) are signed when the other side likes the proposer enough. War
+ * needs a justification, built up over some days, unless the government
+ * can do without; the defender's allies join in. Peace returns occupied
+ * territory to its pre-war owner except what the winner demands, and the
+ * other side accepts demands in line with the war score and its war
+ * exhaustion.
+ */
+
+import { DIPLOMACY, TREATIES, RELATION_COLORS } from '../config/constants.js';
+
+export class DiplomacySystem {
+    /**
+     * @param {MapManager} mapManager
+     */
+    constructor(mapManager) {
+        this.map = mapManager;
+        this.nations = new Map();           // Map of nation ID -> nation record
+        this.opinions = new Map();          // Map of nation ID -> Map(other nation ID -> opinion of them)
+        this.treaties = new Map();          // Map of pair key -> Set of treaty IDs
+        this.justifications = new Map();    // Map of 'nation>target' -> { nationId, targetId, daysLeft, expiresIn }
+        this.wars = new Map();              // Map of war ID -> war
+        this.nextId = 1;
+
+        // (nationId, { justified }) => { success, error } - whether the government may declare war.
+        // Defaults to requiring a justification.
+        this.warFilter = null;
+
+        // (nationId) => war exhaustion 0..100
+        this.exhaustionOf = null;
+
+        // (nationA, nationB) => boolean - bloc partners, e.g. in the same faction, who count as allies
+        this.isAligned = null;
+
+        // (nationId) => nation IDs called to arms when it is attacked, besides its allies
+        this.callToArms = null;
+
+        // Callbacks
+        this.onWarDeclared = null;
+        this.onWarJoined = null;
+        this.onPeace = null;
+        this.onJustify = null;
+        this.onJustified = null;
+        this.onTerritoryTransferred = null;
+        this.onTreatyChange = null;
+        this.onRelationsChange = null;
+    }
+
+    /**
+     * Open everyone's opinion of everyone else at its target
+     * @param {Map<string, Object>} nations - Nation records
+     */
+    init(nations) {
+        this.nations = nations;
+        for (const nationId of nations.keys()) {
+            const row = new Map();
+            for (const otherId of nations.keys()) {
+                if (otherId !== nationId) row.set(otherId, this.getTargetOpinion(nationId, otherId));
+            }
+            this.opinions.set(nationId, row);
+        }
+    }
+
+    // ==========================================
+    // OPINION
+    // ==========================================
+
+    /**
+     * What one nation thinks of another
+     * @param {string} nationId
+     * @param {string} otherId
+     * @returns {number} -100..100
+     */
+    getOpinion(nationId, otherId) {
+        return Math.round(this.opinions.get(nationId)?.get(otherId) ?? 0);
+    }
+
+    /**
+     * Opinion a nation drifts towards: like-minded governments (the same
+     * nation `type`), bloc partners, treaties and wars
+     * @param {string} nationId
+     * @param {string} otherId
+     * @returns {number}
+     */
+    getTargetOpinion(nationId, otherId) {
+        let target = 0;
+
+        const type = this.nations.get(nationId)?.type;
+        if (type && type === this.nations.get(otherId)?.type) target += DIPLOMACY.SAME_GOVERNMENT_OPINION;
+        if (this.isAligned?.(nationId, otherId)) target += DIPLOMACY.ALIGNED_OPINION;
+
+        for (const treatyId of this.getTreaties(nationId, otherId)) {
+            target += getTreaty(treatyId).opinion;
+        }
+
+        if (this.isAtWar(nationId, otherId)) target += DIPLOMACY.WAR_OPINION;
+
+        return clampOpinion(target);
+    }
+
+    /**
+     * Shift one nation's opinion of another right away
+     * @param {string} nationId
+     * @param {string} otherId
+     * @param {number} amount
+     */
+    addOpinion(nationId, otherId, amount) {
+        const row = this.opinions.get(nationId);
+        if (!row || !row.has(otherId)) return;
+        row.set(otherId, clampOpinion(row.get(otherId) + amount));
+    }
+
+    // ==========================================
+    // TREATIES
+    // ==========================================
+
+    /**
+     * Treaties in force between two nations
+     * @param {string} nationA
+     * @param {string} nationB
+     * @returns {Array<string>} Treaty IDs
+     */
+    getTreaties(nationA, nationB) {
+        return Array.from(this.treaties.get(pairKey(nationA, nationB)) || []);
+    }
+
+    /**
+     * @param {string} nationA
+     * @param {string} nationB
+     * @param {string} treatyId
+     * @returns {boolean}
+     */
+    hasTreaty(nationA, nationB, treatyId) {
+        return !!this.treaties.get(pairKey(nationA, nationB))?.has(treatyId);
+    }
+
+    /**
+     * Nations a nation has a treaty with
+     * @param {string} nationId
+     * @param {string} treatyId
+     * @returns {Array<string>}
+     */
+    getPartners(nationId, treatyId) {
+        return Array.from(this.nations.keys()).filter(otherId =>
+            otherId !== nationId && this.hasTreaty(nationId, otherId, treatyId));
+    }
+
+    /**
+     * Whether a nation could offer a treaty and the other would sign
+     * @param {string} nationId - Proposer
+     * @param {string} otherId
+     * @param {string} treatyId
+     * @returns {Object} { success, error }
+     */
+    canSign(nationId, otherId, treatyId) {
+        const treaty = getTreaty(treatyId);
+        if (!treaty) return { success: false, error: `Unknown treaty: ${treatyId}` };
+        if (!this.nations.has(nationId) || !this.nations.has(otherId) || nationId === otherId) {
+            return { success: false, error: 'Invalid nations' };
+        }
+        if (this.hasTreaty(nationId, otherId, treatyId)) return { success: false, error: 'Already in force' };
+        if (this.isAtWar(nationId, otherId)) return { success: false, error: 'Not while at war' };
+
+        const opinion = this.getOpinion(otherId, nationId);
+        if (opinion < treaty.minOpinion) {
+            return { success: false, error: `${otherId} needs an opinion of ${treaty.minOpinion} (has ${opinion})` };
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * Propose a treaty; signed straight away if the other side accepts
+     * @param {string} nationId
+     * @param {string} otherId
+     * @param {string} treatyId
+     * @param {GameDate} date
+     * @returns {Object} { success, error }
+     */
+    sign(nationId, otherId, treatyId, date) {
+        const check = this.canSign(nationId, otherId, treatyId);
+        if (!check.success) return check;
+
+        const key = pairKey(nationId, otherId);
+        if (!this.treaties.has(key)) this.treaties.set(key, new Set());
+        this.treaties.get(key).add(treatyId);
+
+        this.onTreatyChange?.(nationId, otherId, treatyId, true, date);
+        this.onRelationsChange?.();
+        return { success: true };
+    }
+
+    /**
+     * Cancel a treaty. The other side takes it badly.
+     * @param {string} nationId
+     * @param {string} otherId
+     * @param {string} treatyId
+     * @param {GameDate} date
+     * @returns {Object} { success, error }
+     */
+    cancel(nationId, otherId, treatyId, date) {
+        if (!this.hasTreaty(nationId, otherId, treatyId)) return { success: false, error: 'No such treaty' };
+
+        this.removeTreaty(nationId, otherId, treatyId, date);
+        this.addOpinion(otherId, nationId, DIPLOMACY.BREAK_TREATY_OPINION);
+
+        this.onRelationsChange?.();
+        return { success: true };
+    }
+
+    /**
+     * @param {string} nationA
+     * @param {string} nationB
+     * @param {string} treatyId
+     * @param {GameDate} date
+     */
+    removeTreaty(nationA, nationB, treatyId, date) {
+        const key = pairKey(nationA, nationB);
+        const treaties = this.treaties.get(key);
+        if (!treaties?.delete(treatyId)) return;
+
+        if (!treaties.size) this.treaties.delete(key);
+        this.onTreatyChange?.(nationA, nationB, treatyId, false, date);
+    }
+
+    /**
+     * GDP multiplier from trade agreements
+     * @param {string} nationId
+     * @returns {number}
+     */
+    getTradeModifier(nationId) {
+        return 1 + this.getPartners(nationId, TREATIES.TRADE.id).length * DIPLOMACY.TRADE_GDP_BONUS;
+    }
+
+    /**
+     * Whether a nation's divisions and supply may pass through a
+     * territory: its own, unclaimed, an enemy's, or that of an ally or
+     * military access partner
+     * @param {string} nationId
+     * @param {string} stateId
+     * @returns {boolean}
+     */
+    hasAccess(nationId, stateId) {
+        const owner = this.map.getState(stateId)?.owner;
+        if (!owner || owner === nationId) return true;
+        return this.isAtWar(nationId, owner) || this.isFriendly(nationId, owner);
+    }
+
+    /**
+     * Whether a nation's supply flows on through a territory: its own or
+     * a friendly nation's
+     * @param {string} nationId
+     * @param {string} stateId
+     * @returns {boolean}
+     */
+    canSupplyThrough(nationId, stateId) {
+        const owner = this.map.getState(stateId)?.owner;
+        return owner === nationId || (!!owner && this.isFriendly(nationId, owner));
+    }
+
+    /**
+     * Allied, aligned or sharing military access
+     * @param {string} nationA
+     * @param {string} nationB
+     * @returns {boolean}
+     */
+    isFriendly(nationA, nationB) {
+        return this.isAllied(nationA, nationB) || !!this.isAligned?.(nationA, nationB) ||
+            this.hasTreaty(nationA, nationB, TREATIES.MILITARY_ACCESS.id);
+    }
+
+    /**
+     * @param {string} nationA
+     * @param {string} nationB
+     * @returns {boolean}
+     */
+    isAllied(nationA, nationB) {
+        return this.hasTreaty(nationA, nationB, TREATIES.ALLIANCE.id);
+    }
+
+    // ==========================================
+    // WAR JUSTIFICATION
+    // ==========================================
+
+    /**
+     * A nation's justification against a target
+     * @param {string} nationId
+     * @param {string} targetId
+     * @returns {Object|null} { nationId, targetId, daysLeft, expiresIn }
+     */
+    getJustification(nationId, targetId) {
+        return this.justifications.get(`${nationId}>${targetId}`) || null;
+    }
+
+    /**
+     * @param {string} nationId
+     * @param {string} targetId
+     * @returns {boolean} Whether a finished justification is in hand
+     */
+    isJustified(nationId, targetId) {
+        return this.getJustification(nationId, targetId)?.daysLeft === 0;
+    }
+
+    /**
+     * @param {string} nationId
+     * @param {string} targetId
+     * @returns {Object} { success, error }
+     */
+    canJustify(nationId, targetId) {
+        if (!this.nations.has(nationId) || !this.nations.has(targetId) || nationId === targetId) {
+            return { success: false, error: 'Invalid nations' };
+        }
+        if (this.isAtWar(nationId, targetId)) return { success: false, error: 'Already at war' };
+        if (this.getJustification(nationId, targetId)) return { success: false, error: 'Already justified' };
+        return { success: true };
+    }
+
+    /**
+     * Start building a war justification. The target notices.
+     * @param {string} nationId
+     * @param {string} targetId
+     * @param {GameDate} date
+     * @returns {Object} { success, error }
+     */
+    justify(nationId, targetId, date) {
+        const check = this.canJustify(nationId, targetId);
+        if (!check.success) return check;
+
+        const justification = {
+            nationId,
+            targetId,
+            daysLeft: DIPLOMACY.JUSTIFY_DAYS,
+            expiresIn: null
+        };
+        this.justifications.set(`${nationId}>${targetId}`, justification);
+        this.addOpinion(targetId, nationId, DIPLOMACY.JUSTIFY_OPINION);
+
+        this.onJustify?.(justification, date);
+        this.onRelationsChange?.();
+        return { success: true };
+    }
+
+    // ==========================================
+    // WAR
+    // ==========================================
+
+    /**
+     * @param {string} nationA
+     * @param {string} nationB
+     * @returns {boolean}
+     */
+    isAtWar(nationA, nationB) {
+        return !!this.getWarBetween(nationA, nationB);
+    }
+
+    /**
+     * @param {string} nationA
+     * @param {string} nationB
+     * @returns {Object|null} War with the two on opposite sides
+     */
+    getWarBetween(nationA, nationB) {
+        if (nationA === nationB) return null;
+        for (const war of this.wars.values()) {
+            const sideA = getSide(war, nationA);
+            const sideB = getSide(war, nationB);
+            if (sideA && sideB && sideA !== sideB) return war;
+        }
+        return null;
+    }
+
+    /**
+     * @param {number} warId
+     * @returns {Object|undefined}
+     */
+    getWar(warId) {
+        return this.wars.get(warId);
+    }
+
+    /**
+     * Ongoing wars, optionally only those a nation fights in
+     * @param {string} nationId
+     * @returns {Array<Object>}
+     */
+    getWars(nationId = null) {
+        const wars = Array.from(this.wars.values());
+        return nationId ? wars.filter(war => getSide(war, nationId)) : wars;
+    }
+
+    /**
+     * Whether a nation may declare war on a target
+     * @param {string} nationId
+     * @param {string} targetId
+     * @returns {Object} { success, error }
+     */
+    canDeclareWar(nationId, targetId) {
+        if (!this.nations.has(nationId) || !this.nations.has(targetId) || nationId === targetId) {
+            return { success: false, error: 'Invalid nations' };
+        }
+        if (this.isAtWar(nationId, targetId)) return { success: false, error: 'Already at war' };
+        if (this.isAllied(nationId, targetId)) return { success: false, error: 'Cancel the alliance first' };
+        if (this.isAligned?.(nationId, targetId)) return { success: false, error: 'Cannot attack a faction partner' };
+        if (this.hasTreaty(nationId, targetId, TREATIES.NON_AGGRESSION.id)) {
+            return { success: false, error: 'Cancel the non-aggression pact first' };
+        }
+
+        const justified = this.isJustified(nationId, targetId);
+        if (this.warFilter) return this.warFilter(nationId, { justified });
+        return justified ? { success: true } : { success: false, error: 'Needs a war justification' };
+    }
+
+    /**
+     * Declare war. Remaining treaties between the two lapse, the
+     * justification is used up and the target's allies (and any nations
+     * it calls to arms) join its side.
+     * @param {string} nationId
+     * @param {string} targetId
+     * @param {GameDate} date
+     * @returns {Object} { success, error, war }
+     */
+    declareWar(nationId, targetId, date) {
+        const check = this.canDeclareWar(nationId, targetId);
+        if (!check.success) return check;
+
+        const war = {
+            id: this.nextId++,
+            name: `${nationId}–${targetId} War`,
+            attackers: [],
+            defenders: [],
+            startOwners: new Map(),     // state ID -> owner when its nation entered the war
+            startedOn: date?.toISO() || null
+        };
+        this.wars.set(war.id, war);
+        this.justifications.delete(`${nationId}>${targetId}`);
+
+        this.addToWar(war, nationId, 'attackers', date);
+        this.addToWar(war, targetId, 'defenders', date);
+        this.addOpinion(targetId, nationId, DIPLOMACY.DECLARE_WAR_OPINION);
+
+        this.onWarDeclared?.(war, date);
+
+        const allies = new Set([...this.getPartners(targetId, TREATIES.ALLIANCE.id), ...(this.callToArms?.(targetId) || [])]);
+        for (const allyId of allies) {
+            if (getSide(war, allyId) || !this.nations.has(allyId)) continue;
+            this.addToWar(war, allyId, 'defenders', date);
+            this.addOpinion(allyId, nationId, DIPLOMACY.DECLARE_WAR_OPINION);
+            this.onWarJoined?.(war, allyId, date);
+        }
+
+        this.onRelationsChange?.();
+        return { success: true, war };
+    }
+
+    /**
+     * Put a nation on one side of a war: note what it holds and drop its
+     * treaties with the other side
+     * @param {Object} war
+     * @param {string} nationId
+     * @param {string} side - 'attackers' or 'defenders'
+     * @param {GameDate} date
+     */
+    addToWar(war, nationId, side, date) {
+        war[side].push(nationId);
+
+        for (const state of this.map.states.values()) {
+            if (state.owner === nationId) war.startOwners.set(state.id, nationId);
+        }
+
+        const enemies = war[side === 'attackers' ? 'defenders' : 'attackers'];
+        for (const enemyId of enemies) {
+            for (const treatyId of this.getTreaties(nationId, enemyId)) {
+                this.removeTreaty(nationId, enemyId, treatyId, date);
+            }
+        }
+    }
+
+    /**
+     * Territory each side has taken from the other
+     * @param {Object} war
+     * @param {string} nationId - Whose side to score for
+     * @returns {Object} { gained, lost, score } - gained/lost are state IDs
+     */
+    getWarScore(war, nationId) {
+        const side = getSide(war, nationId);
+        const gained = [];
+        const lost = [];
+
+        for (const [stateId, startOwner] of war.startOwners) {
+            const owner = this.map.getState(stateId)?.owner;
+            if (!owner || owner === startOwner) continue;
+
+            const ownerSide = getSide(war, owner);
+            const startSide = getSide(war, startOwner);
+            if (ownerSide === side && startSide !== side) gained.push(stateId);
+            if (startSide === side && ownerSide && ownerSide !== side) lost.push(stateId);
+        }
+
+        return { gained, lost, score: gained.length - lost.length };
+    }
+
+    /**
+     * Territory a nation itself holds that it took from its enemies, and
+     * its own territory its enemies hold, across all its wars
+     * @param {string} nationId
+     * @returns {Object} { gained, lost } - state IDs
+     */
+    getConquests(nationId) {
+        const gained = new Set();
+        const lost = new Set();
+
+        for (const war of this.getWars(nationId)) {
+            const side = getSide(war, nationId);
+            for (const [stateId, startOwner] of war.startOwners) {
+                const owner = this.map.getState(stateId)?.owner;
+                if (!owner || owner === startOwner) continue;
+
+                if (owner === nationId && getSide(war, startOwner) !== side) gained.add(stateId);
+                if (startOwner === nationId && getSide(war, owner) && getSide(war, owner) !== side) lost.add(stateId);
+            }
+        }
+
+        return { gained: Array.from(gained), lost: Array.from(lost) };
+    }
+
+    /**
+     * The other side's leader's view of peace terms
+     * @param {Object} war
+     * @param {string} nationId - Proposer
+     * @param {Array<string>} demands - State IDs the proposer's side keeps
+     * @returns {Object} { willingness, cost, maxDemands, accepted }
+     */
+    getPeaceTerms(war, nationId, demands = []) {
+        const side = getSide(war, nationId);
+        const otherLeader = war[side === 'attackers' ? 'defenders' : 'attackers'][0];
+
+        const willingness = this.getWarScore(war, nationId).score * DIPLOMACY.PEACE_SCORE_WEIGHT +
+            (this.exhaustionOf?.(otherLeader) ?? 0);
+        const cost = demands.length * DIPLOMACY.PEACE_COST_PER_TERRITORY;
+
+        return {
+            willingness,
+            cost,
+            maxDemands: Math.max(0, Math.floor(willingness / DIPLOMACY.PEACE_COST_PER_TERRITORY)),
+            accepted: willingness >= cost
+        };
+    }
+
+    /**
+     * Offer peace to the other side. Only war leaders negotiate, and only
+     * territory the proposer's side took can be demanded.
+     * @param {string} nationId
+     * @param {number} warId
+     * @param {Array<string>} demands - State IDs the proposer's side keeps
+     * @param {GameDate} date
+     * @returns {Object} { success, error }
+     */
+    proposePeace(nationId, warId, demands, date) {
+        const war = this.wars.get(warId);
+        if (!war) return { success: false, error: `Unknown war: ${warId}` };
+        if (war.attackers[0] !== nationId && war.defenders[0] !== nationId) {
+            return { success: false, error: 'Only war leaders can negotiate peace' };
+        }
+
+        const { gained } = this.getWarScore(war, nationId);
+        const invalid = demands.find(stateId => !gained.includes(stateId));
+        if (invalid) return { success: false, error: `${invalid} was not taken from the enemy` };
+
+        const terms = this.getPeaceTerms(war, nationId, demands);
+        if (!terms.accepted) return { success: false, error: 'Terms rejected' };
+
+        this.makePeace(war, demands, date);
+        return { success: true };
+    }
+
+    /**
+     * End a war: demanded territories stay with their holders, every
+     * other territory one side took from the other in this war returns
+     * to its pre-war owner. Territory changing hands in other wars is
+     * left alone.
+     * @param {Object} war
+     * @param {Array<string>} demands
+     * @param {GameDate} date
+     */
+    makePeace(war, demands, date) {
+        this.wars.delete(war.id);
+
+        for (const [stateId, startOwner] of war.startOwners) {
+            if (demands.includes(stateId)) continue;
+
+            const owner = this.map.getState(stateId)?.owner;
+            const ownerSide = getSide(war, owner);
+            if (!owner || owner === startOwner || !ownerSide || ownerSide === getSide(war, startOwner)) continue;
+
+            this.map.setStateOwner(stateId, startOwner);
+            this.onTerritoryTransferred?.(stateId, startOwner, owner, date);
+        }
+
+        this.onPeace?.(war, demands, date);
+        this.onRelationsChange?.();
+    }
+
+    // ==========================================
+    // TICKS
+    // ==========================================
+
+    /**
+     * Daily hook - build justifications and let finished ones run out
+     * @param {GameDate} date
+     */
+    advanceDay(date) {
+        let changed = false;
+
+        for (const [key, justification] of this.justifications) {
+            if (justification.daysLeft > 0) {
+                if (--justification.daysLeft === 0) {
+                    justification.expiresIn = DIPLOMACY.JUSTIFICATION_DAYS;
+                    this.onJustified?.(justification, date);
+                    changed = true;
+                }
+            } else if (--justification.expiresIn <= 0) {
+                this.justifications.delete(key);
+                changed = true;
+            }
+        }
+
+        if (changed) this.onRelationsChange?.();
+    }
+
+    /**
+     * Monthly hook - opinions drift towards their targets
+     * @param {GameDate} date
+     */
+    advanceMonth(date) {
+        for (const [nationId, row] of this.opinions) {
+            for (const [otherId, opinion] of row) {
+                const target = this.getTargetOpinion(nationId, otherId);
+                row.set(otherId, opinion + (target - opinion) * DIPLOMACY.OPINION_DRIFT);
+            }
+        }
+
+        this.onRelationsChange?.();
+    }
+
+    // ==========================================
+    // MAP MODE
+    // ==========================================
+
+    /**
+     * How one nation sees another
+     * @param {string} viewerId
+     * @param {string|null} nationId
+     * @returns {string} RELATION_COLORS key: player, ally, neutral, hostile or unoccupied
+     */
+    getRelation(viewerId, nationId) {
+        if (!nationId) return 'unoccupied';
+        if (nationId === viewerId) return 'player';
+        if (this.isAtWar(viewerId, nationId)) return 'hostile';
+        if (this.isAllied(viewerId, nationId) || this.isAligned?.(viewerId, nationId)) return 'ally';
+        return 'neutral';
+    }
+
+    /**
+     * Whether a territory is held by an enemy of its pre-war owner
+     * @param {string} stateId
+     * @returns {boolean}
+     */
+    isOccupied(stateId) {
+        const owner = this.map.getState(stateId)?.owner;
+        for (const war of this.wars.values()) {
+            const startOwner = war.startOwners.get(stateId);
+            if (startOwner && owner && startOwner !== owner && getSide(war, startOwner) !== getSide(war, owner)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * DIPLOMACY map mode definition for MapModeController.registerMode
+     * @param {Function} viewerOf - (state) => nation ID whose relations to show
+     * @returns {Object}
+     */
+    createMapMode(viewerOf) {
+        return {
+            name: 'DIPLOMACY',
+            colorFor: (state) => {
+                const viewerId = viewerOf(state);
+                const relation = this.getRelation(viewerId, state.owner);
+                if (relation !== 'unoccupied' && this.isOccupied(state.id)) return RELATION_COLORS.contested;
+                return RELATION_COLORS[relation];
+            },
+            legend: () => [
+                { color: RELATION_COLORS.player, label: 'Own territory' },
+                { color: RELATION_COLORS.ally, label: 'Allied' },
+                { color: RELATION_COLORS.neutral, label: 'Neutral' },
+                { color: RELATION_COLORS.hostile, label: 'At war' },
+                { color: RELATION_COLORS.contested, label: 'Occupied' },
+                { color: RELATION_COLORS.unoccupied, label: 'Unclaimed' }
+            ]
+        };
+    }
+}
+
+/**
+ * @param {string} id
+ * @returns {Object|undefined} TREATIES entry
+ */
+export function getTreaty(id) {
+    return Object.values(TREATIES).find(treaty => treaty.id === id);
+}
+
+/**
+ * Order-independent key for a pair of nations
+ * @param {string} nationA
+ * @param {string} nationB
+ * @returns {string}
+ */
+function pairKey(nationA, nationB) {
+    return nationA < nationB ? `${nationA}|${nationB}` : `${nationB}|${nationA}`;
+}
+
+/**
+ * @param {Object} war
+ * @param {string} nationId
+ * @returns {string|null} 'attackers', 'defenders' or null
+ */
+function getSide(war, nationId) {
+    if (war.attackers.includes(nationId)) return 'attackers';
+    if (war.defenders.includes(nationId)) return 'defenders';
+    return null;
+}
+
+/**
+ * @param {number} value
+ * @returns {number}
+ */
+function clampOpinion(value) {
+    return Math.max(-DIPLOMACY.MAX_OPINION, Math.min(DIPLOMACY.MAX_OPINION, value));
+}
@@ -0,0 +1,171 @@
+/**
+ * Economy System
+ * STRATCOM Global Command
+ *
+ * National budgets. GDP is derived from the population, industry and
+ * infrastructure of a nation's territories; the tax rate turns it into
+ * revenue, spending is split across military upkeep, construction and
+ * research, and deficits accrue debt. Recomputed on the monthly tick.
+ */
+
+import { ECONOMY, BUILDINGS } from '../config/constants.js';
+
+export const SPENDING_CATEGORIES = Object.keys(ECONOMY.SPENDING.DEFAULT);
+
+export class EconomySystem {
+    /**
+     * @param {MapManager} mapManager
+     */
+    constructor(mapManager) {
+        this.map = mapManager;
+        this.budgets = new Map(); // Map of nation ID -> budget
+
+        // (nationId) => multiplier on GDP, e.g. mobilisation
+        this.outputModifier = null;
+
+        // Callbacks
+        this.onUpdate = null;
+    }
+
+    /**
+     * Open budgets for nations at default rates
+     * @param {Iterable<string>} nationIds
+     */
+    init(nationIds) {
+        for (const nationId of nationIds) {
+            this.recompute(this.getBudget(nationId));
+        }
+    }
+
+    /**
+     * A nation's budget (created at default rates on first use)
+     * @param {string} nationId
+     * @returns {Object} { nationId, taxRate, spending, gdp, revenue, expenses, balance, debt }
+     */
+    getBudget(nationId) {
+        if (!this.budgets.has(nationId)) {
+            this.budgets.set(nationId, {
+                nationId,
+                taxRate: ECONOMY.TAX_RATE.DEFAULT,
+                spending: { ...ECONOMY.SPENDING.DEFAULT },
+                gdp: 0,
+                revenue: 0,     // Per month
+                expenses: {},   // Per month, by category plus interest
+                balance: 0,     // Per month
+                debt: 0
+            });
+        }
+        return this.budgets.get(nationId);
+    }
+
+    /**
+     * Yearly GDP of a nation's territories
+     * @param {string} nationId
+     * @returns {number} $B
+     */
+    computeGDP(nationId) {
+        let gdp = 0;
+
+        for (const state of this.map.states.values()) {
+            if (state.owner !== nationId) continue;
+
+            const buildings = state.data.buildings || {};
+            const infrastructure = buildings[BUILDINGS.INFRASTRUCTURE.id] || 0;
+
+            gdp += (state.data.population || 0) * ECONOMY.OUTPUT_PER_CAPITA *
+                (1 + infrastructure * ECONOMY.INFRASTRUCTURE_BONUS);
+
+            for (const [buildingId, output] of Object.entries(ECONOMY.BUILDING_OUTPUT)) {
+                gdp += (buildings[buildingId] || 0) * output;
+            }
+        }
+
+        return gdp * (this.outputModifier?.(nationId) ?? 1);
+    }
+
+    /**
+     * Change tax rate and/or spending shares. Takes effect in the
+     * projection immediately; money moves on the next monthly tick.
+     * @param {string} nationId
+     * @param {Object} changes - { taxRate?, spending?: { military?, construction?, research? } }
+     * @returns {Object} Updated budget
+     */
+    setBudget(nationId, { taxRate, spending = {} }) {
+        const budget = this.getBudget(nationId);
+
+        if (taxRate !== undefined) {
+            budget.taxRate = clamp(taxRate, ECONOMY.TAX_RATE.MIN, ECONOMY.TAX_RATE.MAX);
+        }
+
+        for (const [category, share] of Object.entries(spending)) {
+            if (SPENDING_CATEGORIES.includes(category)) {
+                budget.spending[category] = clamp(share, 0, ECONOMY.SPENDING.MAX);
+            }
+        }
+
+        this.project(budget);
+        this.onUpdate?.(nationId);
+        return budget;
+    }
+
+    /**
+     * Multiplier a spending category applies to its system: spending at
+     * the default share gives 1, scaled within FUNDING_LIMITS
+     * @param {string} nationId
+     * @param {string} category - 'military', 'construction' or 'research'
+     * @returns {number}
+     */
+    getFundingModifier(nationId, category) {
+        const budget = this.budgets.get(nationId);
+        if (!budget) return 1;
+
+        const ratio = budget.spending[category] / ECONOMY.SPENDING.DEFAULT[category];
+        return clamp(ratio, ECONOMY.FUNDING_LIMITS.MIN, ECONOMY.FUNDING_LIMITS.MAX);
+    }
+
+    /**
+     * Monthly hook - recompute GDP and settle the month's balance
+     * @param {GameDate} date
+     */
+    advanceMonth(date) {
+        for (const budget of this.budgets.values()) {
+            this.recompute(budget);
+
+            // Surpluses pay down debt; deficits add to it
+            budget.debt = Math.max(0, budget.debt - budget.balance);
+            this.project(budget);
+        }
+
+        this.onUpdate?.();
+    }
+
+    /**
+     * Recompute GDP and the monthly projection
+     * @param {Object} budget
+     */
+    recompute(budget) {
+        budget.gdp = this.computeGDP(budget.nationId);
+        this.project(budget);
+    }
+
+    /**
+     * Monthly revenue, expenses and balance from current GDP and rates
+     * @param {Object} budget
+     */
+    project(budget) {
+        const monthlyGDP = budget.gdp / 12;
+
+        budget.revenue = monthlyGDP * budget.taxRate;
+        budget.expenses = Object.fromEntries(
+            SPENDING_CATEGORIES.map(category => [category, monthlyGDP * budget.spending[category]])
+        );
+        budget.expenses.interest = budget.debt * ECONOMY.INTEREST_RATE / 12;
+
+        const totalExpenses = Object.values(budget.expenses).reduce((sum, value) => sum + value, 0);
+        budget.balance = budget.revenue - totalExpenses;
+    }
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, Number(value) || 0));
+}
@@ -0,0 +1,347 @@
+/**
+ * Faction System
+ * STRATCOM Global Command
+ *
+ * Blocs of nations under a leader, on top of bilateral treaties. Nations
+ * ask to join and the leader lets them in if it thinks well enough of
+ * them (the player decides for a faction they lead). Members count as
+ * allies, are called to arms when one of them is attacked and share a
+ * victory score: territory members hold taken from their enemies, plus
+ * what peace deals have ceded to (or taken from) them.
+ */
+
+import { FACTIONS } from '../config/constants.js';
+import { STARTING_FACTIONS } from '../data/worldData.js';
+
+export class FactionSystem {
+    constructor() {
+        this.nations = new Map();
+        this.factions = new Map();      // Map of faction ID -> { id, name, leaderId, members, requests, color, victories }
+        this.memberships = new Map();   // Map of nation ID -> faction ID
+        this.nextId = 1;
+
+        // (nationId, otherId) => what one nation thinks of another
+        this.opinionOf = null;
+
+        // (nationA, nationB) => boolean
+        this.isAtWar = null;
+
+        // (nationId) => { gained, lost } - territory a nation took and lost in its wars
+        this.conquestsOf = null;
+
+        // (nationId) => boolean - whether this system makes the nation's faction decisions.
+        // Defaults to every nation; the player's requests wait for an answer.
+        this.isAutomated = null;
+
+        // Callbacks
+        this.onFactionChange = null;
+        this.onFactionFounded = null;
+        this.onFactionDissolved = null;
+        this.onRequest = null;
+        this.onMemberJoin = null;
+        this.onMemberLeave = null;
+    }
+
+    /**
+     * Set up the factions in place at the start
+     * @param {Map<string, Object>} nations - Nation records
+     */
+    init(nations) {
+        this.nations = nations;
+
+        for (const data of STARTING_FACTIONS) {
+            const members = data.members.filter(nationId => nations.has(nationId) && !this.memberships.has(nationId));
+            if (!members.length) continue;
+
+            const faction = {
+                id: data.id,
+                name: data.name,
+                leaderId: members.includes(data.leader) ? data.leader : members[0],
+                members: [],
+                requests: [],
+                color: data.color,
+                victories: 0
+            };
+            this.factions.set(faction.id, faction);
+            for (const nationId of members) this.addMember(faction, nationId);
+        }
+    }
+
+    /**
+     * @param {string} factionId
+     * @returns {Object|undefined}
+     */
+    getFaction(factionId) {
+        return this.factions.get(factionId);
+    }
+
+    /**
+     * @returns {Array<Object>}
+     */
+    getFactions() {
+        return Array.from(this.factions.values());
+    }
+
+    /**
+     * @param {string} nationId
+     * @returns {Object|null} The nation's faction
+     */
+    getFactionOf(nationId) {
+        return this.factions.get(this.memberships.get(nationId)) || null;
+    }
+
+    /**
+     * Whether two nations are in the same faction
+     * @param {string} nationA
+     * @param {string} nationB
+     * @returns {boolean}
+     */
+    isAligned(nationA, nationB) {
+        const factionId = this.memberships.get(nationA);
+        return nationA !== nationB && !!factionId && factionId === this.memberships.get(nationB);
+    }
+
+    /**
+     * Nations called to arms when a nation is attacked: the rest of its faction
+     * @param {string} nationId
+     * @returns {Array<string>}
+     */
+    getCallToArms(nationId) {
+        return this.getFactionOf(nationId)?.members.filter(memberId => memberId !== nationId) || [];
+    }
+
+    /**
+     * Shared victory score of a faction
+     * @param {string} factionId
+     * @returns {number}
+     */
+    getVictoryScore(factionId) {
+        const faction = this.factions.get(factionId);
+        if (!faction) return 0;
+
+        return faction.members.reduce((score, nationId) => {
+            const { gained = [], lost = [] } = this.conquestsOf?.(nationId) || {};
+            return score + (gained.length - lost.length) * FACTIONS.VICTORY_PER_TERRITORY;
+        }, faction.victories);
+    }
+
+    // ==========================================
+    // MEMBERSHIP
+    // ==========================================
+
+    /**
+     * @param {string} nationId
+     * @returns {Object} { success, error }
+     */
+    canCreate(nationId) {
+        if (!this.nations.has(nationId)) return { success: false, error: `Unknown nation: ${nationId}` };
+        if (this.memberships.has(nationId)) return { success: false, error: 'Already in a faction' };
+        return { success: true };
+    }
+
+    /**
+     * Found a faction with the nation as its leader
+     * @param {string} nationId
+     * @param {string} name
+     * @param {GameDate} date
+     * @returns {Object} { success, error, faction }
+     */
+    create(nationId, name, date) {
+        const check = this.canCreate(nationId);
+        if (!check.success) return check;
+
+        const used = new Set(this.getFactions().map(faction => faction.color));
+        const faction = {
+            id: `faction_${this.nextId++}`,
+            name: name?.trim() || `${this.nations.get(nationId).name} Pact`,
+            leaderId: nationId,
+            members: [],
+            requests: [],
+            color: FACTIONS.COLORS.find(color => !used.has(color)) || FACTIONS.COLORS[this.factions.size % FACTIONS.COLORS.length],
+            victories: 0
+        };
+        this.factions.set(faction.id, faction);
+        this.addMember(faction, nationId);
+
+        this.onFactionFounded?.(faction, date);
+        this.onFactionChange?.(faction, date);
+        return { success: true, faction };
+    }
+
+    /**
+     * Whether a nation may ask to join a faction
+     * @param {string} nationId
+     * @param {string} factionId
+     * @returns {Object} { success, error }
+     */
+    canRequest(nationId, factionId) {
+        const faction = this.factions.get(factionId);
+        if (!faction) return { success: false, error: `Unknown faction: ${factionId}` };
+        if (!this.nations.has(nationId)) return { success: false, error: `Unknown nation: ${nationId}` };
+        if (this.memberships.has(nationId)) return { success: false, error: 'Already in a faction' };
+        if (faction.requests.includes(nationId)) return { success: false, error: 'Request pending' };
+        if (faction.members.some(memberId => this.isAtWar?.(nationId, memberId))) {
+            return { success: false, error: 'At war with a member' };
+        }
+        return { success: true };
+    }
+
+    /**
+     * Ask to join a faction. An automated leader answers straight away;
+     * otherwise the request waits for respond().
+     * @param {string} nationId
+     * @param {string} factionId
+     * @param {GameDate} date
+     * @returns {Object} { success, error, pending }
+     */
+    request(nationId, factionId, date) {
+        const check = this.canRequest(nationId, factionId);
+        if (!check.success) return check;
+
+        const faction = this.factions.get(factionId);
+        if (this.isAutomated?.(faction.leaderId) ?? true) {
+            const opinion = this.opinionOf?.(faction.leaderId, nationId) ?? 0;
+            if (opinion < FACTIONS.JOIN_OPINION) {
+                return { success: false, error: `${faction.leaderId} needs an opinion of ${FACTIONS.JOIN_OPINION} (has ${opinion})` };
+            }
+            this.join(faction, nationId, date);
+            return { success: true, pending: false };
+        }
+
+        faction.requests.push(nationId);
+        this.onRequest?.(faction, nationId, date);
+        return { success: true, pending: true };
+    }
+
+    /**
+     * Answer a pending membership request
+     * @param {string} leaderId
+     * @param {string} nationId - Applicant
+     * @param {boolean} accept
+     * @param {GameDate} date
+     * @returns {Object} { success, error }
+     */
+    respond(leaderId, nationId, accept, date) {
+        const faction = this.getFactionOf(leaderId);
+        if (!faction || faction.leaderId !== leaderId) return { success: false, error: 'Not a faction leader' };
+        if (!faction.requests.includes(nationId)) return { success: false, error: 'No such request' };
+
+        faction.requests = faction.requests.filter(id => id !== nationId);
+        if (!accept) {
+            this.onFactionChange?.(faction, date);
+            return { success: true };
+        }
+
+        if (this.memberships.has(nationId)) return { success: false, error: 'Already in a faction' };
+        this.join(faction, nationId, date);
+        return { success: true };
+    }
+
+    /**
+     * Leave a faction. A departing leader hands over to the next member;
+     * a faction left empty is dissolved.
+     * @param {string} nationId
+     * @param {GameDate} date
+     * @returns {Object} { success, error }
+     */
+    leave(nationId, date) {
+        const faction = this.getFactionOf(nationId);
+        if (!faction) return { success: false, error: 'Not in a faction' };
+
+        faction.members = faction.members.filter(id => id !== nationId);
+        this.memberships.delete(nationId);
+
+        if (!faction.members.length) {
+            this.factions.delete(faction.id);
+            this.onFactionDissolved?.(faction, nationId, date);
+        } else {
+            if (faction.leaderId === nationId) {
+                faction.leaderId = faction.members[0];
+                faction.requests = [];
+            }
+            this.onMemberLeave?.(faction, nationId, date);
+        }
+
+        this.onFactionChange?.(faction, date);
+        return { success: true };
+    }
+
+    /**
+     * @param {Object} faction
+     * @param {string} nationId
+     * @param {GameDate} date
+     */
+    join(faction, nationId, date) {
+        this.addMember(faction, nationId);
+        this.onMemberJoin?.(faction, nationId, date);
+        this.onFactionChange?.(faction, date);
+    }
+
+    /**
+     * Record a membership; the nation's requests elsewhere lapse
+     * @param {Object} faction
+     * @param {string} nationId
+     */
+    addMember(faction, nationId) {
+        faction.members.push(nationId);
+        this.memberships.set(nationId, faction.id);
+        for (const other of this.factions.values()) {
+            other.requests = other.requests.filter(id => id !== nationId);
+        }
+    }
+
+    /**
+     * Credit a peace deal's ceded territories to the factions involved
+     * @param {Array<Object>} cessions - [{ winnerId, loserId }], one per territory
+     */
+    recordPeace(cessions) {
+        for (const { winnerId, loserId } of cessions) {
+            const winner = this.getFactionOf(winnerId);
+            const loser = this.getFactionOf(loserId);
+            if (winner) winner.victories += FACTIONS.VICTORY_PER_TERRITORY;
+            if (loser) loser.victories -= FACTIONS.VICTORY_PER_TERRITORY;
+        }
+    }
+
+    /**
+     * Monthly hook - unaligned nations ask to join the faction whose
+     * leader they think best of, if they think well enough of it
+     * @param {GameDate} date
+     */
+    advanceMonth(date) {
+        for (const nationId of this.nations.keys()) {
+            if (this.memberships.has(nationId) || !(this.isAutomated?.(nationId) ?? true)) continue;
+
+            let best = null;
+            let bestOpinion = FACTIONS.APPLY_OPINION;
+            for (const faction of this.factions.values()) {
+                const opinion = this.opinionOf?.(nationId, faction.leaderId) ?? 0;
+                if (opinion >= bestOpinion && this.canRequest(nationId, faction.id).success) {
+                    best = faction;
+                    bestOpinion = opinion;
+                }
+            }
+
+            if (best) this.request(nationId, best.id, date);
+        }
+    }
+
+    // ==========================================
+    // MAP MODE
+    // ==========================================
+
+    /**
+     * FACTIONS map mode definition for MapModeController.registerMode
+     * @returns {Object}
+     */
+    createMapMode() {
+        return {
+            name: 'FACTIONS',
+            colorFor: (state) => (state.owner && this.getFactionOf(state.owner)?.color) || FACTIONS.UNALIGNED_COLOR,
+            legend: () => [
+                ...this.getFactions().map(faction => ({ color: faction.color, label: `${faction.name} (${faction.leaderId})` })),
+                { color: FACTIONS.UNALIGNED_COLOR, label: 'Unaligned' }
+            ]
+        };
+    }
+}
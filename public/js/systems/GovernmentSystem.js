@@ -0,0 +1,241 @@
+/**
+ * Government System
+ * STRATCOM Global Command
+ *
+ * Gives each nation's government type its mechanics - stability
+ * baseline, election cycle, war-declaration limits and conscription
+ * cap - and changes governments through elections, coups and
+ * revolutions. A change updates the nation's type and map colour.
+ */
+
+import { GOVERNMENT_TYPES, GOVERNMENT_CHANGE, CONSCRIPTION_LAWS } from '../config/constants.js';
+import { mixColors } from '../core/MapModeController.js';
+
+const CONSCRIPTION_ORDER = Object.values(CONSCRIPTION_LAWS).map(law => law.id);
+
+export class GovernmentSystem {
+    constructor() {
+        this.nations = new Map(); // Map of nation ID -> { nation, government, original, baseColor, nextElection }
+
+        // (nationId) => stability 0..100
+        this.stabilityOf = null;
+
+        // Callbacks
+        this.onGovernmentChange = null;
+        this.onElection = null;
+        this.onUnknownGovernment = null;
+    }
+
+    /**
+     * Read starting governments from nation `type` strings. Unknown
+     * types become republics, reported through onUnknownGovernment.
+     * @param {Map<string, Object>} nations - Nation records
+     * @param {GameDate} startDate - First elections are counted from here
+     */
+    init(nations, startDate) {
+        for (const nation of nations.values()) {
+            let government = getGovernmentByName(nation.type);
+            if (!government) {
+                government = GOVERNMENT_TYPES.REPUBLIC;
+                this.onUnknownGovernment?.(nation, government);
+            }
+
+            this.nations.set(nation.id, {
+                nation,
+                government: government.id,
+                original: government.id,
+                baseColor: nation.color,
+                nextElection: nextElectionAfter(government, startDate)
+            });
+        }
+    }
+
+    /**
+     * A nation's government type
+     * @param {string} nationId
+     * @returns {Object|undefined} GOVERNMENT_TYPES entry
+     */
+    getGovernment(nationId) {
+        const record = this.nations.get(nationId);
+        return record && getGovernmentById(record.government);
+    }
+
+    /**
+     * Government figures for the HUD
+     * @param {string} nationId
+     * @returns {Object|null} { government, nextElection, maxConscription }
+     */
+    getSummary(nationId) {
+        const record = this.nations.get(nationId);
+        if (!record) return null;
+
+        const government = getGovernmentById(record.government);
+        return {
+            government,
+            nextElection: record.nextElection,
+            maxConscription: Object.values(CONSCRIPTION_LAWS).find(law => law.id === government.maxConscription)
+        };
+    }
+
+    /**
+     * Stability the nation drifts back to under its government
+     * @param {string} nationId
+     * @returns {number|undefined}
+     */
+    getStabilityBaseline(nationId) {
+        return this.getGovernment(nationId)?.stabilityBaseline;
+    }
+
+    /**
+     * Whether the government allows a conscription law
+     * @param {string} nationId
+     * @param {string} lawId
+     * @returns {Object} { success, error }
+     */
+    canUseConscription(nationId, lawId) {
+        const government = this.getGovernment(nationId);
+        if (!government) return { success: true };
+
+        if (CONSCRIPTION_ORDER.indexOf(lawId) > CONSCRIPTION_ORDER.indexOf(government.maxConscription)) {
+            return { success: false, error: `A ${government.name.toLowerCase()} cannot enact that conscription law` };
+        }
+        return { success: true };
+    }
+
+    /**
+     * Whether the government may declare war right now
+     * @param {string} nationId
+     * @param {Object} options - { justified: whether there is a war justification }
+     * @returns {Object} { success, error }
+     */
+    canDeclareWar(nationId, { justified = false } = {}) {
+        const government = this.getGovernment(nationId);
+        if (!government) return { success: false, error: `Unknown nation: ${nationId}` };
+
+        const { minStability, requiresJustification } = government.warDeclaration;
+        if (requiresJustification && !justified) {
+            return { success: false, error: `A ${government.name.toLowerCase()} needs a justification to declare war` };
+        }
+
+        const stability = this.stabilityOf?.(nationId) ?? 50;
+        if (stability < minStability) {
+            return { success: false, error: `Stability too low to declare war (${minStability}% needed)` };
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * Replace a nation's government
+     * @param {string} nationId
+     * @param {string} governmentId - GOVERNMENT_TYPES[...].id
+     * @param {string} reason - 'election', 'coup', 'revolution' or anything else for scripted changes
+     * @param {GameDate} date
+     * @returns {Object} { success, error }
+     */
+    setGovernment(nationId, governmentId, reason, date) {
+        const record = this.nations.get(nationId);
+        const government = getGovernmentById(governmentId);
+        if (!record) return { success: false, error: `Unknown nation: ${nationId}` };
+        if (!government) return { success: false, error: `Unknown government: ${governmentId}` };
+        if (record.government === governmentId) return { success: false, error: 'Government unchanged' };
+
+        const previous = getGovernmentById(record.government);
+        record.government = government.id;
+        record.nextElection = nextElectionAfter(government, date);
+
+        record.nation.type = government.name;
+        record.nation.color = government.id === record.original
+            ? record.baseColor
+            : mixColors(record.baseColor, government.tint, GOVERNMENT_CHANGE.TINT_STRENGTH);
+
+        this.onGovernmentChange?.(nationId, { government, previous, reason }, date);
+        return { success: true };
+    }
+
+    /**
+     * Revolution after a civil war: the regime is replaced by its opposite
+     * @param {string} nationId
+     * @param {GameDate} date
+     * @returns {Object} { success, error }
+     */
+    revolt(nationId, date) {
+        const government = this.getGovernment(nationId);
+        if (!government) return { success: false, error: `Unknown nation: ${nationId}` };
+
+        const replacement = government.electionYears
+            ? GOVERNMENT_TYPES.COMMUNIST_STATE
+            : GOVERNMENT_TYPES.REPUBLIC;
+        return this.setGovernment(nationId, replacement.id, 'revolution', date);
+    }
+
+    /**
+     * Monthly hook - hold due elections and check for coups
+     * @param {GameDate} date
+     */
+    advanceMonth(date) {
+        for (const [nationId, record] of this.nations) {
+            const government = getGovernmentById(record.government);
+            const stability = this.stabilityOf?.(nationId) ?? 50;
+
+            if (record.nextElection && !date.isBefore(record.nextElection)) {
+                this.holdElection(nationId, record, stability, date);
+                continue;
+            }
+
+            if (government.id !== GOVERNMENT_TYPES.MILITARY_JUNTA.id &&
+                Math.random() < chanceBelow(stability, GOVERNMENT_CHANGE.COUP_BELOW, GOVERNMENT_CHANGE.COUP_CHANCE)) {
+                this.setGovernment(nationId, GOVERNMENT_TYPES.MILITARY_JUNTA.id, 'coup', date);
+            }
+        }
+    }
+
+    /**
+     * Elections keep the government unless low stability lets radicals win
+     * @param {string} nationId
+     * @param {Object} record
+     * @param {number} stability
+     * @param {GameDate} date
+     */
+    holdElection(nationId, record, stability, date) {
+        const radicalChance = chanceBelow(
+            stability, GOVERNMENT_CHANGE.RADICAL_ELECTION_BELOW, GOVERNMENT_CHANGE.RADICAL_ELECTION_CHANCE
+        );
+
+        if (Math.random() < radicalChance) {
+            this.setGovernment(nationId, GOVERNMENT_TYPES.COMMUNIST_STATE.id, 'election', date);
+            return;
+        }
+
+        record.nextElection = nextElectionAfter(getGovernmentById(record.government), date);
+        this.onElection?.(nationId, date);
+    }
+}
+
+/**
+ * Government type by id
+ * @param {string} id
+ * @returns {Object|undefined}
+ */
+export function getGovernmentById(id) {
+    return Object.values(GOVERNMENT_TYPES).find(government => government.id === id);
+}
+
+/**
+ * Government type by its display name (the nation `type` string)
+ * @param {string} name
+ * @returns {Object|undefined}
+ */
+export function getGovernmentByName(name) {
+    const wanted = (name || '').trim().toUpperCase();
+    return Object.values(GOVERNMENT_TYPES).find(government => government.name === wanted);
+}
+
+function nextElectionAfter(government, date) {
+    return government.electionYears && date ? date.add({ years: government.electionYears }) : null;
+}
+
+// Chance that grows linearly from 0 at the threshold to max at 0 stability
+function chanceBelow(stability, threshold, max) {
+    return Math.max(0, threshold - stability) / threshold * max;
+}
@@ -0,0 +1,496 @@
+/**
+ * Missile System
+ * STRATCOM Global Command
+ *
+ * Strategic missiles. Military factories turn out missile production that
+ * each nation spends on a queue of WARHEADS; nuclear missiles also take
+ * uranium from the stockpile once built. Finished missiles wait in the
+ * nation's arsenal until launched at a territory from the nearest
+ * military factory in range, and fly for as many game hours as the
+ * great-circle distance takes. On arrival the defender's radar and
+ * anti-air coverage may intercept them; impacts destroy buildings and
+ * population and raise global tension, which eases day by day.
+ */
+
+import { WARHEADS, MISSILES, BUILDINGS, RESOURCES } from '../config/constants.js';
+
+export class MissileSystem {
+    /**
+     * @param {MapManager} mapManager
+     */
+    constructor(mapManager) {
+        this.map = mapManager;
+        this.arsenals = new Map();  // Map of nation ID -> Map(warhead ID -> missiles ready)
+        this.queues = new Map();    // Map of nation ID -> Array of missile orders
+        this.flights = new Map();   // Map of missile ID -> missile in flight
+        this.tension = 0;           // Global tension, 0 to MISSILES.MAX_TENSION
+        this.nextId = 1;
+
+        // { canAfford(nationId, cost), spend(nationId, cost) => boolean } - e.g. ResourceSystem
+        this.stockpile = null;
+
+        // (nationId, warheadId) => { success, error } - e.g. technology
+        this.warheadFilter = null;
+
+        // (nationId, stat) => fractional bonus to every missile, e.g. technology
+        this.statModifier = null;
+
+        // (nationId) => multiplier on military factory output
+        this.productionModifier = null;
+
+        // (nationId, buildingId) => multiplier on radar and anti-air effectiveness
+        this.buildingModifier = null;
+
+        // (nationA, nationB) => boolean, e.g. at war. Defaults to any other nation.
+        this.isHostile = null;
+
+        // Callbacks
+        this.onMissileReady = null;
+        this.onLaunch = null;
+        this.onIntercept = null;
+        this.onImpact = null;
+        this.onArsenalChange = null;
+        this.onUpdate = null;
+    }
+
+    /**
+     * Missile production a nation's military factories turn out per day
+     * @param {string} nationId
+     * @returns {number}
+     */
+    getProduction(nationId) {
+        let factories = 0;
+        for (const state of this.map.states.values()) {
+            if (state.owner === nationId) factories += getFactories(state);
+        }
+        return factories * MISSILES.PRODUCTION_PER_FACTORY * (this.productionModifier?.(nationId) ?? 1);
+    }
+
+    /**
+     * Check whether a nation can order a missile
+     * @param {string} nationId
+     * @param {string} warheadId
+     * @returns {Object} { success, error }
+     */
+    canBuild(nationId, warheadId) {
+        const warhead = getWarhead(warheadId);
+        if (!warhead) return { success: false, error: `Unknown warhead: ${warheadId}` };
+
+        const allowed = this.warheadFilter?.(nationId, warheadId) || { success: true };
+        if (!allowed.success) return { success: false, error: `${warhead.name}: ${allowed.error}` };
+
+        if (this.getProduction(nationId) <= 0) return { success: false, error: 'Requires a military factory' };
+
+        return { success: true };
+    }
+
+    /**
+     * Queue a missile. Uranium is taken when it's finished.
+     * @param {string} nationId
+     * @param {string} warheadId
+     * @returns {Object} { success, error, order }
+     */
+    build(nationId, warheadId) {
+        const check = this.canBuild(nationId, warheadId);
+        if (!check.success) return check;
+
+        const order = { id: this.nextId++, nationId, warheadId, progress: 0, cost: getWarhead(warheadId).cost };
+        this.getQueue(nationId).push(order);
+
+        this.onArsenalChange?.(nationId);
+        return { success: true, order };
+    }
+
+    /**
+     * Cancel a queued missile
+     * @param {string} nationId
+     * @param {number} orderId
+     * @returns {boolean}
+     */
+    cancelBuild(nationId, orderId) {
+        const queue = this.getQueue(nationId);
+        const index = queue.findIndex(order => order.id === orderId);
+        if (index === -1) return false;
+
+        queue.splice(index, 1);
+        this.onArsenalChange?.(nationId);
+        return true;
+    }
+
+    /**
+     * A nation's missile production queue (built in order)
+     * @param {string} nationId
+     * @returns {Array<Object>}
+     */
+    getQueue(nationId) {
+        if (!this.queues.has(nationId)) this.queues.set(nationId, []);
+        return this.queues.get(nationId);
+    }
+
+    /**
+     * Production queue for display, with estimated completion. Orders
+     * built but waiting for uranium have no estimate.
+     * @param {string} nationId
+     * @param {GameDate} date - Today, for completion dates
+     * @returns {Array<Object>} [{ ...order, warhead, awaitingUranium, daysLeft, completesOn }]
+     */
+    getQueueSummary(nationId, date = null) {
+        const production = this.getProduction(nationId);
+        let remaining = 0;
+
+        return this.getQueue(nationId).map(order => {
+            remaining += order.cost - order.progress;
+            const awaitingUranium = order.progress >= order.cost;
+            const daysLeft = production > 0 && !awaitingUranium ? Math.max(1, Math.ceil(remaining / production)) : null;
+            return {
+                ...order,
+                warhead: getWarhead(order.warheadId),
+                awaitingUranium,
+                daysLeft,
+                completesOn: date && daysLeft !== null ? date.addDays(daysLeft) : null
+            };
+        });
+    }
+
+    /**
+     * @param {string} nationId
+     * @returns {Map<string, number>} warhead ID -> missiles ready
+     */
+    getArsenal(nationId) {
+        if (!this.arsenals.has(nationId)) this.arsenals.set(nationId, new Map());
+        return this.arsenals.get(nationId);
+    }
+
+    /**
+     * @param {string} nationId
+     * @param {string} warheadId
+     * @returns {number} Missiles ready to launch
+     */
+    getReady(nationId, warheadId) {
+        return this.getArsenal(nationId).get(warheadId) || 0;
+    }
+
+    /**
+     * @param {string} nationId
+     * @returns {number} km a nation's missiles can fly
+     */
+    getRange(nationId) {
+        return MISSILES.RANGE * (1 + (this.statModifier?.(nationId, 'range') || 0));
+    }
+
+    /**
+     * Great-circle distance between two territories
+     * @param {string} fromId
+     * @param {string} toId
+     * @returns {number} km (Infinity if either has no position)
+     */
+    getDistance(fromId, toId) {
+        const from = getAnchor(this.map.getState(fromId));
+        const to = getAnchor(this.map.getState(toId));
+        if (!from || !to) return Infinity;
+        return this.map.haversineDistance(from.lat, from.lon, to.lat, to.lon);
+    }
+
+    /**
+     * Nearest territory a nation could launch at a target from: one it
+     * holds with a military factory
+     * @param {string} nationId
+     * @param {string} targetId
+     * @returns {Object|null} { stateId, km }
+     */
+    getLaunchSite(nationId, targetId) {
+        let best = null;
+        for (const state of this.map.states.values()) {
+            if (state.owner !== nationId || !getFactories(state)) continue;
+
+            const km = this.getDistance(state.id, targetId);
+            if (!best || km < best.km) best = { stateId: state.id, km };
+        }
+        return best;
+    }
+
+    /**
+     * @param {string} nationA
+     * @param {string} nationB
+     * @returns {boolean}
+     */
+    hostile(nationA, nationB) {
+        if (!nationA || !nationB || nationA === nationB) return false;
+        return this.isHostile?.(nationA, nationB) ?? true;
+    }
+
+    /**
+     * Effective level of a radar or anti-air building in a territory
+     * @param {string} stateId
+     * @param {string} buildingId - BUILDINGS.RADAR.id or BUILDINGS.ANTI_AIR.id
+     * @returns {number}
+     */
+    getDefenceLevel(stateId, buildingId) {
+        const state = this.map.getState(stateId);
+        const level = state?.data?.buildings?.[buildingId] || 0;
+        if (!level || !state.owner) return 0;
+        return level * (this.buildingModifier?.(state.owner, buildingId) ?? 1);
+    }
+
+    /**
+     * Best radar or anti-air a nation holds within reach of a territory
+     * @param {string} nationId
+     * @param {string} stateId
+     * @param {string} buildingId
+     * @param {number} km - Reach of the building
+     * @returns {number} Effective level
+     */
+    getCoverage(nationId, stateId, buildingId, km) {
+        let best = 0;
+        for (const state of this.map.states.values()) {
+            if (state.owner !== nationId || !state.data?.buildings?.[buildingId]) continue;
+            if (this.getDistance(state.id, stateId) > km) continue;
+            best = Math.max(best, this.getDefenceLevel(state.id, buildingId));
+        }
+        return best;
+    }
+
+    /**
+     * Chance a missile arriving over a territory is shot down by its
+     * owner's radar and anti-air coverage
+     * @param {string} stateId
+     * @returns {number} 0 to MISSILES.MAX_INTERCEPT
+     */
+    getInterceptChance(stateId) {
+        const owner = this.map.getState(stateId)?.owner;
+        if (!owner) return 0;
+
+        const radar = this.getCoverage(owner, stateId, BUILDINGS.RADAR.id, MISSILES.RADAR_RANGE);
+        const antiAir = this.getCoverage(owner, stateId, BUILDINGS.ANTI_AIR.id, MISSILES.ANTI_AIR_RANGE);
+        return Math.min(MISSILES.MAX_INTERCEPT,
+            radar * MISSILES.INTERCEPT_PER_RADAR + antiAir * MISSILES.INTERCEPT_PER_ANTI_AIR);
+    }
+
+    /**
+     * What a strike on a territory would look like
+     * @param {string} nationId
+     * @param {string} targetId
+     * @returns {Object|null} { siteId, km, hours, inRange, interception }; null without a launch site
+     */
+    getStrikePlan(nationId, targetId) {
+        const site = this.getLaunchSite(nationId, targetId);
+        if (!site) return null;
+
+        return {
+            siteId: site.stateId,
+            km: site.km,
+            hours: getFlightHours(site.km),
+            inRange: site.km <= this.getRange(nationId),
+            interception: this.getInterceptChance(targetId)
+        };
+    }
+
+    /**
+     * Check whether a nation can launch a missile at a territory
+     * @param {string} nationId
+     * @param {string} warheadId
+     * @param {string} targetId
+     * @returns {Object} { success, error, plan }
+     */
+    canLaunch(nationId, warheadId, targetId) {
+        const warhead = getWarhead(warheadId);
+        if (!warhead) return { success: false, error: `Unknown warhead: ${warheadId}` };
+        if (!this.getReady(nationId, warheadId)) return { success: false, error: `No ${warhead.name} ready` };
+
+        const target = this.map.getState(targetId);
+        if (!target) return { success: false, error: 'Unknown territory' };
+        if (!this.hostile(nationId, target.owner)) return { success: false, error: 'Target is not hostile territory' };
+
+        const plan = this.getStrikePlan(nationId, targetId);
+        if (!plan) return { success: false, error: 'Requires a military factory to launch from' };
+        if (!plan.inRange) return { success: false, error: `${target.name || targetId} is out of range` };
+
+        return { success: true, plan };
+    }
+
+    /**
+     * Launch a missile from the arsenal at a territory
+     * @param {string} nationId
+     * @param {string} warheadId
+     * @param {string} targetId
+     * @param {GameDate} date
+     * @returns {Object} { success, error, missile }
+     */
+    launch(nationId, warheadId, targetId, date = null) {
+        const check = this.canLaunch(nationId, warheadId, targetId);
+        if (!check.success) return check;
+
+        const arsenal = this.getArsenal(nationId);
+        arsenal.set(warheadId, arsenal.get(warheadId) - 1);
+
+        const missile = {
+            id: this.nextId++,
+            nationId,
+            warheadId,
+            fromId: check.plan.siteId,
+            targetId,
+            km: check.plan.km,
+            hours: check.plan.hours,
+            hoursLeft: check.plan.hours
+        };
+        this.flights.set(missile.id, missile);
+
+        this.onLaunch?.(missile, date);
+        this.onArsenalChange?.(nationId);
+        return { success: true, missile };
+    }
+
+    /**
+     * Missiles in flight, optionally filtered
+     * @param {Object} filter - { nationId, targetId }
+     * @returns {Array<Object>}
+     */
+    getFlights({ nationId = null, targetId = null } = {}) {
+        return Array.from(this.flights.values()).filter(missile =>
+            (!nationId || missile.nationId === nationId) &&
+            (!targetId || missile.targetId === targetId)
+        );
+    }
+
+    /**
+     * How far along its flight a missile is
+     * @param {Object} missile
+     * @param {number} fraction - Share of the current hour already gone
+     * @returns {number} 0 to 1
+     */
+    getProgress(missile, fraction = 0) {
+        return Math.max(0, Math.min(1, (missile.hours - missile.hoursLeft + fraction) / missile.hours));
+    }
+
+    /**
+     * Hourly hook - missiles arriving this hour are intercepted or hit
+     * @param {GameDate} date
+     */
+    advanceHour(date) {
+        for (const missile of [...this.flights.values()]) {
+            missile.hoursLeft--;
+            if (missile.hoursLeft > 0) continue;
+
+            this.flights.delete(missile.id);
+            if (Math.random() < this.getInterceptChance(missile.targetId)) {
+                this.onIntercept?.(missile, date);
+            } else {
+                this.impact(missile, date);
+            }
+        }
+    }
+
+    /**
+     * A missile hits: random building levels in the target are destroyed,
+     * a share of its population killed and global tension raised
+     * @param {Object} missile
+     * @param {GameDate} date
+     */
+    impact(missile, date) {
+        const state = this.map.getState(missile.targetId);
+        const warhead = getWarhead(missile.warheadId);
+        if (!state) return;
+
+        const buildings = state.data.buildings || {};
+        const destroyed = {};
+        for (let i = 0; i < warhead.buildings; i++) {
+            const present = Object.keys(buildings).filter(id => buildings[id] > 0);
+            if (!present.length) break;
+
+            const buildingId = present[Math.floor(Math.random() * present.length)];
+            buildings[buildingId]--;
+            if (!buildings[buildingId]) delete buildings[buildingId];
+            destroyed[buildingId] = (destroyed[buildingId] || 0) + 1;
+        }
+
+        const casualties = Math.round((state.data.population || 0) * warhead.casualties);
+        if (casualties) state.data.population -= casualties;
+
+        this.addTension(warhead.tension);
+
+        this.onImpact?.(missile, { buildings: destroyed, casualties }, date);
+    }
+
+    /**
+     * @param {number} amount - Points of global tension, negative to ease it
+     */
+    addTension(amount) {
+        this.tension = Math.max(0, Math.min(MISSILES.MAX_TENSION, this.tension + amount));
+    }
+
+    /**
+     * Daily hook - build missiles and ease global tension
+     * @param {GameDate} date
+     */
+    advanceDay(date) {
+        this.produce(date);
+        this.addTension(-MISSILES.TENSION_DECAY);
+        this.onUpdate?.();
+    }
+
+    /**
+     * Spend each nation's missile production down its queue. A finished
+     * missile that needs uranium holds the queue until the stockpile
+     * covers it.
+     * @param {GameDate} date
+     */
+    produce(date) {
+        for (const [nationId, queue] of this.queues) {
+            let production = this.getProduction(nationId);
+
+            while (queue.length) {
+                const order = queue[0];
+                const spent = Math.min(production, order.cost - order.progress);
+                order.progress += spent;
+                production -= spent;
+                if (order.progress < order.cost) break;
+
+                const warhead = getWarhead(order.warheadId);
+                if (warhead.uranium && this.stockpile &&
+                    !this.stockpile.spend(nationId, { [RESOURCES.URANIUM.id]: warhead.uranium })) {
+                    break;
+                }
+
+                queue.shift();
+                const arsenal = this.getArsenal(nationId);
+                arsenal.set(warhead.id, (arsenal.get(warhead.id) || 0) + 1);
+
+                this.onMissileReady?.(nationId, warhead, date);
+                this.onArsenalChange?.(nationId);
+            }
+        }
+    }
+}
+
+/**
+ * Warhead by ID
+ * @param {string} warheadId
+ * @returns {Object|undefined}
+ */
+export function getWarhead(warheadId) {
+    return Object.values(WARHEADS).find(warhead => warhead.id === warheadId);
+}
+
+/**
+ * @param {number} km
+ * @returns {number} Whole game hours a flight takes
+ */
+function getFlightHours(km) {
+    return Math.max(1, Math.ceil(km / MISSILES.SPEED));
+}
+
+/**
+ * @param {Object} state
+ * @returns {number} Military factory level
+ */
+function getFactories(state) {
+    return state?.data?.buildings?.[BUILDINGS.MILITARY_FACTORY.id] || 0;
+}
+
+/**
+ * @param {Object} state
+ * @returns {Object|null} { lat, lon }
+ */
+function getAnchor(state) {
+    return state?.labelAnchor || state?.centroid || null;
+}
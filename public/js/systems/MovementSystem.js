@@ -0,0 +1,335 @@
+/**
+ * Movement System
+ * STRATCOM Global Command
+ *
+ * Land unit orders. Routes are found with A* over the territory
+ * adjacency graph, each leg weighted by centroid distance, terrain and
+ * infrastructure; divisions then march leg by leg over game days.
+ * Orders can chain waypoints, each routed on from the previous one.
+ * Where the canCrossSea hook allows it, routes may also take sea borders
+ * as naval invasions.
+ */
+
+import { MOVEMENT, TERRAIN, BUILDINGS, CONSTRUCTION } from '../config/constants.js';
+import { getTerrain } from '../data/terrainData.js';
+
+// Cheapest possible weighting of a kilometre, keeping the A* heuristic admissible
+const MIN_KM_COST = Math.min(...Object.values(TERRAIN).map(terrain => terrain.movementCost)) /
+    (1 + CONSTRUCTION.MAX_LEVELS[BUILDINGS.INFRASTRUCTURE.id] * MOVEMENT.INFRASTRUCTURE_BONUS);
+
+export class MovementSystem {
+    /**
+     * @param {MapManager} mapManager
+     * @param {UnitSystem} unitSystem
+     */
+    constructor(mapManager, unitSystem) {
+        this.map = mapManager;
+        this.units = unitSystem;
+        this.orders = new Map(); // Map of unit ID -> { waypoints, path, progress }
+
+        // (nationId, stateId) => boolean - territories a nation's units may enter
+        this.accessFilter = null;
+
+        // (unit) => true while it can't march, e.g. in battle
+        this.isEngaged = null;
+
+        // (nationId, stateId) => true where a division stops to fight: enemy territory or enemy divisions
+        this.isContested = null;
+
+        // (nationId, fromId, toId) => boolean - sea borders a nation's units may cross
+        this.canCrossSea = null;
+
+        // Callbacks
+        this.onUnitMoved = null;
+        this.onOrderComplete = null;
+        this.onUnitHalted = null;
+        this.onUpdate = null;
+    }
+
+    /**
+     * Order a division to a territory. With append, the target becomes
+     * a further waypoint after the current order's last one.
+     * @param {number} unitId
+     * @param {string} targetId - State ID
+     * @param {Object} options - { append }
+     * @returns {Object} { success, error, order }
+     */
+    order(unitId, targetId, { append = false } = {}) {
+        const unit = this.units.getUnit(unitId);
+        if (!unit) return { success: false, error: `Unknown unit: ${unitId}` };
+        if (unit.status === 'training') return { success: false, error: `${unit.name} is still training` };
+
+        const target = this.map.getState(targetId);
+        if (!target) return { success: false, error: `Unknown territory: ${targetId}` };
+
+        const current = this.orders.get(unitId);
+        const existing = append ? current : null;
+        const start = existing ? existing.waypoints[existing.waypoints.length - 1] : unit.stateId;
+        if (start === targetId) {
+            return { success: false, error: `${existing ? 'Already headed for' : 'Already in'} ${target.name || targetId}` };
+        }
+
+        const route = this.findPath(start, targetId, unit.nationId);
+        if (!route) return { success: false, error: `No route to ${target.name || targetId}` };
+
+        if (existing) {
+            existing.waypoints.push(targetId);
+            existing.path.push(...route.path);
+        } else {
+            // Keep the march so far if the new route sets off the same way
+            const progress = current?.path[0] === route.path[0] ? current.progress : 0;
+            this.orders.set(unitId, { waypoints: [targetId], path: route.path, progress });
+        }
+
+        this.onUpdate?.(unitId);
+        return { success: true, order: this.orders.get(unitId) };
+    }
+
+    /**
+     * Halt a division where it stands
+     * @param {number} unitId
+     * @returns {boolean}
+     */
+    cancel(unitId) {
+        if (!this.orders.delete(unitId)) return false;
+        this.onUpdate?.(unitId);
+        return true;
+    }
+
+    /**
+     * Cheapest route between two territories (A*)
+     * @param {string} fromId
+     * @param {string} toId
+     * @param {string} nationId - For the access filter and sea crossings; omit to ignore both
+     * @returns {Object|null} { path: state IDs after fromId, cost: weighted km }
+     */
+    findPath(fromId, toId, nationId = null) {
+        const goal = this.map.getState(toId);
+        if (!goal?.centroid || !this.map.getState(fromId)) return null;
+        if (nationId && !this.canEnter(nationId, toId)) return null;
+
+        const heuristic = (stateId) => {
+            const { lat, lon } = this.map.getState(stateId).centroid;
+            return this.map.haversineDistance(lat, lon, goal.centroid.lat, goal.centroid.lon) * MIN_KM_COST;
+        };
+
+        const cost = new Map([[fromId, 0]]);
+        const cameFrom = new Map();
+        const open = new Map([[fromId, heuristic(fromId)]]); // state ID -> estimated total
+        const closed = new Set();
+        const borderTypes = nationId && this.canCrossSea ? [...MOVEMENT.BORDER_TYPES, 'sea'] : MOVEMENT.BORDER_TYPES;
+
+        while (open.size) {
+            let currentId = null;
+            let best = Infinity;
+            for (const [stateId, estimate] of open) {
+                if (estimate < best) {
+                    best = estimate;
+                    currentId = stateId;
+                }
+            }
+
+            if (currentId === toId) {
+                const path = [];
+                for (let stateId = toId; stateId !== fromId; stateId = cameFrom.get(stateId)) {
+                    path.unshift(stateId);
+                }
+                return { path, cost: cost.get(toId) };
+            }
+
+            open.delete(currentId);
+            closed.add(currentId);
+
+            for (const neighborId of this.map.getNeighbors(currentId, borderTypes)) {
+                if (closed.has(neighborId)) continue;
+                if (nationId && neighborId !== toId && !this.canEnter(nationId, neighborId)) continue;
+                if (!this.canCross(nationId, currentId, neighborId)) continue;
+
+                const legCost = this.getLegCost(currentId, neighborId);
+                if (legCost === null) continue;
+
+                const total = cost.get(currentId) + legCost;
+                if (total >= (cost.get(neighborId) ?? Infinity)) continue;
+
+                cost.set(neighborId, total);
+                cameFrom.set(neighborId, currentId);
+                open.set(neighborId, total + heuristic(neighborId));
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Weighted length of the leg between two neighbouring territories:
+     * half the centroid distance in each, scaled by that territory's
+     * terrain and infrastructure
+     * @param {string} fromId
+     * @param {string} toId
+     * @returns {number|null} Weighted km, or null without centroids
+     */
+    getLegCost(fromId, toId) {
+        const from = this.map.getState(fromId);
+        const to = this.map.getState(toId);
+        if (!from?.centroid || !to?.centroid) return null;
+
+        const km = this.map.haversineDistance(from.centroid.lat, from.centroid.lon, to.centroid.lat, to.centroid.lon);
+        let cost = km / 2 * getTerrainFactor(from) + km / 2 * getTerrainFactor(to);
+
+        const borderType = this.map.getBorderType(fromId, toId);
+        if (borderType === 'strait') cost *= MOVEMENT.STRAIT_COST;
+        if (borderType === 'sea') cost *= MOVEMENT.SEA_CROSSING_COST;
+        return cost;
+    }
+
+    /**
+     * Days a division needs for one leg
+     * @param {Object} unit
+     * @param {string} fromId
+     * @param {string} toId
+     * @returns {number}
+     */
+    getLegDays(unit, fromId, toId) {
+        const kmPerDay = this.units.getUnitStats(unit).speed * MOVEMENT.MARCH_HOURS;
+        const cost = this.getLegCost(fromId, toId);
+        return kmPerDay > 0 && cost !== null ? cost / kmPerDay : Infinity;
+    }
+
+    /**
+     * @param {string} nationId
+     * @param {string} stateId
+     * @returns {boolean}
+     */
+    canEnter(nationId, stateId) {
+        return this.accessFilter?.(nationId, stateId) ?? true;
+    }
+
+    /**
+     * Whether a nation's units can take the border between two
+     * territories: always over land, over sea only as an invasion the
+     * canCrossSea hook allows
+     * @param {string} nationId
+     * @param {string} fromId
+     * @param {string} toId
+     * @returns {boolean}
+     */
+    canCross(nationId, fromId, toId) {
+        if (this.map.getBorderType(fromId, toId) !== 'sea') return true;
+        return !!nationId && !!this.canCrossSea?.(nationId, fromId, toId);
+    }
+
+    /**
+     * @param {number} unitId
+     * @returns {boolean}
+     */
+    isMoving(unitId) {
+        return this.orders.has(unitId);
+    }
+
+    /**
+     * Progress along the current leg, for drawing markers between territories
+     * @param {number} unitId
+     * @returns {Object|null} { to, fraction }
+     */
+    getLegProgress(unitId) {
+        const order = this.orders.get(unitId);
+        const unit = this.units.getUnit(unitId);
+        if (!order || !unit || !order.path.length) return null;
+
+        const legDays = this.getLegDays(unit, unit.stateId, order.path[0]);
+        return { to: order.path[0], fraction: Math.min(1, order.progress / legDays) };
+    }
+
+    /**
+     * A division's orders for display
+     * @param {number} unitId
+     * @param {GameDate} date - Today, for the arrival date
+     * @returns {Object|null} { route, waypoints, destination, next, legProgress, daysLeft, arrivesOn }
+     */
+    getOrderSummary(unitId, date = null) {
+        const order = this.orders.get(unitId);
+        const unit = this.units.getUnit(unitId);
+        if (!order || !unit) return null;
+
+        const route = [unit.stateId, ...order.path];
+        let days = -order.progress;
+        for (let i = 1; i < route.length; i++) {
+            days += this.getLegDays(unit, route[i - 1], route[i]);
+        }
+        const daysLeft = Number.isFinite(days) ? Math.max(1, Math.ceil(days)) : null;
+
+        return {
+            route,
+            waypoints: [...order.waypoints],
+            destination: order.waypoints[order.waypoints.length - 1],
+            next: order.path[0],
+            legProgress: this.getLegProgress(unitId)?.fraction || 0,
+            daysLeft,
+            arrivesOn: date && daysLeft !== null ? date.addDays(daysLeft) : null
+        };
+    }
+
+    /**
+     * Daily hook - march every division with orders, possibly over
+     * several short legs in one day
+     * @param {GameDate} date
+     */
+    advanceDay(date) {
+        if (!this.orders.size) return;
+
+        for (const [unitId, order] of this.orders) {
+            const unit = this.units.getUnit(unitId);
+            if (!unit) {
+                this.orders.delete(unitId);
+                continue;
+            }
+
+            if (this.isEngaged?.(unit)) continue;
+
+            order.progress += 1;
+
+            while (order.path.length) {
+                const nextId = order.path[0];
+                if (!this.canEnter(unit.nationId, nextId) || !this.canCross(unit.nationId, unit.stateId, nextId)) {
+                    this.orders.delete(unitId);
+                    this.onUnitHalted?.(unit, nextId, date);
+                    break;
+                }
+
+                const legDays = this.getLegDays(unit, unit.stateId, nextId);
+                if (order.progress < legDays) break;
+
+                order.progress -= legDays;
+                const fromId = unit.stateId;
+                unit.stateId = order.path.shift();
+                if (unit.stateId === order.waypoints[0]) order.waypoints.shift();
+
+                this.onUnitMoved?.(unit, fromId, date);
+
+                // The rest of the day's march is lost where the division has to fight
+                if (this.isEngaged?.(unit) || this.isContested?.(unit.nationId, unit.stateId)) {
+                    order.progress = 0;
+                    break;
+                }
+            }
+
+            if (this.orders.has(unitId) && !order.path.length) {
+                this.orders.delete(unitId);
+                this.onOrderComplete?.(unit, date);
+            }
+        }
+
+        this.onUpdate?.();
+    }
+}
+
+/**
+ * Weight of a kilometre through a territory
+ * @param {Object} state
+ * @returns {number}
+ */
+function getTerrainFactor(state) {
+    const terrain = getTerrain(state);
+    const infrastructure = state.data?.buildings?.[BUILDINGS.INFRASTRUCTURE.id] || 0;
+    return terrain.movementCost / (1 + infrastructure * MOVEMENT.INFRASTRUCTURE_BONUS);
+}
@@ -0,0 +1,892 @@
+/**
+ * Naval System
+ * STRATCOM Global Command
+ *
+ * Warships and fleets. Dockyards turn out naval production that each
+ * nation spends on a queue of SHIP_CLASSES; finished ships join a fleet
+ * docked at the naval base they were ordered for. Fleets sail between
+ * sea zones and carry out a mission in the zone they reach: patrols and
+ * strikes bring hostile fleets to battle, escorts screen the convoys and
+ * invasions crossing their zone. Docked fleets repair.
+ */
+
+import { SHIP_CLASSES, NAVAL_MISSIONS, NAVAL, BUILDINGS, FORCE_UPKEEP } from '../config/constants.js';
+
+export class NavalSystem {
+    /**
+     * @param {MapManager} mapManager
+     */
+    constructor(mapManager) {
+        this.map = mapManager;
+        this.fleets = new Map();    // Map of fleet ID -> fleet
+        this.queues = new Map();    // Map of nation ID -> Array of ship orders
+        this.battles = new Map();   // Map of sea zone ID -> battle
+        this.counters = new Map();  // Map of nation ID -> { ships, fleets } raised, for names
+        this.nextId = 1;
+
+        // { available(nationId), recruit(nationId, amount) => boolean, release(nationId, amount) }
+        this.manpowerPool = null;
+
+        // (nationId, classId) => { success, error } - e.g. technology
+        this.shipFilter = null;
+
+        // (nationId, classId, stat) => fractional bonus, e.g. technology
+        this.statModifier = null;
+
+        // (nationId) => multiplier on dockyard output
+        this.productionModifier = null;
+
+        // (nationA, nationB) => boolean, e.g. at war. Defaults to any other nation.
+        this.isHostile = null;
+
+        // Callbacks
+        this.onShipLaunched = null;
+        this.onOrderScrapped = null;
+        this.onShipSunk = null;
+        this.onFleetDestroyed = null;
+        this.onFleetWithdrawn = null;
+        this.onFleetRebased = null;
+        this.onCasualties = null;
+        this.onBattleStart = null;
+        this.onBattleEnd = null;
+        this.onFleetsChange = null;
+        this.onUpdate = null;
+    }
+
+    /**
+     * Give nations with a naval base their starting squadron
+     * @param {Map<string, Object>} nations - Nation records
+     */
+    init(nations) {
+        for (const nation of nations.values()) {
+            const baseId = this.getBases(nation.id).sort((a, b) => getBaseLevel(this.map.getState(b)) - getBaseLevel(this.map.getState(a)))[0];
+            if (!baseId) continue;
+
+            const fleet = this.createFleet(nation.id, baseId);
+            for (const [classId, count] of Object.entries(NAVAL.STARTING_SHIPS)) {
+                for (let i = 0; i < count; i++) fleet.ships.push(this.createShip(nation.id, classId));
+            }
+        }
+
+        this.onFleetsChange?.();
+    }
+
+    /**
+     * Naval bases a nation holds that open onto a sea zone
+     * @param {string} nationId
+     * @returns {Array<string>} State IDs
+     */
+    getBases(nationId) {
+        return Array.from(this.map.states.values())
+            .filter(state => state.owner === nationId && getBaseLevel(state) > 0 && this.map.getPortZone(state.id))
+            .map(state => state.id);
+    }
+
+    /**
+     * Naval production a nation's dockyards turn out per day
+     * @param {string} nationId
+     * @returns {number}
+     */
+    getProduction(nationId) {
+        let dockyards = 0;
+        for (const state of this.map.states.values()) {
+            if (state.owner === nationId) {
+                dockyards += state.data.buildings?.[BUILDINGS.DOCKYARD.id] || 0;
+            }
+        }
+        return dockyards * NAVAL.PRODUCTION_PER_DOCKYARD * (this.productionModifier?.(nationId) ?? 1);
+    }
+
+    /**
+     * Resources a nation's ships use per day
+     * @param {string} nationId
+     * @returns {Object} resourceId -> amount
+     */
+    getResourceDemand(nationId) {
+        const demand = {};
+        for (const fleet of this.getFleets({ nationId })) {
+            for (const ship of fleet.ships) {
+                for (const [resourceId, amount] of Object.entries(FORCE_UPKEEP[ship.classId] || {})) {
+                    demand[resourceId] = (demand[resourceId] || 0) + amount;
+                }
+            }
+        }
+        return demand;
+    }
+
+    /**
+     * Check whether a nation can order a ship for a naval base
+     * @param {string} nationId
+     * @param {string} classId
+     * @param {string} baseId - State ID
+     * @returns {Object} { success, error }
+     */
+    canBuild(nationId, classId, baseId) {
+        const shipClass = getShipClass(classId);
+        if (!shipClass) return { success: false, error: `Unknown ship class: ${classId}` };
+
+        const state = this.map.getState(baseId);
+        if (!state || state.owner !== nationId) return { success: false, error: 'Territory not controlled' };
+        if (!getBaseLevel(state) || !this.map.getPortZone(baseId)) return { success: false, error: 'Requires a naval base' };
+
+        const allowed = this.shipFilter?.(nationId, classId) || { success: true };
+        if (!allowed.success) return { success: false, error: `${shipClass.name}: ${allowed.error}` };
+
+        if (this.getProduction(nationId) <= 0) return { success: false, error: 'Requires a dockyard' };
+        if (this.manpowerPool && this.manpowerPool.available(nationId) < shipClass.crew) {
+            return { success: false, error: `Not enough manpower (${shipClass.crew.toLocaleString()} needed)` };
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * Queue a ship; its crew is drafted straight away
+     * @param {string} nationId
+     * @param {string} classId
+     * @param {string} baseId - Naval base the ship joins when launched
+     * @returns {Object} { success, error, order }
+     */
+    build(nationId, classId, baseId) {
+        const check = this.canBuild(nationId, classId, baseId);
+        if (!check.success) return check;
+
+        const shipClass = getShipClass(classId);
+        if (this.manpowerPool && !this.manpowerPool.recruit(nationId, shipClass.crew)) {
+            return { success: false, error: 'Not enough manpower' };
+        }
+
+        const order = { id: this.nextId++, nationId, classId, baseId, progress: 0, cost: shipClass.cost };
+        this.getQueue(nationId).push(order);
+
+        this.onFleetsChange?.(nationId);
+        return { success: true, order };
+    }
+
+    /**
+     * Cancel a queued ship, releasing its crew
+     * @param {string} nationId
+     * @param {number} orderId
+     * @returns {boolean}
+     */
+    cancelBuild(nationId, orderId) {
+        const queue = this.getQueue(nationId);
+        const index = queue.findIndex(order => order.id === orderId);
+        if (index === -1) return false;
+
+        const [order] = queue.splice(index, 1);
+        this.manpowerPool?.release(nationId, getShipClass(order.classId).crew);
+        this.onFleetsChange?.(nationId);
+        return true;
+    }
+
+    /**
+     * A nation's shipbuilding queue (built in order)
+     * @param {string} nationId
+     * @returns {Array<Object>}
+     */
+    getQueue(nationId) {
+        if (!this.queues.has(nationId)) this.queues.set(nationId, []);
+        return this.queues.get(nationId);
+    }
+
+    /**
+     * Shipbuilding queue for display, with estimated completion
+     * @param {string} nationId
+     * @param {GameDate} date - Today, for completion dates
+     * @returns {Array<Object>} [{ ...order, shipClass, daysLeft, completesOn }]
+     */
+    getQueueSummary(nationId, date = null) {
+        const production = this.getProduction(nationId);
+        let remaining = 0;
+
+        return this.getQueue(nationId).map(order => {
+            remaining += order.cost - order.progress;
+            const daysLeft = production > 0 ? Math.max(1, Math.ceil(remaining / production)) : null;
+            return {
+                ...order,
+                shipClass: getShipClass(order.classId),
+                daysLeft,
+                completesOn: date && daysLeft !== null ? date.addDays(daysLeft) : null
+            };
+        });
+    }
+
+    /**
+     * A ship class's stats with a nation's bonuses
+     * @param {string} classId
+     * @param {string} nationId - Omit for base stats
+     * @returns {Object} SHIP_CLASSES entry with bonuses applied
+     */
+    getClassStats(classId, nationId = null) {
+        const shipClass = getShipClass(classId);
+        const bonus = (stat) => 1 + (nationId ? this.statModifier?.(nationId, classId, stat) || 0 : 0);
+        return {
+            ...shipClass,
+            attack: shipClass.attack * bonus('attack'),
+            defence: shipClass.defence * bonus('defence'),
+            raiding: shipClass.raiding * bonus('raiding'),
+            screening: shipClass.screening * bonus('screening'),
+            speed: shipClass.speed * bonus('speed')
+        };
+    }
+
+    /**
+     * Combined stats of a fleet's ships, scaled by their strength and
+     * the fleet's mission
+     * @param {Object} fleet
+     * @returns {Object} { attack, defence, raiding, screening, speed, strength, ships }
+     */
+    getFleetStats(fleet) {
+        const stats = { attack: 0, defence: 0, raiding: 0, screening: 0, speed: Infinity, strength: 0, ships: fleet.ships.length };
+
+        for (const ship of fleet.ships) {
+            const shipClass = this.getClassStats(ship.classId, fleet.nationId);
+            stats.attack += shipClass.attack * ship.strength;
+            stats.defence += shipClass.defence * ship.strength;
+            stats.raiding += shipClass.raiding * ship.strength;
+            stats.screening += shipClass.screening * ship.strength;
+            stats.speed = Math.min(stats.speed, shipClass.speed);
+            stats.strength += ship.strength;
+        }
+
+        if (fleet.mission === NAVAL_MISSIONS.STRIKE.id) stats.attack *= NAVAL.STRIKE_ATTACK;
+        if (fleet.mission === NAVAL_MISSIONS.ESCORT.id) stats.defence *= NAVAL.ESCORT_DEFENCE;
+        if (stats.ships) stats.strength /= stats.ships;
+        if (stats.speed === Infinity) stats.speed = 0;
+
+        return stats;
+    }
+
+    /**
+     * @param {number} fleetId
+     * @returns {Object|undefined}
+     */
+    getFleet(fleetId) {
+        return this.fleets.get(fleetId);
+    }
+
+    /**
+     * Fleets, optionally filtered
+     * @param {Object} filter - { nationId, zoneId, baseId }
+     * @returns {Array<Object>}
+     */
+    getFleets({ nationId = null, zoneId = null, baseId = null } = {}) {
+        return Array.from(this.fleets.values()).filter(fleet =>
+            (!nationId || fleet.nationId === nationId) &&
+            (!zoneId || fleet.zoneId === zoneId) &&
+            (!baseId || fleet.baseId === baseId)
+        );
+    }
+
+    /**
+     * Whether a fleet sits in its base's harbour with nothing to do
+     * @param {Object} fleet
+     * @returns {boolean}
+     */
+    isDocked(fleet) {
+        return !fleet.mission && !fleet.path.length && !!fleet.baseId && fleet.zoneId === this.map.getPortZone(fleet.baseId);
+    }
+
+    /**
+     * Send a fleet to a sea zone to carry out a mission there
+     * @param {number} fleetId
+     * @param {string} zoneId
+     * @param {string} missionId - NAVAL_MISSIONS id; defaults to the fleet's mission, else patrol
+     * @returns {Object} { success, error }
+     */
+    sail(fleetId, zoneId, missionId = null) {
+        const fleet = this.fleets.get(fleetId);
+        if (!fleet) return { success: false, error: `Unknown fleet: ${fleetId}` };
+
+        const zone = this.map.getSeaZone(zoneId);
+        if (!zone) return { success: false, error: `Unknown sea zone: ${zoneId}` };
+
+        const mission = missionId || fleet.mission || NAVAL_MISSIONS.PATROL.id;
+        if (!getMission(mission)) return { success: false, error: `Unknown mission: ${mission}` };
+
+        const route = this.findRoute(fleet.zoneId, zoneId);
+        if (!route) return { success: false, error: `No sea route to ${zone.name}` };
+
+        // Keep the voyage so far if the new route sets off the same way
+        if (fleet.path[0] !== route.path[0]) fleet.progress = 0;
+        fleet.path = route.path;
+        fleet.mission = mission;
+
+        this.onUpdate?.(fleetId);
+        return { success: true };
+    }
+
+    /**
+     * Change a fleet's mission where it is (or is headed)
+     * @param {number} fleetId
+     * @param {string} missionId - NAVAL_MISSIONS id
+     * @returns {Object} { success, error }
+     */
+    setMission(fleetId, missionId) {
+        const fleet = this.fleets.get(fleetId);
+        if (!fleet) return { success: false, error: `Unknown fleet: ${fleetId}` };
+        if (!getMission(missionId)) return { success: false, error: `Unknown mission: ${missionId}` };
+
+        fleet.mission = missionId;
+        this.onUpdate?.(fleetId);
+        return { success: true };
+    }
+
+    /**
+     * Call a fleet back to dock at its base
+     * @param {number} fleetId
+     * @returns {Object} { success, error }
+     */
+    returnToBase(fleetId) {
+        const fleet = this.fleets.get(fleetId);
+        if (!fleet) return { success: false, error: `Unknown fleet: ${fleetId}` };
+        if (!fleet.baseId) return { success: false, error: `${fleet.name} has no naval base` };
+
+        const route = this.findRoute(fleet.zoneId, this.map.getPortZone(fleet.baseId));
+        if (!route) return { success: false, error: `${fleet.name} can't reach its base` };
+
+        if (fleet.path[0] !== route.path[0]) fleet.progress = 0;
+        fleet.path = route.path;
+        fleet.mission = null;
+
+        this.onUpdate?.(fleetId);
+        return { success: true };
+    }
+
+    /**
+     * Shortest route between two sea zones (Dijkstra over zone centres)
+     * @param {string} fromId
+     * @param {string} toId
+     * @returns {Object|null} { path: zone IDs after fromId, km }
+     */
+    findRoute(fromId, toId) {
+        if (!this.map.getSeaZone(fromId) || !this.map.getSeaZone(toId)) return null;
+        if (fromId === toId) return { path: [], km: 0 };
+
+        const distance = new Map([[fromId, 0]]);
+        const cameFrom = new Map();
+        const open = new Map([[fromId, 0]]);
+
+        while (open.size) {
+            let currentId = null;
+            let best = Infinity;
+            for (const [zoneId, km] of open) {
+                if (km < best) {
+                    best = km;
+                    currentId = zoneId;
+                }
+            }
+
+            if (currentId === toId) {
+                const path = [];
+                for (let zoneId = toId; zoneId !== fromId; zoneId = cameFrom.get(zoneId)) path.unshift(zoneId);
+                return { path, km: best };
+            }
+            open.delete(currentId);
+
+            for (const neighborId of this.map.getSeaZone(currentId).neighbors) {
+                const total = best + this.getLegKm(currentId, neighborId);
+                if (total >= (distance.get(neighborId) ?? Infinity)) continue;
+
+                distance.set(neighborId, total);
+                cameFrom.set(neighborId, currentId);
+                open.set(neighborId, total);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * @param {string} fromId - Sea zone ID
+     * @param {string} toId - Sea zone ID
+     * @returns {number} Distance between zone centres in km
+     */
+    getLegKm(fromId, toId) {
+        const from = this.map.getSeaZone(fromId).center;
+        const to = this.map.getSeaZone(toId).center;
+        return this.map.haversineDistance(from.lat, from.lon, to.lat, to.lon);
+    }
+
+    /**
+     * Days a fleet needs to sail between neighbouring zones
+     * @param {Object} fleet
+     * @param {string} fromId
+     * @param {string} toId
+     * @returns {number}
+     */
+    getLegDays(fleet, fromId, toId) {
+        const kmPerDay = this.getFleetStats(fleet).speed * NAVAL.SAILING_HOURS;
+        return kmPerDay > 0 ? this.getLegKm(fromId, toId) / kmPerDay : Infinity;
+    }
+
+    /**
+     * Progress along the current leg, for drawing markers between zones
+     * @param {number} fleetId
+     * @returns {Object|null} { to, fraction }
+     */
+    getLegProgress(fleetId) {
+        const fleet = this.fleets.get(fleetId);
+        if (!fleet?.path.length) return null;
+
+        const legDays = this.getLegDays(fleet, fleet.zoneId, fleet.path[0]);
+        return { to: fleet.path[0], fraction: Math.min(1, fleet.progress / legDays) };
+    }
+
+    /**
+     * Whether a land unit of a nation may cross a sea border: it must
+     * embark at a naval base the nation holds, and hostile warships in
+     * the waters crossed must be kept off by the nation's own escorts
+     * @param {string} nationId
+     * @param {string} fromId - State ID
+     * @param {string} toId - State ID
+     * @returns {boolean}
+     */
+    canCrossSea(nationId, fromId, toId) {
+        const from = this.map.getState(fromId);
+        if (from?.owner !== nationId || !getBaseLevel(from)) return false;
+
+        const crossing = this.getCrossing(fromId, toId);
+        if (!crossing.length) return false;
+
+        return crossing.every(zoneId => {
+            const fleets = this.getFleets({ zoneId });
+            const threatened = fleets.some(fleet => this.hostile(nationId, fleet.nationId));
+            return !threatened || fleets.some(fleet =>
+                fleet.nationId === nationId && fleet.mission === NAVAL_MISSIONS.ESCORT.id);
+        });
+    }
+
+    /**
+     * Sea zones a crossing between two coastal territories passes through:
+     * the waters both wash, or failing that neighbouring zones off each
+     * @param {string} fromId
+     * @param {string} toId
+     * @returns {Array<string>} Zone IDs
+     */
+    getCrossing(fromId, toId) {
+        const fromZones = this.map.getSeaZonesOf(fromId);
+        const toZones = this.map.getSeaZonesOf(toId);
+
+        const shared = fromZones.filter(zoneId => toZones.includes(zoneId));
+        if (shared.length) return shared;
+
+        for (const zoneId of fromZones) {
+            const next = toZones.find(otherId => this.map.getSeaZone(zoneId).neighbors.has(otherId));
+            if (next) return [zoneId, next];
+        }
+        return [];
+    }
+
+    /**
+     * Share of a port's supply that gets through: hostile raiders in the
+     * waters off it sink convoys unless escorts screen them
+     * @param {string} nationId
+     * @param {string} stateId
+     * @returns {number} 0 to 1
+     */
+    getConvoyFactor(nationId, stateId) {
+        let raiding = 0;
+        let screening = 0;
+
+        for (const zoneId of this.map.getSeaZonesOf(stateId)) {
+            for (const fleet of this.getFleets({ zoneId })) {
+                if (fleet.nationId === nationId && fleet.mission === NAVAL_MISSIONS.ESCORT.id) {
+                    screening += this.getFleetStats(fleet).screening;
+                } else if (isAggressive(fleet) && this.hostile(nationId, fleet.nationId)) {
+                    raiding += this.getFleetStats(fleet).raiding;
+                }
+            }
+        }
+
+        const loss = Math.min(1, Math.max(0, raiding - screening) / NAVAL.RAID_REFERENCE);
+        return 1 - loss * NAVAL.MAX_CONVOY_LOSS;
+    }
+
+    /**
+     * @param {string} nationA
+     * @param {string} nationB
+     * @returns {boolean}
+     */
+    hostile(nationA, nationB) {
+        if (nationA === nationB) return false;
+        return this.isHostile?.(nationA, nationB) ?? true;
+    }
+
+    /**
+     * Daily hook - build ships, sail, fight, repair and send battered
+     * fleets home
+     * @param {GameDate} date
+     */
+    advanceDay(date) {
+        this.produce(date);
+        this.rebase();
+        this.sailFleets(date);
+        this.fightBattles(date);
+
+        for (const fleet of this.fleets.values()) {
+            if (this.isDocked(fleet)) {
+                const repair = getBaseLevel(this.map.getState(fleet.baseId)) * NAVAL.REPAIR_PER_BASE_LEVEL;
+                fleet.ships.forEach(ship => { ship.strength = Math.min(1, ship.strength + repair); });
+            } else if (fleet.mission && this.getFleetStats(fleet).strength < NAVAL.RETREAT_STRENGTH && fleet.baseId) {
+                this.returnToBase(fleet.id);
+                this.onFleetWithdrawn?.(fleet, date);
+            }
+        }
+
+        this.onUpdate?.();
+    }
+
+    /**
+     * Spend each nation's naval production down its queue, launching
+     * finished ships. Orders for bases since lost are scrapped.
+     * @param {GameDate} date
+     */
+    produce(date) {
+        for (const [nationId, queue] of this.queues) {
+            let production = this.getProduction(nationId);
+
+            while (queue.length) {
+                const order = queue[0];
+                if (this.map.getState(order.baseId)?.owner !== nationId) {
+                    queue.shift();
+                    this.onOrderScrapped?.(order, date);
+                    continue;
+                }
+                if (production <= 0) break;
+
+                const spent = Math.min(production, order.cost - order.progress);
+                order.progress += spent;
+                production -= spent;
+                if (order.progress < order.cost) break;
+
+                queue.shift();
+                this.launch(order, date);
+            }
+        }
+    }
+
+    /**
+     * Put a finished ship into a fleet docked at its base, or a new one
+     * @param {Object} order
+     * @param {GameDate} date
+     */
+    launch(order, date) {
+        const fleet = this.getFleets({ nationId: order.nationId, baseId: order.baseId }).find(entry => this.isDocked(entry)) ||
+            this.createFleet(order.nationId, order.baseId);
+        const ship = this.createShip(order.nationId, order.classId);
+        fleet.ships.push(ship);
+
+        this.onShipLaunched?.(ship, fleet, date);
+        this.onFleetsChange?.(order.nationId);
+    }
+
+    /**
+     * Fleets whose base was lost move to the nation's nearest other base
+     */
+    rebase() {
+        for (const fleet of this.fleets.values()) {
+            if (fleet.baseId && this.map.getState(fleet.baseId)?.owner === fleet.nationId) continue;
+
+            let nearest = null;
+            let nearestRoute = null;
+            for (const baseId of this.getBases(fleet.nationId)) {
+                const route = this.findRoute(fleet.zoneId, this.map.getPortZone(baseId));
+                if (route && (!nearestRoute || route.km < nearestRoute.km)) {
+                    nearest = baseId;
+                    nearestRoute = route;
+                }
+            }
+
+            if (fleet.baseId !== nearest) {
+                const previous = fleet.baseId;
+                fleet.baseId = nearest;
+                this.onFleetRebased?.(fleet, previous);
+            }
+        }
+    }
+
+    /**
+     * Move sailing fleets along their routes, possibly over several legs
+     * in one day. Fleets in battle hold their position unless they are
+     * withdrawing to base.
+     * @param {GameDate} date
+     */
+    sailFleets(date) {
+        for (const fleet of this.fleets.values()) {
+            if (!fleet.path.length || (fleet.mission && this.battles.has(fleet.zoneId))) continue;
+
+            fleet.progress += 1;
+            while (fleet.path.length) {
+                const legDays = this.getLegDays(fleet, fleet.zoneId, fleet.path[0]);
+                if (fleet.progress < legDays) break;
+
+                fleet.progress -= legDays;
+                fleet.zoneId = fleet.path.shift();
+            }
+            if (!fleet.path.length) fleet.progress = 0;
+        }
+    }
+
+    /**
+     * One day of fighting in every zone where a fleet on patrol or strike
+     * shares the water with a hostile fleet. Each nation present takes
+     * damage at the odds of its enemies' attack against its own defence.
+     * @param {GameDate} date
+     */
+    fightBattles(date) {
+        const byZone = new Map();
+        for (const fleet of this.fleets.values()) {
+            if (!byZone.has(fleet.zoneId)) byZone.set(fleet.zoneId, []);
+            byZone.get(fleet.zoneId).push(fleet);
+        }
+
+        for (const [zoneId, fleets] of byZone) {
+            const engaged = fleets.filter(fleet => fleets.some(other =>
+                this.hostile(fleet.nationId, other.nationId) && (isAggressive(fleet) || isAggressive(other))));
+
+            if (!engaged.length) {
+                const battle = this.battles.get(zoneId);
+                if (battle) this.endBattle(battle, date);
+                continue;
+            }
+
+            const battle = this.battles.get(zoneId) || this.startBattle(zoneId, engaged, date);
+            battle.days++;
+
+            const power = new Map(); // nation ID -> { attack, defence }
+            for (const fleet of engaged) {
+                const stats = this.getFleetStats(fleet);
+                const total = power.get(fleet.nationId) || { attack: 0, defence: 0 };
+                total.attack += stats.attack;
+                total.defence += stats.defence;
+                power.set(fleet.nationId, total);
+            }
+
+            // Work out every nation's odds before anyone takes damage
+            const odds = new Map();
+            for (const [nationId, { defence }] of power) {
+                let enemyAttack = 0;
+                for (const [otherId, other] of power) {
+                    if (this.hostile(nationId, otherId)) enemyAttack += other.attack;
+                }
+                odds.set(nationId, clamp(defence > 0 ? enemyAttack / defence : NAVAL.MAX_ODDS, 1 / NAVAL.MAX_ODDS, NAVAL.MAX_ODDS));
+            }
+
+            for (const fleet of engaged) this.applyDamage(battle, fleet, odds.get(fleet.nationId), date);
+        }
+
+        for (const battle of [...this.battles.values()]) {
+            if (!byZone.has(battle.zoneId)) this.endBattle(battle, date);
+        }
+    }
+
+    /**
+     * @param {string} zoneId
+     * @param {Array<Object>} fleets
+     * @param {GameDate} date
+     * @returns {Object} battle
+     */
+    startBattle(zoneId, fleets, date) {
+        const battle = {
+            zoneId,
+            nations: [...new Set(fleets.map(fleet => fleet.nationId))],
+            startedOn: date?.toISO() || null,
+            days: 0,
+            sunk: {}    // nation ID -> ships lost
+        };
+
+        this.battles.set(zoneId, battle);
+        this.onBattleStart?.(battle, date);
+        return battle;
+    }
+
+    /**
+     * @param {Object} battle
+     * @param {GameDate} date
+     */
+    endBattle(battle, date) {
+        this.battles.delete(battle.zoneId);
+        this.onBattleEnd?.(battle, date);
+    }
+
+    /**
+     * Damage a fleet's ships and sink the wrecks
+     * @param {Object} battle
+     * @param {Object} fleet
+     * @param {number} odds - Damage multiplier against the fleet
+     * @param {GameDate} date
+     */
+    applyDamage(battle, fleet, odds, date) {
+        let crewLost = 0;
+
+        for (const ship of [...fleet.ships]) {
+            const lost = Math.min(ship.strength, NAVAL.DAMAGE * odds);
+            ship.strength -= lost;
+            crewLost += Math.round(lost * getShipClass(ship.classId).crew);
+
+            if (ship.strength < NAVAL.SUNK_STRENGTH) {
+                crewLost += Math.round(ship.strength * getShipClass(ship.classId).crew);
+                fleet.ships.splice(fleet.ships.indexOf(ship), 1);
+                battle.sunk[fleet.nationId] = (battle.sunk[fleet.nationId] || 0) + 1;
+                this.onShipSunk?.(ship, fleet, battle, date);
+            }
+        }
+
+        if (crewLost > 0) this.onCasualties?.(fleet.nationId, crewLost, battle.zoneId);
+
+        if (!fleet.ships.length) {
+            this.fleets.delete(fleet.id);
+            this.onFleetDestroyed?.(fleet, date);
+            this.onFleetsChange?.(fleet.nationId);
+        }
+    }
+
+    /**
+     * @param {string} zoneId
+     * @returns {Object|undefined}
+     */
+    getBattle(zoneId) {
+        return this.battles.get(zoneId);
+    }
+
+    /**
+     * Fleet popup data
+     * @param {number} fleetId
+     * @param {GameDate} date - Today, for the arrival date
+     * @returns {Object|null} { fleet, stats, zone, base, mission, destination, daysLeft, arrivesOn, docked, battle, ships }
+     */
+    getFleetSummary(fleetId, date = null) {
+        const fleet = this.fleets.get(fleetId);
+        if (!fleet) return null;
+
+        let days = -fleet.progress;
+        const route = [fleet.zoneId, ...fleet.path];
+        for (let i = 1; i < route.length; i++) days += this.getLegDays(fleet, route[i - 1], route[i]);
+        const daysLeft = fleet.path.length && Number.isFinite(days) ? Math.max(1, Math.ceil(days)) : null;
+
+        return {
+            fleet,
+            stats: this.getFleetStats(fleet),
+            zone: this.map.getSeaZone(fleet.zoneId),
+            base: fleet.baseId ? this.map.getState(fleet.baseId) : null,
+            mission: getMission(fleet.mission) || null,
+            destination: fleet.path.length ? this.map.getSeaZone(fleet.path[fleet.path.length - 1]) : null,
+            daysLeft,
+            arrivesOn: date && daysLeft !== null ? date.addDays(daysLeft) : null,
+            docked: this.isDocked(fleet),
+            battle: this.battles.get(fleet.zoneId) || null,
+            ships: fleet.ships.map(ship => ({ ...ship, shipClass: getShipClass(ship.classId) }))
+        };
+    }
+
+    /**
+     * Create and register an empty fleet docked at a base
+     * @param {string} nationId
+     * @param {string} baseId
+     * @returns {Object} fleet
+     */
+    createFleet(nationId, baseId) {
+        const counter = this.getCounter(nationId);
+        counter.fleets++;
+
+        const fleet = {
+            id: this.nextId++,
+            nationId,
+            name: `${ordinal(counter.fleets)} Fleet`,
+            ships: [],
+            baseId,
+            zoneId: this.map.getPortZone(baseId),
+            mission: null,
+            path: [],
+            progress: 0
+        };
+
+        this.fleets.set(fleet.id, fleet);
+        return fleet;
+    }
+
+    /**
+     * @param {string} nationId
+     * @param {string} classId
+     * @returns {Object} ship
+     */
+    createShip(nationId, classId) {
+        const counter = this.getCounter(nationId);
+        counter.ships++;
+
+        const shipClass = getShipClass(classId);
+        return {
+            id: this.nextId++,
+            classId,
+            name: `${shipClass.symbol}-${counter.ships}`,
+            strength: 1
+        };
+    }
+
+    /**
+     * @param {string} nationId
+     * @returns {Object} { ships, fleets } raised so far
+     */
+    getCounter(nationId) {
+        if (!this.counters.has(nationId)) this.counters.set(nationId, { ships: 0, fleets: 0 });
+        return this.counters.get(nationId);
+    }
+}
+
+/**
+ * Ship class by ID
+ * @param {string} classId
+ * @returns {Object|undefined}
+ */
+export function getShipClass(classId) {
+    return Object.values(SHIP_CLASSES).find(shipClass => shipClass.id === classId);
+}
+
+/**
+ * Fleet mission by ID
+ * @param {string} missionId
+ * @returns {Object|undefined}
+ */
+export function getMission(missionId) {
+    return Object.values(NAVAL_MISSIONS).find(mission => mission.id === missionId);
+}
+
+/**
+ * Main ship class of a fleet (the most numerous), used for map symbols
+ * @param {Object} fleet
+ * @returns {Object|undefined}
+ */
+export function getMainShipClass(fleet) {
+    const counts = new Map();
+    for (const ship of fleet.ships) counts.set(ship.classId, (counts.get(ship.classId) || 0) + 1);
+    const [classId] = [...counts].sort((a, b) => b[1] - a[1])[0] || [];
+    return getShipClass(classId);
+}
+
+/**
+ * @param {Object} state
+ * @returns {number} Naval base level
+ */
+function getBaseLevel(state) {
+    return state?.data?.buildings?.[BUILDINGS.NAVAL_BASE.id] || 0;
+}
+
+/**
+ * Fleets on patrol or strike seek battle
+ * @param {Object} fleet
+ * @returns {boolean}
+ */
+function isAggressive(fleet) {
+    return fleet.mission === NAVAL_MISSIONS.PATROL.id || fleet.mission === NAVAL_MISSIONS.STRIKE.id;
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+function ordinal(n) {
+    const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+    return `${n}${suffix}`;
+}
@@ -0,0 +1,223 @@
+/**
+ * Population System
+ * STRATCOM Global Command
+ *
+ * Monthly population growth per territory and each nation's manpower:
+ * the recruitable share of its population (set by conscription law and
+ * mobilisation level) minus the people already in service.
+ */
+
+import { POPULATION, CONSCRIPTION_LAWS, MOBILISATION_LEVELS, BUILDINGS } from '../config/constants.js';
+
+export class PopulationSystem {
+    /**
+     * @param {MapManager} mapManager
+     */
+    constructor(mapManager) {
+        this.map = mapManager;
+        this.nations = new Map(); // Map of nation ID -> { conscription, mobilisation, inService }
+
+        // (nationId) => stability 0..100
+        this.stabilityOf = null;
+
+        // (nationId, lawId) => { success, error } - extra rules, e.g. government caps
+        this.lawFilter = null;
+
+        // Callbacks
+        this.onUpdate = null;
+    }
+
+    /**
+     * Open manpower records; people already under arms count as in service
+     * @param {Map<string, Object>} nations - Nation records
+     */
+    init(nations) {
+        for (const nation of nations.values()) {
+            this.getRecord(nation.id).inService = nation.stats?.military || 0;
+        }
+    }
+
+    /**
+     * @param {string} nationId
+     * @returns {Object} { conscription, mobilisation, inService }
+     */
+    getRecord(nationId) {
+        if (!this.nations.has(nationId)) {
+            this.nations.set(nationId, {
+                conscription: CONSCRIPTION_LAWS.LIMITED.id,
+                mobilisation: MOBILISATION_LEVELS.PEACETIME.id,
+                inService: 0
+            });
+        }
+        return this.nations.get(nationId);
+    }
+
+    /**
+     * Total population of a nation's territories
+     * @param {string} nationId
+     * @returns {number}
+     */
+    getPopulation(nationId) {
+        let population = 0;
+        for (const state of this.map.states.values()) {
+            if (state.owner === nationId) population += state.data.population || 0;
+        }
+        return population;
+    }
+
+    /**
+     * Manpower figures for a nation
+     * @param {string} nationId
+     * @returns {Object} { population, recruitable, inService, available, conscription, mobilisation }
+     */
+    getManpower(nationId) {
+        const record = this.getRecord(nationId);
+        const law = findById(CONSCRIPTION_LAWS, record.conscription);
+        const level = findById(MOBILISATION_LEVELS, record.mobilisation);
+
+        const population = this.getPopulation(nationId);
+        const recruitable = Math.floor(population * law.recruitable * level.manpower);
+
+        return {
+            population,
+            recruitable,
+            inService: record.inService,
+            available: Math.max(0, recruitable - record.inService),
+            conscription: law,
+            mobilisation: level
+        };
+    }
+
+    /**
+     * Take people from the manpower pool into service
+     * @param {string} nationId
+     * @param {number} amount
+     * @returns {boolean} False (and nothing taken) if the pool is too small
+     */
+    recruit(nationId, amount) {
+        if (this.getManpower(nationId).available < amount) return false;
+
+        this.getRecord(nationId).inService += amount;
+        this.onUpdate?.(nationId);
+        return true;
+    }
+
+    /**
+     * Return people from service to the pool (demobilisation)
+     * @param {string} nationId
+     * @param {number} amount
+     */
+    release(nationId, amount) {
+        const record = this.getRecord(nationId);
+        record.inService = Math.max(0, record.inService - amount);
+        this.onUpdate?.(nationId);
+    }
+
+    /**
+     * Remove casualties: out of service and out of the population
+     * @param {string} nationId
+     * @param {number} amount
+     * @param {string} stateId - Territory the losses are taken from (owner's largest if omitted)
+     */
+    applyCasualties(nationId, amount, stateId = null) {
+        const record = this.getRecord(nationId);
+        record.inService = Math.max(0, record.inService - amount);
+
+        const state = stateId ? this.map.getState(stateId) : this.getLargestState(nationId);
+        if (state?.data.population) {
+            state.data.population = Math.max(0, state.data.population - amount);
+        }
+        this.onUpdate?.(nationId);
+    }
+
+    /**
+     * Change conscription law
+     * @param {string} nationId
+     * @param {string} lawId - CONSCRIPTION_LAWS[...].id
+     * @returns {Object} { success, error }
+     */
+    setConscriptionLaw(nationId, lawId) {
+        if (!findById(CONSCRIPTION_LAWS, lawId)) {
+            return { success: false, error: `Unknown conscription law: ${lawId}` };
+        }
+
+        const check = this.lawFilter?.(nationId, lawId) || { success: true };
+        if (!check.success) return check;
+
+        this.getRecord(nationId).conscription = lawId;
+        this.onUpdate?.(nationId);
+        return { success: true };
+    }
+
+    /**
+     * Change mobilisation level
+     * @param {string} nationId
+     * @param {string} levelId - MOBILISATION_LEVELS[...].id
+     * @returns {Object} { success, error }
+     */
+    setMobilisation(nationId, levelId) {
+        if (!findById(MOBILISATION_LEVELS, levelId)) {
+            return { success: false, error: `Unknown mobilisation level: ${levelId}` };
+        }
+
+        this.getRecord(nationId).mobilisation = levelId;
+        this.onUpdate?.(nationId);
+        return { success: true };
+    }
+
+    /**
+     * Economic output multiplier from mobilisation
+     * @param {string} nationId
+     * @returns {number}
+     */
+    getOutputModifier(nationId) {
+        return findById(MOBILISATION_LEVELS, this.getRecord(nationId).mobilisation).output;
+    }
+
+    /**
+     * Monthly hook - grow every owned territory's population
+     * @param {GameDate} date
+     */
+    advanceMonth(date) {
+        for (const state of this.map.states.values()) {
+            if (!state.owner || !state.data.population) continue;
+
+            const stability = this.stabilityOf?.(state.owner) ?? 50;
+            const infrastructure = state.data.buildings?.[BUILDINGS.INFRASTRUCTURE.id] || 0;
+
+            const yearlyRate = POPULATION.BASE_GROWTH +
+                (stability - 50) / 50 * POPULATION.STABILITY_EFFECT +
+                infrastructure * POPULATION.INFRASTRUCTURE_EFFECT;
+
+            state.data.population = Math.max(0, Math.round(state.data.population * (1 + yearlyRate / 12)));
+        }
+
+        this.onUpdate?.();
+    }
+
+    /**
+     * A nation's most populous territory
+     * @param {string} nationId
+     * @returns {Object|null}
+     */
+    getLargestState(nationId) {
+        let largest = null;
+        for (const state of this.map.states.values()) {
+            if (state.owner !== nationId) continue;
+            if (!largest || (state.data.population || 0) > (largest.data.population || 0)) {
+                largest = state;
+            }
+        }
+        return largest;
+    }
+}
+
+/**
+ * Entry of a constants table by its id field
+ * @param {Object} table
+ * @param {string} id
+ * @returns {Object|undefined}
+ */
+function findById(table, id) {
+    return Object.values(table).find(entry => entry.id === id);
+}
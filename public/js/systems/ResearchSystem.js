@@ -0,0 +1,287 @@
+/**
+ * Research System
+ * STRATCOM Global Command
+ *
+ * Per-nation research over the data-driven tech tree in techTree.js.
+ * Each nation works on as many technologies at once as it has research
+ * slots; projects advance once per game day and completed technologies
+ * apply their effects through the query methods below.
+ */
+
+import { RESEARCH, BUILDINGS } from '../config/constants.js';
+import { TECHNOLOGIES, TECH_CATEGORIES, STARTING_TECHS } from '../data/techTree.js';
+
+export class ResearchSystem {
+    constructor() {
+        this.nations = new Map(); // Map of nation ID -> { researched, active, progress, slots }
+
+        // (nationId) => multiplier on daily research progress, e.g. funding
+        this.speedModifier = null;
+
+        // Callbacks
+        this.onResearchComplete = null;
+        this.onUpdate = null;
+    }
+
+    /**
+     * Open research records with the starting technologies
+     * @param {Map<string, Object>} nations - Nation records (researchSlots optional)
+     */
+    init(nations) {
+        for (const nation of nations.values()) {
+            const record = this.getRecord(nation.id);
+            if (nation.researchSlots !== undefined) this.setSlots(nation.id, nation.researchSlots);
+            STARTING_TECHS.forEach(techId => record.researched.add(techId));
+        }
+    }
+
+    /**
+     * A nation's research record (created on first use)
+     * @param {string} nationId
+     * @returns {Object}
+     */
+    getRecord(nationId) {
+        if (!this.nations.has(nationId)) {
+            this.nations.set(nationId, {
+                researched: new Set(),
+                active: [],             // [{ techId, startedOn }] in slot order
+                progress: new Map(),    // techId -> days of progress, kept if cancelled
+                slots: RESEARCH.DEFAULT_SLOTS
+            });
+        }
+        return this.nations.get(nationId);
+    }
+
+    /**
+     * Research slots, including bonuses from technology
+     * @param {string} nationId
+     * @returns {number}
+     */
+    getSlots(nationId) {
+        return this.getRecord(nationId).slots + this.getModifier(nationId, 'research_slots');
+    }
+
+    /**
+     * Configure a nation's base number of research slots
+     * @param {string} nationId
+     * @param {number} slots
+     * @returns {Object} { success, error }
+     */
+    setSlots(nationId, slots) {
+        if (!Number.isInteger(slots) || slots < 1 || slots > RESEARCH.MAX_SLOTS) {
+            return { success: false, error: `Research slots must be between 1 and ${RESEARCH.MAX_SLOTS}` };
+        }
+
+        this.getRecord(nationId).slots = slots;
+        this.onUpdate?.(nationId);
+        return { success: true };
+    }
+
+    /**
+     * @param {string} nationId
+     * @param {string} techId
+     * @returns {boolean}
+     */
+    hasTech(nationId, techId) {
+        return this.getRecord(nationId).researched.has(techId);
+    }
+
+    /**
+     * Check whether a nation can start researching a technology
+     * @param {string} nationId
+     * @param {string} techId
+     * @returns {Object} { success, error }
+     */
+    canResearch(nationId, techId) {
+        const tech = getTech(techId);
+        if (!tech) return { success: false, error: `Unknown technology: ${techId}` };
+
+        const record = this.getRecord(nationId);
+        if (record.researched.has(techId)) return { success: false, error: `${tech.name} already researched` };
+        if (record.active.some(project => project.techId === techId)) {
+            return { success: false, error: `${tech.name} is already being researched` };
+        }
+
+        const missing = tech.requires.filter(id => !record.researched.has(id));
+        if (missing.length) {
+            return { success: false, error: `Requires ${missing.map(id => getTech(id)?.name || id).join(', ')}` };
+        }
+
+        if (record.active.length >= this.getSlots(nationId)) {
+            return { success: false, error: 'No free research slots' };
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * Start researching a technology in a free slot
+     * @param {string} nationId
+     * @param {string} techId
+     * @param {GameDate} date
+     * @returns {Object} { success, error, project }
+     */
+    start(nationId, techId, date) {
+        const check = this.canResearch(nationId, techId);
+        if (!check.success) return check;
+
+        const project = { techId, startedOn: date?.toISO() || null };
+        this.getRecord(nationId).active.push(project);
+        this.onUpdate?.(nationId);
+
+        return { success: true, project };
+    }
+
+    /**
+     * Stop researching a technology; progress so far is kept
+     * @param {string} nationId
+     * @param {string} techId
+     * @returns {boolean}
+     */
+    cancel(nationId, techId) {
+        const record = this.getRecord(nationId);
+        const index = record.active.findIndex(project => project.techId === techId);
+        if (index === -1) return false;
+
+        record.active.splice(index, 1);
+        this.onUpdate?.(nationId);
+        return true;
+    }
+
+    /**
+     * Daily hook - advance active research and complete finished projects
+     * @param {GameDate} date
+     */
+    advanceDay(date) {
+        for (const [nationId, record] of this.nations) {
+            if (!record.active.length) continue;
+
+            const speed = this.speedModifier?.(nationId) ?? 1;
+
+            for (const project of [...record.active]) {
+                const tech = getTech(project.techId);
+                const progress = Math.min(tech.cost, (record.progress.get(tech.id) || 0) + speed);
+                record.progress.set(tech.id, progress);
+
+                if (progress >= tech.cost) {
+                    record.active.splice(record.active.indexOf(project), 1);
+                    record.progress.delete(tech.id);
+                    record.researched.add(tech.id);
+
+                    this.onResearchComplete?.(nationId, tech, date);
+                }
+            }
+        }
+
+        this.onUpdate?.();
+    }
+
+    /**
+     * Sum of a numeric effect over a nation's researched technologies
+     * @param {string} nationId
+     * @param {string} type - Effect type, e.g. 'gdp' or 'building_output'
+     * @param {Object} match - Extra effect fields that must match, e.g. { building: 'factory' }
+     * @returns {number}
+     */
+    getModifier(nationId, type, match = {}) {
+        let total = 0;
+        for (const techId of this.getRecord(nationId).researched) {
+            for (const effect of getTech(techId)?.effects || []) {
+                if (effect.type !== type) continue;
+                if (Object.entries(match).every(([key, value]) => effect[key] === value)) {
+                    total += effect.value || 0;
+                }
+            }
+        }
+        return total;
+    }
+
+    /**
+     * Whether a nation has the technology any `unlock_*` effect demands
+     * @param {string} nationId
+     * @param {string} type - 'unlock_building' or 'unlock_unit'
+     * @param {string} field - 'building' or 'unit'
+     * @param {string} id
+     * @returns {Object} { success, error }
+     */
+    checkUnlocked(nationId, type, field, id) {
+        const unlocking = TECHNOLOGIES.filter(tech =>
+            tech.effects.some(effect => effect.type === type && effect[field] === id)
+        );
+        if (!unlocking.length || unlocking.some(tech => this.hasTech(nationId, tech.id))) {
+            return { success: true };
+        }
+        return { success: false, error: `Requires ${unlocking.map(tech => tech.name).join(' or ')}` };
+    }
+
+    /**
+     * Construction gate for buildings behind technology
+     * @param {string} nationId
+     * @param {string} buildingId
+     * @returns {Object} { success, error }
+     */
+    canBuild(nationId, buildingId) {
+        const check = this.checkUnlocked(nationId, 'unlock_building', 'building', buildingId);
+        if (check.success) return check;
+
+        const building = Object.values(BUILDINGS).find(entry => entry.id === buildingId);
+        return { success: false, error: `${building?.name || buildingId}: ${check.error}` };
+    }
+
+    /**
+     * Research screen data: the tree by category with each technology's
+     * status, and active projects with estimated completion dates
+     * @param {string} nationId
+     * @param {GameDate} date - Today, for completion dates
+     * @returns {Object} { slots, categories, active }
+     */
+    getTree(nationId, date) {
+        const record = this.getRecord(nationId);
+        const speed = this.speedModifier?.(nationId) ?? 1;
+
+        const statusOf = (tech) => {
+            if (record.researched.has(tech.id)) return 'researched';
+            if (record.active.some(project => project.techId === tech.id)) return 'active';
+            if (tech.requires.every(id => record.researched.has(id))) return 'available';
+            return 'locked';
+        };
+
+        const categories = Object.values(TECH_CATEGORIES).map(category => ({
+            ...category,
+            techs: TECHNOLOGIES.filter(tech => tech.category === category.id).map(tech => ({
+                ...tech,
+                status: statusOf(tech),
+                progress: (record.progress.get(tech.id) || 0) / tech.cost
+            }))
+        }));
+
+        const active = record.active.map(project => {
+            const tech = getTech(project.techId);
+            const daysLeft = speed > 0
+                ? Math.ceil((tech.cost - (record.progress.get(tech.id) || 0)) / speed)
+                : null;
+
+            return {
+                tech,
+                progress: (record.progress.get(tech.id) || 0) / tech.cost,
+                daysLeft,
+                completesOn: date && daysLeft !== null ? date.addDays(daysLeft) : null
+            };
+        });
+
+        return {
+            slots: { used: record.active.length, total: this.getSlots(nationId) },
+            categories,
+            active
+        };
+    }
+}
+
+/**
+ * Tech tree entry by ID
+ * @param {string} techId
+ * @returns {Object|undefined}
+ */
+export function getTech(techId) {
+    return TECHNOLOGIES.find(tech => tech.id === techId);
+}
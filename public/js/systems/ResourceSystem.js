@@ -0,0 +1,240 @@
+/**
+ * Resource System
+ * STRATCOM Global Command
+ *
+ * National stockpiles of strategic resources. Territories produce into
+ * their owner's stockpile each game day; buildings and registered demand
+ * sources (e.g. armies) draw from it. When a stockpile runs dry the
+ * share of demand that could be met becomes a production penalty.
+ */
+
+import { RESOURCES, RESOURCE_CONSUMPTION, STARTING_STOCKPILE_DAYS, MIN_BUILDING_EFFICIENCY } from '../config/constants.js';
+
+const RESOURCE_IDS = Object.values(RESOURCES).map(resource => resource.id);
+
+export class ResourceSystem {
+    /**
+     * @param {MapManager} mapManager
+     */
+    constructor(mapManager) {
+        this.map = mapManager;
+        this.ledgers = new Map();       // Map of nation ID -> { stock, income, expense, fulfilment }
+        this.demandSources = new Map(); // Map of name -> (nationId) => { resourceId: amount }
+
+        // Callbacks
+        this.onShortage = null;
+        this.onUpdate = null;
+    }
+
+    /**
+     * Open ledgers for nations, seeding stockpiles from their production
+     * @param {Iterable<string>} nationIds
+     */
+    init(nationIds) {
+        for (const nationId of nationIds) {
+            const ledger = this.getLedger(nationId);
+            ledger.income = this.getProduction(nationId);
+            ledger.expense = this.getConsumption(nationId);
+            for (const id of RESOURCE_IDS) {
+                ledger.stock[id] = ledger.income[id] * STARTING_STOCKPILE_DAYS;
+            }
+        }
+    }
+
+    /**
+     * Register something that consumes resources every day
+     * @param {string} name
+     * @param {Function} demandFn - (nationId) => { resourceId: amount per day }
+     */
+    addDemandSource(name, demandFn) {
+        this.demandSources.set(name, demandFn);
+    }
+
+    /**
+     * @param {string} name
+     */
+    removeDemandSource(name) {
+        this.demandSources.delete(name);
+    }
+
+    /**
+     * A nation's ledger (created empty on first use)
+     * @param {string} nationId
+     * @returns {Object} { stock, income, expense, fulfilment } keyed by resource ID
+     */
+    getLedger(nationId) {
+        if (!this.ledgers.has(nationId)) {
+            this.ledgers.set(nationId, {
+                stock: emptyRecord(0),
+                income: emptyRecord(0),
+                expense: emptyRecord(0),
+                fulfilment: emptyRecord(1)
+            });
+        }
+        return this.ledgers.get(nationId);
+    }
+
+    /**
+     * Daily output of all territories a nation owns
+     * @param {string} nationId
+     * @returns {Object} resourceId -> amount
+     */
+    getProduction(nationId) {
+        const production = emptyRecord(0);
+        for (const state of this.map.states.values()) {
+            if (state.owner !== nationId) continue;
+            addInto(production, state.data.resources);
+        }
+        return production;
+    }
+
+    /**
+     * Daily upkeep of a nation's buildings plus registered demand sources
+     * @param {string} nationId
+     * @returns {Object} resourceId -> amount
+     */
+    getConsumption(nationId) {
+        const consumption = emptyRecord(0);
+
+        for (const state of this.map.states.values()) {
+            if (state.owner !== nationId) continue;
+            for (const [buildingId, count] of Object.entries(state.data.buildings || {})) {
+                addInto(consumption, RESOURCE_CONSUMPTION[buildingId], count);
+            }
+        }
+
+        for (const demandFn of this.demandSources.values()) {
+            addInto(consumption, demandFn(nationId));
+        }
+
+        return consumption;
+    }
+
+    /**
+     * Daily hook - produce, consume and record shortages
+     * @param {GameDate} date
+     */
+    advanceDay(date) {
+        for (const [nationId, ledger] of this.ledgers) {
+            ledger.income = this.getProduction(nationId);
+            ledger.expense = this.getConsumption(nationId);
+
+            for (const id of RESOURCE_IDS) {
+                const available = ledger.stock[id] + ledger.income[id];
+                const expense = ledger.expense[id];
+                const wasShort = ledger.fulfilment[id] < 1;
+
+                if (expense > available) {
+                    ledger.fulfilment[id] = available / expense;
+                    ledger.stock[id] = 0;
+                    if (!wasShort) this.onShortage?.(nationId, id, ledger.fulfilment[id], date);
+                } else {
+                    ledger.fulfilment[id] = 1;
+                    ledger.stock[id] = available - expense;
+                }
+            }
+        }
+
+        this.onUpdate?.();
+    }
+
+    /**
+     * Whether a stockpile covers a one-off cost
+     * @param {string} nationId
+     * @param {Object} cost - resourceId -> amount
+     * @returns {boolean}
+     */
+    canAfford(nationId, cost) {
+        const { stock } = this.getLedger(nationId);
+        return Object.entries(cost).every(([id, amount]) => (stock[id] || 0) >= amount);
+    }
+
+    /**
+     * Take a one-off cost from a stockpile
+     * @param {string} nationId
+     * @param {Object} cost - resourceId -> amount
+     * @returns {boolean} False (and nothing spent) if it can't be afforded
+     */
+    spend(nationId, cost) {
+        if (!this.canAfford(nationId, cost)) return false;
+
+        const { stock } = this.getLedger(nationId);
+        for (const [id, amount] of Object.entries(cost)) {
+            stock[id] -= amount;
+        }
+        return true;
+    }
+
+    /**
+     * Output multiplier for a building given current shortages: the share
+     * of its upkeep that is met, each resource counted by how much of it
+     * the building uses. A building short of everything still keeps
+     * MIN_BUILDING_EFFICIENCY.
+     * @param {string} nationId
+     * @param {string} buildingId
+     * @returns {number} MIN_BUILDING_EFFICIENCY..1
+     */
+    getBuildingEfficiency(nationId, buildingId) {
+        const needs = RESOURCE_CONSUMPTION[buildingId];
+        if (!needs) return 1;
+
+        const { fulfilment } = this.getLedger(nationId);
+        const met = weightedFulfilment(needs, fulfilment);
+        return MIN_BUILDING_EFFICIENCY + (1 - MIN_BUILDING_EFFICIENCY) * met;
+    }
+
+    /**
+     * Share of a nation's daily demand going unmet, each resource counted
+     * by how much of it the nation uses
+     * @param {string} nationId
+     * @returns {number} 0..1
+     */
+    getShortage(nationId) {
+        const { expense, fulfilment } = this.getLedger(nationId);
+        return 1 - weightedFulfilment(expense, fulfilment);
+    }
+
+    /**
+     * Per-resource summary for the HUD resource bar
+     * @param {string} nationId
+     * @returns {Array<Object>} [{ id, name, icon, stock, income, expense, fulfilment }]
+     */
+    getSummary(nationId) {
+        const ledger = this.getLedger(nationId);
+        return Object.values(RESOURCES).map(resource => ({
+            id: resource.id,
+            name: resource.name,
+            icon: resource.icon,
+            stock: ledger.stock[resource.id],
+            income: ledger.income[resource.id],
+            expense: ledger.expense[resource.id],
+            fulfilment: ledger.fulfilment[resource.id]
+        }));
+    }
+}
+
+function emptyRecord(value) {
+    return Object.fromEntries(RESOURCE_IDS.map(id => [id, value]));
+}
+
+/**
+ * Fulfilment averaged over resources, weighted by amount needed
+ * @param {Object} needs - resourceId -> amount
+ * @param {Object} fulfilment - resourceId -> 0..1
+ * @returns {number} 0..1, 1 when nothing is needed
+ */
+function weightedFulfilment(needs, fulfilment) {
+    let total = 0;
+    let met = 0;
+    for (const [id, amount] of Object.entries(needs)) {
+        total += amount;
+        met += amount * (fulfilment[id] ?? 1);
+    }
+    return total > 0 ? met / total : 1;
+}
+
+function addInto(totals, record = {}, multiplier = 1) {
+    for (const [id, amount] of Object.entries(record)) {
+        if (id in totals) totals[id] += (Number(amount) || 0) * multiplier;
+    }
+}
@@ -0,0 +1,225 @@
+/**
+ * Stability System
+ * STRATCOM Global Command
+ *
+ * Political stability per nation. Each month stability drifts back
+ * towards its baseline and is pushed around by war exhaustion,
+ * occupation, budget deficits, resource shortages, global tension and
+ * timed events.
+ * Low stability cuts production, brings strikes and finally a risk
+ * of civil war.
+ */
+
+import { STABILITY } from '../config/constants.js';
+
+export const UNREST_LEVELS = {
+    STABLE: 'stable',
+    UNREST: 'unrest',
+    STRIKES: 'strikes',
+    CIVIL_WAR_RISK: 'civil-war-risk'
+};
+
+export class StabilitySystem {
+    /**
+     * @param {MapManager} mapManager
+     */
+    constructor(mapManager) {
+        this.map = mapManager;
+        this.nations = new Map(); // Map of nation ID -> stability record
+
+        // (nationId) => budget from EconomySystem
+        this.budgetOf = null;
+
+        // (nationId) => 0..1 share of resource demand going unmet
+        this.shortageOf = null;
+
+        // (nationId) => baseline stability, e.g. from the government type
+        this.baselineOf = null;
+
+        // () => global tension 0..100, e.g. from missile strikes
+        this.tensionOf = null;
+
+        // Callbacks
+        this.onStatusChange = null;
+        this.onCivilWar = null;
+        this.onUpdate = null;
+    }
+
+    /**
+     * Open records from nations' starting stability and territories.
+     * Territories held at the start count as the nation's core.
+     * @param {Map<string, Object>} nations - Nation records
+     */
+    init(nations) {
+        for (const nation of nations.values()) {
+            const stability = nation.stats?.stability ?? 50;
+
+            this.nations.set(nation.id, {
+                nation,
+                value: stability,
+                baseline: stability,
+                warExhaustion: 0,
+                cores: new Set(nation.states || []),
+                events: [],
+                modifiers: [],
+                change: 0,
+                status: getUnrestLevel(stability)
+            });
+        }
+    }
+
+    /**
+     * Current stability figures for a nation
+     * @param {string} nationId
+     * @returns {Object|null} { value, baseline, warExhaustion, modifiers, change, status }
+     */
+    getStability(nationId) {
+        const record = this.nations.get(nationId);
+        if (!record) return null;
+
+        return {
+            value: Math.round(record.value),
+            baseline: this.getBaseline(record),
+            warExhaustion: Math.round(record.warExhaustion),
+            modifiers: record.modifiers,
+            change: record.change,
+            status: record.status
+        };
+    }
+
+    /**
+     * Add war exhaustion, e.g. from casualties or lost battles
+     * @param {string} nationId
+     * @param {number} amount - Points (war exhaustion is capped at 100)
+     */
+    addWarExhaustion(nationId, amount) {
+        const record = this.nations.get(nationId);
+        if (!record) return;
+        record.warExhaustion = Math.max(0, Math.min(100, record.warExhaustion + amount));
+    }
+
+    /**
+     * Apply a timed stability effect
+     * @param {string} nationId
+     * @param {Object} event - { label, value (points per month), months }
+     */
+    addEvent(nationId, { label, value, months = 1 }) {
+        const record = this.nations.get(nationId);
+        if (!record) return;
+        record.events.push({ label, value, months });
+    }
+
+    /**
+     * Production multiplier from low stability and strikes
+     * @param {string} nationId
+     * @returns {number} 0..1
+     */
+    getOutputModifier(nationId) {
+        const record = this.nations.get(nationId);
+        if (!record) return 1;
+
+        const shortfall = Math.max(0, STABILITY.OUTPUT_PENALTY_BELOW - record.value) / STABILITY.OUTPUT_PENALTY_BELOW;
+        const strikes = record.value < STABILITY.THRESHOLDS.STRIKES ? STABILITY.STRIKE_PENALTY : 0;
+
+        return Math.max(0, 1 - shortfall * STABILITY.MAX_OUTPUT_PENALTY - strikes);
+    }
+
+    /**
+     * Monthly hook - compute each nation's modifiers and apply them
+     * @param {GameDate} date
+     */
+    advanceMonth(date) {
+        for (const [nationId, record] of this.nations) {
+            record.modifiers = this.computeModifiers(nationId, record);
+            record.change = Math.round(record.modifiers.reduce((sum, modifier) => sum + modifier.value, 0) * 10) / 10;
+            record.value = Math.max(0, Math.min(100, record.value + record.change));
+
+            record.warExhaustion = Math.max(0, record.warExhaustion - STABILITY.WAR_EXHAUSTION_DECAY);
+            record.events = record.events.filter(event => --event.months > 0);
+
+            record.nation.stats = { ...record.nation.stats, stability: Math.round(record.value) };
+
+            const status = getUnrestLevel(record.value);
+            if (status !== record.status) {
+                record.status = status;
+                this.onStatusChange?.(nationId, status, date);
+            }
+
+            if (status === UNREST_LEVELS.CIVIL_WAR_RISK && Math.random() < this.getCivilWarChance(record)) {
+                this.onCivilWar?.(nationId, date);
+            }
+        }
+
+        this.onUpdate?.();
+    }
+
+    /**
+     * This month's modifiers for a nation, largest first
+     * @param {string} nationId
+     * @param {Object} record
+     * @returns {Array<Object>} [{ label, value }]
+     */
+    computeModifiers(nationId, record) {
+        const modifiers = [];
+        const add = (label, value) => {
+            if (Math.abs(value) >= 0.05) modifiers.push({ label, value: Math.round(value * 10) / 10 });
+        };
+
+        add('Return to baseline', (this.getBaseline(record) - record.value) * STABILITY.DRIFT);
+        add('War exhaustion', record.warExhaustion * STABILITY.WAR_EXHAUSTION_EFFECT);
+        add('Global tension', (this.tensionOf?.() || 0) * STABILITY.TENSION_EFFECT);
+
+        if (record.cores.size) {
+            let occupied = 0;
+            for (const stateId of record.cores) {
+                const owner = this.map.getState(stateId)?.owner;
+                if (owner && owner !== nationId) occupied++;
+            }
+            add('Occupied territory', occupied / record.cores.size * STABILITY.OCCUPATION_EFFECT);
+        }
+
+        const budget = this.budgetOf?.(nationId);
+        if (budget && budget.balance < 0 && budget.revenue > 0) {
+            add('Budget deficit', Math.min(1, -budget.balance / budget.revenue) * STABILITY.DEFICIT_EFFECT);
+        }
+
+        add('Resource shortages', (this.shortageOf?.(nationId) || 0) * STABILITY.SHORTAGE_EFFECT);
+
+        for (const event of record.events) {
+            add(event.label, event.value);
+        }
+
+        return modifiers.sort((a, b) => Math.abs(b.value) - Math.abs(a.value));
+    }
+
+    /**
+     * @param {Object} record
+     * @returns {number}
+     */
+    getBaseline(record) {
+        return this.baselineOf?.(record.nation.id) ?? record.baseline;
+    }
+
+    /**
+     * Monthly chance of civil war, rising as stability falls
+     * @param {Object} record
+     * @returns {number}
+     */
+    getCivilWarChance(record) {
+        const threshold = STABILITY.THRESHOLDS.CIVIL_WAR;
+        return Math.max(0, threshold - record.value) / threshold * STABILITY.CIVIL_WAR_CHANCE;
+    }
+}
+
+/**
+ * Unrest level for a stability value
+ * @param {number} stability
+ * @returns {string} UNREST_LEVELS value
+ */
+export function getUnrestLevel(stability) {
+    const { THRESHOLDS } = STABILITY;
+    if (stability < THRESHOLDS.CIVIL_WAR) return UNREST_LEVELS.CIVIL_WAR_RISK;
+    if (stability < THRESHOLDS.STRIKES) return UNREST_LEVELS.STRIKES;
+    if (stability < THRESHOLDS.UNREST) return UNREST_LEVELS.UNREST;
+    return UNREST_LEVELS.STABLE;
+}
@@ -0,0 +1,276 @@
+/**
+ * Supply System
+ * STRATCOM Global Command
+ *
+ * Supply network. Each nation's capital and naval bases send supply out
+ * through the adjacency graph over territory the nation holds, on top of
+ * a little raised locally in every held territory. Each territory passes
+ * on no more than its infrastructure allows and some is lost with
+ * distance. Bordering territory the nation doesn't hold (the front) gets
+ * a share but passes nothing on. A division's supply level is the
+ * throughput reaching its territory over what the divisions there need;
+ * divisions short of supply suffer daily attrition.
+ */
+
+import { SUPPLY, MOVEMENT, BUILDINGS, COMBAT } from '../config/constants.js';
+
+const LEVEL_COLORS = {
+    GOOD: '#00cc66',
+    STRAINED: '#ffaa00',
+    CRITICAL: '#ff3344',
+    NONE: '#1a2520'
+};
+
+export class SupplySystem {
+    /**
+     * @param {MapManager} mapManager
+     * @param {UnitSystem} unitSystem
+     */
+    constructor(mapManager, unitSystem) {
+        this.map = mapManager;
+        this.units = unitSystem;
+        this.capitals = new Map();  // Map of nation ID -> capital state ID
+        this.flows = new Map();     // Map of nation ID -> Map(state ID -> daily throughput)
+
+        // (nationId, stateId) => boolean - territory supply can pass through.
+        // Defaults to territory the nation holds.
+        this.canTraverse = null;
+
+        // (nationId, stateId) => 0..1 share of a naval base's supply that arrives, e.g. raided convoys
+        this.portModifier = null;
+
+        // Callbacks
+        this.onAttrition = null;
+        this.onUnitLost = null;
+        this.onUpdate = null;
+    }
+
+    /**
+     * Find capitals and compute the first network
+     * @param {Map<string, Object>} nations - Nation records
+     */
+    init(nations) {
+        for (const nation of nations.values()) {
+            const stateId = this.resolveCapital(nation);
+            if (stateId) this.capitals.set(nation.id, stateId);
+        }
+        this.update();
+    }
+
+    /**
+     * Map state for a nation's capital: a state or territory named like
+     * NATIONS[...].capital, else the nation's most populous state
+     * @param {Object} nation
+     * @returns {string|null}
+     */
+    resolveCapital(nation) {
+        const owned = Array.from(this.map.states.values()).filter(state => state.owner === nation.id);
+        const capital = nation.capital?.toLowerCase();
+
+        const named = capital && owned.find(state =>
+            [state.name, state.data?.territoryName].some(name => name && (
+                name.toLowerCase().includes(capital) || capital.includes(name.toLowerCase())
+            ))
+        );
+        if (named) return named.id;
+
+        owned.sort((a, b) => (b.data?.population || 0) - (a.data?.population || 0));
+        return owned[0]?.id || null;
+    }
+
+    /**
+     * Recompute every nation's supply network
+     */
+    update() {
+        const nationIds = new Set(this.capitals.keys());
+        for (const unit of this.units.getUnits()) nationIds.add(unit.nationId);
+
+        this.flows = new Map(Array.from(nationIds, nationId => [nationId, this.computeFlow(nationId)]));
+    }
+
+    /**
+     * Supply sources of a nation: its capital (while held), naval bases
+     * and local supply in held territory
+     * @param {string} nationId
+     * @returns {Array<Object>} [{ stateId, output }]
+     */
+    getSources(nationId) {
+        const sources = [];
+
+        const capitalId = this.capitals.get(nationId);
+        if (capitalId && this.map.getState(capitalId)?.owner === nationId) {
+            sources.push({ stateId: capitalId, output: SUPPLY.CAPITAL_OUTPUT });
+        }
+
+        for (const state of this.map.states.values()) {
+            if (state.owner !== nationId) continue;
+
+            const buildings = state.data?.buildings || {};
+            const port = (buildings[BUILDINGS.NAVAL_BASE.id] || 0) * SUPPLY.NAVAL_BASE_OUTPUT;
+            const output = (port ? port * (this.portModifier?.(nationId, state.id) ?? 1) : 0) +
+                (buildings[BUILDINGS.INFRASTRUCTURE.id] || 0) * SUPPLY.LOCAL_OUTPUT;
+            if (output > 0) sources.push({ stateId: state.id, output });
+        }
+
+        return sources;
+    }
+
+    /**
+     * Best daily throughput reaching each territory from a nation's
+     * sources (widest path, highest flows settled first)
+     * @param {string} nationId
+     * @returns {Map<string, number>} state ID -> throughput
+     */
+    computeFlow(nationId) {
+        const flow = new Map();
+        const open = new Map(); // state ID -> tentative throughput
+        for (const { stateId, output } of this.getSources(nationId)) {
+            open.set(stateId, Math.max(open.get(stateId) || 0, output));
+        }
+
+        while (open.size) {
+            let currentId = null;
+            let best = -1;
+            for (const [stateId, value] of open) {
+                if (value > best) {
+                    best = value;
+                    currentId = stateId;
+                }
+            }
+
+            open.delete(currentId);
+            flow.set(currentId, best);
+
+            // The front receives supply but doesn't pass it on
+            if (!this.traversable(nationId, currentId)) continue;
+
+            const current = this.map.getState(currentId);
+            for (const neighborId of this.map.getNeighbors(currentId, MOVEMENT.BORDER_TYPES)) {
+                if (flow.has(neighborId)) continue;
+
+                const neighbor = this.map.getState(neighborId);
+                const km = current.centroid && neighbor?.centroid
+                    ? this.map.haversineDistance(current.centroid.lat, current.centroid.lon, neighbor.centroid.lat, neighbor.centroid.lon)
+                    : 0;
+
+                let value = Math.min(
+                    best * Math.max(0, 1 - km / 1000 * SUPPLY.LOSS_PER_1000KM),
+                    getCapacity(neighbor)
+                );
+                if (!this.traversable(nationId, neighborId)) value *= SUPPLY.FRONTLINE_SHARE;
+
+                if (value > (open.get(neighborId) || 0)) open.set(neighborId, value);
+            }
+        }
+
+        return flow;
+    }
+
+    /**
+     * @param {string} nationId
+     * @param {string} stateId
+     * @returns {boolean}
+     */
+    traversable(nationId, stateId) {
+        return this.canTraverse?.(nationId, stateId) ?? this.map.getState(stateId)?.owner === nationId;
+    }
+
+    /**
+     * Daily supply reaching a territory through a nation's network
+     * @param {string} nationId
+     * @param {string} stateId
+     * @returns {number}
+     */
+    getThroughput(nationId, stateId) {
+        return this.flows.get(nationId)?.get(stateId) || 0;
+    }
+
+    /**
+     * Daily supply a nation's divisions in a territory need
+     * @param {string} nationId
+     * @param {string} stateId
+     * @returns {number}
+     */
+    getDemand(nationId, stateId) {
+        return this.units.getUnits({ nationId, stateId }).reduce((total, unit) =>
+            total + this.units.getUnitStats(unit).battalions * SUPPLY.PER_BATTALION, 0);
+    }
+
+    /**
+     * Supply level of a nation's divisions in a territory. With none
+     * there, rates the territory against SUPPLY.REFERENCE_DEMAND.
+     * @param {string} nationId
+     * @param {string} stateId
+     * @returns {number} 0 to 1
+     */
+    getSupply(nationId, stateId) {
+        const demand = this.getDemand(nationId, stateId) || SUPPLY.REFERENCE_DEMAND;
+        return Math.min(1, this.getThroughput(nationId, stateId) / demand);
+    }
+
+    /**
+     * Daily hook - rebuild the network and apply attrition to divisions
+     * short of supply
+     * @param {GameDate} date
+     */
+    advanceDay(date) {
+        this.update();
+
+        for (const unit of this.units.getUnits()) {
+            if (unit.status !== 'ready') continue;
+
+            const shortage = 1 - this.getSupply(unit.nationId, unit.stateId);
+            if (shortage <= 0) continue;
+
+            const stats = this.units.getUnitStats(unit);
+            const lost = Math.min(unit.strength, SUPPLY.ATTRITION * shortage);
+            unit.strength -= lost;
+            unit.organisation = Math.max(0, unit.organisation - stats.maxOrganisation * SUPPLY.ORGANISATION_ATTRITION * shortage);
+
+            this.onAttrition?.(unit, Math.round(lost * stats.manpower), date);
+
+            if (unit.strength < COMBAT.DESTROYED_STRENGTH) {
+                this.units.removeUnit(unit.id);
+                this.onUnitLost?.(unit, date);
+            }
+        }
+
+        this.onUpdate?.();
+    }
+
+    /**
+     * SUPPLY map mode definition for MapModeController.registerMode
+     * @param {Function} viewerOf - (state) => nation ID whose supply to show
+     * @returns {Object}
+     */
+    createMapMode(viewerOf) {
+        return {
+            name: 'SUPPLY',
+            colorFor: (state) => {
+                const nationId = viewerOf(state);
+                if (!nationId || !this.flows.get(nationId)?.has(state.id)) return LEVEL_COLORS.NONE;
+
+                const level = this.getSupply(nationId, state.id);
+                if (level >= SUPPLY.GOOD) return LEVEL_COLORS.GOOD;
+                if (level >= SUPPLY.STRAINED) return LEVEL_COLORS.STRAINED;
+                return LEVEL_COLORS.CRITICAL;
+            },
+            legend: () => [
+                { color: LEVEL_COLORS.GOOD, label: `Supplied (${Math.round(SUPPLY.GOOD * 100)}%+)` },
+                { color: LEVEL_COLORS.STRAINED, label: `Strained (${Math.round(SUPPLY.STRAINED * 100)}%+)` },
+                { color: LEVEL_COLORS.CRITICAL, label: 'Critical' },
+                { color: LEVEL_COLORS.NONE, label: 'Out of network' }
+            ]
+        };
+    }
+}
+
+/**
+ * Daily supply a territory can pass on
+ * @param {Object} state
+ * @returns {number}
+ */
+function getCapacity(state) {
+    const infrastructure = state?.data?.buildings?.[BUILDINGS.INFRASTRUCTURE.id] || 0;
+    return SUPPLY.BASE_CAPACITY + infrastructure * SUPPLY.CAPACITY_PER_INFRASTRUCTURE;
+}
@@ -0,0 +1,442 @@
+/**
+ * Unit System
+ * STRATCOM Global Command
+ *
+ * Land divisions. Each nation keeps division templates built from
+ * BATTALIONS; recruiting a template takes manpower and equipment and
+ * places a division in a territory, where it trains before it is
+ * ready. Divisions carry strength (share of full manpower) and
+ * organisation (readiness to fight), and recover both day by day.
+ * Military factories produce the equipment stockpile.
+ */
+
+import { BATTALIONS, DEFAULT_TEMPLATES, UNITS, BUILDINGS, FORCE_UPKEEP } from '../config/constants.js';
+
+export class UnitSystem {
+    /**
+     * @param {MapManager} mapManager
+     */
+    constructor(mapManager) {
+        this.map = mapManager;
+        this.units = new Map();     // Map of unit ID -> unit
+        this.templates = new Map(); // Map of nation ID -> Array of templates
+        this.equipment = new Map(); // Map of nation ID -> equipment stockpile
+        this.counters = new Map();  // Map of nation ID -> divisions raised, for names
+        this.nextId = 1;
+
+        // { available(nationId), recruit(nationId, amount) => boolean, release(nationId, amount) }
+        this.manpowerPool = null;
+
+        // (nationId, battalionId) => { success, error } - e.g. technology
+        this.unitFilter = null;
+
+        // (nationId, battalionId, stat) => fractional bonus, e.g. technology
+        this.statModifier = null;
+
+        // (nationId) => multiplier on military factory output
+        this.productionModifier = null;
+
+        // (unit) => true while it is fighting, which stops its recovery
+        this.isEngaged = null;
+
+        // (unit) => 0..1 supply, scaling organisation recovery and reinforcement
+        this.supplyOf = null;
+
+        // Callbacks
+        this.onUnitReady = null;
+        this.onUnitsChange = null;
+    }
+
+    /**
+     * Give nations the default templates, an equipment stockpile and
+     * infantry divisions for their starting military headcount
+     * @param {Map<string, Object>} nations - Nation records
+     */
+    init(nations) {
+        for (const nation of nations.values()) {
+            this.templates.set(nation.id, DEFAULT_TEMPLATES.map(template => ({
+                ...template,
+                battalions: { ...template.battalions }
+            })));
+            this.equipment.set(nation.id,
+                UNITS.STARTING_EQUIPMENT + this.getEquipmentProduction(nation.id) * UNITS.STARTING_EQUIPMENT_DAYS);
+            this.createStartingDivisions(nation);
+        }
+
+        this.onUnitsChange?.();
+    }
+
+    /**
+     * Turn a nation's starting military headcount into ready infantry
+     * divisions, spread over its most populous territories. The people
+     * are already in service, so no manpower is taken.
+     * @param {Object} nation
+     */
+    createStartingDivisions(nation) {
+        const template = this.getTemplates(nation.id)[0];
+        const perDivision = this.getTemplateStats(template).manpower;
+        const count = Math.min(UNITS.STARTING_DIVISIONS_MAX, Math.floor((nation.stats?.military || 0) / perDivision));
+
+        const states = Array.from(this.map.states.values())
+            .filter(state => state.owner === nation.id)
+            .sort((a, b) => (b.data.population || 0) - (a.data.population || 0));
+        if (!states.length) return;
+
+        for (let i = 0; i < count; i++) {
+            const unit = this.createUnit(nation.id, template, states[i % states.length].id);
+            unit.organisation = this.getUnitStats(unit).maxOrganisation;
+        }
+    }
+
+    /**
+     * A nation's division templates
+     * @param {string} nationId
+     * @returns {Array<Object>}
+     */
+    getTemplates(nationId) {
+        if (!this.templates.has(nationId)) this.templates.set(nationId, []);
+        return this.templates.get(nationId);
+    }
+
+    /**
+     * @param {string} nationId
+     * @param {string} templateId
+     * @returns {Object|undefined}
+     */
+    getTemplate(nationId, templateId) {
+        return this.getTemplates(nationId).find(template => template.id === templateId);
+    }
+
+    /**
+     * Add a division template
+     * @param {string} nationId
+     * @param {Object} template - { name, battalions: { battalionId: count } }
+     * @returns {Object} { success, error, template }
+     */
+    createTemplate(nationId, { name, battalions = {} }) {
+        if (!name?.trim()) return { success: false, error: 'Template needs a name' };
+
+        const entries = Object.entries(battalions).filter(([, count]) => count !== 0);
+        const invalid = entries.find(([, count]) => !Number.isInteger(count) || count < 0);
+        if (invalid) return { success: false, error: `Battalion counts must be whole numbers (${invalid[0]}: ${invalid[1]})` };
+
+        const unknown = entries.find(([id]) => !getBattalion(id));
+        if (unknown) return { success: false, error: `Unknown battalion: ${unknown[0]}` };
+
+        const total = entries.reduce((sum, [, count]) => sum + count, 0);
+        if (total < 1 || total > UNITS.MAX_BATTALIONS) {
+            return { success: false, error: `Templates need 1 to ${UNITS.MAX_BATTALIONS} battalions` };
+        }
+
+        const template = {
+            id: `${nationId.toLowerCase()}_template_${this.nextId++}`,
+            name: name.trim(),
+            battalions: Object.fromEntries(entries)
+        };
+        this.getTemplates(nationId).push(template);
+
+        return { success: true, template };
+    }
+
+    /**
+     * Combined battalion stats of a template, with a nation's bonuses
+     * @param {Object} template
+     * @param {string} nationId - Omit for base stats
+     * @returns {Object} { attack, defence, maxOrganisation, speed, manpower, equipment, training, battalions }
+     */
+    getTemplateStats(template, nationId = null) {
+        const stats = { attack: 0, defence: 0, maxOrganisation: 0, speed: Infinity, manpower: 0, equipment: 0, training: 0, battalions: 0 };
+        const bonus = (battalion, stat) => 1 + (nationId ? this.statModifier?.(nationId, battalion.id, stat) || 0 : 0);
+
+        for (const [battalionId, count] of Object.entries(template.battalions)) {
+            const battalion = getBattalion(battalionId);
+            if (!battalion) continue;
+
+            stats.attack += battalion.attack * bonus(battalion, 'attack') * count;
+            stats.defence += battalion.defence * bonus(battalion, 'defence') * count;
+            stats.maxOrganisation += battalion.organisation * bonus(battalion, 'organisation') * count;
+            stats.speed = Math.min(stats.speed, battalion.speed * bonus(battalion, 'speed'));
+            stats.manpower += battalion.manpower * count;
+            stats.equipment += battalion.equipment * count;
+            stats.training = Math.max(stats.training, battalion.training);
+            stats.battalions += count;
+        }
+
+        // Organisation is an average over the division's battalions
+        if (stats.battalions) stats.maxOrganisation /= stats.battalions;
+        if (stats.speed === Infinity) stats.speed = 0;
+
+        return stats;
+    }
+
+    /**
+     * Check whether a nation can recruit a template in a territory
+     * @param {string} nationId
+     * @param {string} templateId
+     * @param {string} stateId
+     * @returns {Object} { success, error }
+     */
+    canRecruit(nationId, templateId, stateId) {
+        const template = this.getTemplate(nationId, templateId);
+        if (!template) return { success: false, error: `Unknown template: ${templateId}` };
+
+        const state = this.map.getState(stateId);
+        if (!state || state.owner !== nationId) {
+            return { success: false, error: 'Territory not controlled' };
+        }
+
+        for (const battalionId of Object.keys(template.battalions)) {
+            const allowed = this.unitFilter?.(nationId, battalionId) || { success: true };
+            if (!allowed.success) return { success: false, error: `${getBattalion(battalionId).name}: ${allowed.error}` };
+        }
+
+        const { manpower, equipment } = this.getTemplateStats(template);
+        if (this.getEquipment(nationId).stock < equipment) {
+            return { success: false, error: `Not enough equipment (${equipment.toLocaleString()} needed)` };
+        }
+        if (this.manpowerPool && this.manpowerPool.available(nationId) < manpower) {
+            return { success: false, error: `Not enough manpower (${manpower.toLocaleString()} needed)` };
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * Recruit a division; it trains in place before it is ready
+     * @param {string} nationId
+     * @param {string} templateId
+     * @param {string} stateId
+     * @param {GameDate} date
+     * @returns {Object} { success, error, unit }
+     */
+    recruit(nationId, templateId, stateId, date) {
+        const check = this.canRecruit(nationId, templateId, stateId);
+        if (!check.success) return check;
+
+        const template = this.getTemplate(nationId, templateId);
+        const { manpower, equipment, training } = this.getTemplateStats(template);
+
+        if (this.manpowerPool && !this.manpowerPool.recruit(nationId, manpower)) {
+            return { success: false, error: 'Not enough manpower' };
+        }
+        this.equipment.set(nationId, this.getEquipment(nationId).stock - equipment);
+
+        const unit = this.createUnit(nationId, template, stateId);
+        unit.status = 'training';
+        unit.readyOn = date ? date.addDays(training).toISO() : null;
+
+        this.onUnitsChange?.(nationId);
+        return { success: true, unit };
+    }
+
+    /**
+     * Disband a division, returning its surviving manpower to the pool
+     * @param {number} unitId
+     * @returns {boolean}
+     */
+    disband(unitId) {
+        const unit = this.units.get(unitId);
+        if (!unit) return false;
+
+        const { manpower } = this.getTemplateStats(unit.template);
+        this.manpowerPool?.release(unit.nationId, Math.round(manpower * unit.strength));
+        this.removeUnit(unitId);
+        return true;
+    }
+
+    /**
+     * Remove a division outright (e.g. destroyed in battle)
+     * @param {number} unitId
+     */
+    removeUnit(unitId) {
+        const unit = this.units.get(unitId);
+        if (!unit) return;
+
+        this.units.delete(unitId);
+        this.onUnitsChange?.(unit.nationId);
+    }
+
+    /**
+     * @param {number} unitId
+     * @returns {Object|undefined}
+     */
+    getUnit(unitId) {
+        return this.units.get(unitId);
+    }
+
+    /**
+     * Divisions, optionally filtered
+     * @param {Object} filter - { nationId, stateId }
+     * @returns {Array<Object>}
+     */
+    getUnits({ nationId = null, stateId = null } = {}) {
+        return Array.from(this.units.values()).filter(unit =>
+            (!nationId || unit.nationId === nationId) && (!stateId || unit.stateId === stateId)
+        );
+    }
+
+    /**
+     * Live stats of a division: its template's, with bonuses
+     * @param {Object} unit
+     * @returns {Object} See getTemplateStats
+     */
+    getUnitStats(unit) {
+        return this.getTemplateStats(unit.template, unit.nationId);
+    }
+
+    /**
+     * Equipment stockpile and daily production
+     * @param {string} nationId
+     * @returns {Object} { stock, production }
+     */
+    getEquipment(nationId) {
+        return {
+            stock: this.equipment.get(nationId) || 0,
+            production: this.getEquipmentProduction(nationId)
+        };
+    }
+
+    /**
+     * Equipment produced per day by a nation's military factories
+     * @param {string} nationId
+     * @returns {number}
+     */
+    getEquipmentProduction(nationId) {
+        let factories = 0;
+        for (const state of this.map.states.values()) {
+            if (state.owner === nationId) {
+                factories += state.data.buildings?.[BUILDINGS.MILITARY_FACTORY.id] || 0;
+            }
+        }
+        return factories * UNITS.EQUIPMENT_PER_FACTORY * (this.productionModifier?.(nationId) ?? 1);
+    }
+
+    /**
+     * Resources a nation's divisions use per day, in proportion to their strength
+     * @param {string} nationId
+     * @returns {Object} resourceId -> amount
+     */
+    getResourceDemand(nationId) {
+        const demand = {};
+        for (const unit of this.getUnits({ nationId })) {
+            for (const [battalionId, count] of Object.entries(unit.template.battalions)) {
+                for (const [resourceId, amount] of Object.entries(FORCE_UPKEEP[battalionId] || {})) {
+                    demand[resourceId] = (demand[resourceId] || 0) + amount * count * unit.strength;
+                }
+            }
+        }
+        return demand;
+    }
+
+    /**
+     * Daily hook - produce equipment, finish training, recover
+     * organisation and reinforce depleted divisions
+     * @param {GameDate} date
+     */
+    advanceDay(date) {
+        for (const nationId of this.equipment.keys()) {
+            this.equipment.set(nationId, this.getEquipment(nationId).stock + this.getEquipmentProduction(nationId));
+        }
+
+        let changed = false;
+
+        for (const unit of this.units.values()) {
+            const stats = this.getUnitStats(unit);
+
+            if (unit.status === 'training') {
+                if (unit.readyOn && date.toISO() < unit.readyOn) continue;
+                unit.status = 'ready';
+                unit.organisation = stats.maxOrganisation;
+                this.onUnitReady?.(unit, date);
+                changed = true;
+                continue;
+            }
+
+            if (this.isEngaged?.(unit)) continue;
+
+            const supply = this.supplyOf?.(unit) ?? 1;
+            unit.organisation = Math.min(
+                stats.maxOrganisation,
+                unit.organisation + stats.maxOrganisation * UNITS.ORGANISATION_RECOVERY * supply
+            );
+
+            if (unit.strength < 1 && supply > 0) {
+                changed = this.reinforce(unit, stats, supply) || changed;
+            }
+        }
+
+        if (changed) this.onUnitsChange?.();
+    }
+
+    /**
+     * Top a division up by one day's reinforcements, as far as manpower,
+     * equipment and supply allow
+     * @param {Object} unit
+     * @param {Object} stats
+     * @param {number} supply - 0 to 1
+     * @returns {boolean} Whether anything was added
+     */
+    reinforce(unit, stats, supply = 1) {
+        const share = Math.min(UNITS.REINFORCE_RATE * supply, 1 - unit.strength);
+        const manpower = Math.ceil(stats.manpower * share);
+        const equipment = stats.equipment * share;
+
+        if (this.getEquipment(unit.nationId).stock < equipment) return false;
+        if (this.manpowerPool && !this.manpowerPool.recruit(unit.nationId, manpower)) return false;
+
+        this.equipment.set(unit.nationId, this.getEquipment(unit.nationId).stock - equipment);
+        unit.strength = Math.min(1, unit.strength + share);
+        return true;
+    }
+
+    /**
+     * Create and register a division at full strength
+     * @param {string} nationId
+     * @param {Object} template
+     * @param {string} stateId
+     * @returns {Object} unit
+     */
+    createUnit(nationId, template, stateId) {
+        const number = (this.counters.get(nationId) || 0) + 1;
+        this.counters.set(nationId, number);
+
+        const unit = {
+            id: this.nextId++,
+            nationId,
+            template,
+            name: `${ordinal(number)} ${template.name}`,
+            stateId,
+            strength: 1,
+            organisation: 0,
+            status: 'ready',
+            readyOn: null
+        };
+
+        this.units.set(unit.id, unit);
+        return unit;
+    }
+}
+
+/**
+ * Battalion type by ID
+ * @param {string} battalionId
+ * @returns {Object|undefined}
+ */
+export function getBattalion(battalionId) {
+    return Object.values(BATTALIONS).find(battalion => battalion.id === battalionId);
+}
+
+/**
+ * Main battalion of a template (the most numerous), used for map symbols
+ * @param {Object} template
+ * @returns {Object|undefined}
+ */
+export function getMainBattalion(template) {
+    const [id] = Object.entries(template.battalions).sort((a, b) => b[1] - a[1])[0] || [];
+    return getBattalion(id);
+}
+
+function ordinal(n) {
+    const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+    return `${n}${suffix}`;
+}